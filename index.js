@@ -1,11 +1,24 @@
 'use strict';
 
+const fs = require('fs');
 const { RpcClient } = require('./lib/rpc');
-const { AddressChecker } = require('./lib/address-checker');
+const { AddressChecker, scamFlag } = require('./lib/address-checker');
 const { PatternDetector } = require('./lib/pattern-detector');
 const { CCTPAnalyzer } = require('./lib/cctp-analyzer');
+const { ApprovalAnalyzer } = require('./lib/approval-analyzer');
+const { PermitAnalyzer } = require('./lib/permit-analyzer');
+const { ContractAnalyzer } = require('./lib/contract-analyzer');
+const { ScamDatabase } = require('./lib/scam-db');
+const { importScamFile } = require('./lib/scam-import');
+const { decodeTransaction } = require('./lib/calldata');
+const { describeAuthority } = require('./lib/proxy-detector');
+const { ExplorerClient } = require('./lib/explorer');
 const { ReportGenerator } = require('./lib/report');
-const { SUPPORTED_CHAINS, THRESHOLDS, RISK_LEVELS } = require('./lib/constants');
+const { Watchlist } = require('./lib/watchlist');
+const { Monitor } = require('./lib/monitor');
+const { AlertDispatcher, JsonlSink, StdoutSink, WebhookSink, scanAlert } = require('./lib/alerts');
+const { THRESHOLDS, RISK_LEVELS } = require('./lib/constants');
+const { UnsupportedChainError, failedCheck } = require('./lib/errors');
 
 /**
  * USDCSecurityScanner — Main entry point for the LobSec USDC Security Scanner.
@@ -29,18 +42,55 @@ class USDCSecurityScanner {
    * @param {Object} options
    * @param {boolean} [options.testnet=false] — Use testnet RPCs
    * @param {string} [options.alchemyKey] — Alchemy API key for enhanced RPC
-   * @param {number} [options.rateLimitDelay=250] — Delay between RPC calls (ms)
+   * @param {number} [options.rateLimitDelay=250] — Average delay between RPC calls per endpoint (ms)
+   * @param {Object} [options.scheduler] — Per-endpoint request limits: { rate, burst, maxInFlight }
+   * @param {Object} [options.endpoints] — Per-chain RPC endpoint lists (strings or { url, headers })
+   * @param {ChainRegistry} [options.chains] — Chain registry (default: bundled chains + user config)
+   * @param {string} [options.chainConfig] — Chain config file adding or overriding chains
+   * @param {Object} [options.fixture] — Record/replay RPC traffic: { mode: 'record'|'replay', path }
+   * @param {boolean|Object} [options.cache] — Persist chain data on disk: true or { dir, ttl }
+   * @param {Object} [options.retry] — RPC retry policy: { retries, baseDelay, maxDelay }
+   * @param {Object} [options.explorerKeys] — Block explorer API keys per chain
+   *   (default: ETHERSCAN_API_KEY, BASESCAN_API_KEY, ARBISCAN_API_KEY)
+   * @param {string[]} [options.scamDatabases] — Scam database overlay files layered over the
+   *   bundled list, lowest first (default: $USDC_SCANNER_SCAM_DBS or the user's local overrides)
+   * @param {Object} [options.decayPolicies] — Per-category scam entry aging, overriding
+   *   SCAM_DECAY_POLICIES: { phishing: { halfLifeDays, floor } } or null to never decay
+   * @param {string[]} [options.trustedLists] — Org trusted-entity lists added to the bundled
+   *   registry (default: $USDC_SCANNER_TRUSTED or the user's local list)
+   * @param {AlertDispatcher|Array} [options.alerts] — Alert dispatcher, or sinks for one,
+   *   receiving HIGH/CRITICAL scan and validation results and monitor alerts
    */
   constructor(options = {}) {
     this.rpc = new RpcClient({
       testnet: options.testnet ?? false,
       alchemyKey: options.alchemyKey,
       rateLimitDelay: options.rateLimitDelay ?? 250,
+      scheduler: options.scheduler,
+      endpoints: options.endpoints,
+      chains: options.chains,
+      chainConfig: options.chainConfig,
+      fixture: options.fixture,
+      cache: options.cache,
+      retry: options.retry,
     });
     
-    this.addressChecker = new AddressChecker(this.rpc);
+    this.chains = this.rpc.chains;
+    this.network = this.rpc.network;
+    this.addressChecker = new AddressChecker(this.rpc, {
+      scamDatabases: options.scamDatabases,
+      decayPolicies: options.decayPolicies,
+      trustedLists: options.trustedLists,
+    });
     this.patternDetector = new PatternDetector(this.rpc);
     this.cctpAnalyzer = new CCTPAnalyzer(this.rpc);
+    this.explorer = new ExplorerClient({ chains: this.chains, network: this.network, apiKeys: options.explorerKeys });
+    this.approvalAnalyzer = new ApprovalAnalyzer(this.rpc, this.addressChecker, this.explorer);
+    this.permitAnalyzer = new PermitAnalyzer(this.rpc, this.addressChecker);
+    this.contractAnalyzer = new ContractAnalyzer(this.rpc);
+    this.alerts = options.alerts instanceof AlertDispatcher
+      ? options.alerts
+      : new AlertDispatcher({ sinks: options.alerts || [] });
     this.options = options;
   }
 
@@ -51,9 +101,16 @@ class USDCSecurityScanner {
    * @param {Object} options
    * @param {string|string[]} [options.chains='all'] — Chain(s) to scan
    * @param {string} [options.depth='standard'] — Scan depth: quick|standard|deep
+   * @param {string} [options.priority] — RPC priority lane: high|normal|low
+   *   (default: low for deep scans, normal otherwise)
    * @returns {Object} Scan result with risk score, patterns, and formatted report
    */
   async scanAddress(address, options = {}) {
+    const priority = options.priority || (options.depth === 'deep' ? 'low' : 'normal');
+    return this.rpc.withPriority(priority, () => this._scanAddress(address, options));
+  }
+
+  async _scanAddress(address, options) {
     this._validateAddress(address);
     
     const chains = this._resolveChains(options.chains || 'all');
@@ -63,6 +120,9 @@ class USDCSecurityScanner {
       address: address.toLowerCase(),
       chains: {},
       patterns: [],
+      transferHistory: {},
+      incompleteChecks: [],
+      contracts: {},
       cctpAnalysis: null,
       reputation: null,
       overallScore: 0,
@@ -75,31 +135,59 @@ class USDCSecurityScanner {
     result.reputation = await this.addressChecker.getReputation(address, chains);
     result.overallScore = result.reputation.overallScore;
     result.chains = result.reputation.chains;
+    result.incompleteChecks = [...result.reputation.incompleteChecks];
 
     // 2. Pattern detection (standard + deep)
     if (depth !== 'quick') {
       const patternResults = await Promise.allSettled(
         chains.map(async chain => {
-          const transfers = await this.rpc.getUSDCTransfers(chain, address).catch(() => []);
-          if (transfers.length === 0) return null;
-          return this.patternDetector.analyzePatterns(address, chain, transfers);
+          const history = await this.rpc.getUSDCTransferHistory(chain, address, { timestamps: true });
+          result.transferHistory[chain] = {
+            transfers: history.transfers.length,
+            truncated: history.truncated,
+          };
+          if (history.transfers.length === 0) return null;
+          return this.patternDetector.analyzePatterns(address, chain, history.transfers);
         })
       );
 
-      for (const pr of patternResults) {
+      patternResults.forEach((pr, i) => {
         if (pr.status === 'fulfilled' && pr.value) {
           result.patterns.push(...pr.value.patterns);
+        } else if (pr.status === 'rejected') {
+          result.incompleteChecks.push(failedCheck('Pattern Detection', pr.reason, chains[i]));
         }
-      }
+      });
 
       // Add pattern risk to overall score
       const patternRisk = result.patterns.reduce((sum, p) => sum + p.riskImpact, 0);
       result.overallScore = Math.min(100, result.overallScore + patternRisk);
     }
 
-    // 3. CCTP analysis (deep only)
+    // 3. Contract privileges (standard + deep), where the address is a contract
+    const contractChains = depth === 'quick' ? [] : chains.filter(chain => result.chains[chain]?.isContract);
+    if (contractChains.length > 0) {
+      const contractResults = await Promise.allSettled(
+        contractChains.map(chain => this.contractAnalyzer.analyze(address, chain))
+      );
+      contractResults.forEach((cr, i) => {
+        if (cr.status === 'fulfilled') {
+          result.contracts[contractChains[i]] = cr.value;
+          result.incompleteChecks.push(...cr.value.incompleteChecks);
+        } else {
+          result.incompleteChecks.push(failedCheck('Contract Privileges', cr.reason, contractChains[i]));
+        }
+      });
+
+      // Same contract on several chains: count its privileges once
+      const privilegeRisk = Math.max(0, ...Object.values(result.contracts).map(c => c.riskScore));
+      result.overallScore = Math.min(100, result.overallScore + privilegeRisk);
+    }
+
+    // 4. CCTP analysis (deep only)
     if (depth === 'deep') {
       result.cctpAnalysis = await this.cctpAnalyzer.analyzeCrossChainActivity(address, chains);
+      result.incompleteChecks.push(...result.cctpAnalysis.incompleteChecks);
       
       if (result.cctpAnalysis.riskFactors.length > 0) {
         const cctpRisk = result.cctpAnalysis.riskFactors.reduce((sum, f) => sum + f.impact, 0);
@@ -107,13 +195,15 @@ class USDCSecurityScanner {
       }
     }
 
-    // 4. Determine final risk level
+    // 5. Determine final risk level
     result.level = this._scoreToLevel(result.overallScore);
 
-    // 5. Generate formatted report
+    // 6. Generate formatted report
     result.formatted = ReportGenerator.formatScanReport(result);
     result.json = ReportGenerator.toJSON(result);
 
+    await this._raise(scanAlert(result));
+
     return result;
   }
 
@@ -125,8 +215,9 @@ class USDCSecurityScanner {
    * @returns {Object} Transaction analysis
    */
   async checkTransaction(txHash, chain) {
-    if (!SUPPORTED_CHAINS.includes(chain)) {
-      throw new Error(`Unsupported chain: ${chain}. Supported: ${SUPPORTED_CHAINS.join(', ')}`);
+    const supported = this.chains.names(this.network);
+    if (!supported.includes(chain)) {
+      throw new UnsupportedChainError(chain, supported);
     }
 
     // Analyze the transaction
@@ -136,11 +227,11 @@ class USDCSecurityScanner {
     if (txAnalysis.details.involvedAddresses) {
       txAnalysis.scamMatches = [];
       for (const addr of txAnalysis.details.involvedAddresses) {
-        const match = this.addressChecker.checkScamDatabase(addr);
+        const match = this.addressChecker.checkScamDatabase(addr, chain);
         if (match) {
           txAnalysis.scamMatches.push({ address: addr, ...match });
           txAnalysis.riskScore += match.riskScore;
-          txAnalysis.flags.push(`INTERACTS_WITH_${match.category.toUpperCase()}`);
+          txAnalysis.flags.push(scamFlag('INTERACTS_WITH', match));
         }
       }
     }
@@ -169,6 +260,15 @@ class USDCSecurityScanner {
    * @returns {Object} Validation result with safety recommendation
    */
   async validateTransfer(recipient, options = {}) {
+    // Pre-flight checks gate a pending transfer: jump ahead of background scans
+    return this.rpc.withPriority('high', async () => {
+      const validation = await this._validateTransfer(recipient, options);
+      await this._raise(scanAlert(validation, 'TRANSFER_RISK'));
+      return validation;
+    });
+  }
+
+  async _validateTransfer(recipient, options) {
     this._validateAddress(recipient);
     
     const chain = options.chain || 'base';
@@ -187,17 +287,20 @@ class USDCSecurityScanner {
       checks: [],
     };
 
-    // Check 1: Scam database
-    const scamMatch = this.addressChecker.checkScamDatabase(recipient);
+    // Check 1: Scam database — listed on another chain is a warning, not a verdict
+    const scamMatch = this.addressChecker.checkScamDatabase(recipient, chain);
     if (scamMatch) {
       validation.scamMatch = scamMatch;
       validation.overallScore = scamMatch.riskScore;
-      validation.safe = false;
-      validation.flags.push(`KNOWN_${scamMatch.category.toUpperCase()}`);
+      if (scamMatch.chainMatch) validation.safe = false;
+      validation.flags.push(scamFlag('KNOWN', scamMatch));
       validation.checks.push({
         check: 'Scam Database',
-        result: 'FAIL',
-        detail: `Known ${scamMatch.category}: ${scamMatch.label}`,
+        result: scamMatch.chainMatch ? 'FAIL' : 'WARN',
+        detail: (scamMatch.chainMatch
+          ? `Known ${scamMatch.category}: ${scamMatch.label} (source: ${scamMatch.source})`
+          : `${scamMatch.note}. Known ${scamMatch.category}: ${scamMatch.label} (source: ${scamMatch.source})`) +
+          (scamMatch.aging.effectiveScore < scamMatch.baseRiskScore ? ` — aged: ${scamMatch.aging.rationale}` : ''),
       });
     } else {
       validation.checks.push({
@@ -207,11 +310,37 @@ class USDCSecurityScanner {
       });
     }
 
+    // Trusted infrastructure softens the heuristics below, but never a scam match
+    const trusted = this.addressChecker.checkTrusted(recipient, chain);
+    const listedTrusted = this.addressChecker.trusted.lookup(recipient, chain);
+    if (trusted) {
+      validation.trusted = trusted;
+      validation.flags.push('TRUSTED_ENTITY');
+      validation.checks.push({
+        check: 'Trusted Entity',
+        result: 'PASS',
+        detail: `${trusted.label} (${trusted.category}, source: ${trusted.source})`,
+      });
+    } else if (listedTrusted) {
+      validation.checks.push({
+        check: 'Trusted Entity',
+        result: 'WARN',
+        detail: `Listed as trusted ${listedTrusted.label} (source: ${listedTrusted.source}), but the scam database match takes precedence`,
+      });
+    }
+
     // Check 2: Address profile
-    try {
-      const profile = await this.addressChecker.analyzeAddressProfile(recipient, chain);
-      validation.profile = profile;
+    const profile = await this.addressChecker.analyzeAddressProfile(recipient, chain);
+    validation.profile = profile;
 
+    if (profile.error) {
+      // Unavailable on-chain data is reported, never scored
+      validation.checks.push(failedCheck('Address Profile', {
+        name: profile.errorType,
+        retryable: profile.retryable,
+        message: profile.error,
+      }));
+    } else {
       for (const rf of profile.riskFactors) {
         validation.overallScore = Math.min(100, validation.overallScore + rf.impact);
       }
@@ -224,29 +353,47 @@ class USDCSecurityScanner {
           ? `Flags: ${profile.flags.join(', ')}` 
           : `${profile.txCount} transactions, ${profile.isContract ? 'contract' : 'EOA'}`,
       });
+    }
 
-      // Check 3: Zero address / burn address
-      if (recipient.toLowerCase() === '0x0000000000000000000000000000000000000000' ||
-          recipient.toLowerCase() === '0x000000000000000000000000000000000000dead') {
-        validation.overallScore = 100;
-        validation.safe = false;
-        validation.flags.push('BURN_ADDRESS');
-        validation.checks.push({
-          check: 'Burn Address',
-          result: 'FAIL',
-          detail: 'This is a burn address. Funds sent here are permanently lost.',
-        });
+    // Check 3: Upgradeable recipient — whoever can upgrade it can change what it does with the funds
+    if (profile.isContract && !profile.error) {
+      try {
+        const proxy = await this.addressChecker.proxyDetector.detect(recipient, chain);
+        if (proxy.upgradeable) {
+          validation.proxy = proxy;
+          validation.flags.push('UPGRADEABLE_PROXY');
+          if (proxy.controlledByEOA) {
+            validation.flags.push('EOA_UPGRADE_ADMIN');
+            // A single key can swap the code that will hold the funds
+            if (amount >= THRESHOLDS.LARGE_TRANSFER_USDC) {
+              validation.overallScore = Math.min(100, validation.overallScore + 25);
+            }
+          }
+          validation.checks.push({
+            check: 'Upgradeability',
+            result: proxy.controlledByEOA ? 'WARN' : 'PASS',
+            detail: `${proxy.type} proxy to ${proxy.implementation || 'an unknown implementation'}; upgrades controlled by ${describeAuthority(proxy.upgradeAuthority)}`,
+          });
+        }
+      } catch (err) {
+        validation.checks.push(failedCheck('Proxy Detection', err, chain));
       }
+    }
 
-    } catch (err) {
+    // Check 4: Zero address / burn address
+    if (recipient.toLowerCase() === '0x0000000000000000000000000000000000000000' ||
+        recipient.toLowerCase() === '0x000000000000000000000000000000000000dead') {
+      validation.overallScore = 100;
+      validation.safe = false;
+      validation.flags.push('BURN_ADDRESS');
       validation.checks.push({
-        check: 'Address Profile',
-        result: 'ERROR',
-        detail: `Failed to analyze: ${err.message}`,
+        check: 'Burn Address',
+        result: 'FAIL',
+        detail: 'This is a burn address. Funds sent here are permanently lost.',
       });
     }
 
-    // Check 4: Large transfer enhanced verification
+    // Check 5: Large transfer enhanced verification
     if (amount >= THRESHOLDS.LARGE_TRANSFER_USDC) {
       validation.flags.push('LARGE_TRANSFER');
       validation.checks.push({
@@ -258,7 +405,16 @@ class USDCSecurityScanner {
       // For large transfers, check scam interactions too
       try {
         const interactions = await this.addressChecker.checkScamInteractions(recipient, chain);
-        if (interactions.length > 0) {
+        if (interactions.length > 0 && trusted) {
+          // Scam funds routinely pass through exchanges and routers
+          validation.overallScore = Math.min(100, validation.overallScore + Math.round(30 * THRESHOLDS.TRUSTED_RISK_MULTIPLIER));
+          validation.flags.push('SCAM_INTERACTIONS');
+          validation.checks.push({
+            check: 'Scam Interactions',
+            result: 'WARN',
+            detail: `Recipient has interacted with ${interactions.length} known scam address(es) (reduced: trusted ${trusted.category} ${trusted.label})`,
+          });
+        } else if (interactions.some(i => i.scamInfo.chainMatch)) {
           validation.overallScore = Math.min(100, validation.overallScore + 30);
           validation.flags.push('SCAM_INTERACTIONS');
           validation.safe = false;
@@ -267,8 +423,24 @@ class USDCSecurityScanner {
             result: 'FAIL',
             detail: `Recipient has interacted with ${interactions.length} known scam address(es)`,
           });
+        } else if (interactions.length > 0) {
+          validation.overallScore = Math.min(100, validation.overallScore + Math.round(30 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER));
+          validation.flags.push('SCAM_INTERACTIONS_OTHER_CHAIN');
+          validation.checks.push({
+            check: 'Scam Interactions',
+            result: 'WARN',
+            detail: `Recipient has interacted with ${interactions.length} address(es) listed as scams on other chains only`,
+          });
+        } else {
+          validation.checks.push({
+            check: 'Scam Interactions',
+            result: 'PASS',
+            detail: 'No USDC transfers with known scam addresses',
+          });
         }
-      } catch {}
+      } catch (err) {
+        validation.checks.push(failedCheck('Scam Interactions', err));
+      }
     }
 
     // Determine final safety
@@ -281,11 +453,13 @@ class USDCSecurityScanner {
 
     // Generate recommendation
     if (!validation.safe) {
-      if (validation.scamMatch) {
+      if (validation.scamMatch?.chainMatch) {
         validation.recommendation = `⛔ DO NOT SEND. Recipient is identified as: ${validation.scamMatch.label}. ${validation.scamMatch.details}`;
       } else {
         validation.recommendation = `🔴 HIGH RISK transfer. Multiple concerning indicators detected. Verify the recipient address through an independent channel before proceeding.`;
       }
+    } else if (validation.scamMatch) {
+      validation.recommendation = `🟠 PROCEED WITH CAUTION. The same address is listed as ${validation.scamMatch.label} on ${validation.scamMatch.chains.join(', ')}. Confirm the recipient on ${chain} is not the same party.`;
     } else if (validation.overallScore >= 40) {
       validation.recommendation = `🟠 PROCEED WITH CAUTION. Some risk indicators present. Double-check the recipient address.`;
     } else if (validation.overallScore >= 10) {
@@ -299,6 +473,166 @@ class USDCSecurityScanner {
     return validation;
   }
 
+  /**
+   * Validate an unsigned transaction before it is signed.
+   * 
+   * Decodes the calldata (ERC-20 transfer/approve/permit, CCTP burns and
+   * mints, multicall wrappers) and runs the validateTransfer checks on
+   * every address that would receive funds or an allowance. A CCTP burn
+   * is screened on the destination chain against its mint recipient.
+   * 
+   * @param {Object} txRequest — { to, data, value, chain }
+   * @param {string} txRequest.to — Called contract or value recipient
+   * @param {string} [txRequest.data='0x'] — Calldata
+   * @param {string|number} [txRequest.value='0'] — Native value (wei)
+   * @param {string} [txRequest.chain='base'] — Chain the transaction is for
+   * @returns {Object} Decoded actions, per-address validations and overall verdict
+   */
+  async validateTransaction(txRequest) {
+    return this.rpc.withPriority('high', async () => {
+      const result = await this._validateTransaction(txRequest || {});
+      const riskiest = result.actions.filter(a => a.validation)
+        .sort((a, b) => b.validation.overallScore - a.validation.overallScore)[0];
+      await this._raise(scanAlert({ ...result, address: riskiest?.address || result.to }, 'TRANSACTION_RISK'));
+      return result;
+    });
+  }
+
+  async _validateTransaction(txRequest) {
+    const { to, data = '0x', value = '0' } = txRequest;
+    const chain = txRequest.chain || 'base';
+    this._validateAddress(to);
+    if (typeof data !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+      throw new Error('Invalid calldata: expected 0x-prefixed hex bytes');
+    }
+
+    const decoded = decodeTransaction({ to, data, value });
+    const usdc = this.chains.usdcAddress(chain, this.network)?.toLowerCase();
+
+    const result = {
+      to: to.toLowerCase(),
+      chain,
+      value: BigInt(value).toString(),
+      selector: decoded.selector,
+      method: decoded.method,
+      actions: [],
+      overallScore: 0,
+      level: 'CLEAN',
+      safe: true,
+      flags: [],
+      scamMatch: null,
+      recommendation: '',
+    };
+    let extraRisk = 0;
+    const flag = (name, impact = 0) => {
+      if (!result.flags.includes(name)) result.flags.push(name);
+      extraRisk += impact;
+    };
+
+    // The contract being called, whatever the calldata says
+    const contractMatch = this.addressChecker.checkScamDatabase(to, chain);
+    if (contractMatch) {
+      result.overallScore = contractMatch.riskScore;
+      flag(scamFlag('CALLS_KNOWN', contractMatch));
+      if (contractMatch.chainMatch) {
+        result.scamMatch = { ...contractMatch, role: 'contract' };
+        result.safe = false;
+      }
+    }
+
+    const screened = new Map();
+    for (const action of decoded.actions) {
+      const targetChain = action.destinationDomain !== undefined
+        ? this.chains.byDomain(action.destinationDomain)?.name
+        : chain;
+      // receiveMessage mints USDC on this chain
+      const isUSDC = action.type === 'receiveMessage' || (action.token !== null && action.token === usdc);
+      const amountUSDC = isUSDC && !action.unlimited ? Number(BigInt(action.amount)) / 1e6 : 0;
+
+      if (action.malformed) flag('MALFORMED_CALLDATA', 20);
+      if (action.truncated) flag('NESTING_TOO_DEEP', 20);
+      if (action.role === 'contract' && action.type === 'call' && !action.method) flag('UNKNOWN_CALL');
+      if (action.unlimited) flag('UNLIMITED_APPROVAL', 20);
+      if (action.token && !isUSDC && action.role !== 'contract' && action.type !== 'nativeTransfer') flag('NON_USDC_TOKEN');
+
+      // Nothing to screen: no address, or an allowance being reduced
+      if (!action.address || action.revokes) {
+        result.actions.push({ ...action, chain: targetChain || null, amountUSDC: null, validation: null });
+        continue;
+      }
+      if (!targetChain) {
+        // Unknown CCTP domain: the mint recipient can only be checked against the scam database
+        flag('UNKNOWN_DESTINATION_DOMAIN', 20);
+        const match = this.addressChecker.checkScamDatabase(action.address);
+        action.validation = {
+          recipient: action.address,
+          chain: null,
+          overallScore: match ? match.riskScore : 0,
+          safe: !match,
+          flags: match ? [`KNOWN_${match.category.toUpperCase()}`] : [],
+          scamMatch: match,
+          checks: [],
+        };
+      } else {
+        const key = `${action.address}:${targetChain}`;
+        if (!screened.has(key)) {
+          screened.set(key, this._validateTransfer(action.address, { chain: targetChain, amount: amountUSDC }));
+        }
+        action.validation = await screened.get(key);
+      }
+
+      const validation = action.validation;
+      if (action.role === 'spender' && validation.profile && !validation.profile.error && !validation.profile.isContract) {
+        flag('EOA_SPENDER', 40);
+      }
+      for (const f of validation.flags) flag(f);
+      if (validation.scamMatch && validation.scamMatch.chainMatch !== false && !result.scamMatch) {
+        result.scamMatch = { ...validation.scamMatch, role: action.role, address: action.address };
+      }
+      if (!validation.safe) result.safe = false;
+      result.overallScore = Math.max(result.overallScore, validation.overallScore);
+      result.actions.push({ ...action, chain: targetChain || null, amountUSDC: isUSDC && !action.unlimited ? amountUSDC : null });
+    }
+
+    result.overallScore = Math.min(100, result.overallScore + extraRisk);
+    result.level = this._scoreToLevel(result.overallScore);
+    if (result.overallScore >= 70) result.safe = false;
+
+    if (result.scamMatch) {
+      result.recommendation = `⛔ DO NOT SIGN. ${result.scamMatch.role === 'contract' ? 'The called contract' : `The ${result.scamMatch.role}`} is identified as: ${result.scamMatch.label}. ${result.scamMatch.details}`;
+    } else if (!result.safe) {
+      result.recommendation = `🔴 HIGH RISK transaction. Verify every recipient and spender through an independent channel before signing.`;
+    } else if (result.overallScore >= 40) {
+      result.recommendation = `🟠 PROCEED WITH CAUTION. Some risk indicators present. Double-check the decoded actions.`;
+    } else if (result.overallScore >= 10) {
+      result.recommendation = `🟡 LOW RISK. Minor flags detected but the transaction appears generally safe.`;
+    } else {
+      result.recommendation = `✅ Transaction appears safe. No concerning recipients or spenders detected.`;
+    }
+
+    result.formatted = ReportGenerator.formatTransactionValidation(result);
+    return result;
+  }
+
+  /**
+   * Check an EIP-712 permit signature request before signing it.
+   * Handles USDC EIP-2612 `Permit` and Uniswap Permit2 messages.
+   * 
+   * @param {Object|string} typedData — EIP-712 typed data as passed to eth_signTypedData_v4
+   * @param {Object} options
+   * @param {string} [options.chain] — Chain name (default: from domain.chainId)
+   * @param {string} [options.owner] — Signer address (Permit2 messages do not include it)
+   * @returns {Object} Decoded permit with risk score and signing recommendation
+   */
+  async analyzePermit(typedData, options = {}) {
+    // A signature request is waiting on the user: same lane as transfer checks
+    return this.rpc.withPriority('high', async () => {
+      const analysis = await this.permitAnalyzer.analyze(typedData, options);
+      analysis.formatted = ReportGenerator.formatPermitAnalysis(analysis);
+      return analysis;
+    });
+  }
+
   /**
    * Get detailed reputation report for an address.
    * 
@@ -317,6 +651,25 @@ class USDCSecurityScanner {
     return reputation;
   }
 
+  /**
+   * List the spenders allowed to move an address's USDC, riskiest first.
+   * 
+   * @param {string} address — Token owner
+   * @param {Object} options
+   * @param {string|string[]} [options.chains='all'] — Chain(s) to check
+   * @param {number} [options.limit=1000] — Approval events to read per chain
+   * @returns {Object} Allowance inventory with exposure per spender
+   */
+  async getApprovals(address, options = {}) {
+    this._validateAddress(address);
+    const chains = this._resolveChains(options.chains || 'all');
+
+    const inventory = await this.approvalAnalyzer.getApprovalInventory(address, chains, { limit: options.limit });
+    inventory.formatted = ReportGenerator.formatApprovalReport(inventory);
+
+    return inventory;
+  }
+
   /**
    * Check if a contract is a honeypot.
    * 
@@ -329,6 +682,21 @@ class USDCSecurityScanner {
     return this.patternDetector.detectHoneypot(address, chain);
   }
 
+  /**
+   * Analyze who controls a contract: owner, roles and privileged functions
+   * (mint, blacklist, fees, sweep, pause, upgrade).
+   * 
+   * @param {string} address — Contract address
+   * @param {string} chain — Chain name
+   * @returns {Object} Privilege report with risk score and flags
+   */
+  async checkContract(address, chain = 'base') {
+    this._validateAddress(address);
+    const report = await this.contractAnalyzer.analyze(address, chain);
+    report.formatted = ReportGenerator.formatContractReport(report);
+    return report;
+  }
+
   /**
    * Quick check — just scam database lookup (instant, no RPC).
    * 
@@ -365,13 +733,94 @@ class USDCSecurityScanner {
 
   /**
    * Reload the scam address database (hot-reload for updates).
+   * 
+   * @returns {Object} Entries added, removed and changed since the last load:
+   *   { from, to, added, removed, changed } with database versions `from`/`to`
    */
   reloadDatabase() {
-    this.addressChecker.reload();
+    return this.addressChecker.reload();
+  }
+
+  /**
+   * Compare two scam database files.
+   * 
+   * @param {string} oldFile — Earlier database file
+   * @param {string} newFile — Later database file
+   * @returns {Object} { from, to, added, removed, changed, formatted }
+   */
+  diffScamDatabases(oldFile, newFile) {
+    const before = ScamDatabase.fromFile(oldFile, { chains: this.chains });
+    const diff = before.diff(ScamDatabase.fromFile(newFile, { chains: this.chains }));
+    diff.formatted = ReportGenerator.formatScamDatabaseDiff(diff);
+    return diff;
+  }
+
+  /**
+   * Export the effective scam database (all layers, suppressions applied).
+   * 
+   * @param {string} [format='json'] — csv|json|txt
+   * @returns {string}
+   */
+  exportScamDatabase(format = 'json') {
+    return this.addressChecker.scamDb.export(format);
+  }
+
+  /**
+   * Merge a third-party scam list into a scam database file, then reload.
+   * 
+   * @param {string} file — CSV, OFAC SDN advanced XML or ChainAbuse/MistTrack JSON export
+   * @param {Object} options
+   * @param {string} [options.into] — Database file to merge into
+   *   (default: ~/.config/lobsec-usdc-scanner/scam-addresses.json)
+   * @param {string} [options.format] — csv|ofac|json (default: from the file extension)
+   * @param {string} [options.category] — Category for records without one
+   * @param {string} [options.severity] — Severity for records without one
+   * @param {string[]} [options.chain] — Chains for records without any (default: all)
+   * @param {string} [options.onConflict='keep'] — keep|replace entries whose category or severity differ
+   * @param {boolean} [options.dryRun=false] — Report what would change without writing
+   * @returns {Object} { target, summary: { added, updated, conflicts, unchanged }, skipped }
+   */
+  importScamList(file, options = {}) {
+    const target = options.into || ScamDatabase.defaultOverlayPath();
+    const result = importScamFile(file, target, { ...options, chains: this.chains });
+    if (!options.dryRun) this.reloadDatabase();
+    return result;
+  }
+
+  /**
+   * Create a monitor for the addresses on a watchlist.
+   * 
+   * @param {Object} options
+   * @param {Watchlist} [options.watchlist] — Watchlist (default: the user's watchlist file)
+   * @param {string} [options.watchlistPath] — Watchlist file to open instead
+   * @param {number} [options.interval=15000] — Delay between polls (ms)
+   * @param {number} [options.lookback=0] — Blocks to scan behind the head on first poll
+   * @param {Function} [options.onAlert] — Called with each alert, after it went to the alert sinks
+   * @param {Function} [options.onError] — Called when a chain could not be polled
+   * @returns {Monitor} Call start() to poll continuously or poll() for one pass
+   */
+  createMonitor(options = {}) {
+    const watchlist = options.watchlist || new Watchlist({ path: options.watchlistPath });
+    return new Monitor({
+      rpc: this.rpc,
+      addressChecker: this.addressChecker,
+      patternDetector: this.patternDetector,
+      watchlist,
+    }, {
+      ...options,
+      onAlert: async alert => {
+        await this.alerts.dispatch(alert);
+        if (options.onAlert) await options.onAlert(alert);
+      },
+    });
   }
 
   // ─── Internal Helpers ───
 
+  async _raise(alert) {
+    if (alert && this.alerts.size > 0) await this.alerts.dispatch(alert);
+  }
+
   _validateAddress(address) {
     if (!address || typeof address !== 'string') {
       throw new Error('Address is required and must be a string');
@@ -382,10 +831,11 @@ class USDCSecurityScanner {
   }
 
   _resolveChains(chains) {
-    if (chains === 'all') return [...SUPPORTED_CHAINS];
+    const supported = this.chains.names(this.network);
+    if (chains === 'all') return supported;
     if (typeof chains === 'string') return [chains];
-    if (Array.isArray(chains)) return chains.filter(c => SUPPORTED_CHAINS.includes(c));
-    return [...SUPPORTED_CHAINS];
+    if (Array.isArray(chains)) return chains.filter(c => supported.includes(c));
+    return supported;
   }
 
   _scoreToLevel(score) {
@@ -411,12 +861,56 @@ Usage:
   node index.js scan <address> [--chain <chain>] [--depth <depth>]
   node index.js check-tx <txHash> --chain <chain>
   node index.js validate <recipient> [--amount <usdc>] [--chain <chain>]
+  node index.js validate-tx <to> [--data <hex>] [--value <wei>] [--chain <chain>]
   node index.js reputation <address> [--chain <chain>]
+  node index.js approvals <address> [--chain <chain>]
+  node index.js permit <typed-data.json|-> [--owner <address>] [--chain <chain>]
   node index.js quick <address>
   node index.js honeypot <address> [--chain <chain>]
+  node index.js contract <address> [--chain <chain>]
+  node index.js db import <file> [--into <db.json>] [--format csv|ofac|json] [--dry-run]
+  node index.js db diff <old.json> <new.json>
+  node index.js db export [--format csv|json|txt] [--out <file>]
+  node index.js monitor <address> [--chain <chain>] [--alerts <level>]
+  node index.js monitor remove <address>
+  node index.js monitor list
+  node index.js monitor run [--interval <seconds>]
 
-Chains: ethereum, base, arbitrum, all (default: all)
+Chains: ethereum, base, arbitrum, any chain from the chain config, all (default: all)
 Depths: quick, standard, deep (default: standard)
+Alert levels: all, high, critical (default: high)
+
+Options:
+  --record <file>   Record all RPC traffic to a fixture file
+  --replay <file>   Serve RPC responses from a fixture file (no network)
+  --no-cache        Skip the on-disk RPC cache (~/.cache/lobsec-usdc-scanner)
+  --chains-config <file>
+                    Add or override chains (default: $USDC_SCANNER_CHAINS or
+                    ~/.config/lobsec-usdc-scanner/chains.json)
+  --scam-db <file>  Layer a scam database over the bundled list (default:
+                    $USDC_SCANNER_SCAM_DBS or
+                    ~/.config/lobsec-usdc-scanner/scam-addresses.json)
+  --trusted <file>  Add an org trusted-entity list to the bundled registry
+                    (default: $USDC_SCANNER_TRUSTED or
+                    ~/.config/lobsec-usdc-scanner/trusted-addresses.json)
+  --alert-jsonl <file>
+                    Append HIGH/CRITICAL findings and monitor alerts to a JSONL file
+  --alert-webhook <url>
+                    POST them to a webhook, signed with $USDC_SCANNER_WEBHOOK_SECRET
+  --alert-format <format>
+                    Webhook body: json, slack, discord (default: json)
+  --alert-severity <level>
+                    Minimum severity sent to the sinks above: info, low, medium,
+                    high, critical (default: high)
+
+db import options:
+  --into <file>     Database to merge into (default: the local overrides file above)
+  --format <format> csv, ofac (SDN advanced XML) or json (ChainAbuse/MistTrack);
+                    default: from the file extension
+  --category, --severity, --chain
+                    Defaults for records that do not say
+  --replace         Overwrite entries whose category or severity differ
+  --dry-run         Show the summary without writing
 `);
     process.exit(0);
   }
@@ -426,10 +920,44 @@ Depths: quick, standard, deep (default: standard)
     return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
   }
 
-  const scanner = new USDCSecurityScanner({
-    testnet: args.includes('--testnet'),
-    alchemyKey: process.env.ALCHEMY_API_KEY,
+  const recordPath = getFlag('--record');
+  const replayPath = getFlag('--replay');
+
+  const alerts = new AlertDispatcher({
+    onError: ({ sink, error }) => console.error(`Alert delivery to ${sink} failed: ${error.message}`),
   });
+  const minSeverity = getFlag('--alert-severity') || 'high';
+  // Bad sink options and invalid --scam-db, --trusted or --chains-config files end here
+  let scanner;
+  try {
+    if (getFlag('--alert-jsonl')) {
+      alerts.add(new JsonlSink({ path: getFlag('--alert-jsonl'), minSeverity }));
+    }
+    if (getFlag('--alert-webhook')) {
+      alerts.add(new WebhookSink({
+        url: getFlag('--alert-webhook'),
+        format: getFlag('--alert-format') || 'json',
+        secret: process.env.USDC_SCANNER_WEBHOOK_SECRET,
+        minSeverity,
+      }));
+    }
+
+    scanner = new USDCSecurityScanner({
+      testnet: args.includes('--testnet'),
+      alchemyKey: process.env.ALCHEMY_API_KEY,
+      chainConfig: getFlag('--chains-config') || undefined,
+      scamDatabases: getFlag('--scam-db') ? [getFlag('--scam-db')] : undefined,
+      trustedLists: getFlag('--trusted') ? [getFlag('--trusted')] : undefined,
+      fixture: replayPath ? { mode: 'replay', path: replayPath }
+        : recordPath ? { mode: 'record', path: recordPath }
+        : undefined,
+      cache: !args.includes('--no-cache'),
+      alerts,
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
 
   (async () => {
     try {
@@ -460,6 +988,17 @@ Depths: quick, standard, deep (default: standard)
           console.log(result.formatted);
           break;
         }
+        case 'validate-tx': {
+          if (!target) throw new Error('Transaction target (to) required');
+          const result = await scanner.validateTransaction({
+            to: target,
+            data: getFlag('--data') || '0x',
+            value: getFlag('--value') || '0',
+            chain: getFlag('--chain') || 'base',
+          });
+          console.log(result.formatted);
+          break;
+        }
         case 'reputation': {
           if (!target) throw new Error('Address required');
           const result = await scanner.getReputation(target, {
@@ -468,6 +1007,24 @@ Depths: quick, standard, deep (default: standard)
           console.log(result.formatted);
           break;
         }
+        case 'approvals': {
+          if (!target) throw new Error('Address required');
+          const result = await scanner.getApprovals(target, {
+            chains: getFlag('--chain') || 'all',
+          });
+          console.log(result.formatted);
+          break;
+        }
+        case 'permit': {
+          if (!target) throw new Error('Typed data file required (- for stdin)');
+          const typedData = fs.readFileSync(target === '-' ? 0 : target, 'utf8');
+          const result = await scanner.analyzePermit(typedData, {
+            chain: getFlag('--chain') || undefined,
+            owner: getFlag('--owner') || undefined,
+          });
+          console.log(result.formatted);
+          break;
+        }
         case 'quick': {
           if (!target) throw new Error('Address required');
           const result = scanner.quickCheck(target);
@@ -488,6 +1045,85 @@ Depths: quick, standard, deep (default: standard)
           console.log(JSON.stringify(result, null, 2));
           break;
         }
+        case 'contract': {
+          if (!target) throw new Error('Address required');
+          const chain = getFlag('--chain') || 'base';
+          const result = await scanner.checkContract(target, chain);
+          console.log(result.formatted);
+          break;
+        }
+        case 'monitor': {
+          const watchlist = new Watchlist();
+          if (target === 'list') {
+            if (watchlist.size === 0) console.log('Watchlist is empty');
+            for (const entry of watchlist.list()) {
+              console.log(`${entry.address}  chains: ${entry.chains.join(',')}  alerts: ${entry.alerts}${entry.label ? `  (${entry.label})` : ''}`);
+            }
+          } else if (target === 'remove') {
+            const address = args[2];
+            console.log(watchlist.remove(address) ? `Removed ${address} from watchlist` : `${address} is not on the watchlist`);
+          } else if (target === 'run') {
+            if (watchlist.size === 0) throw new Error('Watchlist is empty — add an address with: monitor <address>');
+            // Alert levels are per watched address; stdout shows everything that passed them
+            alerts.add(new StdoutSink());
+            const monitor = scanner.createMonitor({
+              watchlist,
+              interval: parseFloat(getFlag('--interval') || '15') * 1000,
+              onError: ({ address, chain, error }) => console.error(`Poll failed${address ? ` for ${address} on ${chain}` : ''}: ${error.message}`),
+            });
+            console.error(`Monitoring ${watchlist.size} address(es). Press Ctrl+C to stop.`);
+            monitor.start();
+            process.on('SIGINT', () => {
+              monitor.stop();
+              scanner.rpc.close();
+              process.exit(0);
+            });
+          } else {
+            if (!target) throw new Error('Address required');
+            const chain = getFlag('--chain');
+            const entry = watchlist.add(target, {
+              chains: chain && chain !== 'all' ? chain.split(',') : undefined,
+              alerts: getFlag('--alerts') || undefined,
+            });
+            console.log(`Watching ${entry.address} on ${entry.chains.join(', ')} (alerts: ${entry.alerts})`);
+          }
+          break;
+        }
+        case 'db': {
+          if (target === 'diff') {
+            if (!args[2] || !args[3]) throw new Error('Usage: db diff <old.json> <new.json>');
+            console.log(scanner.diffScamDatabases(args[2], args[3]).formatted);
+            break;
+          }
+          if (target === 'export') {
+            const output = scanner.exportScamDatabase(getFlag('--format') || 'json');
+            if (getFlag('--out')) fs.writeFileSync(getFlag('--out'), output);
+            else process.stdout.write(output);
+            break;
+          }
+          if (target !== 'import') throw new Error('Usage: db import|diff|export');
+          const file = args[2];
+          if (!file) throw new Error('File to import required');
+          const chain = getFlag('--chain');
+          const { summary, skipped, target: into } = scanner.importScamList(file, {
+            into: getFlag('--into') || undefined,
+            format: getFlag('--format') || undefined,
+            category: getFlag('--category') || undefined,
+            severity: getFlag('--severity') || undefined,
+            chain: chain ? chain.split(',') : undefined,
+            onConflict: args.includes('--replace') ? 'replace' : 'keep',
+            dryRun: args.includes('--dry-run'),
+          });
+          console.log(`${args.includes('--dry-run') ? 'Would merge' : 'Merged'} ${file} into ${into}`);
+          console.log(`  Added: ${summary.added.length}  Updated: ${summary.updated.length}  Conflicts: ${summary.conflicts.length}  Unchanged: ${summary.unchanged}  Skipped: ${skipped.length}`);
+          for (const c of summary.conflicts) {
+            console.log(`  ⚠️ ${c.address}: ${c.existing.category}/${c.existing.severity} in database, ${c.imported.category}/${c.imported.severity} imported (${c.resolution})`);
+          }
+          for (const skip of skipped) {
+            console.log(`  ⏭️ ${skip.record}: ${skip.reason}`);
+          }
+          break;
+        }
         default:
           console.error(`Unknown command: ${command}`);
           process.exit(1);
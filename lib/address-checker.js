@@ -1,50 +1,82 @@
 'use strict';
 
-const path = require('path');
-const fs = require('fs');
-const { SEVERITY_WEIGHTS, THRESHOLDS } = require('./constants');
+const { THRESHOLDS } = require('./constants');
+const { failedCheck } = require('./errors');
+const { ChainRegistry } = require('./chains');
+const { ProxyDetector } = require('./proxy-detector');
+const { ScamDatabase } = require('./scam-db');
+const { TrustedRegistry } = require('./trusted');
 
 /**
  * Checks addresses against known scam databases and performs
  * on-chain reputation analysis.
  */
 class AddressChecker {
-  constructor(rpcClient) {
+  /**
+   * @param {RpcClient} rpcClient
+   * @param {Object} [options]
+   * @param {string[]} [options.scamDatabases] — Scam database overlay files, lowest first
+   *   (default: $USDC_SCANNER_SCAM_DBS or ~/.config/lobsec-usdc-scanner/scam-addresses.json)
+   * @param {Object} [options.decayPolicies] — Per-category overrides of SCAM_DECAY_POLICIES
+   * @param {string[]} [options.trustedLists] — Org trusted-entity lists
+   *   (default: $USDC_SCANNER_TRUSTED or ~/.config/lobsec-usdc-scanner/trusted-addresses.json)
+   */
+  constructor(rpcClient, options = {}) {
     this.rpc = rpcClient;
+    this.chains = rpcClient.chains || ChainRegistry.default();
+    this.proxyDetector = new ProxyDetector(rpcClient);
+    this.scamDbPaths = options.scamDatabases;
+    this.decayPolicies = options.decayPolicies;
     this.scamDb = this._loadScamDatabase();
+    this.trustedPaths = options.trustedLists;
+    this.trusted = TrustedRegistry.load({ chains: this.chains, paths: this.trustedPaths });
     this.cache = new Map();
     this.CACHE_TTL = 300000; // 5 minutes
   }
 
   _loadScamDatabase() {
-    const dbPath = path.join(__dirname, '..', 'data', 'scam-addresses.json');
-    const raw = fs.readFileSync(dbPath, 'utf8');
-    const data = JSON.parse(raw);
-    
-    // Normalize all addresses to lowercase for matching
-    const normalized = {};
-    for (const [addr, info] of Object.entries(data.addresses)) {
-      normalized[addr.toLowerCase()] = info;
-    }
-    return normalized;
+    return ScamDatabase.load({ chains: this.chains, paths: this.scamDbPaths, decayPolicies: this.decayPolicies });
   }
 
   /**
    * Reload scam database (for hot-reloading updated lists)
+   *
+   * @returns {Object} What changed: { from, to, added, removed, changed } (see ScamDatabase#diff)
    */
   reload() {
+    const previous = this.scamDb;
     this.scamDb = this._loadScamDatabase();
+    this.trusted = TrustedRegistry.load({ chains: this.chains, paths: this.trustedPaths });
     this.cache.clear();
+    return previous.diff(this.scamDb);
   }
 
   /**
    * Check if address is in the known scam database
+   *
+   * Entries list the chains they were reported on. Given the chain(s) the
+   * address is being used on, a hit on a listed chain counts at full
+   * weight; a hit on any other chain is the same address, not necessarily
+   * the same party (contract deployments and CREATE2 collisions differ per
+   * chain), and counts at OTHER_CHAIN_SCAM_MULTIPLIER.
+   *
+   * The score starts from the entry's aged score (ScamDatabase#age);
+   * expired entries do not match.
+   *
+   * @param {string} address
+   * @param {string|string[]} [chains] — Chain(s) in use; omitted matches on every chain
+   * @param {number} [now] — Current time (ms), for aging
+   * @returns {Object|null} Match with `chainMatch` (null when no chain was given) and `aging`
    */
-  checkScamDatabase(address) {
-    const normalized = address.toLowerCase();
-    const entry = this.scamDb[normalized];
-    
+  checkScamDatabase(address, chains, now = Date.now()) {
+    const entry = this.scamDb.lookup(address);
     if (!entry) return null;
+    const aging = this.scamDb.age(entry, now);
+    if (aging.expired) return null;
+
+    const inUse = chains === undefined ? null : [].concat(chains);
+    const chainMatch = inUse ? inUse.some(chain => entry.chain.includes(chain)) : null;
+    const listedScore = aging.effectiveScore;
 
     return {
       isKnownScam: true,
@@ -54,20 +86,40 @@ class AddressChecker {
       chains: entry.chain,
       details: entry.details,
       reportedAt: entry.reportedAt,
-      riskScore: SEVERITY_WEIGHTS[entry.severity] || 50,
+      riskScore: chainMatch === false ? Math.round(listedScore * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER) : listedScore,
+      baseRiskScore: aging.baseScore,
+      confidence: aging.confidence,
+      lastSeenActive: entry.lastSeenActive || null,
+      expiresAt: entry.expiresAt || null,
+      aging,
+      source: entry.source,
+      chainMatch,
+      note: chainMatch === false
+        ? `Same address, different chain: listed on ${entry.chain.join(', ')}, not ${inUse.join(', ')}`
+        : null,
     };
   }
 
   /**
-   * Check if address has interacted with any known scam addresses
+   * Trusted entity at an address on a chain, unless the scam database
+   * lists the address on that chain: a scam match there always wins
+   */
+  checkTrusted(address, chain) {
+    const scamMatch = this.checkScamDatabase(address, chain);
+    if (scamMatch && scamMatch.chainMatch !== false) return null;
+    return this.trusted.lookup(address, chain);
+  }
+
+  /**
+   * Check if address has interacted with any known scam addresses on a chain
    */
   async checkScamInteractions(address, chain) {
-    const transfers = await this.rpc.getUSDCTransfers(chain, address).catch(() => []);
+    const transfers = await this.rpc.getUSDCTransfers(chain, address);
     const interactions = [];
 
     for (const tx of transfers) {
       const counterparty = tx.from.toLowerCase() === address.toLowerCase() ? tx.to : tx.from;
-      const scamInfo = this.checkScamDatabase(counterparty);
+      const scamInfo = this.checkScamDatabase(counterparty, chain);
       
       if (scamInfo) {
         interactions.push({
@@ -103,20 +155,15 @@ class AddressChecker {
     };
 
     try {
-      // Check if contract
-      profile.isContract = await this.rpc.isContract(chain, address);
-      
-      // Get transaction count
-      profile.txCount = await this.rpc.getTransactionCount(chain, address);
-      
-      // Get USDC balance
-      const rawBalance = await this.rpc.getUSDCBalance(chain, address);
-      profile.usdcBalance = rawBalance;
-      profile.usdcBalanceFormatted = Number(BigInt(rawBalance)) / 1e6;
-      
-      // Get ETH balance
-      profile.ethBalance = await this.rpc.getBalance(chain, address);
-      profile.ethBalanceFormatted = Number(BigInt(profile.ethBalance)) / 1e18;
+      // Code, nonce and balances in one batched round-trip
+      const snapshot = await this.rpc.getAddressSnapshot(chain, address);
+
+      profile.isContract = snapshot.isContract;
+      profile.txCount = snapshot.txCount;
+      profile.usdcBalance = snapshot.usdcBalance;
+      profile.usdcBalanceFormatted = Number(BigInt(snapshot.usdcBalance)) / 1e6;
+      profile.ethBalance = snapshot.balance;
+      profile.ethBalanceFormatted = Number(BigInt(snapshot.balance)) / 1e18;
 
       // Flag analysis
       if (profile.txCount === 0) {
@@ -155,13 +202,19 @@ class AddressChecker {
           detail: 'Very low ETH suggests the wallet may be abandoned or a one-time-use address.',
         });
       }
+
+      // Contract code, dust balances and the like are expected of infrastructure
+      const trusted = this.checkTrusted(address, chain);
+      if (trusted) {
+        profile.trusted = trusted;
+        profile.riskFactors = dampen(profile.riskFactors, trusted);
+      }
     } catch (err) {
-      profile.flags.push('RPC_ERROR');
-      profile.riskFactors.push({
-        factor: 'Failed to query on-chain data',
-        impact: 10,
-        detail: `RPC error: ${err.message}`,
-      });
+      // Provider trouble says nothing about the address — report it, don't score it
+      profile.error = err.message;
+      profile.errorType = err.name;
+      profile.retryable = Boolean(err.retryable);
+      return profile;
     }
 
     this._setCache(cacheKey, profile);
@@ -171,7 +224,7 @@ class AddressChecker {
   /**
    * Calculate address reputation score (0-100, higher = riskier)
    */
-  async getReputation(address, chains = ['ethereum', 'base', 'arbitrum']) {
+  async getReputation(address, chains = this.chains.names()) {
     const reputation = {
       address: address.toLowerCase(),
       overallScore: 0,
@@ -181,58 +234,77 @@ class AddressChecker {
       interactions: [],
       flags: new Set(),
       riskFactors: [],
+      incompleteChecks: [],
     };
 
     // 1. Check scam database first (instant, no RPC needed)
-    const scamMatch = this.checkScamDatabase(address);
+    const scamMatch = this.checkScamDatabase(address, chains);
     if (scamMatch) {
       reputation.scamMatch = scamMatch;
-      reputation.overallScore = scamMatch.riskScore;
-      reputation.flags.add(`KNOWN_${scamMatch.category.toUpperCase()}`);
+      reputation.flags.add(scamFlag('KNOWN', scamMatch));
       reputation.riskFactors.push({
         factor: `Known ${scamMatch.category}: ${scamMatch.label}`,
         impact: scamMatch.riskScore,
-        detail: scamMatch.details,
+        detail: scamMatch.note ? `${scamMatch.note}. ${scamMatch.details}` : scamMatch.details,
       });
     }
 
     // 2. Check each chain
     for (const chain of chains) {
-      try {
-        const profile = await this.analyzeAddressProfile(address, chain);
-        reputation.chains[chain] = profile;
-        
+      const profile = await this.analyzeAddressProfile(address, chain);
+      reputation.chains[chain] = profile;
+
+      if (profile.error) {
+        reputation.incompleteChecks.push(failedCheck('Address Profile', {
+          name: profile.errorType,
+          retryable: profile.retryable,
+          message: profile.error,
+        }, chain));
+      } else {
         for (const flag of profile.flags) {
           reputation.flags.add(flag);
         }
         reputation.riskFactors.push(...profile.riskFactors);
-
-        // Check for scam interactions
-        const interactions = await this.checkScamInteractions(address, chain);
-        if (interactions.length > 0) {
-          reputation.interactions.push(...interactions);
-          reputation.flags.add('SCAM_INTERACTIONS');
-          
-          const interactionScore = Math.min(50, interactions.length * 15);
-          reputation.riskFactors.push({
-            factor: `Interacted with ${interactions.length} known scam address(es) on ${chain}`,
-            impact: interactionScore,
-            detail: interactions.map(i => 
-              `${i.direction} ${i.amount} USDC ${i.direction === 'sent' ? 'to' : 'from'} ${i.scamInfo.label}`
-            ).join('; '),
-          });
+        if (profile.trusted) {
+          reputation.trusted = profile.trusted;
+          reputation.flags.add('TRUSTED_ENTITY');
         }
+      }
+
+      // Check for scam interactions
+      let interactions;
+      try {
+        interactions = await this.checkScamInteractions(address, chain);
       } catch (err) {
-        reputation.chains[chain] = { error: err.message };
+        reputation.incompleteChecks.push(failedCheck('Scam Interactions', err, chain));
+        continue;
       }
-    }
 
-    // 3. Calculate final score
-    if (!scamMatch) {
-      const totalImpact = reputation.riskFactors.reduce((sum, f) => sum + f.impact, 0);
-      reputation.overallScore = Math.min(100, totalImpact);
+      if (interactions.length > 0) {
+        reputation.interactions.push(...interactions);
+        reputation.flags.add('SCAM_INTERACTIONS');
+        
+        const interactionScore = Math.min(50, Math.round(interactions.reduce((sum, i) =>
+          sum + (i.scamInfo.chainMatch ? 15 : 15 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER), 0)));
+        const factors = [{
+          factor: `Interacted with ${interactions.length} known scam address(es) on ${chain}`,
+          impact: interactionScore,
+          detail: interactions.map(i => 
+            `${i.direction} ${i.amount} USDC ${i.direction === 'sent' ? 'to' : 'from'} ${i.scamInfo.label}${i.scamInfo.chainMatch ? '' : ' (listed on another chain)'}`
+          ).join('; '),
+        }];
+        // Exchanges and routers see scam funds pass through every day
+        const trusted = profile.trusted;
+        reputation.riskFactors.push(...(trusted ? dampen(factors, trusted) : factors));
+      }
     }
 
+    // 3. Calculate final score: a scam match weighed down by aging or by
+    //    being listed on another chain must not mask what the heuristics found
+    const totalImpact = reputation.riskFactors.reduce((sum, f) => sum + f.impact, 0);
+    const heuristicScore = Math.min(100, totalImpact - (scamMatch ? scamMatch.riskScore : 0));
+    reputation.overallScore = Math.max(scamMatch ? scamMatch.riskScore : 0, heuristicScore);
+
     // 4. Determine risk level
     if (reputation.overallScore >= 90) reputation.level = 'CRITICAL';
     else if (reputation.overallScore >= 70) reputation.level = 'HIGH';
@@ -261,4 +333,23 @@ class AddressChecker {
   }
 }
 
-module.exports = { AddressChecker };
+/**
+ * Flag for a scam database match, e.g. KNOWN_EXPLOIT, or
+ * KNOWN_EXPLOIT_OTHER_CHAIN when it was listed on another chain
+ */
+function scamFlag(prefix, match) {
+  return `${prefix}_${match.category.toUpperCase()}${match.chainMatch === false ? '_OTHER_CHAIN' : ''}`;
+}
+
+/**
+ * Scale heuristic risk factors of a trusted entity down, noting why
+ */
+function dampen(riskFactors, trusted) {
+  return riskFactors.map(f => ({
+    ...f,
+    impact: Math.round(f.impact * THRESHOLDS.TRUSTED_RISK_MULTIPLIER),
+    detail: `${f.detail} (reduced: trusted ${trusted.category} ${trusted.label})`,
+  }));
+}
+
+module.exports = { AddressChecker, scamFlag };
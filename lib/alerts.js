@@ -0,0 +1,324 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { SEVERITY_ORDER, RISK_LEVELS } = require('./constants');
+
+const DISCORD_MAX_CONTENT = 2000;
+
+/**
+ * Whether `severity` is at or above `minimum` (both from SEVERITY_ORDER,
+ * case-insensitive). Unknown severities never pass a filter.
+ */
+function meetsSeverity(severity, minimum = 'info') {
+  const rank = SEVERITY_ORDER.indexOf(String(severity).toLowerCase());
+  return rank !== -1 && rank >= SEVERITY_ORDER.indexOf(String(minimum).toLowerCase());
+}
+
+function validateSeverity(severity) {
+  const normalized = String(severity).toLowerCase();
+  if (!SEVERITY_ORDER.includes(normalized)) {
+    throw new Error(`Invalid severity: ${severity}. Expected one of: ${SEVERITY_ORDER.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Dedupe key of an alert: its own `key`, else type, address, chain and
+ * the transaction (or detail text when there is none)
+ */
+function alertKey(alert) {
+  if (alert.key) return alert.key;
+  return [alert.type, alert.address, alert.chain || '', alert.txHash || alert.detail].join('|');
+}
+
+/**
+ * Alert for a scan or transfer validation that came out HIGH or
+ * CRITICAL, or null below that
+ */
+function scanAlert(result, type = 'ADDRESS_RISK') {
+  if (result.level !== 'HIGH' && result.level !== 'CRITICAL') return null;
+
+  const address = result.address || result.recipient;
+  const reasons = result.scamMatch ? [result.scamMatch.label]
+    : result.reputation?.scamMatch ? [result.reputation.scamMatch.label]
+    : [...(result.flags || []), ...(result.patterns || []).map(p => p.type)];
+  const chains = result.chain ? [result.chain] : Object.keys(result.chains || {});
+
+  return {
+    type,
+    severity: result.level.toLowerCase(),
+    address,
+    chain: chains.join(','),
+    detail: `Risk score ${result.overallScore}/100 (${result.level})${reasons.length ? `: ${reasons.slice(0, 5).join(', ')}` : ''}`,
+    evidence: { riskScore: result.overallScore, level: result.level, flags: result.flags || [] },
+    // One alert per address and level, whatever the scan found in detail
+    key: `${type}|${address}|${result.level}`,
+    detectedAt: result.scannedAt || new Date().toISOString(),
+  };
+}
+
+/** Delivery of an alert to a webhook failed. */
+class WebhookError extends Error {
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'WebhookError';
+    this.status = details.status ?? null;
+    this.retryable = details.retryable ?? false;
+  }
+}
+
+/**
+ * Sends alerts to every sink whose minimum severity they meet.
+ *
+ * An alert whose dedupe key was already dispatched within the dedupe
+ * window is dropped. A failing sink does not stop the others; if every
+ * sink failed the key is forgotten so the alert can be sent again.
+ */
+class AlertDispatcher {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.sinks] — Sinks with `send(alert)` and optional `minSeverity`
+   * @param {number} [options.dedupeWindow=3600000] — How long a key suppresses repeats (ms)
+   * @param {Function} [options.onError] — Called with { sink, alert, error } per failed delivery
+   */
+  constructor(options = {}) {
+    this.sinks = [];
+    this.dedupeWindow = options.dedupeWindow ?? 3600000;
+    this.onError = options.onError || (() => {});
+    this.seen = new Map();
+    for (const sink of options.sinks || []) this.add(sink);
+  }
+
+  add(sink) {
+    this.sinks.push(sink);
+    return this;
+  }
+
+  get size() {
+    return this.sinks.length;
+  }
+
+  /**
+   * @param {Object} alert — { type, severity, address, chain, detail, ... }
+   * @returns {Promise<{key: string, duplicate: boolean, delivered: string[], failed: Array}>}
+   */
+  async dispatch(alert, now = Date.now()) {
+    const key = alertKey(alert);
+    const result = { key, duplicate: false, delivered: [], failed: [] };
+
+    this._prune(now);
+    if (this.seen.has(key)) {
+      result.duplicate = true;
+      return result;
+    }
+
+    const sinks = this.sinks.filter(sink => meetsSeverity(alert.severity, sink.minSeverity));
+    if (sinks.length === 0) return result;
+    this.seen.set(key, now);
+
+    const outcomes = await Promise.allSettled(sinks.map(sink => sink.send(alert, key)));
+    outcomes.forEach((outcome, i) => {
+      const name = sinks[i].name;
+      if (outcome.status === 'fulfilled') {
+        result.delivered.push(name);
+      } else {
+        result.failed.push({ sink: name, error: outcome.reason });
+        this.onError({ sink: name, alert, error: outcome.reason });
+      }
+    });
+
+    if (result.delivered.length === 0) this.seen.delete(key);
+    return result;
+  }
+
+  _prune(now) {
+    for (const [key, at] of this.seen) {
+      if (now - at < this.dedupeWindow) break; // Insertion order is dispatch order
+      this.seen.delete(key);
+    }
+  }
+}
+
+/**
+ * Appends each alert as one JSON line to a file
+ */
+class JsonlSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.path — Output file (created with its directory)
+   * @param {string} [options.minSeverity='info']
+   */
+  constructor(options) {
+    this.name = `jsonl:${options.path}`;
+    this.path = options.path;
+    this.minSeverity = validateSeverity(options.minSeverity || 'info');
+  }
+
+  async send(alert) {
+    await fs.promises.mkdir(path.dirname(path.resolve(this.path)), { recursive: true });
+    await fs.promises.appendFile(this.path, JSON.stringify(alert) + '\n');
+  }
+}
+
+/**
+ * Writes each alert as one JSON line to a stream (stdout by default)
+ */
+class StdoutSink {
+  /**
+   * @param {Object} [options]
+   * @param {stream.Writable} [options.stream=process.stdout]
+   * @param {string} [options.minSeverity='info']
+   */
+  constructor(options = {}) {
+    this.name = 'stdout';
+    this.stream = options.stream || process.stdout;
+    this.minSeverity = validateSeverity(options.minSeverity || 'info');
+  }
+
+  async send(alert) {
+    this.stream.write(JSON.stringify(alert) + '\n');
+  }
+}
+
+/**
+ * POSTs alerts to an HTTP endpoint.
+ *
+ * `format` picks the body: 'json' (the alert itself), 'slack' ({ text })
+ * or 'discord' ({ content }). With a `secret`, the body is signed with
+ * HMAC-SHA256 in `X-LobSec-Signature: sha256=<hex>`. Network errors,
+ * timeouts, 429 and 5xx are retried with jittered exponential backoff.
+ */
+class WebhookSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {string} [options.format='json'] — json|slack|discord
+   * @param {string} [options.secret] — HMAC-SHA256 signing key
+   * @param {Object} [options.headers] — Extra request headers
+   * @param {string} [options.minSeverity='high']
+   * @param {number} [options.timeout=10000] — Per-attempt timeout (ms)
+   * @param {Object} [options.retry] — { retries: 3, baseDelay: 500, maxDelay: 8000 }
+   */
+  constructor(options) {
+    const url = new URL(options.url);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Unsupported webhook URL: ${url.protocol}//${url.host}`);
+    }
+    if (!WebhookSink.FORMATS.includes(options.format || 'json')) {
+      throw new Error(`Invalid webhook format: ${options.format}. Expected one of: ${WebhookSink.FORMATS.join(', ')}`);
+    }
+
+    this.url = url;
+    this.name = `webhook:${url.host}`;
+    this.format = options.format || 'json';
+    this.secret = options.secret || null;
+    this.headers = options.headers || {};
+    this.minSeverity = validateSeverity(options.minSeverity || 'high');
+    this.timeout = options.timeout ?? 10000;
+    this.retry = { retries: 3, baseDelay: 500, maxDelay: 8000, ...options.retry };
+  }
+
+  static get FORMATS() {
+    return ['json', 'slack', 'discord'];
+  }
+
+  /**
+   * Request body for an alert in the sink's format
+   */
+  body(alert) {
+    if (this.format === 'json') return JSON.stringify(alert);
+    const text = formatAlertText(alert, this.format);
+    return JSON.stringify(this.format === 'slack' ? { text } : { content: text.slice(0, DISCORD_MAX_CONTENT) });
+  }
+
+  sign(body) {
+    return 'sha256=' + crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+  }
+
+  async send(alert, key = alertKey(alert)) {
+    const body = this.body(alert);
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'lobsec-usdc-scanner',
+      'X-LobSec-Event': alert.type,
+      'X-LobSec-Delivery': crypto.createHash('sha256').update(key).digest('hex').slice(0, 32),
+      ...(this.secret ? { 'X-LobSec-Signature': this.sign(body) } : {}),
+    };
+
+    for (let n = 0; ; n++) {
+      try {
+        return await this._post(body, headers);
+      } catch (err) {
+        if (!err.retryable || n >= this.retry.retries) throw err;
+        const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** n);
+        await new Promise(r => setTimeout(r, ceiling / 2 + Math.random() * ceiling / 2));
+      }
+    }
+  }
+
+  _post(body, headers) {
+    const host = this.url.host;
+    return new Promise((resolve, reject) => {
+      const transport = this.url.protocol === 'https:' ? https : http;
+      const req = transport.request(this.url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: this.timeout,
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          const status = res.statusCode;
+          if (status >= 200 && status < 300) {
+            resolve({ status });
+          } else {
+            reject(new WebhookError(`Webhook ${host} answered HTTP ${status}`, {
+              status,
+              retryable: status === 429 || status >= 500,
+            }));
+          }
+        });
+      });
+
+      req.on('error', err => {
+        reject(new WebhookError(`Webhook ${host} failed: ${err.message}`, { retryable: true, cause: err }));
+      });
+      req.on('timeout', () => {
+        req.destroy(new Error('timeout'));
+      });
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * Chat-message rendering of an alert. Slack and Discord differ only
+ * in bold markup.
+ */
+function formatAlertText(alert, format = 'slack') {
+  const bold = text => format === 'discord' ? `**${text}**` : `*${text}*`;
+  const severity = String(alert.severity).toUpperCase();
+  const emoji = RISK_LEVELS[severity]?.emoji || '🔵';
+
+  const lines = [`${emoji} ${bold(`${severity} — ${alert.type}`)}${alert.chain ? ` on ${alert.chain}` : ''}`];
+  lines.push(alert.detail);
+  lines.push(`Address: ${alert.address}${alert.label ? ` (${alert.label})` : ''}`);
+  if (alert.txHash) lines.push(`Tx: ${alert.txHash}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  AlertDispatcher,
+  JsonlSink,
+  StdoutSink,
+  WebhookSink,
+  WebhookError,
+  alertKey,
+  scanAlert,
+  meetsSeverity,
+  formatAlertText,
+};
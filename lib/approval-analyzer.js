@@ -0,0 +1,226 @@
+'use strict';
+
+const { THRESHOLDS, UNLIMITED_APPROVAL_THRESHOLD } = require('./constants');
+const { failedCheck } = require('./errors');
+const { ChainRegistry } = require('./chains');
+
+const DAY_MS = 86400000;
+
+/**
+ * Reconstructs the USDC allowances an owner has granted and ranks the
+ * spenders by exposure.
+ *
+ * Every spender that ever appeared in an Approval event is looked up
+ * for its current allowance. Live allowances are scored: scam database
+ * match, unlimited amount, EOA spender, unverified or newly deployed
+ * contract and approvals left untouched for months. Spenders whose
+ * allowance is back to zero are listed as revoked.
+ */
+class ApprovalAnalyzer {
+  /**
+   * @param {RpcClient} rpcClient
+   * @param {AddressChecker} addressChecker
+   * @param {ExplorerClient} [explorer] — For verification and contract age; skipped without one
+   */
+  constructor(rpcClient, addressChecker, explorer = null) {
+    this.rpc = rpcClient;
+    this.addressChecker = addressChecker;
+    this.explorer = explorer;
+    this.chains = rpcClient.chains || ChainRegistry.default();
+  }
+
+  /**
+   * Allowance inventory of `owner` across chains
+   *
+   * @param {string} owner
+   * @param {string[]} [chains]
+   * @param {Object} [options]
+   * @param {number} [options.limit=1000] — Approval events to read per chain
+   * @returns {Promise<Object>} { owner, chains, spenders (riskiest first), revoked, summary, incompleteChecks }
+   */
+  async getApprovalInventory(owner, chains = this.chains.names(), options = {}) {
+    const inventory = {
+      owner: owner.toLowerCase(),
+      chains: {},
+      spenders: [],
+      revoked: [],
+      summary: { active: 0, unlimited: 0, risky: 0, totalExposureUSDC: 0 },
+      incompleteChecks: [],
+      analyzedAt: new Date().toISOString(),
+    };
+
+    const results = await Promise.allSettled(chains.map(chain => this.analyzeChain(owner, chain, options)));
+    results.forEach((r, i) => {
+      if (r.status === 'rejected') {
+        inventory.incompleteChecks.push(failedCheck('Approval History', r.reason, chains[i]));
+        return;
+      }
+      const { spenders, revoked, incompleteChecks, ...chainInfo } = r.value;
+      inventory.chains[chains[i]] = { ...chainInfo, active: spenders.length, revoked: revoked.length };
+      inventory.spenders.push(...spenders);
+      inventory.revoked.push(...revoked);
+      inventory.incompleteChecks.push(...incompleteChecks);
+    });
+
+    inventory.spenders.sort((a, b) => (b.riskScore - a.riskScore) || (b.exposureUSDC - a.exposureUSDC));
+    inventory.summary = {
+      active: inventory.spenders.length,
+      unlimited: inventory.spenders.filter(s => s.unlimited).length,
+      risky: inventory.spenders.filter(s => s.riskScore >= 40).length,
+      totalExposureUSDC: inventory.spenders.reduce((sum, s) => sum + s.exposureUSDC, 0),
+    };
+    return inventory;
+  }
+
+  /**
+   * Allowances of `owner` on one chain
+   */
+  async analyzeChain(owner, chain, options = {}) {
+    const history = await this.rpc.getUSDCApprovalHistory(chain, owner, { limit: options.limit ?? 1000 });
+    const result = {
+      chain,
+      usdcBalance: '0',
+      approvalEvents: history.approvals.length,
+      truncated: history.truncated,
+      spenders: [],
+      revoked: [],
+      incompleteChecks: [],
+    };
+
+    // Latest approval per spender (history is oldest first)
+    const latest = new Map();
+    for (const approval of history.approvals) {
+      const key = approval.spender.toLowerCase();
+      const seen = latest.get(key);
+      latest.set(key, { approval, count: (seen?.count || 0) + 1 });
+    }
+    if (latest.size === 0) return result;
+
+    // Current allowance and code of every spender, plus the owner's balance
+    const spenders = [...latest.keys()];
+    const batch = this.rpc.batch(chain);
+    batch.add('eth_call', this.rpc._usdcBalanceParams(chain, owner));
+    for (const spender of spenders) {
+      batch.add('eth_call', this.rpc._usdcAllowanceParams(chain, owner, spender));
+      batch.add('eth_getCode', [spender, 'latest']);
+    }
+    const [balanceHex, ...answers] = await batch.send();
+    const balance = balanceHex ? BigInt(balanceHex) : 0n;
+    result.usdcBalance = balance.toString();
+
+    let approvalTimes = new Map();
+    try {
+      approvalTimes = await this.rpc.getBlockTimestamps(chain, [...latest.values()].map(l => l.approval.blockNumber));
+    } catch (err) {
+      result.incompleteChecks.push(failedCheck('Approval Age', err, chain));
+    }
+
+    let explorerFailure = null;
+    for (let i = 0; i < spenders.length; i++) {
+      const { approval, count } = latest.get(spenders[i]);
+      const allowance = answers[2 * i] ? BigInt(answers[2 * i]) : 0n;
+      const code = answers[2 * i + 1];
+
+      const entry = {
+        chain,
+        spender: spenders[i],
+        allowance: allowance.toString(),
+        allowanceUSDC: Number(allowance) / 1e6,
+        unlimited: allowance >= UNLIMITED_APPROVAL_THRESHOLD,
+        exposureUSDC: Number(allowance < balance ? allowance : balance) / 1e6,
+        isContract: Boolean(code && code !== '0x' && code !== '0x0'),
+        lastApproval: {
+          txHash: approval.txHash,
+          blockNumber: approval.blockNumber,
+          timestamp: approvalTimes.get(approval.blockNumber) ?? null,
+        },
+        approvalCount: count,
+        scamMatch: this.addressChecker.checkScamDatabase(spenders[i], chain),
+        contract: null,
+        flags: [],
+        riskFactors: [],
+        riskScore: 0,
+        level: 'CLEAN',
+      };
+
+      if (allowance === 0n) {
+        result.revoked.push(entry);
+        continue;
+      }
+
+      if (entry.isContract && !entry.scamMatch && this.explorer && !explorerFailure) {
+        try {
+          entry.contract = await this._contractInfo(chain, entry.spender);
+        } catch (err) {
+          // One failure per chain is enough; the rest would fail the same way
+          explorerFailure = err;
+          result.incompleteChecks.push(failedCheck('Spender Verification', err, chain));
+        }
+      }
+
+      this._score(entry);
+      result.spenders.push(entry);
+    }
+
+    return result;
+  }
+
+  async _contractInfo(chain, address) {
+    const info = await this.explorer.getContractInfo(chain, address);
+    let createdAt = null;
+    if (info.creationTx) {
+      const receipt = await this.rpc.getTransactionReceipt(chain, info.creationTx);
+      if (receipt?.blockNumber) {
+        const block = parseInt(receipt.blockNumber, 16);
+        createdAt = (await this.rpc.getBlockTimestamps(chain, [block])).get(block) ?? null;
+      }
+    }
+    return { verified: info.verified, name: info.name, createdAt };
+  }
+
+  _score(entry, now = Date.now()) {
+    const add = (flag, impact, factor, detail) => {
+      entry.flags.push(flag);
+      entry.riskFactors.push({ factor, impact, detail });
+    };
+
+    if (entry.scamMatch?.chainMatch === false) {
+      add('SCAM_SPENDER_OTHER_CHAIN', entry.scamMatch.riskScore, 'Spender is listed as a scam on another chain',
+        `${entry.scamMatch.note}. ${entry.scamMatch.label} (${entry.scamMatch.category}) can move this wallet's USDC`);
+    } else if (entry.scamMatch) {
+      add('SCAM_SPENDER', entry.scamMatch.riskScore, 'Spender is a known scam address',
+        `${entry.scamMatch.label} (${entry.scamMatch.category}) can move this wallet's USDC`);
+    }
+    if (entry.unlimited) {
+      add('UNLIMITED_ALLOWANCE', 30, 'Unlimited allowance',
+        'Spender can transfer the entire USDC balance, now and in the future');
+    }
+    if (!entry.isContract) {
+      add('EOA_SPENDER', 35, 'Spender is an externally owned account',
+        'Legitimate protocols are contracts; approvals to plain wallets are typical of phishing');
+    }
+    if (entry.contract && !entry.contract.verified) {
+      add('UNVERIFIED_CONTRACT', 25, 'Spender contract is not verified',
+        'Source code is not published on the block explorer');
+    }
+    const contractAge = entry.contract?.createdAt ? (now - entry.contract.createdAt) / DAY_MS : null;
+    if (contractAge !== null && contractAge < THRESHOLDS.NEW_ADDRESS_THRESHOLD_DAYS) {
+      add('NEW_CONTRACT', 20, 'Recently deployed spender contract',
+        `Deployed ${Math.max(0, Math.floor(contractAge))} day(s) ago`);
+    }
+    const approvalAge = entry.lastApproval.timestamp ? (now - entry.lastApproval.timestamp) / DAY_MS : null;
+    if (approvalAge !== null && approvalAge >= THRESHOLDS.STALE_APPROVAL_DAYS) {
+      add('STALE_APPROVAL', 10, 'Stale approval',
+        `Granted ${Math.floor(approvalAge)} days ago — revoke it if the spender is no longer used`);
+    }
+
+    entry.riskScore = Math.min(100, entry.riskFactors.reduce((sum, rf) => sum + rf.impact, 0));
+    if (entry.riskScore >= 90) entry.level = 'CRITICAL';
+    else if (entry.riskScore >= 70) entry.level = 'HIGH';
+    else if (entry.riskScore >= 40) entry.level = 'MEDIUM';
+    else if (entry.riskScore >= 10) entry.level = 'LOW';
+    else entry.level = 'CLEAN';
+  }
+}
+
+module.exports = { ApprovalAnalyzer };
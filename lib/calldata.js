@@ -0,0 +1,183 @@
+'use strict';
+
+const { FUNCTION_SELECTORS, UNLIMITED_APPROVAL_THRESHOLD } = require('./constants');
+
+const SELECTOR_NAMES = Object.fromEntries(Object.entries(FUNCTION_SELECTORS).map(([name, sig]) => [sig, name]));
+
+// Nested multicalls deeper than this are not unpacked
+const MAX_DEPTH = 4;
+
+// CCTP message header: version, sourceDomain, destinationDomain (uint32),
+// nonce (uint64), sender, recipient, destinationCaller (bytes32)
+const CCTP_MESSAGE_BODY_OFFSET = 116;
+
+/**
+ * Reads ABI-encoded words from calldata arguments (selector stripped).
+ * Out-of-range reads throw, so truncated calldata fails loudly.
+ */
+class AbiReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+  }
+
+  static fromHex(hex) {
+    return new AbiReader(Buffer.from(hex.replace(/^0x/, ''), 'hex'));
+  }
+
+  _slice(offset, length) {
+    if (offset < 0 || offset + length > this.buffer.length) {
+      throw new RangeError(`calldata too short: need ${offset + length} bytes, have ${this.buffer.length}`);
+    }
+    return this.buffer.subarray(offset, offset + length);
+  }
+
+  uint(offset) {
+    return BigInt('0x' + this._slice(offset, 32).toString('hex'));
+  }
+
+  number(offset) {
+    const value = this.uint(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new RangeError(`offset out of range: ${value}`);
+    return Number(value);
+  }
+
+  address(offset) {
+    return '0x' + this._slice(offset + 12, 20).toString('hex');
+  }
+
+  /** `bytes` whose head (offset pointer) is at `head`, relative to `base` */
+  bytes(head, base = 0) {
+    return this.bytesAt(base + this.number(head));
+  }
+
+  /** `bytes` whose length word is at `start` */
+  bytesAt(start) {
+    return this._slice(start + 32, this.number(start));
+  }
+
+  /** Array of dynamic elements whose head is at `head`; returns element start offsets */
+  dynamicArray(head, base = 0) {
+    const start = base + this.number(head);
+    const count = this.number(start);
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(start + 32 + this.number(start + 32 + 32 * i));
+    }
+    return items;
+  }
+}
+
+/**
+ * Decode an unsigned transaction into the token movements it triggers.
+ *
+ * Known ERC-20, permit and CCTP calls become actions naming the address
+ * that ends up with the funds or the allowance; multicall and Multicall3
+ * wrappers are unpacked. A plain value transfer names `to`, and anything
+ * else is reported as an opaque call to `to`.
+ *
+ * @param {Object} tx — { to, data, value }
+ * @returns {{selector: string|null, method: string|null, actions: Object[]}}
+ *   Actions: { type, role: recipient|spender|mintRecipient|contract, address,
+ *   token, amount, unlimited, path, ... }; `revokes` marks an action that
+ *   only reduces what `address` may take
+ */
+function decodeTransaction(tx) {
+  const data = (tx.data || '0x').toLowerCase();
+  const to = tx.to.toLowerCase();
+
+  if (data === '0x' || data === '') {
+    return {
+      selector: null,
+      method: null,
+      actions: [{ type: 'nativeTransfer', role: 'recipient', address: to, token: null, amount: BigInt(tx.value || 0).toString(), path: [] }],
+    };
+  }
+
+  const selector = data.slice(0, 10);
+  return { selector, method: SELECTOR_NAMES[selector] || null, actions: decodeCall(to, data, [], 0) };
+}
+
+function decodeCall(to, data, path, depth) {
+  const selector = data.slice(0, 10);
+  const method = SELECTOR_NAMES[selector];
+  const opaque = extra => [{ type: 'call', role: 'contract', address: to, token: null, amount: null, path, selector, ...extra }];
+
+  if (!method) return opaque();
+
+  const args = AbiReader.fromHex(data.slice(10));
+  const action = (type, role, address, amount, extra = {}) => ({
+    type,
+    role,
+    address,
+    token: to,
+    amount: amount.toString(),
+    unlimited: role === 'spender' && amount >= UNLIMITED_APPROVAL_THRESHOLD,
+    path,
+    ...extra,
+  });
+
+  try {
+    switch (method) {
+      case 'transfer':
+        return [action(method, 'recipient', args.address(0), args.uint(32))];
+      case 'transferFrom':
+        return [action(method, 'recipient', args.address(32), args.uint(64), { from: args.address(0) })];
+      case 'approve':
+      case 'increaseAllowance': {
+        // A zero approve is the standard revocation; a zero increase changes nothing
+        const amount = args.uint(32);
+        return [action(method, 'spender', args.address(0), amount, amount === 0n ? { revokes: true } : {})];
+      }
+      case 'decreaseAllowance':
+        // Lowers an existing allowance: grants the spender nothing
+        return [{ ...action(method, 'spender', args.address(0), args.uint(32)), unlimited: false, revokes: true }];
+      case 'permit':
+        return [action(method, 'spender', args.address(32), args.uint(64), { owner: args.address(0), deadline: args.uint(96).toString() })];
+      case 'depositForBurn':
+      case 'depositForBurnWithCaller':
+        // (amount, destinationDomain, mintRecipient bytes32, burnToken[, destinationCaller])
+        return [action(method, 'mintRecipient', args.address(64), args.uint(0), {
+          token: args.address(96),
+          destinationDomain: args.number(32),
+        })];
+      case 'receiveMessage': {
+        const message = new AbiReader(args.bytes(0));
+        const body = CCTP_MESSAGE_BODY_OFFSET;
+        // BurnMessage body: version (uint32), burnToken, mintRecipient, amount, messageSender
+        return [action(method, 'mintRecipient', message.address(body + 36), message.uint(body + 68), {
+          token: null,
+          sourceDomain: message.buffer.readUInt32BE(4),
+        })];
+      }
+      case 'multicall':
+      case 'multicallWithDeadline': {
+        const head = method === 'multicall' ? 0 : 32;
+        return unpack(args.dynamicArray(head).map(start => [to, '0x' + args.bytesAt(start).toString('hex')]), method, path, depth);
+      }
+      case 'aggregate':
+      case 'tryAggregate':
+      case 'aggregate3': {
+        const head = method === 'tryAggregate' ? 32 : 0;
+        const dataHead = method === 'aggregate3' ? 64 : 32; // (target, allowFailure, callData)
+        return unpack(args.dynamicArray(head).map(start => [
+          args.address(start),
+          '0x' + args.bytes(start + dataHead, start).toString('hex'),
+        ]), method, path, depth);
+      }
+      default:
+        return opaque({ method });
+    }
+  } catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+    return opaque({ method, malformed: err.message });
+  }
+}
+
+function unpack(calls, method, path, depth) {
+  if (depth >= MAX_DEPTH) {
+    return [{ type: 'call', role: 'contract', address: calls[0]?.[0] || null, token: null, amount: null, path, method, truncated: true }];
+  }
+  return calls.flatMap(([target, data], i) => decodeCall(target.toLowerCase(), data, [...path, `${method}[${i}]`], depth + 1));
+}
+
+module.exports = { decodeTransaction, AbiReader, SELECTOR_NAMES };
@@ -1,7 +1,8 @@
 'use strict';
 
-const contractsData = require('../data/contracts.json');
 const { THRESHOLDS } = require('./constants');
+const { ChainRegistry } = require('./chains');
+const { failedCheck } = require('./errors');
 
 /**
  * Analyzes Circle CCTP (Cross-Chain Transfer Protocol) activity
@@ -11,19 +12,20 @@ const { THRESHOLDS } = require('./constants');
 class CCTPAnalyzer {
   constructor(rpcClient) {
     this.rpc = rpcClient;
+    this.chains = rpcClient.chains || ChainRegistry.default();
     this.domainToChain = {};
     
     // Build reverse mapping from domain ID to chain name
-    const domains = contractsData.cctp?.domainIds || {};
-    for (const [chain, domainId] of Object.entries(domains)) {
-      this.domainToChain[domainId] = chain;
+    for (const chain of this.chains.names()) {
+      const cctp = this.chains.get(chain).cctp;
+      if (cctp) this.domainToChain[cctp.domain] = chain;
     }
   }
 
   /**
    * Analyze cross-chain USDC transfer patterns for an address
    */
-  async analyzeCrossChainActivity(address, chains = ['ethereum', 'base', 'arbitrum']) {
+  async analyzeCrossChainActivity(address, chains = this.chains.names()) {
     const result = {
       address: address.toLowerCase(),
       chains,
@@ -31,14 +33,16 @@ class CCTPAnalyzer {
       patterns: [],
       riskFactors: [],
       summary: {},
+      incompleteChecks: [],
     };
 
-    // Gather CCTP deposit events across chains
+    // Gather CCTP deposit events across chains; a failed lookup is not "no deposits"
     const depositPromises = chains.map(async chain => {
       try {
         const deposits = await this.rpc.getCCTPDeposits(chain, address);
         return deposits.map(d => ({ ...d, sourceChain: chain }));
-      } catch {
+      } catch (err) {
+        result.incompleteChecks.push(failedCheck('CCTP Deposits', err, chain));
         return [];
       }
     });
@@ -204,7 +208,7 @@ class CCTPAnalyzer {
       }
 
       const network = this.rpc.useTestnet ? 'sepolia' : 'mainnet';
-      const tokenMessenger = contractsData.cctp?.tokenMessenger?.[chain]?.[network]?.toLowerCase();
+      const tokenMessenger = this.chains.tokenMessenger(chain, network)?.toLowerCase();
       
       // Check if transaction interacted with CCTP TokenMessenger
       if (receipt.to?.toLowerCase() === tokenMessenger) {
@@ -241,12 +245,12 @@ class CCTPAnalyzer {
    * Get CCTP domain info for a chain
    */
   getDomainInfo(chain) {
-    const domains = contractsData.cctp?.domainIds || {};
+    const cctp = this.chains.get(chain)?.cctp;
     return {
       chain,
-      domainId: domains[chain],
-      tokenMessenger: contractsData.cctp?.tokenMessenger?.[chain],
-      messageTransmitter: contractsData.cctp?.messageTransmitter?.[chain],
+      domainId: cctp?.domain,
+      tokenMessenger: cctp?.tokenMessenger,
+      messageTransmitter: cctp?.messageTransmitter,
     };
   }
 }
@@ -0,0 +1,263 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const contractsData = require('../data/contracts.json');
+const { UnsupportedChainError } = require('./errors');
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const NETWORKS = ['mainnet', 'sepolia'];
+
+/**
+ * Registry of chains the scanner can talk to.
+ *
+ * The bundled chains come from `data/contracts.json`. More chains (or
+ * overrides for bundled ones, e.g. private RPCs) are loaded from a JSON
+ * config file shaped like:
+ *
+ *   {
+ *     "chains": {
+ *       "optimism": {
+ *         "label": "Optimism",
+ *         "chainId": { "mainnet": 10 },
+ *         "blockTime": 2,
+ *         "usdc": { "mainnet": "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85" },
+ *         "rpc": { "mainnet": ["https://mainnet.optimism.io"] },
+ *         "explorer": { "mainnet": "https://optimistic.etherscan.io" }
+ *       }
+ *     }
+ *   }
+ *
+ * plus optional `cctp` ({ domain, tokenMessenger, messageTransmitter }),
+ * `ws` (WebSocket RPCs per network), `finalityBlocks`, `alchemy`
+ * (subdomain prefix) and `emoji`. The config
+ * path is `options.configPath`, else $USDC_SCANNER_CHAINS, else
+ * ~/.config/lobsec-usdc-scanner/chains.json when it exists.
+ */
+class ChainRegistry {
+  constructor() {
+    this.chains = new Map();
+  }
+
+  /**
+   * Bundled chains plus the user config file, if any
+   */
+  static load(options = {}) {
+    const registry = ChainRegistry.bundled();
+    const configPath = options.configPath || process.env.USDC_SCANNER_CHAINS;
+
+    if (configPath) {
+      registry.loadFile(configPath);
+    } else if (fs.existsSync(ChainRegistry.defaultConfigPath())) {
+      registry.loadFile(ChainRegistry.defaultConfigPath());
+    }
+    return registry;
+  }
+
+  /**
+   * Shared registry for callers that have no RpcClient at hand
+   */
+  static default() {
+    if (!ChainRegistry._default) {
+      ChainRegistry._default = ChainRegistry.load();
+    }
+    return ChainRegistry._default;
+  }
+
+  static defaultConfigPath() {
+    return path.join(os.homedir(), '.config', 'lobsec-usdc-scanner', 'chains.json');
+  }
+
+  /**
+   * Chains shipped in data/contracts.json
+   */
+  static bundled() {
+    const registry = new ChainRegistry();
+    const cctp = contractsData.cctp || {};
+
+    for (const [name, meta] of Object.entries(contractsData.chains)) {
+      registry.register(name, {
+        ...meta,
+        usdc: contractsData.usdc[name],
+        cctp: cctp.domainIds?.[name] === undefined ? null : {
+          domain: cctp.domainIds[name],
+          tokenMessenger: cctp.tokenMessenger?.[name],
+          messageTransmitter: cctp.messageTransmitter?.[name],
+        },
+        rpc: contractsData.rpcEndpoints[name],
+        explorer: contractsData.blockExplorers?.[name],
+      });
+    }
+    return registry;
+  }
+
+  loadFile(file) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load chain config ${file}: ${err.message}`);
+    }
+    if (!data || typeof data.chains !== 'object') {
+      throw new Error(`Invalid chain config ${file}: expected a "chains" object`);
+    }
+
+    for (const [name, spec] of Object.entries(data.chains)) {
+      try {
+        this.register(name, spec);
+      } catch (err) {
+        throw new Error(`Invalid chain config ${file}: ${err.message}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Add a chain, or merge `spec` over an existing one
+   */
+  register(name, spec) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      throw new Error(`chain name "${name}" must be lowercase letters, digits and dashes`);
+    }
+
+    const merged = mergeSpec(this.chains.get(name) || {}, spec);
+    const chain = normalize(name, merged);
+    validate(chain);
+    this.chains.set(name, chain);
+    return chain;
+  }
+
+  has(name) {
+    return this.chains.has(name);
+  }
+
+  get(name) {
+    return this.chains.get(name);
+  }
+
+  /**
+   * Like get(), but throws UnsupportedChainError for unknown chains
+   */
+  require(name) {
+    const chain = this.chains.get(name);
+    if (!chain) throw new UnsupportedChainError(name, this.names());
+    return chain;
+  }
+
+  /**
+   * Chain names, optionally only those with RPC endpoints on `network`
+   */
+  names(network) {
+    const names = [...this.chains.keys()];
+    return network ? names.filter(name => this.chains.get(name).rpc[network]) : names;
+  }
+
+  byDomain(domain) {
+    for (const chain of this.chains.values()) {
+      if (chain.cctp && chain.cctp.domain === domain) return chain;
+    }
+    return undefined;
+  }
+
+  /**
+   * Chain with the given EVM chain id, on `network` or any network
+   */
+  byChainId(chainId, network) {
+    for (const chain of this.chains.values()) {
+      const ids = network ? [chain.chainId[network]] : Object.values(chain.chainId);
+      if (ids.includes(chainId)) return chain;
+    }
+    return undefined;
+  }
+
+  usdcAddress(name, network) {
+    return this.chains.get(name)?.usdc[network];
+  }
+
+  tokenMessenger(name, network) {
+    return this.chains.get(name)?.cctp?.tokenMessenger[network];
+  }
+
+  messageTransmitter(name, network) {
+    return this.chains.get(name)?.cctp?.messageTransmitter[network];
+  }
+
+  rpcEndpoints(name, network) {
+    return this.chains.get(name)?.rpc[network] || [];
+  }
+}
+
+function mergeSpec(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+      out[key] = mergeSpec(base[key], value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function byNetwork(value, wrap = v => v) {
+  const out = {};
+  for (const network of NETWORKS) {
+    if (value?.[network] !== undefined) out[network] = wrap(value[network]);
+  }
+  return out;
+}
+
+function normalize(name, spec) {
+  return {
+    name,
+    label: spec.label || name.charAt(0).toUpperCase() + name.slice(1),
+    emoji: spec.emoji || '⛓️',
+    chainId: byNetwork(spec.chainId),
+    blockTime: spec.blockTime,
+    finalityBlocks: spec.finalityBlocks ?? 1000,
+    alchemy: spec.alchemy || null,
+    usdc: byNetwork(spec.usdc),
+    cctp: spec.cctp ? {
+      domain: spec.cctp.domain,
+      tokenMessenger: byNetwork(spec.cctp.tokenMessenger),
+      messageTransmitter: byNetwork(spec.cctp.messageTransmitter),
+    } : null,
+    rpc: byNetwork(spec.rpc, list => [].concat(list)),
+    ws: byNetwork(spec.ws, list => [].concat(list)),
+    explorer: { ...byNetwork(spec.explorer), ...(spec.explorer?.api ? { api: spec.explorer.api } : {}) },
+  };
+}
+
+function validate(chain) {
+  const where = `chain "${chain.name}"`;
+
+  if (typeof chain.blockTime !== 'number' || !(chain.blockTime > 0)) {
+    throw new Error(`${where}: blockTime must be a positive number of seconds`);
+  }
+  if (Object.keys(chain.usdc).length === 0) {
+    throw new Error(`${where}: usdc needs a mainnet or sepolia address`);
+  }
+  if (Object.keys(chain.rpc).length === 0) {
+    throw new Error(`${where}: rpc needs mainnet or sepolia endpoints`);
+  }
+
+  const addresses = [
+    ['usdc', chain.usdc],
+    ['cctp.tokenMessenger', chain.cctp?.tokenMessenger || {}],
+    ['cctp.messageTransmitter', chain.cctp?.messageTransmitter || {}],
+  ];
+  for (const [field, values] of addresses) {
+    for (const [network, address] of Object.entries(values)) {
+      if (!ADDRESS_RE.test(address)) {
+        throw new Error(`${where}: ${field}.${network} is not a valid address: ${address}`);
+      }
+    }
+  }
+
+  if (chain.cctp && !Number.isInteger(chain.cctp.domain)) {
+    throw new Error(`${where}: cctp.domain must be an integer`);
+  }
+}
+
+module.exports = { ChainRegistry };
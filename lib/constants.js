@@ -1,5 +1,7 @@
 'use strict';
 
+const { ChainRegistry } = require('./chains');
+
 // ERC-20 Transfer event signature
 const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
 
@@ -30,6 +32,25 @@ const SEVERITY_WEIGHTS = {
   info: 5,
 };
 
+// Scam database aging by category: an entry's weight halves every
+// `halfLifeDays` after it was reported or last seen active, down to
+// `floor` of its severity weight. Categories mapped to null never decay.
+const SCAM_DECAY_POLICIES = {
+  exploit: null,
+  sanctioned: null,
+  burn: null,
+  laundering: { halfLifeDays: 730, floor: 0.5 },
+  scam: { halfLifeDays: 365, floor: 0.25 },
+  phishing: { halfLifeDays: 90, floor: 0.1 },
+  'flash-loan-source': { halfLifeDays: 365, floor: 0.25 },
+  mev: { halfLifeDays: 180, floor: 0.1 },
+  'wash-trading': { halfLifeDays: 365, floor: 0.25 },
+  suspicious: { halfLifeDays: 180, floor: 0.1 },
+};
+
+// Severities from least to most serious (alert filtering)
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
 // Pattern detection thresholds
 const THRESHOLDS = {
   // Wash trading
@@ -44,26 +65,49 @@ const THRESHOLDS = {
   // Honeypot
   HONEYPOT_SELL_FAIL_RATIO: 0.5, // >50% failed sells = honeypot
   HONEYPOT_MIN_TRANSACTIONS: 10, // Need at least 10 txs to evaluate
+  HONEYPOT_MAX_TAX_PERCENT: 10, // Simulated transfers losing more are flagged
   
   // Address age
   NEW_ADDRESS_THRESHOLD_DAYS: 7,
   
+  // Approvals untouched this long are worth revoking
+  STALE_APPROVAL_DAYS: 180,
+  
+  // Permit signatures valid for longer than this are flagged
+  PERMIT_MAX_DEADLINE_DAYS: 30,
+  
   // Transaction velocity
   HIGH_VELOCITY_TXS_PER_HOUR: 20,
   
   // Large transfer (triggers enhanced checks)
   LARGE_TRANSFER_USDC: 50000,
   
+  // Heuristic risk factors of trusted entities are scaled by this
+  TRUSTED_RISK_MULTIPLIER: 0.2,
+  
+  // Scam database hits on a chain the entry does not list are scaled by this
+  OTHER_CHAIN_SCAM_MULTIPLIER: 0.5,
+  
   // Circular flow detection
   CIRCULAR_FLOW_MAX_HOPS: 5,
   CIRCULAR_FLOW_TIME_WINDOW_MS: 86400000, // 24 hours
 };
 
+// Allowances at or above this (raw units) are treated as unlimited
+const UNLIMITED_APPROVAL_THRESHOLD = 2n ** 128n;
+
+// Uniswap Permit2, deployed at the same address on every chain
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
 // USDC decimals
 const USDC_DECIMALS = 6;
 
-// Supported chains
-const SUPPORTED_CHAINS = ['ethereum', 'base', 'arbitrum'];
+/**
+ * @deprecated Chains bundled in data/contracts.json, kept for existing
+ * consumers. Use ChainRegistry (lib/chains.js), which also has the chains
+ * added through a chain config file.
+ */
+const SUPPORTED_CHAINS = ChainRegistry.bundled().names();
 
 // ABI fragments for USDC
 const USDC_ABI = {
@@ -83,9 +127,21 @@ const FUNCTION_SELECTORS = {
   approve: '0x095ea7b3',
   transferFrom: '0x23b872dd',
   permit: '0xd505accf',
+  increaseAllowance: '0x39509351',
+  decreaseAllowance: '0xa457c2d7',
+  balanceOf: '0x70a08231',
+  allowance: '0xdd62ed3e',
+  decimals: '0x313ce567',
   // CCTP
   depositForBurn: '0x6fd3504e',
+  depositForBurnWithCaller: '0xf856ddb6',
   receiveMessage: '0x57ecfd28',
+  // Batching wrappers
+  multicall: '0xac9650d8', // multicall(bytes[])
+  multicallWithDeadline: '0x5ae401dc', // multicall(uint256,bytes[])
+  aggregate: '0x252dba42', // Multicall2/3 aggregate((address,bytes)[])
+  tryAggregate: '0xbce38bd7', // tryAggregate(bool,(address,bytes)[])
+  aggregate3: '0x82ad56cb', // Multicall3 aggregate3((address,bool,bytes)[])
 };
 
 module.exports = {
@@ -95,7 +151,11 @@ module.exports = {
   MESSAGE_RECEIVED_TOPIC,
   RISK_LEVELS,
   SEVERITY_WEIGHTS,
+  SEVERITY_ORDER,
+  SCAM_DECAY_POLICIES,
   THRESHOLDS,
+  UNLIMITED_APPROVAL_THRESHOLD,
+  PERMIT2_ADDRESS,
   USDC_DECIMALS,
   SUPPORTED_CHAINS,
   USDC_ABI,
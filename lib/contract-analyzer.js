@@ -0,0 +1,241 @@
+'use strict';
+
+const { analyzeBytecode } = require('./disassembler');
+const { keccak256, selector } = require('./keccak');
+const { ProxyDetector, controller, describeAuthority, wordToAddress, hasCode } = require('./proxy-detector');
+const { failedCheck } = require('./errors');
+
+// Privileged functions by capability, matched against the dispatch table.
+// User-facing names such as withdraw(uint256) (WETH, vaults) are left out.
+const PRIVILEGED_FUNCTIONS = {
+  mint: ['mint(address,uint256)', 'mint(uint256)', 'issue(uint256)', 'configureMinter(address,uint256)'],
+  blacklist: [
+    'blacklist(address)', 'unBlacklist(address)', 'addBlackList(address)', 'removeBlackList(address)',
+    'addToBlacklist(address)', 'removeFromBlacklist(address)', 'setBlacklist(address,bool)',
+    'destroyBlackFunds(address)', 'freeze(address)',
+  ],
+  fee: [
+    'setFee(uint256)', 'setFees(uint256,uint256)', 'setTaxFee(uint256)', 'setBuyFee(uint256)',
+    'setSellFee(uint256)', 'setParams(uint256,uint256)',
+  ],
+  sweep: [
+    'sweep(address)', 'sweepToken(address)', 'rescueERC20(address,address,uint256)',
+    'rescueTokens(address,address,uint256)', 'emergencyWithdraw()', 'withdrawStuckTokens(address)',
+  ],
+  pause: ['pause()', 'unpause()'],
+  upgrade: ['upgradeTo(address)', 'upgradeToAndCall(address,bytes)', 'changeAdmin(address)'],
+};
+
+const SELECTOR_TO_FUNCTION = new Map(Object.entries(PRIVILEGED_FUNCTIONS).flatMap(([category, signatures]) =>
+  signatures.map(signature => [selector(signature), { category, signature }])));
+
+const CAPABILITY_FLAGS = {
+  mint: 'CAN_MINT', blacklist: 'CAN_BLACKLIST', fee: 'CAN_SET_FEES', sweep: 'CAN_SWEEP', pause: 'CAN_PAUSE', upgrade: 'CAN_UPGRADE',
+};
+
+const CAPABILITY_LABELS = {
+  mint: 'Minting', blacklist: 'Blacklisting', fee: 'Fee changes', sweep: 'Token sweeping', pause: 'Pausing', upgrade: 'Upgrades',
+};
+
+const HOLDER_LABELS = {
+  eoa: 'a single EOA', contract: 'a contract', unknown: 'an unidentified account', multisig: 'a multisig', timelock: 'a timelock',
+};
+
+// Risk of a capability held by a single EOA; scaled down by CONTROLLER_FACTORS
+const CAPABILITY_WEIGHTS = { mint: 20, blacklist: 15, fee: 15, sweep: 15, pause: 10, upgrade: 15 };
+
+const CONTROLLER_FACTORS = { eoa: 1, contract: 0.5, unknown: 0.5, multisig: 0.5, timelock: 0.25, renounced: 0 };
+
+const SELECTORS = {
+  owner: selector('owner()'),
+  getOwner: selector('getOwner()'),
+  hasRole: selector('hasRole(bytes32,address)'),
+  getRoleMember: selector('getRoleMember(bytes32,uint256)'),
+};
+
+// Single-holder role getters (Circle FiatToken and similar)
+const ROLE_GETTERS = {
+  'masterMinter()': 'mint',
+  'pauser()': 'pause',
+  'blacklister()': 'blacklist',
+  'rescuer()': 'sweep',
+};
+
+// AccessControl roles read through AccessControlEnumerable
+const ACCESS_CONTROL_ROLES = {
+  DEFAULT_ADMIN_ROLE: null,
+  MINTER_ROLE: 'mint',
+  PAUSER_ROLE: 'pause',
+  UPGRADER_ROLE: 'upgrade',
+};
+
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+/**
+ * Analyzes who can change a contract's rules after deployment.
+ *
+ * Finds privileged functions (mint, blacklist, fee, sweep, pause,
+ * upgrade) in the dispatch table of the contract, or of its
+ * implementation when it is a proxy, then resolves who holds them:
+ * the Ownable `owner()`, named role getters, AccessControl role members
+ * and the proxy's upgrade authority. Each capability is scored by how
+ * easily its holder can act — a single EOA counts fully, a multisig or
+ * unknown contract half, a timelock a quarter, renounced ownership not
+ * at all.
+ */
+class ContractAnalyzer {
+  constructor(rpcClient) {
+    this.rpc = rpcClient;
+    this.proxyDetector = new ProxyDetector(rpcClient);
+  }
+
+  /**
+   * @param {string} address
+   * @param {string} chain
+   * @returns {Promise<Object>} { address, chain, isContract, proxy, privileges, owner, ownershipRenounced,
+   *   accessControl, roles, riskScore, level, flags, riskFactors, incompleteChecks }
+   */
+  async analyze(address, chain) {
+    const report = {
+      address: address.toLowerCase(),
+      chain,
+      isContract: false,
+      proxy: null,
+      privileges: [],
+      owner: null,
+      ownershipRenounced: false,
+      accessControl: false,
+      roles: [],
+      riskScore: 0,
+      level: 'CLEAN',
+      flags: [],
+      riskFactors: [],
+      incompleteChecks: [],
+    };
+
+    const code = await this.rpc.getCode(chain, address);
+    if (!hasCode(code)) {
+      report.flags.push('NOT_A_CONTRACT');
+      return report;
+    }
+    report.isContract = true;
+
+    let analyzed = code;
+    try {
+      const resolved = await this.proxyDetector.resolveCode(address, chain, code);
+      analyzed = resolved.code;
+      if (resolved.proxy.isProxy) report.proxy = resolved.proxy;
+    } catch (err) {
+      report.incompleteChecks.push(failedCheck('Proxy Detection', err, chain));
+    }
+    const selectors = new Set(analyzeBytecode(analyzed).selectors);
+
+    // Capabilities in the dispatch table
+    const found = {};
+    for (const sel of selectors) {
+      const fn = SELECTOR_TO_FUNCTION.get(sel);
+      if (fn) (found[fn.category] ||= []).push(fn.signature);
+    }
+    if (report.proxy?.upgradeable) {
+      (found.upgrade ||= []).unshift(`${report.proxy.type} proxy`);
+    }
+
+    // Holders: specific role first, then the owner or default admin
+    const holders = {};
+    try {
+      await this._resolveHolders(report, selectors, holders);
+    } catch (err) {
+      report.incompleteChecks.push(failedCheck('Privilege Holders', err, chain));
+    }
+    if (report.proxy?.upgradeAuthority) holders.upgrade = report.proxy.upgradeAuthority;
+    const fallback = report.owner || holders.admin || null;
+
+    for (const category of Object.keys(PRIVILEGED_FUNCTIONS)) {
+      if (!found[category]) continue;
+      const authority = holders[category] || fallback;
+      const kind = authority ? controller(authority).kind
+        : report.ownershipRenounced && !report.accessControl ? 'renounced' : 'unknown';
+      const impact = Math.round(CAPABILITY_WEIGHTS[category] * CONTROLLER_FACTORS[kind]);
+
+      report.privileges.push({ category, functions: found[category], holder: authority, holderKind: kind });
+      report.flags.push(CAPABILITY_FLAGS[category]);
+      if (impact > 0) {
+        report.riskFactors.push({
+          factor: `${CAPABILITY_LABELS[category]} controlled by ${HOLDER_LABELS[kind]}`,
+          impact,
+          detail: `${found[category].join(', ')} — ${authority ? describeAuthority(authority) : 'no owner() or role holder found'}`,
+        });
+      }
+    }
+
+    if (report.owner) {
+      const kind = controller(report.owner).kind;
+      if (kind !== 'contract') report.flags.push(`${kind.toUpperCase()}_OWNER`);
+    }
+    if (report.ownershipRenounced) report.flags.push('OWNERSHIP_RENOUNCED');
+    if (report.accessControl) report.flags.push('ACCESS_CONTROL');
+    if (report.privileges.some(p => p.holderKind === 'eoa')) report.flags.push('EOA_PRIVILEGED');
+
+    report.riskScore = Math.min(100, report.riskFactors.reduce((sum, f) => sum + f.impact, 0));
+    if (report.riskScore >= 90) report.level = 'CRITICAL';
+    else if (report.riskScore >= 70) report.level = 'HIGH';
+    else if (report.riskScore >= 40) report.level = 'MEDIUM';
+    else if (report.riskScore >= 10) report.level = 'LOW';
+
+    return report;
+  }
+
+  /**
+   * Fill in the owner, role holders and AccessControl roles. Views are
+   * only called when their selector is in the dispatch table.
+   */
+  async _resolveHolders(report, selectors, holders) {
+    const { address, chain } = report;
+    const ownerSelector = [SELECTORS.owner, SELECTORS.getOwner].find(sel => selectors.has(sel));
+    if (ownerSelector) {
+      const word = await this._view(chain, address, ownerSelector);
+      if (word === ZERO_WORD) {
+        report.ownershipRenounced = true;
+      } else if (word) {
+        report.owner = await this.proxyDetector.resolveAuthority(chain, wordToAddress(word));
+      }
+    }
+
+    for (const [signature, category] of Object.entries(ROLE_GETTERS)) {
+      if (!selectors.has(selector(signature))) continue;
+      const holder = wordToAddress(await this._view(chain, address, selector(signature)));
+      if (!holder) continue;
+      holders[category] = await this.proxyDetector.resolveAuthority(chain, holder);
+      report.roles.push({ role: signature.slice(0, -2), holder: holders[category] });
+    }
+
+    report.accessControl = selectors.has(SELECTORS.hasRole);
+    if (!report.accessControl || !selectors.has(SELECTORS.getRoleMember)) return;
+
+    // Enumerable roles: the first member stands for the role
+    for (const [role, category] of Object.entries(ACCESS_CONTROL_ROLES)) {
+      const hash = role === 'DEFAULT_ADMIN_ROLE' ? ZERO_WORD.slice(2) : keccak256(role).toString('hex');
+      const holder = wordToAddress(await this._view(chain, address, SELECTORS.getRoleMember + hash + '0'.repeat(64)));
+      if (!holder) continue;
+      const authority = await this.proxyDetector.resolveAuthority(chain, holder);
+      report.roles.push({ role, holder: authority });
+      if (category) holders[category] ||= authority;
+      else holders.admin = authority;
+    }
+  }
+
+  /**
+   * First word of a view's return data, or null when it reverts or returns nothing
+   */
+  async _view(chain, to, data) {
+    try {
+      const result = await this.rpc.call(chain, 'eth_call', [{ to, data }, 'latest']);
+      return typeof result === 'string' && result.length >= 66 ? result.slice(0, 66).toLowerCase() : null;
+    } catch (err) {
+      if (err.isRevert) return null;
+      throw err;
+    }
+  }
+}
+
+module.exports = { ContractAnalyzer, PRIVILEGED_FUNCTIONS };
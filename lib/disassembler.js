@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * EVM bytecode disassembler.
+ *
+ * Walks the code opcode by opcode, skipping PUSH immediates, so a 0xff
+ * or 0xf4 byte inside a pushed constant is not mistaken for SELFDESTRUCT
+ * or DELEGATECALL. The Solidity/Vyper CBOR metadata trailer is split off
+ * before decoding for the same reason.
+ */
+
+const OPCODES = {
+  0x00: 'STOP', 0x01: 'ADD', 0x02: 'MUL', 0x03: 'SUB', 0x04: 'DIV', 0x05: 'SDIV', 0x06: 'MOD', 0x07: 'SMOD',
+  0x08: 'ADDMOD', 0x09: 'MULMOD', 0x0a: 'EXP', 0x0b: 'SIGNEXTEND',
+  0x10: 'LT', 0x11: 'GT', 0x12: 'SLT', 0x13: 'SGT', 0x14: 'EQ', 0x15: 'ISZERO', 0x16: 'AND', 0x17: 'OR',
+  0x18: 'XOR', 0x19: 'NOT', 0x1a: 'BYTE', 0x1b: 'SHL', 0x1c: 'SHR', 0x1d: 'SAR',
+  0x20: 'KECCAK256',
+  0x30: 'ADDRESS', 0x31: 'BALANCE', 0x32: 'ORIGIN', 0x33: 'CALLER', 0x34: 'CALLVALUE', 0x35: 'CALLDATALOAD',
+  0x36: 'CALLDATASIZE', 0x37: 'CALLDATACOPY', 0x38: 'CODESIZE', 0x39: 'CODECOPY', 0x3a: 'GASPRICE',
+  0x3b: 'EXTCODESIZE', 0x3c: 'EXTCODECOPY', 0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0x3f: 'EXTCODEHASH',
+  0x40: 'BLOCKHASH', 0x41: 'COINBASE', 0x42: 'TIMESTAMP', 0x43: 'NUMBER', 0x44: 'PREVRANDAO', 0x45: 'GASLIMIT',
+  0x46: 'CHAINID', 0x47: 'SELFBALANCE', 0x48: 'BASEFEE', 0x49: 'BLOBHASH', 0x4a: 'BLOBBASEFEE',
+  0x50: 'POP', 0x51: 'MLOAD', 0x52: 'MSTORE', 0x53: 'MSTORE8', 0x54: 'SLOAD', 0x55: 'SSTORE', 0x56: 'JUMP',
+  0x57: 'JUMPI', 0x58: 'PC', 0x59: 'MSIZE', 0x5a: 'GAS', 0x5b: 'JUMPDEST', 0x5c: 'TLOAD', 0x5d: 'TSTORE',
+  0x5e: 'MCOPY', 0x5f: 'PUSH0',
+  0xa0: 'LOG0', 0xa1: 'LOG1', 0xa2: 'LOG2', 0xa3: 'LOG3', 0xa4: 'LOG4',
+  0xf0: 'CREATE', 0xf1: 'CALL', 0xf2: 'CALLCODE', 0xf3: 'RETURN', 0xf4: 'DELEGATECALL', 0xf5: 'CREATE2',
+  0xfa: 'STATICCALL', 0xfd: 'REVERT', 0xfe: 'INVALID', 0xff: 'SELFDESTRUCT',
+};
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) {
+  OPCODES[0x7f + i] = `DUP${i}`;
+  OPCODES[0x8f + i] = `SWAP${i}`;
+}
+
+// Opcodes whose presence the scanner reports
+const NOTABLE_OPCODES = ['SELFDESTRUCT', 'DELEGATECALL', 'CALLCODE', 'CREATE', 'CREATE2', 'CALL', 'STATICCALL', 'SSTORE'];
+
+/**
+ * Split the CBOR metadata trailer (`a1`/`a2`/`a3` map ending in its
+ * two-byte length) off the end of runtime code
+ *
+ * @param {Buffer} code
+ * @returns {{code: Buffer, metadata: Buffer|null}}
+ */
+function splitMetadata(code) {
+  if (code.length < 4) return { code, metadata: null };
+  const length = code.readUInt16BE(code.length - 2);
+  const start = code.length - 2 - length;
+  if (length === 0 || start < 0 || ![0xa1, 0xa2, 0xa3].includes(code[start])) {
+    return { code, metadata: null };
+  }
+  return { code: code.subarray(0, start), metadata: code.subarray(start) };
+}
+
+/**
+ * Decode bytecode into instructions
+ *
+ * @param {string|Buffer} bytecode — Hex string (0x-prefixed or not) or bytes
+ * @returns {Object[]} [{ pc, opcode, name, push }] — `push` is the immediate as hex, PUSH only
+ */
+function disassemble(bytecode) {
+  const code = toBuffer(bytecode);
+  const instructions = [];
+  for (let pc = 0; pc < code.length; pc++) {
+    const opcode = code[pc];
+    const instruction = { pc, opcode, name: OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}` };
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      // A truncated final PUSH reads zeros past the end, as the EVM does
+      instruction.push = '0x' + code.subarray(pc + 1, pc + 1 + size).toString('hex').padEnd(size * 2, '0');
+      pc += size;
+    }
+    instructions.push(instruction);
+  }
+  return instructions;
+}
+
+/**
+ * Function selectors from the dispatcher: a PUSH4 (PUSH3 when the
+ * selector starts with a zero byte) compared with EQ, or XOR in Vyper,
+ * and followed by a conditional jump. Constants used for binary-search
+ * pivots (GT/LT), masks and error selectors are not matched.
+ *
+ * @param {Object[]} instructions — From disassemble()
+ * @returns {string[]} Selectors in dispatch order
+ */
+function extractSelectors(instructions) {
+  const selectors = new Set();
+  for (let i = 0; i < instructions.length; i++) {
+    if (instructions[i].name !== 'PUSH4' && instructions[i].name !== 'PUSH3') continue;
+    const next = instructions.slice(i + 1, i + 5).map(ins => ins.name);
+    const compare = next.findIndex(name => name === 'EQ' || name === 'XOR');
+    // PUSH4 sel [DUP2] EQ PUSH2 dest JUMPI
+    if (compare === -1 || compare > 1 || !next.slice(compare + 1).includes('JUMPI')) continue;
+    if (compare === 1 && !next[0].startsWith('DUP')) continue;
+    selectors.add('0x' + instructions[i].push.slice(2).padStart(8, '0'));
+  }
+  return [...selectors];
+}
+
+/**
+ * Disassemble and summarize runtime bytecode
+ *
+ * @param {string|Buffer} bytecode
+ * @returns {Object} { size, codeSize, metadata, instructionCount, selectors, opcodes, hasSelfdestruct,
+ *   hasDelegatecall, hasCallcode, hasCreate2, instructions }
+ */
+function analyzeBytecode(bytecode) {
+  const full = toBuffer(bytecode);
+  const { code, metadata } = splitMetadata(full);
+  const instructions = disassemble(code);
+
+  const opcodes = Object.fromEntries(NOTABLE_OPCODES.map(name => [name, 0]));
+  for (const { name } of instructions) {
+    if (name in opcodes) opcodes[name]++;
+  }
+
+  return {
+    size: full.length,
+    codeSize: code.length,
+    metadata: metadata ? '0x' + metadata.toString('hex') : null,
+    instructionCount: instructions.length,
+    selectors: extractSelectors(instructions),
+    opcodes,
+    hasSelfdestruct: opcodes.SELFDESTRUCT > 0,
+    hasDelegatecall: opcodes.DELEGATECALL > 0,
+    hasCallcode: opcodes.CALLCODE > 0,
+    hasCreate2: opcodes.CREATE2 > 0,
+    instructions,
+  };
+}
+
+function toBuffer(bytecode) {
+  if (Buffer.isBuffer(bytecode)) return bytecode;
+  const hex = (bytecode || '').replace(/^0x/i, '');
+  if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+    throw new Error('Invalid bytecode: expected hex bytes');
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+module.exports = { disassemble, extractSelectors, analyzeBytecode, splitMetadata, OPCODES };
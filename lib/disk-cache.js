@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File-backed key/value cache shared across CLI runs.
+ *
+ * Entries are JSON files named by the SHA-256 of their key, sharded into
+ * 256 subdirectories. An entry either never expires (immutable chain data)
+ * or carries an absolute expiry time (mutable state). Unreadable or
+ * corrupt entries are treated as misses.
+ */
+class DiskCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] — Cache directory
+   *   (default: $USDC_SCANNER_CACHE_DIR or ~/.cache/lobsec-usdc-scanner)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir
+      || process.env.USDC_SCANNER_CACHE_DIR
+      || path.join(os.homedir(), '.cache', 'lobsec-usdc-scanner');
+    this.hits = 0;
+    this.misses = 0;
+    this.writes = 0;
+  }
+
+  _file(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  /**
+   * Returns `{ value }` on a hit, or null when missing or expired
+   */
+  get(key, now = Date.now()) {
+    const file = this._file(key);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      this.misses++;
+      return null;
+    }
+
+    if (entry.key !== key || (entry.expiresAt !== null && entry.expiresAt <= now)) {
+      fs.rmSync(file, { force: true });
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return { value: entry.value };
+  }
+
+  /**
+   * Store a value. `ttlMs` of null keeps it forever.
+   */
+  set(key, value, ttlMs = null, now = Date.now()) {
+    const file = this._file(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    const entry = {
+      key,
+      value,
+      storedAt: now,
+      expiresAt: ttlMs === null ? null : now + ttlMs,
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Write-then-rename so concurrent readers never see a partial file
+      fs.writeFileSync(tmp, JSON.stringify(entry));
+      fs.renameSync(tmp, file);
+      this.writes++;
+    } catch {
+      // A read-only or full disk only costs us the cache
+      fs.rmSync(tmp, { force: true });
+    }
+  }
+
+  clear() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+
+  stats() {
+    return { dir: this.dir, hits: this.hits, misses: this.misses, writes: this.writes };
+  }
+}
+
+module.exports = { DiskCache };
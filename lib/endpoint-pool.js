@@ -0,0 +1,111 @@
+'use strict';
+
+const MAX_SCORE = 100;
+const SUCCESS_REWARD = 10;
+const FAILURE_PENALTY = 25;
+const BASE_COOLDOWN_MS = 1000;
+const MAX_COOLDOWN_MS = 60000;
+
+/**
+ * Ordered set of RPC endpoints for one chain with per-endpoint health.
+ *
+ * Each endpoint starts with a health score of 100. Successes raise it,
+ * failures lower it and put the endpoint in an exponentially growing
+ * cooldown. `ordered()` yields healthy endpoints first, so a flaky
+ * provider is tried last until it recovers.
+ */
+class EndpointPool {
+  /**
+   * @param {string} chain — Chain name (for error messages)
+   * @param {Array<string|{url: string, headers?: Object, rate?: number, burst?: number, maxInFlight?: number}>} endpoints
+   */
+  constructor(chain, endpoints) {
+    this.chain = chain;
+    this.endpoints = endpoints.map((ep, index) => EndpointPool.normalize(ep, index));
+
+    if (this.endpoints.length === 0) {
+      throw new Error(`No RPC endpoints configured for ${chain}`);
+    }
+  }
+
+  static normalize(endpoint, index = 0) {
+    const spec = typeof endpoint === 'string' ? { url: endpoint } : { ...endpoint };
+    if (!spec.url) {
+      throw new Error('RPC endpoint requires a url');
+    }
+
+    const url = new URL(spec.url);
+    return {
+      url: spec.url,
+      // Host only, so API keys in paths never reach logs or reports
+      label: spec.label || url.host,
+      headers: spec.headers || {},
+      timeout: spec.timeout,
+      // Scheduler overrides; unset fields use the client defaults
+      limits: { rate: spec.rate, burst: spec.burst, maxInFlight: spec.maxInFlight },
+      priority: index,
+      health: {
+        score: MAX_SCORE,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastLatencyMs: null,
+        cooldownUntil: 0,
+      },
+    };
+  }
+
+  get size() {
+    return this.endpoints.length;
+  }
+
+  /**
+   * Endpoints in the order they should be tried: those not cooling down
+   * first, then by health score, then by configured order.
+   */
+  ordered(now = Date.now()) {
+    return [...this.endpoints].sort((a, b) => {
+      const aCooling = a.health.cooldownUntil > now ? 1 : 0;
+      const bCooling = b.health.cooldownUntil > now ? 1 : 0;
+      if (aCooling !== bCooling) return aCooling - bCooling;
+      if (a.health.score !== b.health.score) return b.health.score - a.health.score;
+      return a.priority - b.priority;
+    });
+  }
+
+  reportSuccess(endpoint, latencyMs) {
+    const h = endpoint.health;
+    h.successes++;
+    h.consecutiveFailures = 0;
+    h.cooldownUntil = 0;
+    h.lastLatencyMs = latencyMs;
+    h.score = Math.min(MAX_SCORE, h.score + SUCCESS_REWARD);
+  }
+
+  reportFailure(endpoint, err, now = Date.now()) {
+    const h = endpoint.health;
+    h.failures++;
+    h.consecutiveFailures++;
+    h.lastError = err.message;
+    h.score = Math.max(0, h.score - FAILURE_PENALTY);
+    h.cooldownUntil = now + Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** (h.consecutiveFailures - 1));
+  }
+
+  /**
+   * Serializable health summary (no URLs or headers)
+   */
+  stats(now = Date.now()) {
+    return this.endpoints.map(ep => ({
+      endpoint: ep.label,
+      score: ep.health.score,
+      successes: ep.health.successes,
+      failures: ep.health.failures,
+      lastError: ep.health.lastError,
+      lastLatencyMs: ep.health.lastLatencyMs,
+      coolingDown: ep.health.cooldownUntil > now,
+    }));
+  }
+}
+
+module.exports = { EndpointPool };
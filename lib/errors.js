@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Typed RPC errors.
+ *
+ * Every error raised by RpcClient is an RpcError carrying the chain,
+ * method and endpoint label involved. `retryable` marks transient
+ * failures that are worth another attempt after a backoff.
+ */
+class RpcError extends Error {
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'RpcError';
+    this.chain = details.chain ?? null;
+    this.method = details.method ?? null;
+    this.endpoint = details.endpoint ?? null;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/** The endpoint did not answer within the request timeout. */
+class RpcTimeoutError extends RpcError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RpcTimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The connection failed (DNS, refused, reset). */
+class RpcNetworkError extends RpcError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RpcNetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** HTTP 429 or a JSON-RPC rate-limit error. `retryAfterMs` comes from Retry-After. */
+class RpcRateLimitError extends RpcError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RpcRateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The provider answered with an error: a JSON-RPC error object (`code`,
+ * `data`) or an HTTP 5xx (`httpStatus`). Reverted calls land here too.
+ */
+class RpcProviderError extends RpcError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RpcProviderError';
+    this.code = details.code ?? null;
+    this.data = details.data ?? null;
+    this.httpStatus = details.httpStatus ?? null;
+  }
+
+  get isRevert() {
+    return this.code === 3 || /revert/i.test(this.message);
+  }
+
+  get retryable() {
+    return this.httpStatus !== null && this.httpStatus >= 500;
+  }
+}
+
+/** The response body was not valid JSON-RPC. */
+class RpcParseError extends RpcError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RpcParseError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** No endpoints are configured for the requested chain. */
+class UnsupportedChainError extends RpcError {
+  constructor(chain, supported = []) {
+    super(`Unsupported chain: ${chain}${supported.length ? `. Supported: ${supported.join(', ')}` : ''}`, { chain });
+    this.name = 'UnsupportedChainError';
+  }
+}
+
+/**
+ * Whether a JSON-RPC error object is a provider rate limit
+ */
+function isJsonRpcRateLimit(error) {
+  return error.code === 429 || /rate.?limit|too many requests|exceeded .*capacity|requests per second/i.test(error.message || '');
+}
+
+/**
+ * Build an RpcError from a JSON-RPC error object
+ */
+function fromJsonRpcError(error, details = {}) {
+  const message = `RPC error (${details.chain}): ${error.message || JSON.stringify(error)}`;
+  if (isJsonRpcRateLimit(error)) {
+    return new RpcRateLimitError(message, details);
+  }
+  return new RpcProviderError(message, { ...details, code: error.code, data: error.data });
+}
+
+/**
+ * How a failed check should be reported: SKIPPED when the data was
+ * temporarily unavailable, ERROR when something is actually wrong.
+ * Accepts an error or any `{ name, retryable }` summary of one.
+ */
+function checkResultFor(err) {
+  return err.retryable || err.name === 'UnsupportedChainError' ? 'SKIPPED' : 'ERROR';
+}
+
+/**
+ * Check entry for a check that could not run. Neither result adds risk.
+ */
+function failedCheck(check, err, chain) {
+  const result = checkResultFor(err);
+  return {
+    check,
+    ...(chain ? { chain } : {}),
+    result,
+    detail: `${result === 'SKIPPED' ? 'Skipped — data unavailable' : 'Failed'}: ${err.message}`,
+  };
+}
+
+module.exports = {
+  RpcError,
+  RpcTimeoutError,
+  RpcNetworkError,
+  RpcRateLimitError,
+  RpcProviderError,
+  RpcParseError,
+  UnsupportedChainError,
+  isJsonRpcRateLimit,
+  fromJsonRpcError,
+  checkResultFor,
+  failedCheck,
+};
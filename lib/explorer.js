@@ -0,0 +1,155 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { ChainRegistry } = require('./chains');
+
+// API key environment variable per bundled chain; other chains use
+// <CHAIN>_EXPLORER_API_KEY
+const API_KEY_ENV = {
+  ethereum: 'ETHERSCAN_API_KEY',
+  base: 'BASESCAN_API_KEY',
+  arbitrum: 'ARBISCAN_API_KEY',
+};
+
+/** An explorer API lookup failed or is not configured. */
+class ExplorerError extends Error {
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'ExplorerError';
+    this.chain = details.chain ?? null;
+    this.retryable = details.retryable ?? false;
+  }
+}
+
+/**
+ * Client for Etherscan-compatible block explorer APIs (Etherscan,
+ * BaseScan, Arbiscan, ...). Used for data the chain itself does not
+ * expose: source verification and contract creation.
+ *
+ * The API URL comes from the chain's `explorer.api`; lookups need an API
+ * key and are mainnet-only. Results are kept in memory.
+ */
+class ExplorerClient {
+  /**
+   * @param {Object} [options]
+   * @param {ChainRegistry} [options.chains]
+   * @param {string} [options.network='mainnet']
+   * @param {Object} [options.apiKeys] — Per-chain API keys (default: environment)
+   * @param {number} [options.timeout=10000] — Request timeout (ms)
+   */
+  constructor(options = {}) {
+    this.chains = options.chains || ChainRegistry.default();
+    this.network = options.network || 'mainnet';
+    this.apiKeys = options.apiKeys || {};
+    this.timeout = options.timeout ?? 10000;
+    this.cache = new Map();
+  }
+
+  _apiKey(chain) {
+    return this.apiKeys[chain]
+      || process.env[API_KEY_ENV[chain] || `${chain.toUpperCase()}_EXPLORER_API_KEY`]
+      || null;
+  }
+
+  /**
+   * Whether lookups can be made for a chain
+   */
+  isAvailable(chain) {
+    return this.network === 'mainnet'
+      && Boolean(this.chains.get(chain)?.explorer?.api)
+      && Boolean(this._apiKey(chain));
+  }
+
+  /**
+   * Source verification and creation transaction of a contract
+   *
+   * @returns {Promise<{verified: boolean, name: string|null, creator: string|null, creationTx: string|null}>}
+   */
+  async getContractInfo(chain, address) {
+    const key = `${chain}:${address.toLowerCase()}`;
+    if (!this.cache.has(key)) {
+      const lookup = this._fetchContractInfo(chain, address);
+      this.cache.set(key, lookup);
+      lookup.catch(() => this.cache.delete(key));
+    }
+    return this.cache.get(key);
+  }
+
+  async _fetchContractInfo(chain, address) {
+    const [source] = await this._query(chain, { module: 'contract', action: 'getsourcecode', address });
+    const creations = await this._query(chain, { module: 'contract', action: 'getcontractcreation', contractaddresses: address });
+    const creation = Array.isArray(creations) ? creations[0] : null;
+
+    return {
+      verified: Boolean(source?.SourceCode),
+      name: source?.ContractName || null,
+      creator: creation?.contractCreator?.toLowerCase() || null,
+      creationTx: creation?.txHash || null,
+    };
+  }
+
+  /**
+   * GET an explorer API action. Resolves to `result`; an empty lookup
+   * ("No data found") resolves to [].
+   */
+  _query(chain, params) {
+    if (!this.isAvailable(chain)) {
+      return Promise.reject(new ExplorerError(
+        this.network !== 'mainnet'
+          ? `Explorer lookups are mainnet-only (${chain})`
+          : `No explorer API configured for ${chain}`,
+        { chain, retryable: true }
+      ));
+    }
+
+    const url = new URL(this.chains.get(chain).explorer.api);
+    for (const [name, value] of Object.entries({ ...params, apikey: this._apiKey(chain) })) {
+      url.searchParams.set(name, value);
+    }
+    const host = url.host;
+
+    return new Promise((resolve, reject) => {
+      const transport = url.protocol === 'https:' ? https : http;
+      const req = transport.get(url, { timeout: this.timeout }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new ExplorerError(`Explorer ${host} answered HTTP ${res.statusCode}`, {
+              chain,
+              retryable: res.statusCode === 429 || res.statusCode >= 500,
+            }));
+            return;
+          }
+          let json;
+          try {
+            json = JSON.parse(data);
+          } catch (e) {
+            reject(new ExplorerError(`Failed to parse explorer response from ${host}: ${e.message}`, { chain, retryable: true }));
+            return;
+          }
+          if (json.status === '1') {
+            resolve(json.result);
+          } else if (/no (data|records?) found/i.test(json.message || '')) {
+            resolve([]);
+          } else {
+            const message = typeof json.result === 'string' ? json.result : json.message;
+            reject(new ExplorerError(`Explorer ${host} error: ${message}`, {
+              chain,
+              retryable: /rate limit/i.test(message || ''),
+            }));
+          }
+        });
+      });
+      req.on('error', err => {
+        reject(new ExplorerError(`Explorer ${host} request failed: ${err.message}`, { chain, retryable: true, cause: err }));
+      });
+      req.on('timeout', () => {
+        req.destroy(new Error('timeout'));
+      });
+    });
+  }
+}
+
+module.exports = { ExplorerClient, ExplorerError };
@@ -0,0 +1,103 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_VERSION = 1;
+const MODES = ['record', 'replay'];
+
+/**
+ * Record/replay store for JSON-RPC traffic.
+ *
+ * In `record` mode every request/response pair seen by the RpcClient is
+ * appended to a JSON fixture file. In `replay` mode responses are served
+ * from that file and any request that was not recorded throws, so scans
+ * run deterministically without network access.
+ *
+ * Identical requests are replayed in the order they were recorded; once a
+ * key runs out of responses the last one is repeated.
+ */
+class RpcFixture {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode — 'record' or 'replay'
+   * @param {string} options.path — Fixture file location
+   */
+  constructor(options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new Error(`Invalid fixture mode: ${options.mode}. Expected one of: ${MODES.join(', ')}`);
+    }
+    if (!options.path) {
+      throw new Error('Fixture path is required');
+    }
+
+    this.mode = options.mode;
+    this.path = path.resolve(options.path);
+    this.entries = [];
+    this.cursors = new Map();
+
+    if (this.mode === 'replay') {
+      this._load();
+    }
+  }
+
+  static key(chain, method, params) {
+    return JSON.stringify([chain, method, params ?? []]);
+  }
+
+  _load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load RPC fixture ${this.path}: ${err.message}`);
+    }
+    if (data.version !== FIXTURE_VERSION || !Array.isArray(data.entries)) {
+      throw new Error(`Unsupported RPC fixture format in ${this.path}`);
+    }
+    this.entries = data.entries;
+  }
+
+  /**
+   * Persist a request/response pair (record mode).
+   * `response` holds either `result` or `error` from the JSON-RPC envelope.
+   */
+  record(chain, method, params, response) {
+    const entry = { chain, method, params: params ?? [] };
+    if (response.error !== undefined) {
+      entry.error = response.error;
+    } else {
+      entry.result = response.result ?? null;
+    }
+    this.entries.push(entry);
+    this.save();
+  }
+
+  /**
+   * Look up the recorded response for a request (replay mode).
+   * Throws when the request was never recorded.
+   */
+  replay(chain, method, params) {
+    const key = RpcFixture.key(chain, method, params);
+    const matches = this.entries.filter(e => RpcFixture.key(e.chain, e.method, e.params) === key);
+
+    if (matches.length === 0) {
+      throw new Error(`No recorded response in fixture ${this.path} for ${method} on ${chain} with params ${JSON.stringify(params ?? [])}`);
+    }
+
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    return matches[Math.min(cursor, matches.length - 1)];
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      entries: this.entries,
+    }, null, 2));
+  }
+}
+
+module.exports = { RpcFixture };
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Keccak-256 as used by Ethereum (original Keccak padding, not the
+ * NIST SHA3-256 that node:crypto ships). Needed for storage slot and
+ * selector hashes; small inputs only, so a plain BigInt permutation is
+ * fast enough.
+ */
+
+const MASK = (1n << 64n) - 1n;
+const RATE = 136;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+
+// Rotation offsets, indexed by x + 5 * y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14,
+].map(BigInt);
+
+function rotl(value, shift) {
+  return shift === 0n ? value : ((value << shift) | (value >> (64n - shift))) & MASK;
+}
+
+function permute(state) {
+  for (const rc of ROUND_CONSTANTS) {
+    // θ
+    const c = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+    // ρ and π
+    const b = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+    }
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK & b[(x + 2) % 5 + y]);
+      }
+    }
+    // ι
+    state[0] ^= rc;
+  }
+}
+
+/**
+ * @param {Buffer|string} input — Bytes, or a string hashed as UTF-8
+ * @returns {Buffer} 32-byte digest
+ */
+function keccak256(input) {
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  const padded = Buffer.alloc((Math.floor(data.length / RATE) + 1) * RATE);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let i = 0; i < RATE / 8; i++) {
+      state[i] ^= padded.readBigUInt64LE(offset + 8 * i);
+    }
+    permute(state);
+  }
+
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i], 8 * i);
+  return out;
+}
+
+/**
+ * 4-byte function selector of a signature, e.g. `transfer(address,uint256)`
+ */
+function selector(signature) {
+  return '0x' + keccak256(signature).subarray(0, 4).toString('hex');
+}
+
+module.exports = { keccak256, selector };
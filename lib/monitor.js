@@ -0,0 +1,252 @@
+'use strict';
+
+const { SEVERITY_ORDER } = require('./constants');
+
+// Events fetched per history request while paging through a poll's range
+const PAGE_LIMIT = 1000;
+
+// Lowest severity reported for each watchlist alert level
+const MIN_SEVERITY = {
+  all: 'info',
+  high: 'high',
+  critical: 'critical',
+};
+
+/**
+ * Polls watched addresses for new USDC activity and raises alerts.
+ *
+ * Each poll fetches, per watched address and chain, the USDC transfers,
+ * approvals and CCTP burns since the last processed block. Counterparties,
+ * spenders and mint recipients are checked against the scam database and
+ * new transfers run through the PatternDetector. Alerts below the
+ * address's configured level are dropped.
+ */
+class Monitor {
+  /**
+   * @param {Object} components
+   * @param {RpcClient} components.rpc
+   * @param {AddressChecker} components.addressChecker
+   * @param {PatternDetector} components.patternDetector
+   * @param {Watchlist} components.watchlist
+   * @param {Object} [options]
+   * @param {number} [options.interval=15000] — Delay between polls (ms)
+   * @param {number} [options.lookback=0] — Blocks behind the head to scan the first
+   *   time an address is polled on a chain (0: only activity from now on)
+   * @param {Function} [options.onAlert] — Called with each alert (awaited if it returns a promise)
+   * @param {Function} [options.onError] — Called with { address, chain, error } when a
+   *   chain could not be polled; it is retried from the same block next time
+   */
+  constructor(components, options = {}) {
+    this.rpc = components.rpc;
+    this.addressChecker = components.addressChecker;
+    this.patternDetector = components.patternDetector;
+    this.watchlist = components.watchlist;
+    this.interval = options.interval ?? 15000;
+    this.lookback = options.lookback ?? 0;
+    this.onAlert = options.onAlert || (() => {});
+    this.onError = options.onError || (() => {});
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Poll every watched address once. Resolves to the alerts raised.
+   */
+  async poll() {
+    const alerts = [];
+    for (const entry of this.watchlist.list()) {
+      for (const chain of this._chainsFor(entry)) {
+        try {
+          const raised = await this._pollChain(entry, chain);
+          for (const alert of raised) {
+            alerts.push(alert);
+            await this.onAlert(alert);
+          }
+        } catch (error) {
+          this.onError({ address: entry.address, chain, error });
+        }
+      }
+    }
+    return alerts;
+  }
+
+  /**
+   * Poll repeatedly until stop() is called
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      await this.poll().catch(error => this.onError({ error }));
+      if (this.running) this.timer = setTimeout(tick, this.interval);
+    };
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _chainsFor(entry) {
+    const supported = this.rpc.chains.names(this.rpc.network);
+    if (entry.chains.includes('all')) return supported;
+    return entry.chains.filter(chain => supported.includes(chain));
+  }
+
+  async _pollChain(entry, chain) {
+    const head = await this.rpc.getBlockNumber(chain);
+    const cursor = entry.cursors[chain];
+
+    if (cursor === undefined && this.lookback === 0) {
+      this.watchlist.setCursor(entry.address, chain, head);
+      return [];
+    }
+
+    const fromBlock = cursor === undefined ? Math.max(0, head - this.lookback) : cursor + 1;
+    if (fromBlock > head) return [];
+
+    const [transfers, approvals, deposits] = await Promise.all([
+      this._fetchAll(range => this.rpc.getUSDCTransferHistory(chain, entry.address, { ...range, timestamps: true }),
+        'transfers', fromBlock, head),
+      this._fetchAll(range => this.rpc.getUSDCApprovalHistory(chain, entry.address, range), 'approvals', fromBlock, head),
+      this._fetchAll(range => this.rpc.getCCTPDepositHistory(chain, entry.address, range), 'deposits', fromBlock, head),
+    ]);
+
+    const alerts = [
+      ...this._checkTransfers(entry, chain, transfers),
+      ...this._checkApprovals(entry, chain, approvals),
+      ...this._checkDeposits(entry, chain, deposits),
+    ];
+
+    if (transfers.length > 0) {
+      const analysis = await this.patternDetector.analyzePatterns(entry.address, chain, transfers);
+      for (const pattern of analysis.patterns) {
+        alerts.push(this._alert(entry, chain, pattern.type, pattern.severity, pattern.detail, {
+          evidence: pattern.evidence,
+        }));
+      }
+    }
+
+    this.watchlist.setCursor(entry.address, chain, head);
+
+    const minimum = SEVERITY_ORDER.indexOf(MIN_SEVERITY[entry.alerts] || 'high');
+    return alerts.filter(alert => SEVERITY_ORDER.indexOf(alert.severity) >= minimum);
+  }
+
+  /**
+   * Every event of one history between two blocks, oldest first. Pages
+   * back from the newest while a page comes back truncated, so the cursor
+   * never moves past events that were not checked.
+   *
+   * @param {Function} fetch — ({ fromBlock, toBlock, limit }) => history page
+   * @param {string} key — Events property of the page
+   */
+  async _fetchAll(fetch, key, fromBlock, toBlock) {
+    const events = [];
+    let limit = PAGE_LIMIT;
+    while (toBlock >= fromBlock) {
+      const page = await fetch({ fromBlock, toBlock, limit });
+      const complete = page.truncated ? page.scannedFrom : fromBlock;
+      if (complete > toBlock) {
+        // One block holds more events than a page
+        limit *= 2;
+        continue;
+      }
+      events.unshift(...page[key].filter(event => event.blockNumber >= complete));
+      toBlock = complete - 1;
+    }
+    return events;
+  }
+
+  _checkTransfers(entry, chain, transfers) {
+    const alerts = [];
+    for (const tx of transfers) {
+      const outgoing = tx.from.toLowerCase() === entry.address;
+      const counterparty = outgoing ? tx.to : tx.from;
+      const scam = this.addressChecker.checkScamDatabase(counterparty, chain);
+      if (!scam) continue;
+
+      alerts.push(this._alert(entry, chain, 'SCAM_COUNTERPARTY', scamSeverity(scam),
+        `${outgoing ? 'Sent' : 'Received'} ${tx.amountUSDC.toLocaleString()} USDC ${outgoing ? 'to' : 'from'} ${scam.label} ${scamScore(scam)}`,
+        { txHash: tx.txHash, blockNumber: tx.blockNumber, evidence: { counterparty, scamInfo: scam } }));
+    }
+    return alerts;
+  }
+
+  _checkApprovals(entry, chain, approvals) {
+    const alerts = [];
+    for (const approval of approvals) {
+      if (approval.value === '0') continue; // Revocation
+      const amount = approval.unlimited ? 'an unlimited' : `a ${approval.amountUSDC.toLocaleString()} USDC`;
+      const scam = this.addressChecker.checkScamDatabase(approval.spender, chain);
+      const context = { txHash: approval.txHash, blockNumber: approval.blockNumber, evidence: { spender: approval.spender, value: approval.value } };
+
+      if (scam) {
+        alerts.push(this._alert(entry, chain, 'SCAM_APPROVAL', scamSeverity(scam),
+          `Granted ${amount} USDC allowance to ${scam.label} ${scamScore(scam)}`, { ...context, evidence: { ...context.evidence, scamInfo: scam } }));
+      } else if (approval.unlimited) {
+        alerts.push(this._alert(entry, chain, 'UNLIMITED_APPROVAL', 'medium',
+          `Granted an unlimited USDC allowance to ${approval.spender}`, context));
+      }
+    }
+    return alerts;
+  }
+
+  _checkDeposits(entry, chain, deposits) {
+    const alerts = [];
+    for (const deposit of deposits) {
+      const destination = deposit.destinationChain || `domain ${deposit.destinationDomain}`;
+      const context = {
+        txHash: deposit.txHash,
+        blockNumber: deposit.blockNumber,
+        evidence: { mintRecipient: deposit.mintRecipient, destinationChain: destination, amount: deposit.amountUSDC },
+      };
+      // The recipient is minted to on the destination chain; unknown domains match on any chain
+      const scam = deposit.mintRecipient && this.addressChecker.checkScamDatabase(deposit.mintRecipient, deposit.destinationChain ?? undefined);
+
+      if (scam) {
+        alerts.push(this._alert(entry, chain, 'CCTP_BURN_TO_SCAM', scamSeverity(scam),
+          `Bridged ${deposit.amountUSDC.toLocaleString()} USDC to ${scam.label} on ${destination} ${scamScore(scam)}`,
+          { ...context, evidence: { ...context.evidence, scamInfo: scam } }));
+      } else {
+        alerts.push(this._alert(entry, chain, 'CCTP_BURN', 'low',
+          `Bridged ${deposit.amountUSDC.toLocaleString()} USDC to ${deposit.mintRecipient} on ${destination}`, context));
+      }
+    }
+    return alerts;
+  }
+
+  _alert(entry, chain, type, severity, detail, extra = {}) {
+    return {
+      type,
+      severity,
+      address: entry.address,
+      ...(entry.label ? { label: entry.label } : {}),
+      chain,
+      detail,
+      ...extra,
+      detectedAt: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Alert severity of a scam match, from its aged risk score rather than
+ * the severity it was listed with
+ */
+function scamSeverity(scam) {
+  if (scam.riskScore >= 90) return 'critical';
+  if (scam.riskScore >= 70) return 'high';
+  if (scam.riskScore >= 40) return 'medium';
+  if (scam.riskScore >= 10) return 'low';
+  return 'info';
+}
+
+function scamScore(scam) {
+  return `(score ${scam.riskScore}/${scam.baseRiskScore}: ${scam.note ? `${scam.note}; ` : ''}${scam.aging.rationale})`;
+}
+
+module.exports = { Monitor };
@@ -1,6 +1,27 @@
 'use strict';
 
 const { THRESHOLDS, FUNCTION_SELECTORS } = require('./constants');
+const { ChainRegistry } = require('./chains');
+const { TokenSimulator } = require('./token-simulator');
+const { analyzeBytecode } = require('./disassembler');
+const { ProxyDetector } = require('./proxy-detector');
+const { failedCheck } = require('./errors');
+
+const HOUR_MS = 3600000;
+
+// Confidence added per simulation finding. Failing to sell is the
+// honeypot signature; failing to buy usually means a paused token.
+const SIMULATION_WEIGHTS = {
+  SELL_SIMULATION_REVERTED: 60,
+  SELL_RETURNED_FALSE: 50,
+  SELL_HIGH_TAX: 25,
+  TRANSFER_FROM_SIMULATION_REVERTED: 40,
+  TRANSFER_FROM_RETURNED_FALSE: 35,
+  TRANSFER_FROM_HIGH_TAX: 25,
+  BUY_SIMULATION_REVERTED: 10,
+  BUY_RETURNED_FALSE: 10,
+  BUY_HIGH_TAX: 15,
+};
 
 /**
  * Detects suspicious transaction patterns in USDC transactions:
@@ -13,6 +34,9 @@ const { THRESHOLDS, FUNCTION_SELECTORS } = require('./constants');
 class PatternDetector {
   constructor(rpcClient) {
     this.rpc = rpcClient;
+    this.chains = rpcClient.chains || ChainRegistry.default();
+    this.simulator = new TokenSimulator(rpcClient);
+    this.proxyDetector = new ProxyDetector(rpcClient);
   }
 
   /**
@@ -29,10 +53,10 @@ class PatternDetector {
 
     // Run detectors in parallel
     const [washTrade, flashLoan, velocity, circular, largeTransfer] = await Promise.allSettled([
-      this.detectWashTrading(address, transfers),
+      this.detectWashTrading(address, transfers, chain),
       this.detectFlashLoanPatterns(address, chain, transfers),
-      this.detectHighVelocity(address, transfers),
-      this.detectCircularFlows(address, transfers),
+      this.detectHighVelocity(address, transfers, chain),
+      this.detectCircularFlows(address, transfers, chain),
       this.detectLargeTransfers(address, transfers),
     ]);
 
@@ -64,9 +88,10 @@ class PatternDetector {
   }
 
   /**
-   * Detect wash trading: same amounts cycling between a small set of addresses
+   * Detect wash trading: same amounts cycling between a small set of
+   * addresses within WASH_TRADE_TIME_WINDOW_MS of each other
    */
-  async detectWashTrading(address, transfers) {
+  async detectWashTrading(address, transfers, chain = 'ethereum') {
     const addr = address.toLowerCase();
     
     // Group transfers by counterparty
@@ -92,7 +117,8 @@ class PatternDetector {
       for (const sent of flows.sent) {
         for (const received of flows.received) {
           const tolerance = sent.amountUSDC * THRESHOLDS.WASH_TRADE_AMOUNT_TOLERANCE;
-          if (Math.abs(sent.amountUSDC - received.amountUSDC) <= tolerance) {
+          if (Math.abs(sent.amountUSDC - received.amountUSDC) <= tolerance &&
+              this._withinWindow(sent, received, THRESHOLDS.WASH_TRADE_TIME_WINDOW_MS, chain)) {
             matches++;
           }
         }
@@ -187,22 +213,18 @@ class PatternDetector {
   /**
    * Detect abnormally high transaction velocity
    */
-  async detectHighVelocity(address, transfers) {
+  async detectHighVelocity(address, transfers, chain = 'ethereum') {
     if (transfers.length < THRESHOLDS.HIGH_VELOCITY_TXS_PER_HOUR) return null;
 
     // Sort by block number
     const sorted = [...transfers].sort((a, b) => a.blockNumber - b.blockNumber);
     
-    // Sliding window: check for bursts
-    // Approximate: 1 block ≈ 12s on Ethereum, 2s on Base, 0.25s on Arbitrum
-    const blockTimeEstimate = { ethereum: 12, base: 2, arbitrum: 0.25 };
-    
+    // Sliding one-hour window: check for bursts
     let maxInWindow = 0;
     let windowStart = 0;
-    const blocksPerHour = 3600 / (blockTimeEstimate.ethereum || 12); // Conservative
 
     for (let i = 0; i < sorted.length; i++) {
-      while (windowStart < i && sorted[i].blockNumber - sorted[windowStart].blockNumber > blocksPerHour) {
+      while (windowStart < i && !this._withinWindow(sorted[windowStart], sorted[i], HOUR_MS, chain)) {
         windowStart++;
       }
       maxInWindow = Math.max(maxInWindow, i - windowStart + 1);
@@ -215,7 +237,7 @@ class PatternDetector {
       severity: 'medium',
       riskImpact: 20,
       confidence: Math.min(85, 30 + (maxInWindow / THRESHOLDS.HIGH_VELOCITY_TXS_PER_HOUR) * 30),
-      detail: `${maxInWindow} USDC transfers detected within approximately 1 hour window`,
+      detail: `${maxInWindow} USDC transfers detected within ${this._hasTimestamps(sorted) ? 'a' : 'approximately'} 1 hour window`,
       evidence: {
         peakTransfersPerHour: maxInWindow,
         totalTransfers: transfers.length,
@@ -224,9 +246,10 @@ class PatternDetector {
   }
 
   /**
-   * Detect circular fund flows (A -> B -> C -> A)
+   * Detect circular fund flows (A -> B -> C -> A). Only transfers with a
+   * return leg within CIRCULAR_FLOW_TIME_WINDOW_MS count as cycles.
    */
-  async detectCircularFlows(address, transfers) {
+  async detectCircularFlows(address, transfers, chain = 'ethereum') {
     const addr = address.toLowerCase();
     
     // Build adjacency: who did this address send to, and who sent to those addresses?
@@ -251,12 +274,16 @@ class PatternDetector {
         const totalSent = sentTxs.reduce((sum, t) => sum + t.amountUSDC, 0);
         const totalRecv = recvTxs.reduce((sum, t) => sum + t.amountUSDC, 0);
 
+        const window = THRESHOLDS.CIRCULAR_FLOW_TIME_WINDOW_MS;
+        const cycledSent = sentTxs.filter(s => recvTxs.some(r => this._withinWindow(s, r, window, chain)));
+        const cycledRecv = recvTxs.filter(r => sentTxs.some(s => this._withinWindow(s, r, window, chain)));
+
         directCircular.push({
           counterparty: cp,
           totalSent,
           totalReceived: totalRecv,
           netFlow: totalRecv - totalSent,
-          cycleCount: Math.min(sentTxs.length, recvTxs.length),
+          cycleCount: Math.min(cycledSent.length, cycledRecv.length),
         });
       }
     }
@@ -395,47 +422,81 @@ class PatternDetector {
 
   /**
    * Detect honeypot characteristics in a contract
+   *
+   * @param {string} address
+   * @param {string} chain
+   * @param {Object} [options]
+   * @param {boolean} [options.simulate=true] — Simulate buy/sell transfers with eth_call
    */
-  async detectHoneypot(address, chain) {
+  async detectHoneypot(address, chain, options = {}) {
     const result = {
       address: address.toLowerCase(),
       chain,
       isHoneypot: false,
       confidence: 0,
       indicators: [],
+      proxy: null,
+      bytecode: null,
+      simulation: null,
+      incompleteChecks: [],
     };
 
     try {
-      // Check if it's a contract
-      const isContract = await this.rpc.isContract(chain, address);
-      if (!isContract) {
+      const code = await this.rpc.getCode(chain, address);
+      if (!code || code === '0x' || code === '0x0') {
         result.indicators.push('NOT_A_CONTRACT');
         return result;
       }
 
-      // Get contract code
-      const code = await this.rpc.getCode(chain, address);
-      
-      // Heuristic checks on bytecode
-      const codeStr = code.toLowerCase();
-      
-      // Check for selfdestruct opcode (0xff)
-      if (codeStr.includes('ff')) {
-        // This is just an opcode presence — many legit contracts have it
-        // But combined with other indicators it's suspicious
+      // A proxy only forwards calls: judge the implementation's code instead
+      let analyzed = code;
+      try {
+        const resolved = await this.proxyDetector.resolveCode(address, chain, code);
+        analyzed = resolved.code;
+        if (resolved.proxy.isProxy) result.proxy = resolved.proxy;
+      } catch (err) {
+        result.incompleteChecks.push(failedCheck('Proxy Detection', err, chain));
+      }
+      if (result.proxy?.upgradeable) {
+        // The token's rules can be rewritten after people buy in
+        result.indicators.push('UPGRADEABLE_PROXY');
+        result.confidence += 10;
+        if (result.proxy.controlledByEOA) {
+          result.indicators.push('EOA_UPGRADE_ADMIN');
+          result.confidence += 15;
+        }
+      }
+
+      // Opcode-level checks: PUSH data and the metadata trailer are skipped
+      const bytecode = analyzeBytecode(analyzed);
+      result.bytecode = {
+        size: bytecode.size,
+        selectors: bytecode.selectors,
+        opcodes: bytecode.opcodes,
+      };
+
+      if (bytecode.hasSelfdestruct) {
+        // The contract (and the tokens it tracks) can be wiped by whoever reaches it
         result.indicators.push('HAS_SELFDESTRUCT_OPCODE');
+        result.confidence += 10;
+      }
+      if (bytecode.hasCallcode) {
+        // Deprecated; compilers have not emitted it in years
+        result.indicators.push('HAS_CALLCODE_OPCODE');
+        result.confidence += 10;
+      }
+      if (bytecode.hasCreate2) {
+        result.indicators.push('HAS_CREATE2_OPCODE');
       }
 
-      // Check for delegatecall (0xf4) — can be used to change behavior
-      const delegatecallCount = (codeStr.match(/f4/g) || []).length;
-      if (delegatecallCount > 3) {
+      // Delegatecall hands execution to other code — can be used to change behavior
+      if (bytecode.opcodes.DELEGATECALL > 3) {
         result.indicators.push('EXCESSIVE_DELEGATECALL');
         result.confidence += 15;
       }
 
       // Check code size — very small contracts are suspicious for tokens
-      const codeSize = (code.length - 2) / 2; // Remove 0x, each byte = 2 hex chars
-      if (codeSize < 200) {
+      if (bytecode.size < 200) {
         result.indicators.push('SUSPICIOUSLY_SMALL_CONTRACT');
         result.confidence += 20;
       }
@@ -461,6 +522,11 @@ class PatternDetector {
         }
       }
 
+      if (options.simulate !== false) {
+        await this._simulateTransfers(result, address, chain);
+      }
+
+      result.confidence = Math.min(100, result.confidence);
       result.isHoneypot = result.confidence >= 50;
       
     } catch (err) {
@@ -470,6 +536,53 @@ class PatternDetector {
 
     return result;
   }
+
+  /**
+   * Execution-based part of detectHoneypot: each simulation finding
+   * becomes an indicator, with its revert reason kept in `simulation`
+   */
+  async _simulateTransfers(result, address, chain) {
+    try {
+      const simulation = await this.simulator.simulate(address, chain);
+      result.simulation = simulation;
+      if (!simulation.balanceSlot) {
+        result.incompleteChecks.push({
+          check: 'Transfer Simulation',
+          chain,
+          result: 'SKIPPED',
+          detail: 'Skipped — token balances could not be located (not an ERC-20, or a non-standard storage layout)',
+        });
+        return;
+      }
+      for (const finding of simulation.findings) {
+        result.indicators.push(finding.indicator);
+        let weight = SIMULATION_WEIGHTS[finding.indicator] || 0;
+        if (finding.taxPercent >= 50 && finding.step !== 'buy') weight *= 2;
+        result.confidence += weight;
+      }
+    } catch (err) {
+      result.incompleteChecks.push(failedCheck('Transfer Simulation', err, chain));
+    }
+  }
+
+  /**
+   * Whether two transfers happened within `windowMs` of each other.
+   * Uses block timestamps when both transfers have them, otherwise
+   * estimates from the block distance and the chain's block time.
+   * Transfers without either are assumed to be close.
+   */
+  _withinWindow(a, b, windowMs, chain) {
+    if (a.timestamp !== undefined && b.timestamp !== undefined) {
+      return Math.abs(a.timestamp - b.timestamp) <= windowMs;
+    }
+    if (!Number.isFinite(a.blockNumber) || !Number.isFinite(b.blockNumber)) return true;
+    const blockTimeMs = (this.chains.get(chain)?.blockTime || 12) * 1000;
+    return Math.abs(a.blockNumber - b.blockNumber) * blockTimeMs <= windowMs;
+  }
+
+  _hasTimestamps(transfers) {
+    return transfers.length > 0 && transfers.every(t => t.timestamp !== undefined);
+  }
 }
 
 module.exports = { PatternDetector };
@@ -0,0 +1,272 @@
+'use strict';
+
+const { THRESHOLDS, UNLIMITED_APPROVAL_THRESHOLD, PERMIT2_ADDRESS } = require('./constants');
+const { UnsupportedChainError, failedCheck } = require('./errors');
+const { ChainRegistry } = require('./chains');
+const { scamFlag } = require('./address-checker');
+
+const DAY_SECONDS = 86400;
+
+// Permit2 message types: allowance permits set an allowance with an
+// expiration, transfer permits authorize a one-off transfer
+const PERMIT2_TYPES = {
+  PermitSingle: 'PERMIT2_ALLOWANCE',
+  PermitBatch: 'PERMIT2_ALLOWANCE',
+  PermitTransferFrom: 'PERMIT2_TRANSFER',
+  PermitBatchTransferFrom: 'PERMIT2_TRANSFER',
+  PermitWitnessTransferFrom: 'PERMIT2_TRANSFER',
+  PermitBatchWitnessTransferFrom: 'PERMIT2_TRANSFER',
+};
+
+/**
+ * Pre-sign analysis of EIP-712 permit signatures.
+ *
+ * Wallet drainers rarely ask for on-chain approvals; they ask for an
+ * off-chain `permit` signature and submit it themselves. This decodes
+ * USDC EIP-2612 `Permit` and Uniswap Permit2 messages into spender,
+ * tokens, amounts and deadlines, then scores them before the user signs.
+ */
+class PermitAnalyzer {
+  constructor(rpcClient, addressChecker) {
+    this.rpc = rpcClient;
+    this.addressChecker = addressChecker;
+    this.chains = rpcClient.chains || ChainRegistry.default();
+    this.network = rpcClient.network || 'mainnet';
+  }
+
+  /**
+   * Decode EIP-712 typed data (object or JSON string) into a permit
+   *
+   * @param {Object|string} typedData — { domain, primaryType, message, types? }
+   * @param {Object} [options]
+   * @param {string} [options.chain] — Chain name (default: from domain.chainId)
+   * @param {string} [options.owner] — Signer, for Permit2 messages which do not name it
+   * @returns {Object} { kind, primaryType, chain, verifyingContract, owner, spender, tokens, deadline, expiration, nonce }
+   */
+  decode(typedData, options = {}) {
+    const data = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+    if (!data || typeof data !== 'object' || !data.domain || !data.message || !data.primaryType) {
+      throw new Error('Invalid typed data: domain, primaryType and message are required');
+    }
+
+    const { domain, message, primaryType } = data;
+    const chain = options.chain || this._chainFor(domain.chainId);
+    const usdc = this.chains.usdcAddress(chain, this.network)?.toLowerCase();
+    const verifyingContract = lower(domain.verifyingContract);
+    const token = (address, amount) => {
+      const value = toBigInt(amount, 'amount');
+      return {
+        token: lower(address),
+        isUSDC: lower(address) === usdc,
+        amount: value.toString(),
+        amountUSDC: lower(address) === usdc ? Number(value) / 1e6 : null,
+        unlimited: value >= UNLIMITED_APPROVAL_THRESHOLD,
+      };
+    };
+
+    const permit = {
+      kind: null,
+      primaryType,
+      chain,
+      verifyingContract,
+      owner: lower(options.owner) || null,
+      spender: null,
+      tokens: [],
+      deadline: null,
+      expiration: null,
+      nonce: null,
+    };
+
+    if (primaryType === 'Permit') {
+      requireFields(message, ['owner', 'spender', 'value', 'deadline'], primaryType);
+      permit.kind = 'EIP2612';
+      permit.owner = lower(message.owner);
+      permit.spender = lower(message.spender);
+      permit.tokens = [token(verifyingContract, message.value)];
+      permit.deadline = Number(toBigInt(message.deadline, 'deadline'));
+      permit.nonce = message.nonce !== undefined ? toBigInt(message.nonce, 'nonce').toString() : null;
+    } else if (PERMIT2_TYPES[primaryType] === 'PERMIT2_ALLOWANCE') {
+      requireFields(message, ['details', 'spender', 'sigDeadline'], primaryType);
+      const details = [].concat(message.details);
+      permit.kind = 'PERMIT2_ALLOWANCE';
+      permit.spender = lower(message.spender);
+      permit.tokens = details.map(d => token(d.token, d.amount));
+      permit.deadline = Number(toBigInt(message.sigDeadline, 'sigDeadline'));
+      // The allowance lasts until the earliest expiration among the tokens
+      permit.expiration = Math.min(...details.map(d => Number(toBigInt(d.expiration ?? 0, 'expiration'))));
+      permit.nonce = details.length === 1 ? toBigInt(details[0].nonce ?? 0, 'nonce').toString() : null;
+    } else if (PERMIT2_TYPES[primaryType] === 'PERMIT2_TRANSFER') {
+      requireFields(message, ['permitted', 'spender', 'deadline'], primaryType);
+      permit.kind = 'PERMIT2_TRANSFER';
+      permit.spender = lower(message.spender);
+      permit.tokens = [].concat(message.permitted).map(p => token(p.token, p.amount));
+      permit.deadline = Number(toBigInt(message.deadline, 'deadline'));
+      permit.nonce = message.nonce !== undefined ? toBigInt(message.nonce, 'nonce').toString() : null;
+    } else {
+      throw new Error(`Unsupported permit type: ${primaryType}. Expected Permit or a Permit2 message`);
+    }
+
+    if (!/^0x[0-9a-f]{40}$/.test(permit.spender || '')) {
+      throw new Error(`Invalid typed data: spender ${permit.spender} is not an address`);
+    }
+    return permit;
+  }
+
+  /**
+   * Decode and score a permit
+   *
+   * @param {Object|string} typedData
+   * @param {Object} [options] — See decode()
+   * @param {number} [options.now] — Current time (ms), for deadline checks
+   * @returns {Promise<Object>} Decoded permit plus overallScore, level, safe, flags, checks
+   */
+  async analyze(typedData, options = {}) {
+    const permit = this.decode(typedData, options);
+    const now = Math.floor((options.now ?? Date.now()) / 1000);
+    const analysis = {
+      ...permit,
+      overallScore: 0,
+      level: 'CLEAN',
+      safe: true,
+      flags: [],
+      scamMatch: null,
+      checks: [],
+    };
+    const flag = (name, impact, check, result, detail) => {
+      analysis.flags.push(name);
+      analysis.overallScore += impact;
+      analysis.checks.push({ check, result, detail });
+    };
+
+    // 1. Scam database: spender and the contract the signature is for, on the
+    //    chain the permit is signed for — listed on another chain is a warning
+    const scamMatch = this.addressChecker.checkScamDatabase(permit.spender, permit.chain)
+      || (permit.verifyingContract && this.addressChecker.checkScamDatabase(permit.verifyingContract, permit.chain));
+    if (scamMatch) {
+      analysis.scamMatch = scamMatch;
+      if (scamMatch.chainMatch) analysis.safe = false;
+      flag(scamFlag('KNOWN', scamMatch), scamMatch.riskScore, 'Scam Database', scamMatch.chainMatch ? 'FAIL' : 'WARN',
+        scamMatch.chainMatch
+          ? `Known ${scamMatch.category}: ${scamMatch.label}`
+          : `${scamMatch.note}. Known ${scamMatch.category}: ${scamMatch.label}`);
+    } else {
+      analysis.checks.push({ check: 'Scam Database', result: 'PASS', detail: 'Spender not found in known scam address database' });
+    }
+
+    // 2. Verifying contract
+    if (permit.kind === 'EIP2612') {
+      if (!permit.tokens[0].isUSDC) {
+        flag('NOT_USDC', 0, 'Token', 'WARN', `Permit is for ${permit.verifyingContract}, not USDC on ${permit.chain}`);
+      }
+    } else if (permit.verifyingContract !== PERMIT2_ADDRESS.toLowerCase()) {
+      flag('FAKE_PERMIT2', 50, 'Verifying Contract', 'FAIL',
+        `${permit.primaryType} message for ${permit.verifyingContract}, not the canonical Permit2 contract`);
+    }
+
+    // 3. Spender profile
+    const profile = await this.addressChecker.analyzeAddressProfile(permit.spender, permit.chain);
+    analysis.spenderProfile = profile;
+    if (profile.error) {
+      analysis.checks.push(failedCheck('Spender Profile', {
+        name: profile.errorType,
+        retryable: profile.retryable,
+        message: profile.error,
+      }));
+    } else if (!profile.isContract) {
+      flag('EOA_SPENDER', 40, 'Spender Profile', 'FAIL',
+        'Spender is a plain wallet, not a contract — drainers collect permits this way');
+      if (profile.txCount === 0) {
+        flag('FRESH_SPENDER', 15, 'Spender Activity', 'WARN', 'Spender wallet has never sent a transaction');
+      }
+    } else {
+      analysis.checks.push({ check: 'Spender Profile', result: 'PASS', detail: `Contract with ${profile.txCount} transactions` });
+    }
+
+    // 4. Amounts
+    if (permit.tokens.some(t => t.unlimited)) {
+      flag('UNLIMITED_AMOUNT', 25, 'Amount', 'WARN', 'Signature grants an unlimited amount');
+    }
+    if (permit.tokens.length > 1) {
+      flag('MULTI_TOKEN', 10, 'Token Count', 'WARN', `Signature covers ${permit.tokens.length} tokens at once`);
+    }
+    const usdc = permit.tokens.find(t => t.isUSDC);
+    if (usdc && permit.owner) {
+      try {
+        const balance = BigInt(await this.rpc.getUSDCBalance(permit.chain, permit.owner));
+        if (balance > 0n && BigInt(usdc.amount) >= balance) {
+          flag('FULL_BALANCE', 15, 'Balance Coverage', 'WARN',
+            `Amount covers the signer's entire balance ($${(Number(balance) / 1e6).toLocaleString()} USDC)`);
+        }
+      } catch (err) {
+        analysis.checks.push(failedCheck('Balance Coverage', err, permit.chain));
+      }
+    }
+
+    // 5. Deadlines
+    const maxSeconds = THRESHOLDS.PERMIT_MAX_DEADLINE_DAYS * DAY_SECONDS;
+    if (permit.deadline < now) {
+      flag('EXPIRED', 0, 'Deadline', 'WARN', 'Signature deadline has already passed; it cannot be used');
+    } else if (permit.deadline - now > maxSeconds) {
+      flag('LONG_DEADLINE', 15, 'Deadline', 'WARN', `Signature stays usable ${describeDuration(permit.deadline - now)}`);
+    }
+    if (permit.expiration !== null && permit.expiration - now > maxSeconds) {
+      flag('LONG_EXPIRATION', 10, 'Allowance Expiration', 'WARN', `Allowance lasts ${describeDuration(permit.expiration - now)}`);
+    }
+
+    analysis.overallScore = Math.min(100, analysis.overallScore);
+    if (analysis.overallScore >= 90) analysis.level = 'CRITICAL';
+    else if (analysis.overallScore >= 70) analysis.level = 'HIGH';
+    else if (analysis.overallScore >= 40) analysis.level = 'MEDIUM';
+    else if (analysis.overallScore >= 10) analysis.level = 'LOW';
+    if (analysis.overallScore >= 70) analysis.safe = false;
+
+    if (analysis.scamMatch?.chainMatch) {
+      analysis.recommendation = `⛔ DO NOT SIGN. Spender is identified as: ${analysis.scamMatch.label}. ${analysis.scamMatch.details}`;
+    } else if (!analysis.safe) {
+      analysis.recommendation = `🔴 DO NOT SIGN unless you initiated this with a protocol you trust. This signature lets ${permit.spender} move your tokens without another confirmation.`;
+    } else if (analysis.scamMatch) {
+      analysis.recommendation = `🟠 SIGN WITH CAUTION. The same address is listed as ${analysis.scamMatch.label} on ${analysis.scamMatch.chains.join(', ')}. Confirm the spender on ${permit.chain} is not the same party.`;
+    } else if (analysis.overallScore >= 40) {
+      analysis.recommendation = `🟠 SIGN WITH CAUTION. Check the spender and limit the amount and deadline if the site allows it.`;
+    } else {
+      analysis.recommendation = `✅ Permit looks routine. No concerning spender or terms detected.`;
+    }
+
+    return analysis;
+  }
+
+  _chainFor(chainId) {
+    const id = chainId === undefined ? NaN : Number(chainId);
+    const chain = this.chains.byChainId(id, this.network);
+    if (!chain) {
+      throw new UnsupportedChainError(`chain id ${chainId}`, this.chains.names(this.network));
+    }
+    return chain.name;
+  }
+}
+
+function lower(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function toBigInt(value, field) {
+  try {
+    return BigInt(value);
+  } catch {
+    throw new Error(`Invalid typed data: ${field} ${JSON.stringify(value)} is not an integer`);
+  }
+}
+
+function requireFields(message, fields, type) {
+  const missing = fields.filter(field => message[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Invalid ${type} message: missing ${missing.join(', ')}`);
+  }
+}
+
+function describeDuration(seconds) {
+  if (seconds > 100 * 365 * DAY_SECONDS) return 'forever';
+  return `for ${Math.round(seconds / DAY_SECONDS)} days`;
+}
+
+module.exports = { PermitAnalyzer, PERMIT2_TYPES };
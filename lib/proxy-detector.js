@@ -0,0 +1,223 @@
+'use strict';
+
+// Storage slots where proxies keep their implementation and admin
+const SLOTS = {
+  // EIP-1967: keccak256('eip1967.proxy.<name>') - 1
+  implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // EIP-1822: keccak256('PROXIABLE')
+  proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+  // OpenZeppelin (zos) proxies before EIP-1967, e.g. USDC's FiatTokenProxy
+  legacyImplementation: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3',
+  legacyAdmin: '0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b',
+};
+
+const SELECTORS = {
+  implementation: '0x5c60da1b',
+  owner: '0x8da5cb5b',
+  getThreshold: '0xe75235b8',
+  // OpenZeppelin TimelockController, Compound-style Timelock
+  getMinDelay: '0xf27a0c92',
+  delay: '0x6a42b8f8',
+};
+
+// EIP-1167 minimal proxy, and its PUSH0 variant (EIP-7511)
+const MINIMAL_PROXY = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+const MINIMAL_PROXY_PUSH0 = /^0x365f5f375f5f365f73([0-9a-f]{40})5af43d5f5f3e5f3d91602a57fd5bf3$/;
+
+// Owner chains are followed this many hops (proxy admin → owner → ...)
+const MAX_AUTHORITY_DEPTH = 3;
+
+/**
+ * Detects upgradeable and forwarding proxies and resolves who can
+ * upgrade them.
+ *
+ * Recognizes EIP-1967 (implementation, admin and beacon slots), EIP-1822
+ * UUPS, EIP-1167 minimal proxies and legacy OpenZeppelin proxies. The
+ * upgrade authority is the admin slot, the beacon's owner or, for UUPS
+ * style proxies without an admin, the proxy's `owner()`; contract
+ * authorities are followed through their `owner()` until an EOA, a
+ * Safe multisig or a timelock is reached.
+ */
+class ProxyDetector {
+  constructor(rpcClient) {
+    this.rpc = rpcClient;
+  }
+
+  /**
+   * @param {string} address
+   * @param {string} chain
+   * @param {Object} [options]
+   * @param {string} [options.code] — Code at `address`, if already fetched
+   * @returns {Promise<Object>} { address, chain, isProxy, type, implementation, admin, beacon,
+   *   upgradeable, upgradeAuthority, controlledByEOA }
+   */
+  async detect(address, chain, options = {}) {
+    const result = {
+      address: address.toLowerCase(),
+      chain,
+      isProxy: false,
+      type: null,
+      implementation: null,
+      admin: null,
+      beacon: null,
+      upgradeable: false,
+      upgradeAuthority: null,
+      controlledByEOA: false,
+    };
+
+    const code = (options.code ?? await this.rpc.getCode(chain, address) ?? '0x').toLowerCase();
+    if (!hasCode(code)) return result;
+
+    const minimal = code.match(MINIMAL_PROXY) || code.match(MINIMAL_PROXY_PUSH0);
+    if (minimal) {
+      // Implementation is baked into the code: forwards forever, cannot be upgraded
+      return { ...result, isProxy: true, type: 'EIP1167', implementation: '0x' + minimal[1] };
+    }
+
+    const names = Object.keys(SLOTS);
+    const words = await this.rpc.getStorageSlots(chain, address, names.map(name => SLOTS[name]));
+    const slot = Object.fromEntries(names.map((name, i) => [name, wordToAddress(words[i])]));
+
+    if (slot.implementation) {
+      Object.assign(result, { type: 'EIP1967', implementation: slot.implementation, admin: slot.admin });
+    } else if (slot.beacon) {
+      result.type = 'EIP1967_BEACON';
+      result.beacon = slot.beacon;
+      result.implementation = await this._viewAddress(chain, slot.beacon, SELECTORS.implementation);
+    } else if (slot.proxiable) {
+      Object.assign(result, { type: 'EIP1822', implementation: slot.proxiable });
+    } else if (slot.legacyImplementation) {
+      Object.assign(result, { type: 'OZ_LEGACY', implementation: slot.legacyImplementation, admin: slot.legacyAdmin });
+    } else {
+      return result;
+    }
+    result.isProxy = true;
+    result.upgradeable = true;
+
+    // Who can swap the implementation
+    let authority = result.admin;
+    if (!authority) {
+      authority = await this._viewAddress(chain, result.beacon || address, SELECTORS.owner);
+    }
+    if (authority) {
+      result.upgradeAuthority = await this.resolveAuthority(chain, authority);
+      result.controlledByEOA = controller(result.upgradeAuthority).kind === 'eoa';
+    }
+    return result;
+  }
+
+  /**
+   * Bytecode to analyze for `address`: the implementation's when it is a
+   * proxy, since the proxy shell itself is just a DELEGATECALL forwarder
+   *
+   * @returns {Promise<{code: string, proxy: Object}>}
+   */
+  async resolveCode(address, chain, code) {
+    const proxy = await this.detect(address, chain, { code });
+    if (proxy.isProxy && proxy.implementation) {
+      const implementationCode = await this.rpc.getCode(chain, proxy.implementation);
+      if (hasCode(implementationCode)) return { code: implementationCode, proxy };
+    }
+    return { code, proxy };
+  }
+
+  /**
+   * Classify who holds a privilege: an EOA, a Safe multisig, a timelock,
+   * or another contract followed through its `owner()`
+   *
+   * @returns {Promise<Object>} { address, kind: eoa|multisig|timelock|contract, threshold, delay, owner }
+   */
+  async resolveAuthority(chain, address, depth = 0) {
+    const code = await this.rpc.getCode(chain, address);
+    const authority = { address, kind: 'eoa', threshold: null, delay: null, owner: null };
+    if (!hasCode(code)) return authority;
+
+    authority.kind = 'contract';
+    const threshold = await this._view(chain, address, SELECTORS.getThreshold);
+    if (threshold !== null) {
+      const value = BigInt(threshold.slice(0, 66));
+      if (value > 0n && value < 256n) {
+        authority.kind = 'multisig';
+        authority.threshold = Number(value);
+        return authority;
+      }
+    }
+    const delay = await this._view(chain, address, SELECTORS.getMinDelay) ?? await this._view(chain, address, SELECTORS.delay);
+    if (delay !== null) {
+      // Upper bound rules out views that happen to share the name but return something else
+      const value = BigInt(delay.slice(0, 66));
+      if (value <= 365n * 86400n) {
+        authority.kind = 'timelock';
+        authority.delay = Number(value);
+        return authority;
+      }
+    }
+    if (depth + 1 < MAX_AUTHORITY_DEPTH) {
+      const owner = await this._viewAddress(chain, address, SELECTORS.owner);
+      if (owner && owner !== address) {
+        authority.owner = await this.resolveAuthority(chain, owner, depth + 1);
+      }
+    }
+    return authority;
+  }
+
+  /**
+   * Return data of a parameterless view, or null when it reverts or returns nothing
+   */
+  async _view(chain, to, selector) {
+    try {
+      const result = await this.rpc.call(chain, 'eth_call', [{ to, data: selector }, 'latest']);
+      return typeof result === 'string' && result.length >= 66 ? result : null;
+    } catch (err) {
+      if (err.isRevert) return null;
+      throw err;
+    }
+  }
+
+  async _viewAddress(chain, to, selector) {
+    const result = await this._view(chain, to, selector);
+    return result ? wordToAddress(result.slice(0, 66)) : null;
+  }
+}
+
+/**
+ * The end of an authority's owner chain: whoever ultimately decides
+ */
+function controller(authority) {
+  let current = authority;
+  while (current.owner) current = current.owner;
+  return current;
+}
+
+/**
+ * One-line description of an upgrade authority and its owner chain
+ */
+function describeAuthority(authority) {
+  if (!authority) return 'unknown';
+  const self = authority.kind === 'eoa' ? `EOA ${authority.address}`
+    : authority.kind === 'multisig' ? `${authority.threshold}-signature multisig ${authority.address}`
+      : authority.kind === 'timelock' ? `${formatDelay(authority.delay)} timelock ${authority.address}`
+        : `contract ${authority.address}`;
+  return authority.owner ? `${self}, owned by ${describeAuthority(authority.owner)}` : self;
+}
+
+function formatDelay(seconds) {
+  if (seconds >= 86400) return `${+(seconds / 86400).toFixed(1)}-day`;
+  if (seconds >= 3600) return `${+(seconds / 3600).toFixed(1)}-hour`;
+  return `${seconds}-second`;
+}
+
+function hasCode(code) {
+  return Boolean(code) && code !== '0x' && code !== '0x0';
+}
+
+/** Address in the low 20 bytes of a storage word, null when zero */
+function wordToAddress(word) {
+  if (!word || word === '0x') return null;
+  const hex = word.replace(/^0x/, '').padStart(64, '0').slice(-40).toLowerCase();
+  return /^0+$/.test(hex) ? null : '0x' + hex;
+}
+
+module.exports = { ProxyDetector, PROXY_SLOTS: SLOTS, controller, describeAuthority, wordToAddress, hasCode };
@@ -1,6 +1,8 @@
 'use strict';
 
 const { RISK_LEVELS } = require('./constants');
+const { ChainRegistry } = require('./chains');
+const { describeAuthority } = require('./proxy-detector');
 
 /**
  * Formats scan results into human-readable reports.
@@ -38,6 +40,14 @@ class ReportGenerator {
       lines.push(`   Severity: ${sm.severity.toUpperCase()}`);
       lines.push(`   Details: ${sm.details}`);
       lines.push(`   Reported: ${sm.reportedAt}`);
+      if (sm.aging) lines.push(`   Score: ${sm.aging.effectiveScore}/${sm.baseRiskScore} (${sm.aging.rationale})`);
+      lines.push(`   Source: ${sm.source}`);
+      if (sm.note) lines.push(`   ⚠️  ${sm.note}`);
+      lines.push('');
+    }
+
+    if (reputation?.trusted) {
+      lines.push(`🛡️  TRUSTED ENTITY: ${reputation.trusted.label} (${reputation.trusted.category}, source: ${reputation.trusted.source})`);
       lines.push('');
     }
 
@@ -62,6 +72,10 @@ class ReportGenerator {
         if (data.flags && data.flags.length > 0) {
           lines.push(`    Flags: ${data.flags.join(', ')}`);
         }
+        const history = scanResult.transferHistory?.[chain];
+        if (history) {
+          lines.push(`    USDC Transfers Analyzed: ${history.transfers}${history.truncated ? ' (most recent only — older history truncated)' : ''}`);
+        }
       }
       lines.push('');
     }
@@ -80,6 +94,17 @@ class ReportGenerator {
       lines.push('');
     }
 
+    // Contract privileges
+    const privileged = Object.values(scanResult.contracts || {}).filter(c => c.privileges.length > 0);
+    if (privileged.length > 0) {
+      lines.push(`━━━ CONTRACT PRIVILEGES ━━━`);
+      for (const contract of privileged) {
+        lines.push(`  ${this._chainEmoji(contract.chain)} ${contract.chain.toUpperCase()} (+${contract.riskScore})`);
+        lines.push(...this._formatPrivileges(contract.privileges));
+      }
+      lines.push('');
+    }
+
     // CCTP analysis
     if (cctpAnalysis?.summary?.hasCCTPActivity) {
       lines.push(`━━━ CCTP CROSS-CHAIN ANALYSIS ━━━`);
@@ -121,6 +146,13 @@ class ReportGenerator {
       lines.push('');
     }
 
+    // Checks that could not complete (reported, not scored)
+    if (scanResult.incompleteChecks?.length > 0) {
+      lines.push(`━━━ INCOMPLETE CHECKS ━━━`);
+      lines.push(...this._formatIncompleteChecks(scanResult.incompleteChecks));
+      lines.push('');
+    }
+
     // Recommendation
     lines.push(`━━━ RECOMMENDATION ━━━`);
     lines.push(`  ${this._getRecommendation(overallScore, level)}`);
@@ -169,6 +201,22 @@ class ReportGenerator {
       lines.push('');
       lines.push(`🚨 WARNING: ${validation.scamMatch.label}`);
       lines.push(`   ${validation.scamMatch.details}`);
+      if (validation.scamMatch.aging?.effectiveScore < validation.scamMatch.baseRiskScore) {
+        lines.push(`   Aged: ${validation.scamMatch.aging.effectiveScore}/${validation.scamMatch.baseRiskScore} (${validation.scamMatch.aging.rationale})`);
+      }
+      if (validation.scamMatch.note) lines.push(`   ⚠️  ${validation.scamMatch.note}`);
+    }
+
+    if (validation.trusted) {
+      lines.push('');
+      lines.push(`🛡️  Trusted entity: ${validation.trusted.label} (${validation.trusted.category}, source: ${validation.trusted.source})`);
+    }
+
+    const incomplete = (validation.checks || []).filter(c => c.result === 'SKIPPED' || c.result === 'ERROR');
+    if (incomplete.length > 0) {
+      lines.push('');
+      lines.push(`Incomplete checks (not scored):`);
+      lines.push(...this._formatIncompleteChecks(incomplete));
     }
 
     lines.push('');
@@ -202,8 +250,17 @@ class ReportGenerator {
 
     if (reputation.scamMatch) {
       lines.push(`🚨 DATABASE MATCH: ${reputation.scamMatch.label}`);
-      lines.push(`   Category: ${reputation.scamMatch.category}`);
+      lines.push(`   Category: ${reputation.scamMatch.category} (source: ${reputation.scamMatch.source})`);
       lines.push(`   ${reputation.scamMatch.details}`);
+      if (reputation.scamMatch.aging) {
+        lines.push(`   Score: ${reputation.scamMatch.aging.effectiveScore}/${reputation.scamMatch.baseRiskScore} (${reputation.scamMatch.aging.rationale})`);
+      }
+      if (reputation.scamMatch.note) lines.push(`   ⚠️  ${reputation.scamMatch.note}`);
+      lines.push('');
+    }
+
+    if (reputation.trusted) {
+      lines.push(`🛡️  TRUSTED ENTITY: ${reputation.trusted.label} (${reputation.trusted.category}, source: ${reputation.trusted.source})`);
       lines.push('');
     }
 
@@ -212,12 +269,280 @@ class ReportGenerator {
       lines.push(`${this._chainEmoji(chain)} ${chain.toUpperCase()}: ${profile.txCount} txs | $${(profile.usdcBalanceFormatted || 0).toLocaleString()} USDC | ${profile.isContract ? 'Contract' : 'EOA'}`);
     }
 
+    if (reputation.incompleteChecks?.length > 0) {
+      lines.push('');
+      lines.push(`Incomplete checks (not scored):`);
+      lines.push(...this._formatIncompleteChecks(reputation.incompleteChecks));
+    }
+
+    lines.push('');
+    lines.push(`─── LobSec Security · lobsec.org ───`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format pre-sign permit analysis
+   */
+  static formatPermitAnalysis(analysis) {
+    const { kind, primaryType, chain, spender, tokens, deadline, overallScore, safe, recommendation } = analysis;
+    const riskInfo = RISK_LEVELS[analysis.level] || RISK_LEVELS.CLEAN;
+
+    const lines = [];
+    lines.push(`╔══════════════════════════════════════════════════╗`);
+    lines.push(`║  PERMIT SIGNATURE CHECK                         ║`);
+    lines.push(`╚══════════════════════════════════════════════════╝`);
+    lines.push('');
+    lines.push(`✍️  Type: ${primaryType} (${kind})`);
+    lines.push(`${this._chainEmoji(chain)} Chain: ${chain}`);
+    lines.push(`📍 Spender: ${spender}`);
+    for (const t of tokens) {
+      const amount = t.unlimited ? 'UNLIMITED' : t.isUSDC ? `$${t.amountUSDC.toLocaleString()} USDC` : `${t.amount} (raw)`;
+      lines.push(`💰 ${t.isUSDC ? 'USDC' : t.token}: ${amount}`);
+    }
+    // Beyond the largest representable Date, i.e. uint256/uint48 max
+    const never = deadline * 1000 > 8.64e15;
+    lines.push(`⏰ Deadline: ${never ? 'never' : new Date(deadline * 1000).toISOString().replace(/\.000Z$/, 'Z')}`);
+    lines.push(`📊 Risk Score: ${overallScore}/100 ${riskInfo.emoji} ${riskInfo.label}`);
+    lines.push('');
+    lines.push(safe ? `✅ SIGNATURE APPEARS SAFE` : `⛔ DO NOT SIGN`);
+    lines.push('');
+    lines.push(`Recommendation: ${recommendation}`);
+
+    const findings = analysis.checks.filter(c => c.result === 'FAIL' || c.result === 'WARN');
+    if (findings.length > 0) {
+      lines.push('');
+      for (const c of findings) {
+        lines.push(`  ${c.result === 'FAIL' ? '🔴' : '🟠'} ${c.check}: ${c.detail}`);
+      }
+    }
+
+    const incomplete = analysis.checks.filter(c => c.result === 'SKIPPED' || c.result === 'ERROR');
+    if (incomplete.length > 0) {
+      lines.push('');
+      lines.push(`Incomplete checks (not scored):`);
+      lines.push(...this._formatIncompleteChecks(incomplete));
+    }
+
+    lines.push('');
+    lines.push(`─── LobSec Security · lobsec.org ───`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format unsigned transaction pre-flight, one line per decoded action
+   */
+  static formatTransactionValidation(result) {
+    const { to, chain, method, actions, overallScore, safe, recommendation } = result;
+    const riskInfo = RISK_LEVELS[result.level] || RISK_LEVELS.CLEAN;
+
+    const lines = [];
+    lines.push(`╔══════════════════════════════════════════════════╗`);
+    lines.push(`║  TRANSACTION PRE-FLIGHT CHECK                   ║`);
+    lines.push(`╚══════════════════════════════════════════════════╝`);
+    lines.push('');
+    lines.push(`📍 To: ${to}`);
+    lines.push(`${this._chainEmoji(chain)} Chain: ${chain}`);
+    lines.push(`🔧 Method: ${method || (result.selector ? `unknown (${result.selector})` : 'value transfer')}`);
+    lines.push(`📊 Risk Score: ${overallScore}/100 ${riskInfo.emoji} ${riskInfo.label}`);
+    lines.push('');
+
+    if (actions.length > 0) {
+      lines.push(`━━━ ACTIONS ━━━`);
+      for (const a of actions) {
+        const actionInfo = a.validation
+          ? Object.values(RISK_LEVELS).find(r => a.validation.overallScore >= r.min && a.validation.overallScore <= r.max) || RISK_LEVELS.CLEAN
+          : RISK_LEVELS.CLEAN;
+        const amount = a.unlimited ? 'UNLIMITED'
+          : a.amountUSDC !== null ? `$${a.amountUSDC.toLocaleString()} USDC`
+            : a.amount !== null ? `${a.amount} (raw)` : '';
+        const where = a.chain && a.chain !== chain ? ` → ${a.chain}` : a.chain ? '' : ' → unknown chain';
+        lines.push(`  ${actionInfo.emoji} ${a.method || a.type} ${a.role} ${a.address || '?'}${where}${amount ? ` ${amount}` : ''}`);
+        if (a.path.length > 0) {
+          lines.push(`    via ${a.path.join(' › ')}`);
+        }
+        if (a.validation?.flags.length > 0) {
+          lines.push(`    Flags: ${a.validation.flags.join(', ')}`);
+        }
+      }
+      lines.push('');
+    }
+
+    lines.push(safe ? `✅ TRANSACTION APPEARS SAFE` : `⛔ DO NOT SIGN`);
+    lines.push('');
+    lines.push(`Recommendation: ${recommendation}`);
+
+    if (result.flags.length > 0) {
+      lines.push('');
+      lines.push(`Flags: ${result.flags.join(', ')}`);
+    }
+
+    const incomplete = actions.flatMap(a => (a.validation?.checks || []).filter(c => c.result === 'SKIPPED' || c.result === 'ERROR'));
+    if (incomplete.length > 0) {
+      lines.push('');
+      lines.push(`Incomplete checks (not scored):`);
+      lines.push(...this._formatIncompleteChecks(incomplete));
+    }
+
     lines.push('');
     lines.push(`─── LobSec Security · lobsec.org ───`);
 
     return lines.join('\n');
   }
 
+  /**
+   * Format contract privilege report
+   */
+  static formatContractReport(report) {
+    const { address, chain, riskScore, proxy, owner, roles } = report;
+    const riskInfo = RISK_LEVELS[report.level] || RISK_LEVELS.CLEAN;
+    const lines = [];
+
+    lines.push(`╔══════════════════════════════════════════════════╗`);
+    lines.push(`║  CONTRACT PRIVILEGE REPORT                      ║`);
+    lines.push(`╚══════════════════════════════════════════════════╝`);
+    lines.push('');
+    lines.push(`📍 Contract: ${address}`);
+    lines.push(`${this._chainEmoji(chain)} Chain: ${chain}`);
+    lines.push(`📊 Risk Score: ${riskScore}/100 ${riskInfo.emoji} ${riskInfo.label}`);
+    lines.push('');
+
+    if (!report.isContract) {
+      lines.push(`ℹ️ No contract code at this address`);
+      lines.push('');
+      lines.push(`─── LobSec Security · lobsec.org ───`);
+      return lines.join('\n');
+    }
+
+    lines.push(`━━━ CONTROL ━━━`);
+    if (proxy) {
+      lines.push(`  Proxy: ${proxy.type} → ${proxy.implementation || 'unknown implementation'}`);
+    }
+    lines.push(`  Owner: ${report.ownershipRenounced ? 'renounced' : owner ? describeAuthority(owner) : 'none found'}`);
+    for (const { role, holder } of roles) {
+      lines.push(`  ${role}: ${describeAuthority(holder)}`);
+    }
+    if (report.accessControl && roles.length === 0) {
+      lines.push(`  AccessControl roles: members not enumerable`);
+    }
+    lines.push('');
+
+    if (report.privileges.length > 0) {
+      lines.push(`━━━ PRIVILEGED FUNCTIONS ━━━`);
+      lines.push(...this._formatPrivileges(report.privileges));
+      lines.push('');
+    } else {
+      lines.push(`✅ No privileged functions found in the dispatch table`);
+      lines.push('');
+    }
+
+    if (report.incompleteChecks.length > 0) {
+      lines.push(`Incomplete checks (not scored):`);
+      lines.push(...this._formatIncompleteChecks(report.incompleteChecks));
+      lines.push('');
+    }
+
+    lines.push(`─── LobSec Security · lobsec.org ───`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a scam database diff
+   */
+  static formatScamDatabaseDiff(diff) {
+    const { added, removed, changed } = diff;
+    const describe = e => `${e.label} (${e.category}, ${e.severity}) on ${e.chain.join(', ')}`;
+    const lines = [];
+
+    lines.push(`Scam database ${diff.from} → ${diff.to}`);
+    lines.push(`  Added: ${added.length}  Removed: ${removed.length}  Changed: ${changed.length}`);
+    if (added.length > 0) {
+      lines.push('');
+      lines.push(`━━━ ADDED ━━━`);
+      for (const { address, entry } of added) lines.push(`  + ${address}  ${describe(entry)}`);
+    }
+    if (removed.length > 0) {
+      lines.push('');
+      lines.push(`━━━ REMOVED ━━━`);
+      for (const { address, entry } of removed) lines.push(`  - ${address}  ${describe(entry)}`);
+    }
+    if (changed.length > 0) {
+      lines.push('');
+      lines.push(`━━━ CHANGED ━━━`);
+      for (const { address, fields, before, after } of changed) {
+        lines.push(`  ~ ${address}  ${after.label}`);
+        for (const field of fields) {
+          const value = v => Array.isArray(v) ? v.join(', ') : v;
+          lines.push(`    ${field}: ${value(before[field])} → ${value(after[field])}`);
+        }
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format USDC allowance inventory, riskiest spender first
+   */
+  static formatApprovalReport(inventory) {
+    const { owner, spenders, revoked, summary } = inventory;
+    const lines = [];
+
+    lines.push(`╔══════════════════════════════════════════════════╗`);
+    lines.push(`║  USDC ALLOWANCE INVENTORY                       ║`);
+    lines.push(`╚══════════════════════════════════════════════════╝`);
+    lines.push('');
+    lines.push(`📍 Owner: ${owner}`);
+    lines.push(`🔓 Active allowances: ${summary.active} (${summary.unlimited} unlimited, ${summary.risky} risky)`);
+    lines.push(`💰 USDC at risk: $${summary.totalExposureUSDC.toLocaleString()}`);
+    lines.push('');
+
+    if (spenders.length > 0) {
+      lines.push(`━━━ SPENDERS ━━━`);
+      for (const s of spenders) {
+        const riskInfo = RISK_LEVELS[s.level] || RISK_LEVELS.CLEAN;
+        const amount = s.unlimited ? 'UNLIMITED' : `$${s.allowanceUSDC.toLocaleString()}`;
+        const name = s.scamMatch?.label || s.contract?.name;
+        lines.push(`  ${riskInfo.emoji} ${this._chainEmoji(s.chain)} ${s.spender}${name ? ` (${name})` : ''}`);
+        lines.push(`    Allowance: ${amount} | Exposure: $${s.exposureUSDC.toLocaleString()} | Risk: ${s.riskScore}/100`);
+        if (s.flags.length > 0) {
+          lines.push(`    Flags: ${s.flags.join(', ')}`);
+        }
+      }
+      lines.push('');
+    } else {
+      lines.push(`✅ No active USDC allowances`);
+      lines.push('');
+    }
+
+    const toRevoke = spenders.filter(s => s.riskScore >= 40 || s.flags.includes('STALE_APPROVAL'));
+    if (toRevoke.length > 0) {
+      lines.push(`━━━ REVOKE ━━━`);
+      lines.push(`  Call approve(spender, 0) on USDC for:`);
+      for (const s of toRevoke) {
+        lines.push(`  • ${s.spender} on ${s.chain}`);
+      }
+      lines.push('');
+    }
+
+    if (revoked.length > 0) {
+      lines.push(`Previously approved, now revoked: ${revoked.length}`);
+      lines.push('');
+    }
+
+    if (inventory.incompleteChecks?.length > 0) {
+      lines.push(`Incomplete checks (not scored):`);
+      lines.push(...this._formatIncompleteChecks(inventory.incompleteChecks));
+      lines.push('');
+    }
+
+    lines.push(`─── LobSec Security · lobsec.org ───`);
+
+    return lines.join('\n');
+  }
+
   /**
    * Render a visual risk meter
    */
@@ -237,13 +562,22 @@ class ReportGenerator {
     return `  Risk: [${asciiBar}] ${score}/100`;
   }
 
+  static _formatPrivileges(privileges) {
+    const emoji = { eoa: '🔴', unknown: '🟠', contract: '🟠', multisig: '🟡', timelock: '🟡', renounced: '⚪' };
+    return privileges.flatMap(p => [
+      `  ${emoji[p.holderKind]} ${p.category}: ${p.functions.join(', ')}`,
+      `    Held by: ${p.holderKind === 'renounced' ? 'nobody (ownership renounced)' : p.holder ? describeAuthority(p.holder) : 'unknown'}`,
+    ]);
+  }
+
+  static _formatIncompleteChecks(checks) {
+    return checks.map(c =>
+      `  ${c.result === 'SKIPPED' ? '⏭️' : '❗'} ${c.result} ${c.check}${c.chain ? ` (${c.chain})` : ''}: ${c.detail}`
+    );
+  }
+
   static _chainEmoji(chain) {
-    const emojis = {
-      ethereum: '⟠',
-      base: '🔵',
-      arbitrum: '🔷',
-    };
-    return emojis[chain] || '⛓️';
+    return ChainRegistry.default().get(chain)?.emoji || '⛓️';
   }
 
   static _getRecommendation(score, level) {
@@ -2,97 +2,495 @@
 
 const https = require('https');
 const http = require('http');
-const contractsData = require('../data/contracts.json');
+const { RpcFixture } = require('./fixture');
+const { EndpointPool } = require('./endpoint-pool');
+const { DiskCache } = require('./disk-cache');
+const { ChainRegistry } = require('./chains');
+const { RequestScheduler } = require('./scheduler');
+const { WsRpcClient } = require('./ws-rpc');
+const {
+  TRANSFER_EVENT_TOPIC,
+  APPROVAL_EVENT_TOPIC,
+  DEPOSIT_FOR_BURN_TOPIC,
+  UNLIMITED_APPROVAL_THRESHOLD,
+} = require('./constants');
+const {
+  UnsupportedChainError,
+  RpcTimeoutError,
+  RpcNetworkError,
+  RpcRateLimitError,
+  RpcProviderError,
+  RpcParseError,
+  isJsonRpcRateLimit,
+  fromJsonRpcError,
+} = require('./errors');
+
+// Block headers requested per batch when resolving timestamps
+const TIMESTAMP_BATCH_SIZE = 50;
+
+// Calls per JSON-RPC batch payload; public providers reject larger ones
+const MAX_BATCH_SIZE = 50;
 
 /**
  * Minimal JSON-RPC client — zero external dependencies.
- * Supports Ethereum, Base, and Arbitrum via public RPCs or Alchemy.
+ * Talks to every chain in the ChainRegistry (Ethereum, Base and Arbitrum
+ * out of the box) via public RPCs or Alchemy.
+ *
+ * Each chain has an ordered list of endpoints. Requests fail over to the
+ * next endpoint on timeouts, network errors, HTTP 429/5xx and JSON-RPC
+ * errors (except reverts), and every endpoint keeps a health score so
+ * flaky providers are tried last.
+ *
+ * Pass `fixture: { mode: 'record' | 'replay', path }` to record live
+ * traffic to a file or serve responses from one without network access,
+ * and `cache: true` to keep immutable chain data on disk across runs.
+ *
+ * Live events (new heads, USDC transfers, CCTP burns) stream over a
+ * WebSocket connection per chain via the `subscribe*` methods.
  */
 class RpcClient {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.testnet=false] — Use Sepolia networks
+   * @param {string} [options.alchemyKey] — Alchemy key, tried before public RPCs
+   * @param {ChainRegistry} [options.chains] — Chain registry (default: bundled chains
+   *   plus the user chain config)
+   * @param {string} [options.chainConfig] — Path of a chain config file to load
+   * @param {Object} [options.endpoints] — Per-chain endpoint lists replacing the
+   *   bundled public RPCs: { base: ['https://...', { url, headers: { Authorization } }] }
+   * @param {number} [options.timeout=30000] — Per-request timeout (ms)
+   * @param {Object} [options.retry] — Retries for transient failures:
+   *   { retries: 2, baseDelay: 500, maxDelay: 8000 } (ms, jittered exponential backoff)
+   * @param {number} [options.rateLimitDelay=250] — Average delay between requests per
+   *   endpoint (ms); sets the default scheduler rate
+   * @param {Object} [options.scheduler] — Per-endpoint limits: { rate (req/s), burst,
+   *   maxInFlight }. Endpoint specs may override them individually.
+   * @param {number} [options.logChunkSize=2000] — Initial eth_getLogs block range
+   * @param {number} [options.maxLogChunkSize=1000000] — Largest eth_getLogs block range
+   * @param {number} [options.maxLogQueries=50] — Chunk requests per history lookup
+   * @param {number} [options.maxBatchSize=50] — Calls per batch payload; larger
+   *   batches are sent in several
+   * @param {Object} [options.wsEndpoints] — Per-chain WebSocket endpoint lists replacing
+   *   the chain registry's `ws` URLs
+   * @param {Object} [options.ws] — WsRpcClient options: { pingInterval, reconnect }
+   * @param {Object} [options.fixture] — Record/replay settings
+   * @param {boolean|Object} [options.cache] — Disk cache: true, or { dir, ttl } where
+   *   `ttl` (ms, default 60000) applies to mutable state such as balances
+   */
   constructor(options = {}) {
     this.endpoints = {};
     this.useTestnet = options.testnet ?? false;
+    this.network = this.useTestnet ? 'sepolia' : 'mainnet';
+    this.chains = options.chains
+      || (options.chainConfig ? ChainRegistry.load({ configPath: options.chainConfig }) : ChainRegistry.default());
     this.alchemyKey = options.alchemyKey || process.env.ALCHEMY_API_KEY;
     this.requestId = 0;
+    this.timeout = options.timeout ?? 30000;
     this.rateLimitDelay = options.rateLimitDelay ?? 250; // ms between requests
-    this.lastRequestTime = {};
+    this.scheduler = new RequestScheduler({
+      rate: this.rateLimitDelay > 0 ? 1000 / this.rateLimitDelay : Infinity,
+      ...options.scheduler,
+    });
+    this.logChunkSize = options.logChunkSize ?? 2000;
+    this.maxLogChunkSize = options.maxLogChunkSize ?? 1000000;
+    this.maxLogQueries = options.maxLogQueries ?? 50;
+    this.maxBatchSize = options.maxBatchSize ?? MAX_BATCH_SIZE;
+    this.fixture = options.fixture ? new RpcFixture(options.fixture) : null;
+    this.cache = options.cache ? new DiskCache(options.cache === true ? {} : options.cache) : null;
+    this.cacheTtl = options.cache?.ttl ?? 60000;
+    this.latestBlock = {};
+    this.blockTimestamps = {};
+    this.retry = { retries: 2, baseDelay: 500, maxDelay: 8000, ...options.retry };
+    this.wsEndpoints = options.wsEndpoints || {};
+    this.wsOptions = options.ws || {};
+    this.sockets = {};
     
-    this._initEndpoints();
+    this._initEndpoints(options.endpoints || {});
   }
 
-  _initEndpoints() {
-    const network = this.useTestnet ? 'sepolia' : 'mainnet';
-    
-    for (const chain of ['ethereum', 'base', 'arbitrum']) {
-      if (this.alchemyKey) {
-        const alchemyChain = chain === 'ethereum' ? 'eth' : chain === 'base' ? 'base' : 'arb';
-        const alchemyNet = this.useTestnet ? 'sepolia' : 'mainnet';
-        this.endpoints[chain] = `https://${alchemyChain}-${alchemyNet}.g.alchemy.com/v2/${this.alchemyKey}`;
+  _initEndpoints(overrides) {
+    for (const chain of this.chains.names()) {
+      const spec = this.chains.get(chain);
+      let list;
+      if (overrides[chain]) {
+        list = [].concat(overrides[chain]);
       } else {
-        this.endpoints[chain] = contractsData.rpcEndpoints[chain][network];
+        list = [...this.chains.rpcEndpoints(chain, this.network)];
+        if (this.alchemyKey && spec.alchemy) {
+          list.unshift({
+            url: `https://${spec.alchemy}-${this.network}.g.alchemy.com/v2/${this.alchemyKey}`,
+            label: `alchemy:${spec.alchemy}-${this.network}`,
+          });
+        }
       }
-      this.lastRequestTime[chain] = 0;
+      // Chains without endpoints on this network (e.g. mainnet-only) stay unsupported
+      if (list.length === 0) continue;
+      this.endpoints[chain] = new EndpointPool(chain, list);
     }
   }
 
-  async _rateLimit(chain) {
-    const now = Date.now();
-    const elapsed = now - this.lastRequestTime[chain];
-    if (elapsed < this.rateLimitDelay) {
-      await new Promise(r => setTimeout(r, this.rateLimitDelay - elapsed));
+  /**
+   * Health of every endpoint, for one chain or all of them
+   */
+  getEndpointHealth(chain) {
+    if (chain) {
+      if (!this.endpoints[chain]) throw new UnsupportedChainError(chain, Object.keys(this.endpoints));
+      return this.endpoints[chain].stats();
+    }
+    const health = {};
+    for (const [name, pool] of Object.entries(this.endpoints)) {
+      health[name] = pool.stats();
     }
-    this.lastRequestTime[chain] = Date.now();
+    return health;
+  }
+
+  /**
+   * Queue depth and throughput of every endpoint, for one chain or all of them
+   */
+  getSchedulerStats(chain) {
+    const statsFor = pool => pool.endpoints.map(ep => ({ endpoint: ep.label, ...this.scheduler.stats(ep) }));
+    if (chain) {
+      if (!this.endpoints[chain]) throw new UnsupportedChainError(chain, Object.keys(this.endpoints));
+      return statsFor(this.endpoints[chain]);
+    }
+    const stats = {};
+    for (const [name, pool] of Object.entries(this.endpoints)) {
+      stats[name] = statsFor(pool);
+    }
+    return stats;
+  }
+
+  /**
+   * Run `fn` with all of its RPC requests queued in the given priority
+   * lane ('high', 'normal' or 'low')
+   */
+  withPriority(priority, fn) {
+    return this.scheduler.withPriority(priority, fn);
   }
 
   /**
    * Send a raw JSON-RPC request
    */
   async call(chain, method, params = []) {
+    const [response] = await this._exchange(chain, [{ method, params }]);
+    return this._unwrap(chain, response, method);
+  }
+
+  /**
+   * Start a JSON-RPC 2.0 batch: queue calls with `add()` and send them
+   * as a single array payload with `send()`.
+   */
+  batch(chain) {
+    return new RpcBatch(this, chain);
+  }
+
+  /**
+   * Send one or more calls and return their response envelopes in order.
+   * Calls answered by the disk cache are not sent; the rest go out as a
+   * plain object (one call) or a batch array (several).
+   */
+  async _exchange(chain, calls) {
     if (!this.endpoints[chain]) {
-      throw new Error(`Unsupported chain: ${chain}`);
+      throw new UnsupportedChainError(chain, Object.keys(this.endpoints));
+    }
+
+    if (this.fixture?.mode === 'replay') {
+      return calls.map(({ method, params }) => this.fixture.replay(chain, method, params));
     }
 
-    await this._rateLimit(chain);
+    const responses = new Array(calls.length);
+    const pending = [];
+    calls.forEach((call, i) => {
+      const hit = this.cache?.get(this._cacheKey(chain, call));
+      if (hit) {
+        responses[i] = { result: hit.value };
+      } else {
+        pending.push(i);
+      }
+    });
 
-    const payload = JSON.stringify({
+    if (pending.length > 0) {
+      const fresh = await this._withRetry(chain, () => this._send(chain, pending.map(i => calls[i])));
+      pending.forEach((callIndex, j) => {
+        responses[callIndex] = fresh[j];
+      });
+      if (this.cache) {
+        await this._storeInCache(chain, pending.map(i => calls[i]), fresh);
+      }
+    }
+
+    if (this.fixture?.mode === 'record') {
+      responses.forEach((response, i) => {
+        if (!response.missing) {
+          this.fixture.record(chain, calls[i].method, calls[i].params, response);
+        }
+      });
+    }
+
+    return responses;
+  }
+
+  /**
+   * Send calls over the network, failing over between endpoints
+   */
+  async _send(chain, calls) {
+    const requests = calls.map(({ method, params }) => ({
       jsonrpc: '2.0',
       id: ++this.requestId,
       method,
       params,
+    }));
+
+    const single = requests.length === 1;
+    const payload = JSON.stringify(single ? requests[0] : requests);
+    const method = single ? requests[0].method : `batch(${requests.length})`;
+    const pool = this.endpoints[chain];
+
+    let responses = null;
+    let lastError = null;
+
+    for (const endpoint of pool.ordered()) {
+      let started;
+      try {
+        // Latency is measured from dispatch, not from when the request was queued
+        const json = await this.scheduler.run(endpoint, () => {
+          started = Date.now();
+          return this._post(chain, endpoint, payload, method);
+        }, endpoint.limits);
+        responses = single ? [json] : this._matchBatch(chain, requests, json);
+      } catch (err) {
+        pool.reportFailure(endpoint, err);
+        lastError = err;
+        continue;
+      }
+
+      const failed = responses.find(r => r.error && this._shouldFailover(r.error));
+      if (!failed) {
+        pool.reportSuccess(endpoint, Date.now() - started);
+        break;
+      }
+      // Keep the error responses in case every endpoint agrees
+      pool.reportFailure(endpoint, fromJsonRpcError(failed.error, { chain, method, endpoint: endpoint.label }));
+    }
+
+    if (!responses) throw lastError;
+
+    for (let i = 0; i < calls.length; i++) {
+      if (calls[i].method === 'eth_blockNumber' && responses[i].result) {
+        this.latestBlock[chain] = { number: parseInt(responses[i].result, 16), seenAt: Date.now() };
+      }
+    }
+
+    return responses;
+  }
+
+  _cacheKey(chain, { method, params }) {
+    return `${chain}:${this.network}:${method}:${JSON.stringify(params ?? [])}`;
+  }
+
+  /**
+   * Cache successful responses according to how mutable they are:
+   * - receipts, transactions, blocks and logs at or below the finalized
+   *   height are kept forever
+   * - anything at 'latest' (balances, nonces, code, calls) and not yet
+   *   finalized data lives for `cacheTtl`
+   * - the chain head and unknown methods are never cached
+   */
+  async _storeInCache(chain, calls, responses) {
+    for (let i = 0; i < calls.length; i++) {
+      const { method, params = [] } = calls[i];
+      const { result, error } = responses[i];
+      if (error || result === null || result === undefined) continue;
+
+      let block;
+      switch (method) {
+        case 'eth_chainId':
+        case 'eth_getBlockByHash':
+          this.cache.set(this._cacheKey(chain, calls[i]), result, null);
+          continue;
+        case 'eth_getTransactionByHash':
+        case 'eth_getTransactionReceipt':
+          // Pending transactions have no block yet
+          if (!result.blockNumber) continue;
+          block = parseInt(result.blockNumber, 16);
+          break;
+        case 'eth_getBlockByNumber':
+          block = this._resolveBlock(params[0], null);
+          break;
+        case 'eth_getLogs':
+          block = this._resolveBlock(params[0]?.toBlock ?? 'latest', null);
+          break;
+        case 'eth_getCode':
+        case 'eth_getBalance':
+        case 'eth_getTransactionCount':
+        case 'eth_getStorageAt':
+        case 'eth_call':
+          block = this._resolveBlock(params[params.length - 1] ?? 'latest', null);
+          break;
+        default:
+          continue;
+      }
+
+      const final = block !== null && await this._isFinalized(chain, block);
+      this.cache.set(this._cacheKey(chain, calls[i]), result, final ? null : this.cacheTtl);
+    }
+  }
+
+  /**
+   * Whether a block is deep enough below the head to be safe from reorgs.
+   * Uses the most recent known head, refreshing it once a minute.
+   */
+  async _isFinalized(chain, block) {
+    const head = this.latestBlock[chain];
+    if (!head || Date.now() - head.seenAt > 60000) {
+      try {
+        await this.getBlockNumber(chain);
+      } catch {
+        return false;
+      }
+    }
+    // No known head (e.g. eth_blockNumber answered null): nothing is final yet
+    const latest = this.latestBlock[chain]?.number;
+    if (!Number.isFinite(latest)) return false;
+    const depth = this.chains.get(chain)?.finalityBlocks ?? 1000;
+    return block <= latest - depth;
+  }
+
+  /**
+   * Whether a JSON-RPC error is worth retrying on another endpoint.
+   * Reverts, malformed requests and eth_getLogs ranges that are too large
+   * are deterministic: they would fail the same way everywhere and say
+   * nothing about the endpoint's health (getLogsPaged provokes the last
+   * on purpose to size its chunks).
+   */
+  _shouldFailover(error) {
+    if (error.code === 3 || error.code === -32600 || error.code === -32602) return false;
+    return !/revert|block range|range (is )?too (large|wide|big)|too many (results|logs|blocks)|more than \d+ (results|logs)|query returned more than/i
+      .test(error.message || '');
+  }
+
+  /**
+   * Pair batch responses with their requests by id (order is not guaranteed)
+   */
+  _matchBatch(chain, requests, json) {
+    if (!Array.isArray(json)) {
+      // Providers without batch support answer with a single error object
+      throw new RpcProviderError(`RPC error (${chain}): ${json?.error?.message || 'batch requests not supported'}`, {
+        chain,
+        method: 'batch',
+        code: json?.error?.code,
+      });
+    }
+
+    const byId = new Map(json.map(response => [response.id, response]));
+    return requests.map(req => byId.get(req.id) || {
+      missing: true,
+      error: { message: `No response for ${req.method} (id ${req.id}) in batch` },
     });
+  }
 
+  /**
+   * Extract the result from a JSON-RPC response envelope
+   */
+  _unwrap(chain, json, method) {
+    if (json.error) {
+      throw fromJsonRpcError(json.error, { chain, method });
+    }
+    return json.result;
+  }
+
+  /**
+   * Run `attempt` until it succeeds, retrying transient failures with
+   * jittered exponential backoff. Responses where every endpoint said
+   * "rate limited" count as failures too.
+   */
+  async _withRetry(chain, attempt) {
+    for (let n = 0; ; n++) {
+      let error;
+      try {
+        const responses = await attempt();
+        const limited = responses.find(r => r.error && isJsonRpcRateLimit(r.error));
+        if (!limited || n >= this.retry.retries) return responses;
+        error = fromJsonRpcError(limited.error, { chain });
+      } catch (err) {
+        if (!err.retryable || n >= this.retry.retries) throw err;
+        error = err;
+      }
+      await new Promise(r => setTimeout(r, this._backoffDelay(n, error)));
+    }
+  }
+
+  /**
+   * Delay before retry `n` (0-based): exponential with equal jitter,
+   * never shorter than a server-provided Retry-After.
+   */
+  _backoffDelay(n, err) {
+    const { baseDelay, maxDelay } = this.retry;
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** n);
+    const delay = ceiling / 2 + Math.random() * ceiling / 2;
+    return Math.max(delay, err?.retryAfterMs ?? 0);
+  }
+
+  /**
+   * POST a serialized payload to an endpoint and parse the response.
+   * HTTP 429 and 5xx are rejected so the caller can fail over.
+   */
+  _post(chain, endpoint, payload, method) {
     return new Promise((resolve, reject) => {
-      const url = new URL(this.endpoints[chain]);
+      const url = new URL(endpoint.url);
       const transport = url.protocol === 'https:' ? https : http;
       
       const req = transport.request(url, {
         method: 'POST',
         headers: {
+          ...endpoint.headers,
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(payload),
         },
-        timeout: 30000,
+        timeout: endpoint.timeout ?? this.timeout,
       }, (res) => {
         let data = '';
         res.on('data', chunk => data += chunk);
         res.on('end', () => {
+          const details = { chain, method, endpoint: endpoint.label };
+          if (res.statusCode === 429) {
+            const retryAfter = Number(res.headers['retry-after']);
+            reject(new RpcRateLimitError(`HTTP 429 from ${chain} endpoint ${endpoint.label}`, {
+              ...details,
+              retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+            }));
+            return;
+          }
+          if (res.statusCode >= 500) {
+            reject(new RpcProviderError(`HTTP ${res.statusCode} from ${chain} endpoint ${endpoint.label}`, {
+              ...details,
+              httpStatus: res.statusCode,
+            }));
+            return;
+          }
           try {
-            const json = JSON.parse(data);
-            if (json.error) {
-              reject(new Error(`RPC error (${chain}): ${json.error.message || JSON.stringify(json.error)}`));
-            } else {
-              resolve(json.result);
-            }
+            resolve(JSON.parse(data));
           } catch (e) {
-            reject(new Error(`Failed to parse RPC response from ${chain}: ${e.message}`));
+            reject(new RpcParseError(`Failed to parse RPC response from ${chain} endpoint ${endpoint.label}: ${e.message}`, details));
           }
         });
       });
 
-      req.on('error', reject);
+      req.on('error', (err) => {
+        reject(new RpcNetworkError(`RPC connection to ${chain} endpoint ${endpoint.label} failed: ${err.message}`, {
+          chain,
+          method,
+          endpoint: endpoint.label,
+          cause: err,
+        }));
+      });
       req.on('timeout', () => {
+        reject(new RpcTimeoutError(`RPC timeout for ${chain} endpoint ${endpoint.label}`, {
+          chain,
+          method,
+          endpoint: endpoint.label,
+        }));
         req.destroy();
-        reject(new Error(`RPC timeout for ${chain}`));
       });
       req.write(payload);
       req.end();
@@ -128,6 +526,19 @@ class RpcClient {
     return this.call(chain, 'eth_getCode', [address, 'latest']);
   }
 
+  /**
+   * Read several storage slots of a contract in one batch
+   *
+   * @returns {Promise<string[]>} 32-byte words, in slot order
+   */
+  async getStorageSlots(chain, address, slots, block = 'latest') {
+    const batch = this.batch(chain);
+    for (const slot of slots) {
+      batch.add('eth_getStorageAt', [address, slot, block]);
+    }
+    return batch.send();
+  }
+
   /**
    * Check if address is a contract
    */
@@ -140,52 +551,274 @@ class RpcClient {
    * Get ERC-20 balance (USDC)
    */
   async getUSDCBalance(chain, address) {
-    const network = this.useTestnet ? 'sepolia' : 'mainnet';
-    const usdcAddress = contractsData.usdc[chain]?.[network];
-    if (!usdcAddress) return '0';
+    const params = this._usdcBalanceParams(chain, address);
+    if (!params) return '0';
+
+    const result = await this.call(chain, 'eth_call', params);
+    return result ? BigInt(result).toString() : '0';
+  }
+
+  /**
+   * eth_call params for USDC balanceOf(address), or null if USDC is not deployed
+   */
+  _usdcBalanceParams(chain, address) {
+    const usdcAddress = this.chains.usdcAddress(chain, this.network);
+    if (!usdcAddress) return null;
 
     // balanceOf(address) selector = 0x70a08231
     const paddedAddress = address.toLowerCase().replace('0x', '').padStart(64, '0');
-    const data = `0x70a08231${paddedAddress}`;
+    return [{ to: usdcAddress, data: `0x70a08231${paddedAddress}` }, 'latest'];
+  }
 
-    const result = await this.call(chain, 'eth_call', [
-      { to: usdcAddress, data },
-      'latest',
-    ]);
+  /**
+   * Get the USDC amount `spender` may still transfer from `owner`
+   */
+  async getUSDCAllowance(chain, owner, spender) {
+    const params = this._usdcAllowanceParams(chain, owner, spender);
+    if (!params) return '0';
 
+    const result = await this.call(chain, 'eth_call', params);
     return result ? BigInt(result).toString() : '0';
   }
 
   /**
-   * Get USDC transfer logs for an address
+   * eth_call params for USDC allowance(owner, spender), or null if USDC is not deployed
+   */
+  _usdcAllowanceParams(chain, owner, spender) {
+    const usdcAddress = this.chains.usdcAddress(chain, this.network);
+    if (!usdcAddress) return null;
+
+    // allowance(address,address) selector = 0xdd62ed3e
+    const data = '0xdd62ed3e' + padTopic(owner).slice(2) + padTopic(spender).slice(2);
+    return [{ to: usdcAddress, data }, 'latest'];
+  }
+
+  /**
+   * Fetch code, nonce, USDC balance and native balance in a single batch
+   */
+  async getAddressSnapshot(chain, address) {
+    const batch = this.batch(chain);
+    const usdcParams = this._usdcBalanceParams(chain, address);
+
+    batch.add('eth_getCode', [address, 'latest']);
+    batch.add('eth_getTransactionCount', [address, 'latest']);
+    batch.add('eth_getBalance', [address, 'latest']);
+    if (usdcParams) batch.add('eth_call', usdcParams);
+
+    const [code, nonceHex, balanceHex, usdcHex] = await batch.send();
+
+    return {
+      isContract: Boolean(code && code !== '0x' && code !== '0x0'),
+      txCount: parseInt(nonceHex, 16),
+      balance: BigInt(balanceHex).toString(),
+      usdcBalance: usdcHex ? BigInt(usdcHex).toString() : '0',
+    };
+  }
+
+  /**
+   * Get USDC transfer logs for an address (newest `limit`, oldest first)
    */
   async getUSDCTransfers(chain, address, fromBlock = 'earliest', toBlock = 'latest', limit = 100) {
-    const network = this.useTestnet ? 'sepolia' : 'mainnet';
-    const usdcAddress = contractsData.usdc[chain]?.[network];
-    if (!usdcAddress) return [];
-
-    const paddedAddress = '0x' + address.toLowerCase().replace('0x', '').padStart(64, '0');
-    const transferTopic = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-
-    // Get transfers FROM this address
-    const sentLogs = await this.call(chain, 'eth_getLogs', [{
-      address: usdcAddress,
-      topics: [transferTopic, paddedAddress],
-      fromBlock: typeof fromBlock === 'number' ? '0x' + fromBlock.toString(16) : fromBlock,
-      toBlock: typeof toBlock === 'number' ? '0x' + toBlock.toString(16) : toBlock,
-    }]).catch(() => []);
-
-    // Get transfers TO this address
-    const receivedLogs = await this.call(chain, 'eth_getLogs', [{
-      address: usdcAddress,
-      topics: [transferTopic, null, paddedAddress],
-      fromBlock: typeof fromBlock === 'number' ? '0x' + fromBlock.toString(16) : fromBlock,
-      toBlock: typeof toBlock === 'number' ? '0x' + toBlock.toString(16) : toBlock,
-    }]).catch(() => []);
-
-    const allLogs = [...(sentLogs || []), ...(receivedLogs || [])];
-    
-    return allLogs.slice(0, limit).map(log => ({
+    const history = await this.getUSDCTransferHistory(chain, address, { fromBlock, toBlock, limit });
+    return history.transfers;
+  }
+
+  /**
+   * Get the newest USDC transfers for an address within a block range.
+   *
+   * Walks backwards from `toBlock` in adaptive chunks until `limit`
+   * transfers are found or the range is exhausted. `truncated` is true
+   * when older transfers in the range were not returned.
+   *
+   * @param {string} chain
+   * @param {string} address
+   * @param {Object} [options]
+   * @param {number|string} [options.fromBlock='earliest']
+   * @param {number|string} [options.toBlock='latest']
+   * @param {number} [options.limit=100]
+   * @param {boolean} [options.timestamps=false] — Add block `timestamp` (ms) to each transfer
+   * @returns {Promise<{transfers: Object[], truncated: boolean, fromBlock: number, toBlock: number}>}
+   */
+  async getUSDCTransferHistory(chain, address, options = {}) {
+    const usdcAddress = this.chains.usdcAddress(chain, this.network);
+    if (!usdcAddress) {
+      return { transfers: [], truncated: false, fromBlock: null, toBlock: null };
+    }
+
+    // Transfers FROM and TO this address
+    const { logs, ...page } = await this.getLogsPaged(chain, this._transferFilters(usdcAddress, address), options);
+
+    let transfers = logs.map(log => this._parseTransferLog(log));
+
+    if (options.timestamps) {
+      try {
+        transfers = await this.addBlockTimestamps(chain, transfers);
+      } catch {
+        // Pattern windows fall back to block-time estimates
+      }
+    }
+
+    return { ...page, transfers };
+  }
+
+  /**
+   * eth_getLogs over a block range with adaptive chunking.
+   *
+   * All `filters` are queried for each chunk in one batch. Chunks shrink
+   * when the provider rejects a range and grow again while results are
+   * sparse. Logs are de-duplicated, sorted by block/logIndex and the
+   * newest `limit` returned oldest first. Every log from `scannedFrom`
+   * up is included; `truncated` is true when that is above `fromBlock`.
+   *
+   * @param {string} chain
+   * @param {Object[]} filters — eth_getLogs filters without block range
+   * @param {Object} [options]
+   * @param {number|string} [options.fromBlock='earliest']
+   * @param {number|string} [options.toBlock='latest']
+   * @param {number} [options.limit=100]
+   * @param {number} [options.maxQueries] — Stop after this many chunk requests
+   * @returns {Promise<{logs: Object[], truncated: boolean, fromBlock: number, toBlock: number, scannedFrom: number}>}
+   */
+  async getLogsPaged(chain, filters, options = {}) {
+    const limit = options.limit ?? 100;
+    const maxQueries = options.maxQueries ?? this.maxLogQueries;
+    const fromBlock = this._resolveBlock(options.fromBlock ?? 'earliest', 0);
+    const toBlock = this._resolveBlock(options.toBlock ?? 'latest', null) ?? await this.getBlockNumber(chain);
+
+    const found = new Map();
+    let chunkSize = this.logChunkSize;
+    let hi = toBlock;
+    let queries = 0;
+
+    while (hi >= fromBlock && queries < maxQueries) {
+      const lo = Math.max(fromBlock, hi - chunkSize + 1);
+      const range = { fromBlock: '0x' + lo.toString(16), toBlock: '0x' + hi.toString(16) };
+
+      const batch = this.batch(chain);
+      for (const filter of filters) {
+        batch.add('eth_getLogs', [{ ...filter, ...range }]);
+      }
+
+      let results;
+      queries++;
+      try {
+        results = await batch.send();
+      } catch (err) {
+        if (!this._isLogRangeError(err) || chunkSize === 1) throw err;
+        chunkSize = Math.max(1, Math.floor(chunkSize / 2));
+        continue;
+      }
+
+      let chunkCount = 0;
+      for (const log of results.flat()) {
+        if (!log) continue;
+        found.set(`${log.transactionHash}:${log.logIndex}`, log);
+        chunkCount++;
+      }
+
+      hi = lo - 1;
+      if (found.size >= limit) break;
+      if (chunkCount < limit / 4) {
+        chunkSize = Math.min(this.maxLogChunkSize, chunkSize * 2);
+      }
+    }
+
+    const newestFirst = [...found.values()].sort((a, b) =>
+      (parseInt(b.blockNumber, 16) - parseInt(a.blockNumber, 16)) ||
+      (parseInt(b.logIndex, 16) - parseInt(a.logIndex, 16))
+    );
+
+    // Logs above the newest one left out are complete
+    const scannedFrom = found.size > limit ? parseInt(newestFirst[limit].blockNumber, 16) + 1 : Math.max(fromBlock, hi + 1);
+
+    return {
+      logs: newestFirst.slice(0, limit).reverse(),
+      truncated: scannedFrom > fromBlock,
+      fromBlock,
+      toBlock,
+      scannedFrom,
+    };
+  }
+
+  /**
+   * Errors providers return when an eth_getLogs range is too large
+   */
+  _isLogRangeError(err) {
+    return /block range|range (is )?too (large|wide|big)|too many (results|logs|blocks)|more than \d+ (results|logs)|response size|query returned more than|limit exceeded|exceeds? (the )?(max|limit)|timeout|timed out/i
+      .test(err.message);
+  }
+
+  /**
+   * Normalize a block tag: numbers and hex strings become numbers,
+   * 'earliest'/'latest' become the given fallback.
+   */
+  _resolveBlock(block, fallback) {
+    if (typeof block === 'number') return block;
+    if (block === 'earliest' || block === 'latest' || block === undefined) return fallback;
+    return parseInt(block, 16);
+  }
+
+  /**
+   * Get CCTP DepositForBurn events (cross-chain transfers) by a depositor
+   */
+  async getCCTPDeposits(chain, address, fromBlock = 'earliest', toBlock = 'latest') {
+    const history = await this.getCCTPDepositHistory(chain, address, { fromBlock, toBlock });
+    return history.deposits;
+  }
+
+  /**
+   * Get the newest CCTP burns by `depositor` within a block range
+   *
+   * @param {string} chain
+   * @param {string} depositor
+   * @param {Object} [options] — fromBlock, toBlock, limit as for getLogsPaged()
+   * @returns {Promise<{deposits: Object[], truncated: boolean, fromBlock: number, toBlock: number}>}
+   */
+  async getCCTPDepositHistory(chain, depositor, options = {}) {
+    const tokenMessenger = this.chains.tokenMessenger(chain, this.network);
+    if (!tokenMessenger) {
+      return { deposits: [], truncated: false, fromBlock: null, toBlock: null };
+    }
+
+    const { logs, ...page } = await this.getLogsPaged(chain, [
+      { address: tokenMessenger, topics: [DEPOSIT_FOR_BURN_TOPIC, null, null, padTopic(depositor)] },
+    ], options);
+    return { ...page, deposits: logs.map(log => this._parseDepositLog(chain, log)) };
+  }
+
+  /**
+   * Get the newest USDC Approval events granted by `owner` within a block range
+   *
+   * @param {string} chain
+   * @param {string} owner
+   * @param {Object} [options] — fromBlock, toBlock, limit as for getLogsPaged()
+   * @returns {Promise<{approvals: Object[], truncated: boolean, fromBlock: number, toBlock: number}>}
+   */
+  async getUSDCApprovalHistory(chain, owner, options = {}) {
+    const usdcAddress = this.chains.usdcAddress(chain, this.network);
+    if (!usdcAddress) {
+      return { approvals: [], truncated: false, fromBlock: null, toBlock: null };
+    }
+
+    const { logs, ...page } = await this.getLogsPaged(chain, [
+      { address: usdcAddress, topics: [APPROVAL_EVENT_TOPIC, padTopic(owner)] },
+    ], options);
+    return { ...page, approvals: logs.map(log => this._parseApprovalLog(log)) };
+  }
+
+  /**
+   * eth_getLogs filters for USDC transfers from and to `address`
+   */
+  _transferFilters(usdcAddress, address) {
+    const padded = padTopic(address);
+    return [
+      { address: usdcAddress, topics: [TRANSFER_EVENT_TOPIC, padded] },
+      { address: usdcAddress, topics: [TRANSFER_EVENT_TOPIC, null, padded] },
+    ];
+  }
+
+  _parseTransferLog(log) {
+    return {
       txHash: log.transactionHash,
       blockNumber: parseInt(log.blockNumber, 16),
       from: '0x' + (log.topics[1] || '').slice(26),
@@ -193,32 +826,142 @@ class RpcClient {
       amount: log.data ? BigInt(log.data).toString() : '0',
       amountUSDC: log.data ? Number(BigInt(log.data)) / 1e6 : 0,
       logIndex: parseInt(log.logIndex, 16),
-    }));
+      ...(log.removed ? { removed: true } : {}),
+    };
+  }
+
+  _parseApprovalLog(log) {
+    const value = log.data && log.data !== '0x' ? BigInt(log.data) : 0n;
+    return {
+      txHash: log.transactionHash,
+      blockNumber: parseInt(log.blockNumber, 16),
+      owner: '0x' + (log.topics[1] || '').slice(26),
+      spender: '0x' + (log.topics[2] || '').slice(26),
+      value: value.toString(),
+      amountUSDC: Number(value) / 1e6,
+      unlimited: value >= UNLIMITED_APPROVAL_THRESHOLD,
+      logIndex: parseInt(log.logIndex, 16),
+    };
   }
 
   /**
-   * Get CCTP DepositForBurn events (cross-chain transfers)
+   * Decode a DepositForBurn log:
+   * topics [sig, nonce, burnToken, depositor],
+   * data (amount, mintRecipient, destinationDomain, destinationTokenMessenger, destinationCaller)
    */
-  async getCCTPDeposits(chain, address, fromBlock = 'earliest', toBlock = 'latest') {
-    const network = this.useTestnet ? 'sepolia' : 'mainnet';
-    const tokenMessenger = contractsData.cctp?.tokenMessenger?.[chain]?.[network];
-    if (!tokenMessenger) return [];
-
-    const depositTopic = '0x2fa9ca894982930190727e75500a97d8dc500233a5065e0f3126c48fbe0343c0';
-
-    const logs = await this.call(chain, 'eth_getLogs', [{
-      address: tokenMessenger,
-      topics: [depositTopic],
-      fromBlock: typeof fromBlock === 'number' ? '0x' + fromBlock.toString(16) : fromBlock,
-      toBlock: typeof toBlock === 'number' ? '0x' + toBlock.toString(16) : toBlock,
-    }]).catch(() => []);
+  _parseDepositLog(chain, log) {
+    const words = (log.data || '0x').slice(2).match(/.{64}/g) || [];
+    const amount = words[0] ? BigInt('0x' + words[0]) : 0n;
+    const destinationDomain = words[2] ? parseInt(words[2], 16) : null;
 
-    return (logs || []).map(log => ({
+    return {
       txHash: log.transactionHash,
       blockNumber: parseInt(log.blockNumber, 16),
       sourceChain: chain,
+      nonce: log.topics[1] ? BigInt(log.topics[1]).toString() : null,
+      depositor: log.topics[3] ? '0x' + log.topics[3].slice(26) : null,
+      amount: amount.toString(),
+      amountUSDC: Number(amount) / 1e6,
+      mintRecipient: words[1] ? '0x' + words[1].slice(24) : null,
+      destinationDomain,
+      destinationChain: destinationDomain === null ? null : this.chains.byDomain(destinationDomain)?.name ?? null,
+      ...(log.removed ? { removed: true } : {}),
       raw: log,
-    }));
+    };
+  }
+
+  /**
+   * WebSocket client for a chain, connected on first use
+   */
+  websocket(chain) {
+    if (!this.endpoints[chain]) {
+      throw new UnsupportedChainError(chain, Object.keys(this.endpoints));
+    }
+    if (!this.sockets[chain]) {
+      let list;
+      if (this.wsEndpoints[chain]) {
+        list = [].concat(this.wsEndpoints[chain]);
+      } else {
+        const spec = this.chains.get(chain);
+        list = [...(spec.ws[this.network] || [])];
+        if (this.alchemyKey && spec.alchemy) {
+          list.unshift({
+            url: `wss://${spec.alchemy}-${this.network}.g.alchemy.com/v2/${this.alchemyKey}`,
+            label: `alchemy:${spec.alchemy}-${this.network}`,
+          });
+        }
+      }
+      this.sockets[chain] = new WsRpcClient(chain, list, { timeout: this.timeout, ...this.wsOptions });
+    }
+    return this.sockets[chain];
+  }
+
+  /**
+   * Stream new block headers: { number, hash, timestamp (ms) }
+   */
+  subscribeNewHeads(chain) {
+    return this.websocket(chain).subscribe('newHeads', [], {
+      transform: head => ({
+        number: parseInt(head.number, 16),
+        hash: head.hash,
+        timestamp: parseInt(head.timestamp, 16) * 1000,
+      }),
+    });
+  }
+
+  /**
+   * Stream USDC transfers as they are mined, in the same shape as
+   * getUSDCTransferHistory(). With `address`, only transfers from or to
+   * it; otherwise every USDC transfer on the chain. Logs undone by a
+   * reorg arrive again with `removed: true`.
+   *
+   * @example
+   *   for await (const transfer of rpc.subscribeUSDCTransfers('base', { address })) { ... }
+   */
+  subscribeUSDCTransfers(chain, options = {}) {
+    const usdcAddress = this.chains.usdcAddress(chain, this.network);
+    const filters = options.address
+      ? this._transferFilters(usdcAddress, options.address)
+      : [{ address: usdcAddress, topics: [TRANSFER_EVENT_TOPIC] }];
+
+    // A self-transfer matches both filters; deliver it once
+    const seen = new Set();
+    return this.websocket(chain).subscribeAll(filters.map(f => ['logs', f]), {
+      transform: log => {
+        const key = `${log.transactionHash}:${log.logIndex}:${log.removed ? 1 : 0}`;
+        if (seen.has(key)) return null;
+        seen.add(key);
+        if (seen.size > 1000) seen.delete(seen.values().next().value);
+        return this._parseTransferLog(log);
+      },
+    });
+  }
+
+  /**
+   * Stream CCTP DepositForBurn events (USDC burned for a cross-chain
+   * transfer), optionally only those by `depositor`
+   */
+  subscribeCCTPDeposits(chain, options = {}) {
+    const tokenMessenger = this.chains.tokenMessenger(chain, this.network);
+    if (!tokenMessenger) {
+      throw new Error(`CCTP is not configured for ${chain}`);
+    }
+    const topics = options.depositor
+      ? [DEPOSIT_FOR_BURN_TOPIC, null, null, padTopic(options.depositor)]
+      : [DEPOSIT_FOR_BURN_TOPIC];
+    return this.websocket(chain).subscribe('logs', [{ address: tokenMessenger, topics }], {
+      transform: log => this._parseDepositLog(chain, log),
+    });
+  }
+
+  /**
+   * Close WebSocket connections (HTTP requests need no cleanup)
+   */
+  close() {
+    for (const socket of Object.values(this.sockets)) {
+      socket.close();
+    }
+    this.sockets = {};
   }
 
   /**
@@ -246,6 +989,99 @@ class RpcClient {
       : blockNumber;
     return this.call(chain, 'eth_getBlockByNumber', [blockHex, full]);
   }
+
+  /**
+   * Resolve block numbers to timestamps (ms since epoch).
+   *
+   * Headers are fetched in batches and remembered per chain, so repeated
+   * lookups for the same blocks cost nothing. Blocks the node does not
+   * know are left out of the returned map.
+   *
+   * @param {string} chain
+   * @param {number[]} blockNumbers
+   * @returns {Promise<Map<number, number>>}
+   */
+  async getBlockTimestamps(chain, blockNumbers) {
+    const known = this.blockTimestamps[chain] || (this.blockTimestamps[chain] = new Map());
+    const missing = [...new Set(blockNumbers)].filter(n => Number.isInteger(n) && !known.has(n));
+
+    for (let i = 0; i < missing.length; i += TIMESTAMP_BATCH_SIZE) {
+      const batch = this.batch(chain);
+      const chunk = missing.slice(i, i + TIMESTAMP_BATCH_SIZE);
+      for (const n of chunk) {
+        batch.add('eth_getBlockByNumber', ['0x' + n.toString(16), false]);
+      }
+      const blocks = await batch.send();
+      blocks.forEach((block, j) => {
+        if (block?.timestamp) known.set(chunk[j], parseInt(block.timestamp, 16) * 1000);
+      });
+    }
+
+    const result = new Map();
+    for (const n of blockNumbers) {
+      if (known.has(n)) result.set(n, known.get(n));
+    }
+    return result;
+  }
+
+  /**
+   * Copy of `transfers` with a `timestamp` (ms) added from their block
+   */
+  async addBlockTimestamps(chain, transfers) {
+    const timestamps = await this.getBlockTimestamps(chain, transfers.map(t => t.blockNumber));
+    return transfers.map(t => (timestamps.has(t.blockNumber) ? { ...t, timestamp: timestamps.get(t.blockNumber) } : t));
+  }
+}
+
+/**
+ * Left-pad an address to a 32-byte log topic
+ */
+function padTopic(address) {
+  return '0x' + address.toLowerCase().replace('0x', '').padStart(64, '0');
+}
+
+/**
+ * A queue of JSON-RPC calls for one chain, sent as a single batch payload.
+ * Responses are matched to calls by id and returned in the order added.
+ *
+ * @example
+ *   const batch = rpc.batch('base');
+ *   batch.add('eth_blockNumber');
+ *   batch.add('eth_getBalance', [address, 'latest']);
+ *   const [blockHex, balanceHex] = await batch.send();
+ */
+class RpcBatch {
+  constructor(client, chain) {
+    this.client = client;
+    this.chain = chain;
+    this.calls = [];
+  }
+
+  get size() {
+    return this.calls.length;
+  }
+
+  /**
+   * Queue a call. Returns its index in the results array.
+   */
+  add(method, params = []) {
+    this.calls.push({ method, params });
+    return this.calls.length - 1;
+  }
+
+  /**
+   * Send all queued calls, in payloads of at most the client's
+   * `maxBatchSize`. Resolves to the results in order, or rejects with the
+   * first JSON-RPC error.
+   */
+  async send() {
+    const calls = this.calls.splice(0);
+    const responses = [];
+    for (let i = 0; i < calls.length; i += this.client.maxBatchSize) {
+      responses.push(...await this.client._exchange(this.chain, calls.slice(i, i + this.client.maxBatchSize)));
+    }
+    return responses.map((response, i) => this.client._unwrap(this.chain, response, calls[i].method));
+  }
 }
 
-module.exports = { RpcClient };
+module.exports = { RpcClient, RpcBatch };
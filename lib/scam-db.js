@@ -0,0 +1,421 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SEVERITY_WEIGHTS, SCAM_DECAY_POLICIES } = require('./constants');
+const { ChainRegistry } = require('./chains');
+
+const BUNDLED_PATH = path.join(__dirname, '..', 'data', 'scam-addresses.json');
+
+const CATEGORIES = [
+  'exploit', 'scam', 'phishing', 'sanctioned', 'laundering', 'burn', 'flash-loan-source',
+  'mev', 'wash-trading', 'suspicious',
+];
+// Accepted so older layers still load, but never matched: `context` marked
+// known infrastructure, which now belongs in the trusted registry
+const LEGACY_CATEGORIES = ['context'];
+const SEVERITIES = Object.keys(SEVERITY_WEIGHTS);
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const DATE_RE = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+const DAY_MS = 86400000;
+
+// Problems listed in a load error before the rest are summarized
+const MAX_REPORTED_PROBLEMS = 10;
+
+/**
+ * A scam database file failed to parse or validate. `problems` lists
+ * every invalid field as `<address>.<field>: <reason>`.
+ */
+class ScamDatabaseError extends Error {
+  constructor(file, problems) {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS).map(p => `\n  ${p}`).join('');
+    const more = problems.length > MAX_REPORTED_PROBLEMS ? `\n  ... and ${problems.length - MAX_REPORTED_PROBLEMS} more` : '';
+    super(`Invalid scam database ${file}: ${problems.length} problem${problems.length === 1 ? '' : 's'}${shown}${more}`);
+    this.name = 'ScamDatabaseError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Known scam addresses, layered from several database files.
+ *
+ * The bundled `data/scam-addresses.json` is the bottom layer. Further
+ * layers — an org-private list, local overrides — come from
+ * `options.paths`, else $USDC_SCANNER_SCAM_DBS (separated like PATH),
+ * else ~/.config/lobsec-usdc-scanner/scam-addresses.json when it
+ * exists. Every layer has the bundled shape:
+ *
+ *   {
+ *     "_meta": { "name": "acme-private" },
+ *     "addresses": {
+ *       "0x...": { "label", "category", "severity", "chain": [...], "details", "reportedAt",
+ *                  "expiresAt"?, "confidence"?, "lastSeenActive"? }
+ *     },
+ *     "suppress": { "0x...": "Reason the entry below is wrong" }
+ *   }
+ *
+ * An entry replaces the same address from lower layers; `suppress`
+ * removes it. Each layer is validated as a whole and rejected with a
+ * ScamDatabaseError listing every problem. Matches record the layer
+ * they came from in `source`.
+ *
+ * Entries age: see `age()` for how the decay policy of their category,
+ * `confidence` and `expiresAt` turn the severity weight into a score.
+ */
+class ScamDatabase {
+  /**
+   * @param {Object} [options]
+   * @param {ChainRegistry} [options.chains] — Chains entries may name (default: bundled + user config)
+   * @param {Object} [options.decayPolicies] — Per-category overrides of SCAM_DECAY_POLICIES
+   */
+  constructor(options = {}) {
+    this.chains = options.chains || ChainRegistry.default();
+    this.decayPolicies = { ...SCAM_DECAY_POLICIES, ...options.decayPolicies };
+    this.layers = [];
+    this.entries = new Map();
+    this.suppressed = new Map();
+  }
+
+  /**
+   * Bundled database plus the configured overlay layers
+   *
+   * @param {Object} [options]
+   * @param {ChainRegistry} [options.chains]
+   * @param {string[]} [options.paths] — Overlay files, lowest first
+   */
+  static load(options = {}) {
+    const db = new ScamDatabase(options);
+    db.loadFile(BUNDLED_PATH, 'bundled');
+    for (const file of ScamDatabase.overlayPaths(options.paths)) {
+      // Not created yet (e.g. the target of a first `db import`): an empty layer
+      if (fs.existsSync(file)) db.loadFile(file);
+      else db.addLayer({ addresses: {} }, { name: path.basename(file, '.json'), path: file });
+    }
+    return db;
+  }
+
+  /**
+   * A single database file on its own, without the bundled list
+   */
+  static fromFile(file, options = {}) {
+    return new ScamDatabase(options).loadFile(file);
+  }
+
+  static overlayPaths(paths) {
+    if (paths) return paths;
+    if (process.env.USDC_SCANNER_SCAM_DBS) {
+      return process.env.USDC_SCANNER_SCAM_DBS.split(path.delimiter).filter(Boolean);
+    }
+    return fs.existsSync(ScamDatabase.defaultOverlayPath()) ? [ScamDatabase.defaultOverlayPath()] : [];
+  }
+
+  static defaultOverlayPath() {
+    return path.join(os.homedir(), '.config', 'lobsec-usdc-scanner', 'scam-addresses.json');
+  }
+
+  /**
+   * Read, validate and apply a layer file
+   *
+   * @param {string} file
+   * @param {string} [name] — Layer name (default: `_meta.name`, else the file name)
+   */
+  loadFile(file, name) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new ScamDatabaseError(file, [err.message]);
+    }
+    return this.addLayer(data, { name: name || data?._meta?.name || path.basename(file, '.json'), path: file });
+  }
+
+  /**
+   * Validate and apply a layer over the ones already loaded
+   *
+   * @param {Object} data — { _meta?, addresses, suppress? }
+   * @param {Object} [source] — { name, path }
+   */
+  addLayer(data, source = {}) {
+    const name = source.name || `layer-${this.layers.length + 1}`;
+    const problems = this.validate(data);
+    if (problems.length > 0) throw new ScamDatabaseError(source.path || name, problems);
+
+    for (const [address, reason] of Object.entries(data.suppress || {})) {
+      const key = address.toLowerCase();
+      this.entries.delete(key);
+      this.suppressed.set(key, { source: name, reason });
+    }
+    for (const [address, info] of Object.entries(data.addresses || {})) {
+      if (LEGACY_CATEGORIES.includes(info.category)) continue; // Not a threat: validated, then left out
+      const key = address.toLowerCase();
+      this.entries.set(key, { ...info, source: name });
+      this.suppressed.delete(key);
+    }
+
+    this.layers.push({
+      name,
+      path: source.path || null,
+      lastUpdated: data._meta?.lastUpdated || null,
+      entries: Object.keys(data.addresses || {}).length,
+      suppressions: Object.keys(data.suppress || {}).length,
+    });
+    return this;
+  }
+
+  /**
+   * Every problem in a layer, empty when it is valid
+   *
+   * @returns {string[]}
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['expected a JSON object'];
+    const problems = [];
+    if (data.addresses !== undefined && !isPlainObject(data.addresses)) {
+      problems.push('addresses: expected an object keyed by address');
+    }
+    if (data.suppress !== undefined && !isPlainObject(data.suppress)) {
+      problems.push('suppress: expected an object of address → reason');
+    }
+    if (problems.length > 0) return problems;
+
+    const seen = new Set();
+    for (const [address, info] of Object.entries(data.addresses || {})) {
+      if (!ADDRESS_RE.test(address)) {
+        problems.push(`${address}: not a 0x-prefixed 20-byte address`);
+        continue;
+      }
+      if (seen.has(address.toLowerCase())) {
+        problems.push(`${address}: listed twice (addresses are case-insensitive)`);
+      }
+      seen.add(address.toLowerCase());
+      problems.push(...this.validateEntry(info).map(p => `${address}.${p}`));
+    }
+    for (const [address, reason] of Object.entries(data.suppress || {})) {
+      if (!ADDRESS_RE.test(address)) {
+        problems.push(`suppress.${address}: not a 0x-prefixed 20-byte address`);
+      } else if (seen.has(address.toLowerCase())) {
+        problems.push(`suppress.${address}: also listed in addresses`);
+      }
+      if (typeof reason !== 'string' || reason.trim() === '') {
+        problems.push(`suppress.${address}: reason must be a non-empty string`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Problems in one entry, as `<field>: <reason>`
+   */
+  validateEntry(info) {
+    if (!isPlainObject(info)) return ['entry: expected an object'];
+    const problems = [];
+    if (typeof info.label !== 'string' || info.label.trim() === '') {
+      problems.push('label: required non-empty string');
+    }
+    if (!CATEGORIES.includes(info.category) && !LEGACY_CATEGORIES.includes(info.category)) {
+      problems.push(`category: ${JSON.stringify(info.category)} is not one of ${CATEGORIES.join(', ')}`);
+    }
+    if (!SEVERITIES.includes(info.severity)) {
+      problems.push(`severity: ${JSON.stringify(info.severity)} is not one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!Array.isArray(info.chain) || info.chain.length === 0) {
+      problems.push('chain: expected a non-empty array of chain names');
+    } else {
+      for (const chain of info.chain) {
+        if (!this.chains.has(chain)) problems.push(`chain: unknown chain ${JSON.stringify(chain)}`);
+      }
+    }
+    if (typeof info.details !== 'string') {
+      problems.push('details: required string');
+    }
+    if (!isIsoDate(info.reportedAt)) {
+      problems.push(`reportedAt: ${JSON.stringify(info.reportedAt)} is not an ISO 8601 date`);
+    }
+    for (const field of ['expiresAt', 'lastSeenActive']) {
+      if (info[field] !== undefined && !isIsoDate(info[field])) {
+        problems.push(`${field}: ${JSON.stringify(info[field])} is not an ISO 8601 date`);
+      }
+    }
+    if (info.confidence !== undefined &&
+        (typeof info.confidence !== 'number' || !(info.confidence >= 0 && info.confidence <= 1))) {
+      problems.push(`confidence: ${JSON.stringify(info.confidence)} is not a number from 0 to 1`);
+    }
+    return problems;
+  }
+
+  /**
+   * Score of an entry at a point in time, and why.
+   *
+   * The severity weight halves every `halfLifeDays` of the category's
+   * decay policy, counted from the later of `reportedAt` and
+   * `lastSeenActive`, but never drops below `floor` of the weight.
+   * Categories without a policy (exploit, sanctioned, burn by default)
+   * keep their weight. `confidence` (default 1) scales the result, and
+   * past `expiresAt` the entry no longer counts at all.
+   *
+   * @param {Object} entry
+   * @param {number} [now] — Current time (ms)
+   * @returns {Object} { baseScore, effectiveScore, factor, confidence, ageDays, expired, rationale }
+   */
+  age(entry, now = Date.now()) {
+    const baseScore = SEVERITY_WEIGHTS[entry.severity];
+    const confidence = entry.confidence ?? 1;
+    const since = entry.lastSeenActive && Date.parse(entry.lastSeenActive) > Date.parse(entry.reportedAt) ? entry.lastSeenActive : entry.reportedAt;
+    const ageDays = Math.max(0, Math.floor((now - Date.parse(since)) / DAY_MS));
+    const rationale = [];
+
+    const expired = Boolean(entry.expiresAt) && Date.parse(entry.expiresAt) <= now;
+    let factor = 1;
+    if (expired) {
+      factor = 0;
+      rationale.push(`expired ${entry.expiresAt}`);
+    } else {
+      const policy = this.decayPolicies[entry.category];
+      const seen = since === entry.reportedAt ? 'reported' : 'last seen active';
+      if (!policy) {
+        rationale.push(`${entry.category} entries do not decay`);
+      } else {
+        const decayed = Math.pow(0.5, ageDays / policy.halfLifeDays);
+        factor = Math.max(policy.floor, decayed);
+        rationale.push(`${seen} ${since.slice(0, 10)} (${ageDays} days ago), ${entry.category} half-life ${policy.halfLifeDays} days: ` +
+          `${Math.round(factor * 100)}% weight${factor > decayed ? ' (floor)' : ''}`);
+      }
+      if (confidence < 1) rationale.push(`confidence ${confidence}`);
+    }
+
+    return {
+      baseScore,
+      effectiveScore: Math.round(baseScore * factor * confidence),
+      factor,
+      confidence,
+      ageDays,
+      expired,
+      rationale: rationale.join('; '),
+    };
+  }
+
+  /**
+   * Entry for an address, with the layer it came from, or null
+   */
+  lookup(address) {
+    return this.entries.get(address.toLowerCase()) || null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Content hash of the effective entries: changes whenever any layer
+   * adds, removes or edits an entry, unlike `_meta.lastUpdated`
+   */
+  get version() {
+    const canonical = [...this.entries.keys()].sort().map(address => {
+      const { source, ...entry } = this.entries.get(address);
+      return [address, Object.keys(entry).sort().map(key => [key, entry[key]])];
+    });
+    return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Entries added, removed and changed going from this database to `other`
+   *
+   * @param {ScamDatabase} other
+   * @returns {Object} { from, to, added: [{ address, entry }], removed: [{ address, entry }],
+   *   changed: [{ address, fields, before, after }] }
+   */
+  diff(other) {
+    const result = { from: this.version, to: other.version, added: [], removed: [], changed: [] };
+    for (const [address, entry] of other.entries) {
+      const before = this.entries.get(address);
+      if (!before) {
+        result.added.push({ address, entry });
+        continue;
+      }
+      const fields = DIFF_FIELDS.filter(field => !sameValue(before[field], entry[field]));
+      if (fields.length > 0) result.changed.push({ address, fields, before, after: entry });
+    }
+    for (const [address, entry] of this.entries) {
+      if (!other.entries.has(address)) result.removed.push({ address, entry });
+    }
+    return result;
+  }
+
+  /**
+   * Effective entries as CSV (the `db import` columns), JSON (database
+   * format, loadable as a layer) or plain text (one address per line)
+   *
+   * @param {string} [format='json'] — csv|json|txt
+   * @returns {string}
+   */
+  export(format = 'json') {
+    const addresses = [...this.entries.keys()].sort();
+    if (format === 'txt') {
+      return addresses.join('\n') + '\n';
+    }
+    if (format === 'csv') {
+      const rows = addresses.map(address => {
+        const e = this.entries.get(address);
+        return [
+          address, e.label, e.category, e.severity, e.chain.join(';'), e.details, e.reportedAt,
+          e.expiresAt, e.confidence, e.lastSeenActive, e.source,
+        ];
+      });
+      return [EXPORT_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+    if (format === 'json') {
+      const data = {
+        _meta: {
+          version: this.version,
+          exportedAt: new Date().toISOString(),
+          layers: this.layers.map(layer => layer.name),
+        },
+        addresses: Object.fromEntries(addresses.map(address => {
+          const { source, ...entry } = this.entries.get(address);
+          return [address, entry];
+        })),
+      };
+      return JSON.stringify(data, null, 2) + '\n';
+    }
+    throw new Error(`Unknown export format: ${format} (expected csv, json or txt)`);
+  }
+}
+
+// Which layer an entry comes from is not part of its content
+const DIFF_FIELDS = [
+  'label', 'category', 'severity', 'chain', 'details', 'reportedAt', 'expiresAt', 'confidence', 'lastSeenActive',
+];
+
+const EXPORT_COLUMNS = [
+  'address', 'label', 'category', 'severity', 'chain', 'details', 'reported_at',
+  'expires_at', 'confidence', 'last_seen_active', 'source',
+];
+
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) return [...a].sort().join() === [...b].sort().join();
+  return a === b;
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** YYYY-MM-DD, optionally with a time and zone, naming a real calendar day */
+function isIsoDate(value) {
+  if (typeof value !== 'string') return false;
+  const match = value.match(DATE_RE);
+  if (!match || Number.isNaN(Date.parse(value))) return false;
+  return new Date(`${match[1]}T00:00:00Z`).toISOString().slice(0, 10) === match[1];
+}
+
+module.exports = { ScamDatabase, ScamDatabaseError, CATEGORIES, SEVERITIES };
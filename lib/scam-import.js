@@ -0,0 +1,416 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ScamDatabase } = require('./scam-db');
+const { SEVERITY_ORDER } = require('./constants');
+
+/**
+ * Importers that turn third-party scam lists into scam database entries.
+ *
+ * Each parser yields raw records ({ address, label, category, severity,
+ * chain, details, reportedAt, and optionally expiresAt, confidence and
+ * lastSeenActive } with source-specific values); importScamList
+ * normalizes them onto the database schema, validates them, and dedupes
+ * by lowercase address. mergeScamEntries folds the result into a
+ * database file's contents.
+ */
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+// Source categories (lowercased, separators stripped) → scanner categories
+const CATEGORY_ALIASES = {
+  phishing: 'phishing', fakeairdrop: 'phishing', approvalphishing: 'phishing', drainer: 'phishing',
+  exploit: 'exploit', hack: 'exploit', hacking: 'exploit', heist: 'exploit', contractexploit: 'exploit', attacker: 'exploit',
+  sanctioned: 'sanctioned', sanction: 'sanctioned', sanctions: 'sanctioned', ofac: 'sanctioned',
+  laundering: 'laundering', moneylaundering: 'laundering', mixer: 'laundering',
+  scam: 'scam', rugpull: 'scam', fakeproject: 'scam', impersonation: 'scam', pigbutchering: 'scam', ponzi: 'scam',
+  honeypot: 'scam', ransomware: 'scam', sextortion: 'scam', fraud: 'scam', investmentscam: 'scam',
+  flashloan: 'flash-loan-source', mev: 'mev', washtrading: 'wash-trading', suspicious: 'suspicious',
+};
+
+// Severity when a record has none
+const CATEGORY_SEVERITY = {
+  sanctioned: 'critical', exploit: 'critical', phishing: 'high', scam: 'high', laundering: 'high',
+  'flash-loan-source': 'high', mev: 'medium', 'wash-trading': 'medium', suspicious: 'medium',
+};
+
+const SEVERITY_ALIASES = {
+  critical: 'critical', severe: 'critical', high: 'high', medium: 'medium', moderate: 'medium',
+  low: 'low', info: 'info', informational: 'info',
+};
+
+// Source chain names → chain registry names
+const CHAIN_ALIASES = {
+  eth: 'ethereum', ethereum: 'ethereum', mainnet: 'ethereum', erc20: 'ethereum',
+  base: 'base', arb: 'arbitrum', arbitrum: 'arbitrum', arbitrumone: 'arbitrum', arbitrum_one: 'arbitrum',
+};
+
+/**
+ * Rows of a CSV file (RFC 4180 quoting) as objects keyed by the
+ * lowercased header
+ *
+ * @param {string} text
+ * @returns {Object[]} Records with `_line` set to the 1-based line number
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  const nonEmpty = rows.filter(r => r.cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].cells.map(cell => cell.trim().toLowerCase());
+  return nonEmpty.slice(1).map(({ cells, line: rowNumber }) => {
+    const record = { _line: rowNumber };
+    header.forEach((name, i) => { record[name] = (cells[i] ?? '').trim(); });
+    return record;
+  });
+}
+
+/**
+ * Sanctioned addresses from the OFAC SDN advanced XML (sdn_advanced.xml):
+ * the "Digital Currency Address - <currency>" features of each party
+ *
+ * @param {string} xml
+ * @param {Object} [options]
+ * @param {string[]} [options.currencies=['ETH', 'USDC']] — Feature currencies to extract
+ * @returns {Object[]} Raw records
+ */
+function parseOfacXml(xml, options = {}) {
+  const currencies = options.currencies || ['ETH', 'USDC'];
+  const featureTypes = new Map();
+  for (const [, attrs, name] of xml.matchAll(/<FeatureType\b([^>]*)>([^<]*)<\/FeatureType>/g)) {
+    const id = attr(attrs, 'ID');
+    const match = decodeXml(name).match(/^Digital Currency Address - (\S+)$/);
+    if (id && match && currencies.includes(match[1])) featureTypes.set(id, match[1]);
+  }
+
+  const issued = xml.match(/<DateOfIssue>\s*<Year>(\d{4})<\/Year>\s*<Month>(\d{1,2})<\/Month>\s*<Day>(\d{1,2})<\/Day>/);
+  const reportedAt = issued ? `${issued[1]}-${issued[2].padStart(2, '0')}-${issued[3].padStart(2, '0')}` : undefined;
+
+  const records = [];
+  for (const [party] of xml.matchAll(/<DistinctParty\b[\s\S]*?<\/DistinctParty>/g)) {
+    const primary = party.match(/<Alias\b[^>]*Primary="true"[^>]*>[\s\S]*?<\/Alias>/);
+    const names = [...(primary ? primary[0] : party).matchAll(/<NamePartValue\b[^>]*>([^<]*)<\/NamePartValue>/g)]
+      .map(m => decodeXml(m[1]).trim());
+    const name = names.join(' ') || `SDN ${attr(party.match(/<DistinctParty\b([^>]*)>/)[1], 'FixedRef')}`;
+
+    for (const [, attrs, body] of party.matchAll(/<Feature\b([^>]*)>([\s\S]*?)<\/Feature>/g)) {
+      const currency = featureTypes.get(attr(attrs, 'FeatureTypeID'));
+      if (!currency) continue;
+      for (const [, value] of body.matchAll(/<VersionDetail\b[^>]*>([^<]*)<\/VersionDetail>/g)) {
+        records.push({
+          address: decodeXml(value).trim(),
+          label: `OFAC SDN: ${name}`,
+          category: 'sanctioned',
+          severity: 'critical',
+          details: `OFAC Specially Designated Nationals list (Digital Currency Address - ${currency}).`,
+          reportedAt,
+        });
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Records from a ChainAbuse or MistTrack style JSON export: an array, or
+ * an object wrapping one in `data`, `reports`, `results` or `addresses`.
+ * ChainAbuse reports listing several `addresses` become one record each.
+ *
+ * @param {string|Object} json
+ * @returns {Object[]} Raw records
+ */
+function parseJsonExport(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const list = Array.isArray(data) ? data
+    : [data?.data, data?.reports, data?.results, data?.addresses].find(Array.isArray);
+  if (!list) throw new Error('Unrecognized JSON export: expected an array of reports');
+
+  const records = [];
+  for (const report of list) {
+    if (!report || typeof report !== 'object') continue;
+    const base = {
+      label: report.label || report.name || report.title || (Array.isArray(report.label_list) ? report.label_list[0] : undefined),
+      category: report.category || report.scamCategory || report.label_type
+        || (Array.isArray(report.detail_list) ? report.detail_list[0] : undefined),
+      severity: report.severity || report.risk_level || report.riskLevel || report.risk_score || report.score,
+      chain: report.chain || report.chains || report.network || report.blockchain,
+      details: report.details || report.description || report.hacking_event,
+      reportedAt: report.reportedAt || report.createdAt || report.created_at || report.date || report.first_seen,
+    };
+    if (Array.isArray(report.addresses)) {
+      for (const item of report.addresses) {
+        const address = typeof item === 'string' ? item : item?.address;
+        records.push({ ...base, address, chain: item?.chain || base.chain });
+      }
+    } else {
+      records.push({ ...base, address: report.address });
+    }
+  }
+  return records;
+}
+
+/**
+ * Parse a third-party list and normalize it into database entries
+ *
+ * @param {string} text — File contents
+ * @param {Object} options
+ * @param {string} options.format — csv | ofac | json
+ * @param {ChainRegistry} [options.chains] — Chains entries may name
+ * @param {string} [options.category] — Category for records without one
+ * @param {string} [options.severity] — Severity for records without one
+ * @param {string[]} [options.chain] — Chains for records without any (default: all mainnet chains)
+ * @param {string} [options.source] — Source name for labels and details
+ * @returns {Object} { entries: { address → entry }, skipped: [{ record, reason }] }
+ */
+function importScamList(text, options) {
+  const records = options.format === 'csv' ? parseCsv(text)
+    : options.format === 'ofac' ? parseOfacXml(text, options)
+      : options.format === 'json' ? parseJsonExport(text)
+        : null;
+  if (!records) throw new Error(`Unknown import format: ${options.format} (expected csv, ofac or json)`);
+
+  const db = new ScamDatabase({ chains: options.chains });
+  const defaultChains = options.chain || db.chains.names('mainnet');
+  const entries = {};
+  const skipped = [];
+
+  for (const record of records) {
+    const where = record._line ? `line ${record._line}` : record.address || '(no address)';
+    const address = String(record.address || '').trim();
+    if (!ADDRESS_RE.test(address)) {
+      skipped.push({ record: where, reason: `not an EVM address: ${JSON.stringify(record.address ?? '')}` });
+      continue;
+    }
+
+    const category = normalizeCategory(record.category ?? record.type) || options.category || 'suspicious';
+    // Chains the scanner does not cover are dropped; a record naming only those is skipped
+    const chainNames = splitList(record.chain ?? record.chains ?? record.network);
+    const chains = chainNames.length > 0 ? chainNames.map(normalizeChain).filter(c => db.chains.has(c)) : defaultChains;
+    if (chains.length === 0) {
+      skipped.push({ record: where, reason: `no supported chain in ${JSON.stringify(chainNames.join(','))}` });
+      continue;
+    }
+    const entry = {
+      label: record.label || record.name || `${options.source || 'Imported'}: ${category}`,
+      category,
+      severity: normalizeSeverity(record.severity ?? record.risk) || options.severity || CATEGORY_SEVERITY[category] || 'medium',
+      chain: [...new Set(chains)],
+      details: record.details || record.description || (options.source ? `Imported from ${options.source}.` : ''),
+      reportedAt: normalizeDate(record.reportedAt ?? record.reported_at ?? record.date) || today(),
+    };
+    // Optional aging fields, kept only when the source has them
+    const expiresAt = normalizeDate(record.expiresAt ?? record.expires_at);
+    const lastSeenActive = normalizeDate(record.lastSeenActive ?? record.last_seen_active);
+    const confidence = record.confidence === undefined || record.confidence === '' ? undefined : Number(record.confidence);
+    if (expiresAt) entry.expiresAt = expiresAt;
+    if (confidence !== undefined) entry.confidence = confidence;
+    if (lastSeenActive) entry.lastSeenActive = lastSeenActive;
+
+    const problems = db.validateEntry(entry);
+    if (problems.length > 0) {
+      skipped.push({ record: where, reason: problems.join('; ') });
+      continue;
+    }
+
+    const key = address.toLowerCase();
+    entries[key] = entries[key] ? combine(entries[key], entry) : entry;
+  }
+  return { entries, skipped };
+}
+
+/**
+ * Fold imported entries into a database file's contents. New addresses
+ * are added; known ones with the same category and severity gain any new
+ * chains and the earlier report date (label and details stay curated).
+ * A different category or severity is a conflict, kept as is unless
+ * `onConflict` is 'replace'.
+ *
+ * @param {Object} data — Database contents ({ _meta, addresses, ... }), not modified
+ * @param {Object} entries — From importScamList
+ * @param {Object} [options]
+ * @param {string} [options.onConflict='keep'] — keep | replace
+ * @returns {Object} { data, summary: { added, updated, conflicts, unchanged } }
+ */
+function mergeScamEntries(data, entries, options = {}) {
+  const addresses = { ...(data.addresses || {}) };
+  const keys = new Map(Object.keys(addresses).map(key => [key.toLowerCase(), key]));
+  const summary = { added: [], updated: [], conflicts: [], unchanged: 0 };
+
+  for (const [address, entry] of Object.entries(entries)) {
+    const key = keys.get(address);
+    if (!key) {
+      addresses[address] = entry;
+      summary.added.push(address);
+      continue;
+    }
+
+    const existing = addresses[key];
+    if (existing.category !== entry.category || existing.severity !== entry.severity) {
+      summary.conflicts.push({
+        address,
+        existing: { category: existing.category, severity: existing.severity },
+        imported: { category: entry.category, severity: entry.severity },
+        resolution: options.onConflict === 'replace' ? 'replaced' : 'kept',
+      });
+      if (options.onConflict === 'replace') addresses[key] = entry;
+      continue;
+    }
+
+    const chain = [...new Set([...existing.chain, ...entry.chain])];
+    const reportedAt = entry.reportedAt < existing.reportedAt ? entry.reportedAt : existing.reportedAt;
+    if (chain.length === existing.chain.length && reportedAt === existing.reportedAt) {
+      summary.unchanged++;
+      continue;
+    }
+    addresses[key] = { ...existing, chain, reportedAt };
+    summary.updated.push(address);
+  }
+
+  const { _meta = {}, ...rest } = data;
+  return {
+    data: { _meta: { ..._meta, lastUpdated: today() }, ...rest, addresses },
+    summary,
+  };
+}
+
+/**
+ * Import a file into a database file (created when missing), writing it
+ * atomically unless `options.dryRun`
+ *
+ * @param {string} file — List to import
+ * @param {string} target — Database file to merge into
+ * @param {Object} [options] — importScamList and mergeScamEntries options, plus dryRun;
+ *   `format` defaults to the file extension (.csv, .xml → ofac, .json)
+ * @returns {Object} { summary, skipped, target }
+ */
+function importScamFile(file, target, options = {}) {
+  const format = options.format || { '.csv': 'csv', '.xml': 'ofac', '.json': 'json' }[path.extname(file).toLowerCase()];
+  if (!format) throw new Error(`Cannot tell the format of ${file}: pass --format csv|ofac|json`);
+  const { entries, skipped } = importScamList(fs.readFileSync(file, 'utf8'), {
+    source: path.basename(file),
+    ...options,
+    format,
+  });
+
+  let existing = { addresses: {} };
+  if (fs.existsSync(target)) {
+    existing = JSON.parse(fs.readFileSync(target, 'utf8'));
+  }
+  const { data, summary } = mergeScamEntries(existing, entries, options);
+
+  // Refuse to write a database the scanner would not load
+  new ScamDatabase({ chains: options.chains }).addLayer(data, { path: target });
+
+  if (!options.dryRun) {
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmp, target);
+  }
+  return { summary, skipped, target };
+}
+
+/** Two records for the same address: union of chains, worst severity, earliest report */
+function combine(a, b) {
+  return {
+    ...a,
+    severity: SEVERITY_ORDER.indexOf(b.severity) > SEVERITY_ORDER.indexOf(a.severity) ? b.severity : a.severity,
+    chain: [...new Set([...a.chain, ...b.chain])],
+    reportedAt: b.reportedAt < a.reportedAt ? b.reportedAt : a.reportedAt,
+  };
+}
+
+function normalizeCategory(value) {
+  if (!value) return null;
+  return CATEGORY_ALIASES[String(value).toLowerCase().replace(/[\s_-]/g, '')] || null;
+}
+
+function normalizeSeverity(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const score = Number(value);
+  if (!Number.isNaN(score)) {
+    // Numeric risk scores, 0-100
+    return score >= 90 ? 'critical' : score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low';
+  }
+  return SEVERITY_ALIASES[String(value).toLowerCase()] || null;
+}
+
+function normalizeChain(value) {
+  const key = String(value).trim().toLowerCase().replace(/\s+/g, '');
+  return CHAIN_ALIASES[key] || key;
+}
+
+/** Date part of an ISO date or timestamp (seconds or milliseconds), null when unparseable */
+function normalizeDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  let date;
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    const n = Number(value);
+    date = new Date(n < 1e12 ? n * 1000 : n);
+  } else {
+    date = new Date(value);
+  }
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(/[;,|]/)).map(v => String(v).trim()).filter(Boolean);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function attr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = { parseCsv, parseOfacXml, parseJsonExport, importScamList, mergeScamEntries, importScamFile };
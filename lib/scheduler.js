@@ -0,0 +1,152 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Request scheduler with a token bucket and in-flight cap per key
+ * (one key per RPC endpoint).
+ *
+ * Queued requests are dispatched from three priority lanes — `high`,
+ * `normal`, `low` — so interactive pre-flight checks overtake background
+ * scans. Priority is taken from the async context set by `withPriority()`,
+ * so every RPC call made inside it inherits the lane without threading an
+ * argument through each caller.
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.rate=Infinity] — Requests per second per key
+   * @param {number} [options.burst=4] — Bucket size (requests sent back-to-back)
+   * @param {number} [options.maxInFlight=4] — Concurrent requests per key
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      rate: options.rate ?? Infinity,
+      burst: options.burst ?? 4,
+      maxInFlight: options.maxInFlight ?? 4,
+    };
+    this.states = new Map();
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run `fn` with every request it schedules placed in `priority`'s lane
+   */
+  withPriority(priority, fn) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}. Expected one of: ${PRIORITIES.join(', ')}`);
+    }
+    return this.context.run({ priority }, fn);
+  }
+
+  get priority() {
+    return this.context.getStore()?.priority || 'normal';
+  }
+
+  /**
+   * Queue `task` for `key` and resolve with its result once it has run.
+   * `limits` ({ rate, burst, maxInFlight }) apply the first time a key is seen.
+   */
+  run(key, task, limits = {}) {
+    const state = this._state(key, limits);
+    const priority = this.priority;
+
+    return new Promise((resolve, reject) => {
+      state.lanes[priority].push({ task, resolve, reject, queuedAt: Date.now() });
+      state.maxQueueDepth = Math.max(state.maxQueueDepth, this._depth(state));
+      this._drain(state);
+    });
+  }
+
+  _state(key, limits) {
+    let state = this.states.get(key);
+    if (!state) {
+      const config = { ...this.defaults };
+      for (const name of Object.keys(config)) {
+        if (limits[name] !== undefined) config[name] = limits[name];
+      }
+      state = {
+        ...config,
+        tokens: config.burst,
+        refilledAt: Date.now(),
+        inFlight: 0,
+        lanes: { high: [], normal: [], low: [] },
+        timer: null,
+        dispatched: 0,
+        maxQueueDepth: 0,
+        totalWaitMs: 0,
+      };
+      this.states.set(key, state);
+    }
+    return state;
+  }
+
+  _depth(state) {
+    return PRIORITIES.reduce((sum, p) => sum + state.lanes[p].length, 0);
+  }
+
+  _refill(state, now) {
+    if (state.rate === Infinity) {
+      state.tokens = state.burst;
+    } else {
+      state.tokens = Math.min(state.burst, state.tokens + (now - state.refilledAt) * state.rate / 1000);
+    }
+    state.refilledAt = now;
+  }
+
+  _drain(state) {
+    while (state.inFlight < state.maxInFlight) {
+      const lane = PRIORITIES.find(p => state.lanes[p].length > 0);
+      if (!lane) return;
+
+      const now = Date.now();
+      this._refill(state, now);
+      if (state.tokens < 1) {
+        if (!state.timer) {
+          const wait = Math.ceil((1 - state.tokens) * 1000 / state.rate);
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this._drain(state);
+          }, wait);
+        }
+        return;
+      }
+
+      state.tokens -= 1;
+      state.inFlight++;
+      state.dispatched++;
+
+      const job = state.lanes[lane].shift();
+      state.totalWaitMs += now - job.queuedAt;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          state.inFlight--;
+          this._drain(state);
+        });
+    }
+  }
+
+  /**
+   * Queue depth and throughput for one key
+   */
+  stats(key) {
+    const state = this.states.get(key);
+    if (!state) {
+      return { queued: { high: 0, normal: 0, low: 0 }, queueDepth: 0, inFlight: 0, dispatched: 0, maxQueueDepth: 0, avgWaitMs: 0 };
+    }
+    return {
+      queued: { high: state.lanes.high.length, normal: state.lanes.normal.length, low: state.lanes.low.length },
+      queueDepth: this._depth(state),
+      inFlight: state.inFlight,
+      dispatched: state.dispatched,
+      maxQueueDepth: state.maxQueueDepth,
+      avgWaitMs: state.dispatched ? Math.round(state.totalWaitMs / state.dispatched) : 0,
+    };
+  }
+}
+
+module.exports = { RequestScheduler, PRIORITIES };
@@ -0,0 +1,317 @@
+'use strict';
+
+const { THRESHOLDS, FUNCTION_SELECTORS, TRANSFER_EVENT_TOPIC } = require('./constants');
+const { keccak256 } = require('./keccak');
+
+// Synthetic accounts. They hold nothing on any chain; balances and
+// allowances are injected with state overrides.
+const HOLDER = '0x10b5ec0000000000000000000000000000000001';
+const SPENDER = '0x10b5ec0000000000000000000000000000000002';
+const RECIPIENT = '0x10b5ec0000000000000000000000000000000003';
+const CALLER = '0x10b5ec0000000000000000000000000000000004';
+
+// Storage slots tried for the balance and allowance mappings
+const MAX_MAPPING_SLOT = 20;
+// OpenZeppelin v5 upgradeable ERC20 (ERC-7201 namespace "openzeppelin.storage.ERC20")
+const OZ_ERC20_NAMESPACE = 0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00n;
+
+const MAGIC_BALANCE = 0x10b5ec5a17n * 10n ** 30n;
+const SIMULATION_GAS = '0x4c4b40'; // 5M
+const COUNTERPARTY_BLOCKS = 5000;
+
+/**
+ * Runtime code installed (by state override) at the account that sends
+ * the tokens. Called with `token ‖ watch ‖ payload`, it forwards
+ * `payload` to `token`, bubbles up a revert, then reads
+ * `token.balanceOf(watch)`. Returns four words: return data size, first
+ * return word, balance of `watch`, whether balanceOf succeeded.
+ *
+ *   00 PUSH1 40 CALLDATASIZE SUB DUP1 PUSH1 40 PUSH1 00 CALLDATACOPY    mem[0:len] = payload
+ *   0a PUSH1 20 PUSH1 00 DUP3 PUSH1 00 PUSH1 00 PUSH1 00 CALLDATALOAD
+ *      GAS CALL PUSH1 25 JUMPI                                          token.call(payload)
+ *   1b RETURNDATASIZE PUSH1 00 PUSH1 00 RETURNDATACOPY
+ *      RETURNDATASIZE PUSH1 00 REVERT                                   bubble up the revert
+ *   25 JUMPDEST PUSH1 00 MLOAD PUSH1 20 MSTORE RETURNDATASIZE PUSH1 00 MSTORE
+ *   30 PUSH4 70a08231 PUSH1 e0 SHL PUSH1 60 MSTORE PUSH1 20 CALLDATALOAD PUSH1 64 MSTORE
+ *   41 PUSH1 20 PUSH1 40 PUSH1 24 PUSH1 60 PUSH1 00 CALLDATALOAD GAS STATICCALL
+ *   4e PUSH1 60 MSTORE PUSH1 80 PUSH1 00 RETURN
+ */
+const FORWARDER_CODE = '0x604036038060406000376020600082600060006000355af16025573d600060003e3d6000fd5b'
+  + '6000516020523d6000526370a0823160e01b60605260203560645260206040602460606000355afa60605260806000f3';
+
+/**
+ * Execution-based honeypot check.
+ *
+ * Simulates token movements with `eth_call` and state overrides instead
+ * of guessing from bytecode: a receipt from the token's most active
+ * sender (usually its pool), an outgoing `transfer` back to it from a
+ * synthetic holder, and a `transferFrom` by a synthetic spender. Each
+ * step reports whether it reverted (with the reason), returned false,
+ * or delivered less than was sent.
+ *
+ * Balances are injected by locating the token's balance mapping slot;
+ * tokens with unusual storage layouts, and nodes without state override
+ * support, cannot be simulated. Tokens that refuse contract senders will
+ * revert here too, since the sending account runs the forwarder code.
+ */
+class TokenSimulator {
+  constructor(rpcClient) {
+    this.rpc = rpcClient;
+  }
+
+  /**
+   * Simulate buy, sell and transferFrom of `token`
+   *
+   * @param {string} token
+   * @param {string} chain
+   * @returns {Promise<Object>} { token, chain, block, balanceSlot, allowanceSlot, counterparty, amount, steps, findings }
+   *   `balanceSlot` is null (and `steps` empty) when the balance storage could not be located
+   */
+  async simulate(token, chain) {
+    token = token.toLowerCase();
+    const block = await this.rpc.getBlockNumber(chain);
+    const tag = '0x' + block.toString(16);
+    const result = {
+      token,
+      chain,
+      block,
+      balanceSlot: null,
+      allowanceSlot: null,
+      counterparty: null,
+      amount: null,
+      steps: {},
+      findings: [],
+    };
+
+    result.balanceSlot = await this._findSlot(chain, tag, token,
+      FUNCTION_SELECTORS.balanceOf + word(HOLDER), balanceKeys, [HOLDER]);
+    if (!result.balanceSlot) return result;
+    result.allowanceSlot = await this._findSlot(chain, tag, token,
+      FUNCTION_SELECTORS.allowance + word(HOLDER) + word(SPENDER), allowanceKeys, [HOLDER, SPENDER]);
+
+    const decimals = await this._call(chain, tag, { to: token, data: FUNCTION_SELECTORS.decimals })
+      .then(hex => Number(BigInt(hex.slice(0, 66))))
+      .catch(() => 18);
+    const amount = 10n ** BigInt(Math.min(decimals, 36));
+    result.amount = amount.toString();
+    result.counterparty = await this._findCounterparty(chain, token, block).catch(() => null);
+
+    const balanceOverride = (owner, value) => ({ [result.balanceSlot.key(owner)]: '0x' + word(value) });
+    const counterparty = result.counterparty || RECIPIENT;
+
+    // Buy: the counterparty sends tokens to the holder
+    result.steps.buy = await this._step(chain, tag, token, {
+      sender: counterparty,
+      recipient: HOLDER,
+      payload: FUNCTION_SELECTORS.transfer + word(HOLDER) + word(amount),
+      storage: balanceOverride(counterparty, amount),
+      amount,
+    });
+
+    // Sell: the holder sends them back
+    result.steps.transfer = await this._step(chain, tag, token, {
+      sender: HOLDER,
+      recipient: counterparty,
+      payload: FUNCTION_SELECTORS.transfer + word(counterparty) + word(amount),
+      storage: balanceOverride(HOLDER, amount),
+      amount,
+    });
+
+    if (result.allowanceSlot) {
+      result.steps.transferFrom = await this._step(chain, tag, token, {
+        sender: SPENDER,
+        recipient: counterparty,
+        payload: FUNCTION_SELECTORS.transferFrom + word(HOLDER) + word(counterparty) + word(amount),
+        storage: {
+          ...balanceOverride(HOLDER, amount),
+          [result.allowanceSlot.key(HOLDER, SPENDER)]: '0x' + word(amount),
+        },
+        amount,
+      });
+    }
+
+    result.findings = this._findings(result.steps);
+    return result;
+  }
+
+  _findings(steps) {
+    const findings = [];
+    const labels = { buy: 'Buy', transfer: 'Sell transfer', transferFrom: 'transferFrom' };
+    for (const [name, step] of Object.entries(steps)) {
+      const prefix = name === 'buy' ? 'BUY' : name === 'transfer' ? 'SELL' : 'TRANSFER_FROM';
+      if (step.reverted) {
+        findings.push({
+          indicator: `${prefix}_SIMULATION_REVERTED`,
+          step: name,
+          revertReason: step.revertReason,
+          detail: `${labels[name]} reverted: ${step.revertReason || 'no reason given'}`,
+        });
+      } else if (step.returnedFalse) {
+        findings.push({
+          indicator: `${prefix}_RETURNED_FALSE`,
+          step: name,
+          detail: `${labels[name]} returned false without moving tokens`,
+        });
+      } else if (step.taxPercent !== null && step.taxPercent >= THRESHOLDS.HONEYPOT_MAX_TAX_PERCENT) {
+        findings.push({
+          indicator: `${prefix}_HIGH_TAX`,
+          step: name,
+          taxPercent: step.taxPercent,
+          detail: `${labels[name]} delivered ${100 - step.taxPercent}% of the amount sent`,
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Run one transfer through the forwarder installed at `sender` and
+   * measure what `recipient` received
+   */
+  async _step(chain, tag, token, { sender, recipient, payload, storage, amount }) {
+    const step = { sender, recipient, reverted: false, revertReason: null, returnedFalse: false, received: null, taxPercent: null };
+    const balanceData = FUNCTION_SELECTORS.balanceOf + word(recipient);
+    let before;
+    try {
+      before = BigInt(await this._call(chain, tag, { to: token, data: balanceData }));
+    } catch {
+      before = 0n;
+    }
+
+    let output;
+    try {
+      output = await this._call(chain, tag, {
+        from: CALLER,
+        to: sender,
+        gas: SIMULATION_GAS,
+        data: '0x' + word(token) + word(recipient) + payload.slice(2),
+      }, {
+        [sender]: { code: FORWARDER_CODE },
+        [token]: { stateDiff: storage },
+      });
+    } catch (err) {
+      if (!err.isRevert) throw err;
+      step.reverted = true;
+      step.revertReason = decodeRevertReason(err.data) || err.message.replace(/^RPC error \([^)]*\): /, '');
+      return step;
+    }
+
+    const words = [0, 1, 2, 3].map(i => BigInt('0x' + (output.slice(2 + 64 * i, 66 + 64 * i) || '0')));
+    const [returnSize, returnWord, after, balanceOk] = words;
+    step.returnedFalse = returnSize >= 32n && returnWord === 0n;
+    if (balanceOk === 1n && !step.returnedFalse) {
+      const received = after - before;
+      step.received = received.toString();
+      const kept = received > amount ? amount : received < 0n ? 0n : received;
+      step.taxPercent = Number(((amount - kept) * 10000n) / amount) / 100;
+    }
+    return step;
+  }
+
+  /**
+   * Locate a mapping slot: override each candidate key with a marker
+   * value and see which one `data` (a view call) reads back
+   */
+  async _findSlot(chain, tag, token, data, keysFor, owners) {
+    const slots = [];
+    for (let slot = 0n; slot <= BigInt(MAX_MAPPING_SLOT); slot++) slots.push(slot);
+    slots.push(OZ_ERC20_NAMESPACE, OZ_ERC20_NAMESPACE + 1n);
+
+    const candidates = slots.flatMap(slot => keysFor(slot).map(layout => ({ slot, ...layout })));
+    const batch = this.rpc.batch(chain);
+    for (const { keyFor } of candidates) {
+      batch.add('eth_call', [
+        { to: token, data },
+        tag,
+        { [token]: { stateDiff: { [keyFor(...owners)]: '0x' + word(MAGIC_BALANCE) } } },
+      ]);
+    }
+    let answers;
+    try {
+      answers = await batch.send();
+    } catch (err) {
+      // The view itself reverts: not an ERC-20
+      if (err.isRevert) return null;
+      throw err;
+    }
+    const index = answers.findIndex(hex => hex && hex.length >= 66 && BigInt(hex.slice(0, 66)) === MAGIC_BALANCE);
+    if (index === -1) return null;
+
+    const { slot, layout, keyFor } = candidates[index];
+    return { slot: '0x' + slot.toString(16), layout, key: keyFor };
+  }
+
+  /**
+   * Most frequent sender in the token's recent Transfer events (mints excluded)
+   */
+  async _findCounterparty(chain, token, block) {
+    const { logs } = await this.rpc.getLogsPaged(chain, [{ address: token, topics: [TRANSFER_EVENT_TOPIC] }], {
+      fromBlock: Math.max(0, block - COUNTERPARTY_BLOCKS),
+      toBlock: block,
+      limit: 200,
+      maxQueries: 3,
+    });
+    const counts = new Map();
+    for (const log of logs) {
+      const from = '0x' + (log.topics[1] || '').slice(26);
+      if (from.length !== 42 || /^0x0{40}$/.test(from)) continue;
+      counts.set(from, (counts.get(from) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  }
+
+  _call(chain, tag, tx, overrides) {
+    return this.rpc.call(chain, 'eth_call', overrides ? [tx, tag, overrides] : [tx, tag]);
+  }
+}
+
+// Storage keys of balances[owner] under the Solidity (keccak(key . slot))
+// and Vyper (keccak(slot . key)) mapping layouts
+function balanceKeys(slot) {
+  return [
+    { layout: 'solidity', keyFor: owner => hashWords([word(owner), word(slot)]) },
+    { layout: 'vyper', keyFor: owner => hashWords([word(slot), word(owner)]) },
+  ];
+}
+
+// Storage keys of allowances[owner][spender]
+function allowanceKeys(slot) {
+  return [
+    { layout: 'solidity', keyFor: (owner, spender) => hashWords([word(spender), hashWords([word(owner), word(slot)])]) },
+    { layout: 'vyper', keyFor: (owner, spender) => hashWords([hashWords([word(slot), word(owner)]), word(spender)]) },
+  ];
+}
+
+function hashWords(words) {
+  return '0x' + keccak256(Buffer.from(words.map(w => w.replace(/^0x/, '')).join(''), 'hex')).toString('hex');
+}
+
+/** 32-byte hex word (no 0x) of an address or integer */
+function word(value) {
+  const hex = typeof value === 'bigint' ? value.toString(16) : value.toLowerCase().replace(/^0x/, '');
+  return hex.padStart(64, '0');
+}
+
+/**
+ * Human-readable reason from revert data: Error(string), Panic(uint256)
+ * or a custom error selector
+ */
+function decodeRevertReason(data) {
+  const hex = typeof data === 'string' ? data.replace(/^0x/, '') : typeof data?.data === 'string' ? data.data.replace(/^0x/, '') : '';
+  if (hex.length < 8) return null;
+  const selector = hex.slice(0, 8);
+  try {
+    if (selector === '08c379a0') {
+      const length = Number(BigInt('0x' + hex.slice(72, 136)));
+      return Buffer.from(hex.slice(136, 136 + 2 * length), 'hex').toString('utf8');
+    }
+    if (selector === '4e487b71') {
+      return `panic 0x${BigInt('0x' + hex.slice(8, 72)).toString(16)}`;
+    }
+  } catch {
+    // Fall through to the raw selector
+  }
+  return `custom error 0x${selector}`;
+}
+
+module.exports = { TokenSimulator, decodeRevertReason, FORWARDER_CODE };
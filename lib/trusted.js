@@ -0,0 +1,171 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChainRegistry } = require('./chains');
+
+const BUNDLED_PATH = path.join(__dirname, '..', 'data', 'trusted-addresses.json');
+
+const CATEGORIES = ['issuer', 'bridge', 'exchange', 'dex-router', 'protocol', 'token', 'custodian', 'internal'];
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Registry of trusted entities: addresses whose heuristic risk (contract
+ * code, dust ETH, few transactions) says nothing about their intent.
+ *
+ * Circle's USDC and CCTP contracts come from the chain registry; exchange
+ * hot wallets, DEX routers and other infrastructure from the bundled
+ * `data/trusted-addresses.json`. Org-specific additions are layered on
+ * top from `options.paths`, else $USDC_SCANNER_TRUSTED (separated like
+ * PATH), else ~/.config/lobsec-usdc-scanner/trusted-addresses.json when
+ * it exists, in the same shape:
+ *
+ *   { "addresses": { "0x...": { "label", "category", "chain": [...], "details"? } } }
+ *
+ * Entries are chain-specific: the same address on another chain may be
+ * someone else's contract, or the same deployment under another chain's
+ * label (CCTP's testnet contracts share addresses), so they are kept per
+ * chain and address.
+ */
+class TrustedRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {ChainRegistry} [options.chains] — Chains entries may name
+   */
+  constructor(options = {}) {
+    this.chains = options.chains || ChainRegistry.default();
+    this.entries = new Map(); // "chain:address" → entry
+  }
+
+  /**
+   * Circle contracts, bundled entries and the configured org lists
+   *
+   * @param {Object} [options]
+   * @param {ChainRegistry} [options.chains]
+   * @param {string[]} [options.paths] — Org list files
+   */
+  static load(options = {}) {
+    const registry = new TrustedRegistry(options);
+    registry.addCircleContracts();
+    registry.loadFile(BUNDLED_PATH, 'bundled');
+    for (const file of TrustedRegistry.overlayPaths(options.paths)) {
+      registry.loadFile(file);
+    }
+    return registry;
+  }
+
+  static overlayPaths(paths) {
+    if (paths) return paths;
+    if (process.env.USDC_SCANNER_TRUSTED) {
+      return process.env.USDC_SCANNER_TRUSTED.split(path.delimiter).filter(Boolean);
+    }
+    const local = path.join(os.homedir(), '.config', 'lobsec-usdc-scanner', 'trusted-addresses.json');
+    return fs.existsSync(local) ? [local] : [];
+  }
+
+  /**
+   * USDC and CCTP contracts of every registered chain, on both networks
+   */
+  addCircleContracts() {
+    for (const name of this.chains.names()) {
+      const chain = this.chains.get(name);
+      const contracts = [
+        [chain.usdc, `USDC (${chain.label})`, 'issuer'],
+        [chain.cctp?.tokenMessenger || {}, `CCTP TokenMessenger (${chain.label})`, 'bridge'],
+        [chain.cctp?.messageTransmitter || {}, `CCTP MessageTransmitter (${chain.label})`, 'bridge'],
+      ];
+      for (const [byNetwork, label, category] of contracts) {
+        for (const address of Object.values(byNetwork)) {
+          this._add(address, { label, category, chain: [name], details: 'Circle contract from the chain registry' }, 'circle');
+        }
+      }
+    }
+    return this;
+  }
+
+  loadFile(file, name) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load trusted list ${file}: ${err.message}`);
+    }
+    const source = name || data?._meta?.name || path.basename(file, '.json');
+    const problems = this.validate(data);
+    if (problems.length > 0) {
+      throw new Error(`Invalid trusted list ${file}: ${problems.join('; ')}`);
+    }
+    for (const [address, entry] of Object.entries(data.addresses)) {
+      this._add(address, entry, source);
+    }
+    return this;
+  }
+
+  /**
+   * Every problem in a trusted list, empty when it is valid
+   */
+  validate(data) {
+    if (!data || typeof data.addresses !== 'object' || Array.isArray(data.addresses)) {
+      return ['expected an "addresses" object'];
+    }
+    const problems = [];
+    for (const [address, entry] of Object.entries(data.addresses)) {
+      if (!ADDRESS_RE.test(address)) {
+        problems.push(`${address}: not a 0x-prefixed 20-byte address`);
+        continue;
+      }
+      if (typeof entry?.label !== 'string' || entry.label.trim() === '') {
+        problems.push(`${address}.label: required non-empty string`);
+      }
+      if (!CATEGORIES.includes(entry?.category)) {
+        problems.push(`${address}.category: ${JSON.stringify(entry?.category)} is not one of ${CATEGORIES.join(', ')}`);
+      }
+      if (!Array.isArray(entry?.chain) || entry.chain.length === 0) {
+        problems.push(`${address}.chain: expected a non-empty array of chain names`);
+      } else {
+        for (const chain of entry.chain) {
+          if (!this.chains.has(chain)) problems.push(`${address}.chain: unknown chain ${JSON.stringify(chain)}`);
+        }
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Trusted entity at `address` on `chain` (any chain when omitted), or null
+   *
+   * @returns {Object|null} { address, label, category, chain, details, source }
+   */
+  lookup(address, chain) {
+    const key = address.toLowerCase();
+    for (const name of chain ? [chain] : this.chains.names()) {
+      const entry = this.entries.get(`${name}:${key}`);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /** Number of chain and address pairs */
+  get size() {
+    return this.entries.size;
+  }
+
+  /** Later lists take over the label on the chains they name */
+  _add(address, entry, source) {
+    const key = address.toLowerCase();
+    for (const chain of entry.chain) {
+      this.entries.set(`${chain}:${key}`, {
+        address: key,
+        label: entry.label,
+        category: entry.category,
+        chain,
+        details: entry.details || null,
+        source,
+      });
+    }
+  }
+}
+
+module.exports = { TrustedRegistry, TRUSTED_CATEGORIES: CATEGORIES };
@@ -0,0 +1,117 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ALERT_LEVELS = ['all', 'high', 'critical'];
+
+/**
+ * Persistent list of addresses under continuous monitoring.
+ *
+ * Each entry records the chains to watch, the minimum alert level and,
+ * per chain, the last block already processed by the monitor. The file
+ * is rewritten atomically on every change.
+ */
+class Watchlist {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] — Watchlist file (default: $USDC_SCANNER_WATCHLIST
+   *   or ~/.config/lobsec-usdc-scanner/watchlist.json)
+   */
+  constructor(options = {}) {
+    this.path = path.resolve(options.path
+      || process.env.USDC_SCANNER_WATCHLIST
+      || path.join(os.homedir(), '.config', 'lobsec-usdc-scanner', 'watchlist.json'));
+    this.entries = new Map();
+    this._load();
+  }
+
+  _load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`Failed to load watchlist ${this.path}: ${err.message}`);
+    }
+    for (const entry of data.addresses || []) {
+      this.entries.set(entry.address.toLowerCase(), entry);
+    }
+  }
+
+  save() {
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, addresses: this.list() }, null, 2));
+    fs.renameSync(tmp, this.path);
+  }
+
+  /**
+   * Watch an address, or update the settings of one already watched.
+   * Block cursors of an existing entry are kept.
+   *
+   * @param {string} address
+   * @param {Object} [options]
+   * @param {string[]|string} [options.chains='all'] — Chains to watch
+   * @param {string} [options.alerts='high'] — Minimum alert level: all|high|critical
+   * @param {string} [options.label] — Free-form note
+   */
+  add(address, options = {}) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) {
+      throw new Error(`Invalid Ethereum address: ${address}`);
+    }
+    const alerts = options.alerts || this.get(address)?.alerts || 'high';
+    if (!ALERT_LEVELS.includes(alerts)) {
+      throw new Error(`Invalid alert level: ${alerts}. Expected one of: ${ALERT_LEVELS.join(', ')}`);
+    }
+
+    const key = address.toLowerCase();
+    const existing = this.entries.get(key);
+    const label = options.label ?? existing?.label;
+    const entry = {
+      address: key,
+      chains: options.chains ? [].concat(options.chains) : existing?.chains || ['all'],
+      alerts,
+      ...(label ? { label } : {}),
+      addedAt: existing?.addedAt || new Date().toISOString(),
+      cursors: existing?.cursors || {},
+    };
+    this.entries.set(key, entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Stop watching an address. Returns false if it was not watched.
+   */
+  remove(address) {
+    const removed = this.entries.delete((address || '').toLowerCase());
+    if (removed) this.save();
+    return removed;
+  }
+
+  get(address) {
+    return this.entries.get((address || '').toLowerCase()) || null;
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Record the last block processed for an address on a chain
+   */
+  setCursor(address, chain, block) {
+    const entry = this.get(address);
+    if (!entry) return;
+    entry.cursors[chain] = block;
+    this.save();
+  }
+}
+
+module.exports = { Watchlist, ALERT_LEVELS };
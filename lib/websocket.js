@@ -0,0 +1,269 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024 * 1024;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+/**
+ * Sec-WebSocket-Accept value for a handshake key (RFC 6455 §4.2.2)
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode one unfragmented frame. Clients must mask, servers must not.
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0), mask = true) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  const length = data.length;
+  const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+  header[0] = 0x80 | opcode; // FIN
+  header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+  if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+  if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+
+  if (!mask) return Buffer.concat([header, data]);
+
+  const key = crypto.randomBytes(4);
+  key.copy(header, 2 + lengthBytes);
+  const masked = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) masked[i] = data[i] ^ key[i % 4];
+  return Buffer.concat([header, masked]);
+}
+
+/**
+ * Incremental frame decoder. Feed it socket chunks with `push()`; it
+ * calls `onFrame({ fin, opcode, payload })` for each complete frame.
+ */
+class FrameParser {
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length >= 2) {
+      const b0 = this.buffer[0];
+      const b1 = this.buffer[1];
+      const masked = (b1 & 0x80) !== 0;
+      let length = b1 & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        const big = this.buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_MESSAGE_BYTES)) {
+          throw new Error(`WebSocket frame too large: ${big} bytes`);
+        }
+        length = Number(big);
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      let payload = this.buffer.subarray(offset, offset + length);
+      if (masked) {
+        const key = this.buffer.subarray(maskOffset, maskOffset + 4);
+        payload = Buffer.from(payload);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= key[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      this.onFrame({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+    }
+  }
+}
+
+/**
+ * Minimal RFC 6455 WebSocket client on top of Node's http/https modules.
+ *
+ * Handles the upgrade handshake, masking, fragmented messages and
+ * ping/pong. Emits `message` (string) for text frames, `close`
+ * (code, reason) once the socket is gone and `error` on protocol or
+ * socket errors.
+ */
+class WebSocket extends EventEmitter {
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this.closed = false;
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.parser = new FrameParser(frame => this._onFrame(frame));
+
+    socket.setNoDelay(true);
+    socket.on('error', err => this.emit('error', err));
+    socket.on('close', () => this._finish(1006, 'connection lost'));
+    // Start reading once the caller has had a chance to attach listeners;
+    // frames that arrived with the upgrade response come first
+    setImmediate(() => {
+      if (head && head.length) this._onData(head);
+      socket.on('data', chunk => this._onData(chunk));
+    });
+  }
+
+  /**
+   * Open a connection to a ws:// or wss:// URL
+   *
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Object} [options.headers] — Extra handshake headers (e.g. Authorization)
+   * @param {number} [options.timeout=10000] — Handshake timeout (ms)
+   * @returns {Promise<WebSocket>}
+   */
+  static connect(url, options = {}) {
+    const target = new URL(url);
+    if (target.protocol !== 'ws:' && target.protocol !== 'wss:') {
+      return Promise.reject(new Error(`Unsupported WebSocket URL: ${target.protocol}//${target.host}`));
+    }
+
+    const key = crypto.randomBytes(16).toString('base64');
+    const transport = target.protocol === 'wss:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        hostname: target.hostname,
+        port: target.port || (target.protocol === 'wss:' ? 443 : 80),
+        path: target.pathname + target.search,
+        headers: {
+          ...options.headers,
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          'Sec-WebSocket-Version': '13',
+          'Sec-WebSocket-Key': key,
+        },
+        timeout: options.timeout ?? 10000,
+      });
+
+      req.on('upgrade', (res, socket, head) => {
+        if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+          socket.destroy();
+          reject(new Error(`WebSocket handshake with ${target.host} failed: bad Sec-WebSocket-Accept`));
+          return;
+        }
+        socket.setTimeout(0);
+        resolve(new WebSocket(socket, head));
+      });
+      req.on('response', res => {
+        res.resume();
+        reject(new Error(`WebSocket handshake with ${target.host} failed: HTTP ${res.statusCode}`));
+      });
+      req.on('timeout', () => {
+        req.destroy(new Error(`WebSocket handshake with ${target.host} timed out`));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  send(text) {
+    if (this.closed) throw new Error('WebSocket is closed');
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+  }
+
+  ping(data = '') {
+    if (!this.closed) this.socket.write(encodeFrame(OPCODES.ping, Buffer.from(data)));
+  }
+
+  /**
+   * Start the closing handshake; the socket is dropped if the server
+   * does not answer within a second
+   */
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(encodeFrame(OPCODES.close, payload));
+    this.socket.end();
+    setTimeout(() => this.socket.destroy(), 1000).unref();
+    this._finish(code, reason);
+  }
+
+  /**
+   * Drop the connection without a closing handshake
+   */
+  terminate() {
+    this.socket.destroy();
+  }
+
+  _onData(chunk) {
+    try {
+      this.parser.push(chunk);
+    } catch (err) {
+      this.emit('error', err);
+      this.socket.destroy();
+    }
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.ping:
+        if (!this.closed) this.socket.write(encodeFrame(OPCODES.pong, payload));
+        return;
+      case OPCODES.pong:
+        this.emit('pong');
+        return;
+      case OPCODES.close: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        const reason = payload.subarray(2).toString('utf8');
+        if (!this.closed) {
+          this.socket.write(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+          this.socket.end();
+        }
+        this._finish(code, reason);
+        return;
+      }
+      case OPCODES.text:
+      case OPCODES.binary:
+      case OPCODES.continuation:
+        break;
+      default:
+        throw new Error(`Unknown WebSocket opcode ${opcode}`);
+    }
+
+    this.fragmentBytes += payload.length;
+    if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+      throw new Error(`WebSocket message exceeds ${MAX_MESSAGE_BYTES} bytes`);
+    }
+    this.fragments.push(payload);
+    if (!fin) return;
+
+    const message = Buffer.concat(this.fragments).toString('utf8');
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.emit('message', message);
+  }
+
+  _finish(code, reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close', code, reason);
+  }
+}
+
+module.exports = { WebSocket, FrameParser, encodeFrame, acceptKey, OPCODES };
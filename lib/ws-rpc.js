@@ -0,0 +1,384 @@
+'use strict';
+
+const { WebSocket } = require('./websocket');
+const { RpcTimeoutError, RpcNetworkError, fromJsonRpcError } = require('./errors');
+
+const MAX_BUFFERED_EVENTS = 10000;
+
+/**
+ * Async-iterable queue of subscription events.
+ *
+ * Events are buffered until consumed (oldest dropped past 10k, counted
+ * in `dropped`). Breaking out of a `for await` loop or calling `close()`
+ * ends the subscription.
+ */
+class EventStream {
+  constructor(onClose = () => {}) {
+    this.onClose = onClose;
+    this.buffer = [];
+    this.waiters = [];
+    this.done = false;
+    this.error = null;
+    this.dropped = 0;
+    this.reconnects = 0;
+  }
+
+  push(value) {
+    if (this.done) return;
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve({ value, done: false });
+      return;
+    }
+    this.buffer.push(value);
+    if (this.buffer.length > MAX_BUFFERED_EVENTS) {
+      this.buffer.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * End the stream with an error, thrown to the consumer once the
+   * buffered events are drained
+   */
+  fail(err) {
+    if (this.done) return;
+    this.error = err;
+    this._finish();
+  }
+
+  end() {
+    if (!this.done) this._finish();
+  }
+
+  close() {
+    if (this.done) return;
+    this._finish();
+    this.onClose();
+  }
+
+  _finish() {
+    this.done = true;
+    for (const waiter of this.waiters.splice(0)) {
+      if (this.error) waiter.reject(this.error);
+      else waiter.resolve({ value: undefined, done: true });
+    }
+  }
+
+  next() {
+    if (this.buffer.length > 0) {
+      return Promise.resolve({ value: this.buffer.shift(), done: false });
+    }
+    if (this.done) {
+      if (this.error) {
+        const err = this.error;
+        this.error = null;
+        return Promise.reject(err);
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  return() {
+    this.close();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+/**
+ * JSON-RPC over WebSocket for one chain, with `eth_subscribe` support.
+ *
+ * Connects lazily to the first reachable endpoint. When the connection
+ * drops while subscriptions are open it reconnects with jittered
+ * exponential backoff — moving on to the next endpoint — and re-issues
+ * every `eth_subscribe`. Events emitted while disconnected are not
+ * replayed; callers that need completeness backfill with eth_getLogs.
+ */
+class WsRpcClient {
+  /**
+   * @param {string} chain
+   * @param {Array<string|{url: string, headers?: Object, label?: string}>} endpoints
+   * @param {Object} [options]
+   * @param {number} [options.timeout=30000] — Per-request timeout (ms)
+   * @param {number} [options.pingInterval=30000] — Keepalive ping interval (ms)
+   * @param {Object} [options.reconnect] — { baseDelay: 500, maxDelay: 30000, retries: Infinity }
+   */
+  constructor(chain, endpoints, options = {}) {
+    this.chain = chain;
+    this.endpoints = endpoints.map(ep => {
+      const spec = typeof ep === 'string' ? { url: ep } : { ...ep };
+      return { url: spec.url, headers: spec.headers || {}, label: spec.label || new URL(spec.url).host };
+    });
+    if (this.endpoints.length === 0) {
+      throw new Error(`No WebSocket endpoints configured for ${chain}`);
+    }
+
+    this.timeout = options.timeout ?? 30000;
+    this.pingInterval = options.pingInterval ?? 30000;
+    this.reconnect = { baseDelay: 500, maxDelay: 30000, retries: Infinity, ...options.reconnect };
+
+    this.socket = null;
+    this.endpoint = null;
+    this.endpointIndex = 0;
+    this.connecting = null;
+    this.reconnecting = false;
+    this.closed = false;
+    this.requestId = 0;
+    this.pending = new Map();
+    this.subscriptions = new Set();
+    this.byRemoteId = new Map();
+    this.pingTimer = null;
+  }
+
+  get connected() {
+    return this.socket !== null;
+  }
+
+  /**
+   * Open the connection if it is not open yet
+   */
+  async connect() {
+    if (this.closed) throw new RpcNetworkError(`WebSocket client for ${this.chain} is closed`, { chain: this.chain });
+    if (this.socket) return;
+    if (!this.connecting) {
+      this.connecting = this._open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async _open() {
+    let lastError;
+    for (let i = 0; i < this.endpoints.length; i++) {
+      const index = (this.endpointIndex + i) % this.endpoints.length;
+      const endpoint = this.endpoints[index];
+      try {
+        const socket = await WebSocket.connect(endpoint.url, { headers: endpoint.headers, timeout: this.timeout });
+        this.endpointIndex = index;
+        this._attach(socket, endpoint);
+        return;
+      } catch (err) {
+        lastError = new RpcNetworkError(`WebSocket connection to ${endpoint.label} failed: ${err.message}`, {
+          chain: this.chain,
+          endpoint: endpoint.label,
+          cause: err,
+        });
+      }
+    }
+    throw lastError;
+  }
+
+  _attach(socket, endpoint) {
+    this.socket = socket;
+    this.endpoint = endpoint;
+
+    let awaitingPong = false;
+    socket.on('pong', () => {
+      awaitingPong = false;
+    });
+    socket.on('message', text => this._onMessage(text));
+    socket.on('error', () => socket.terminate());
+    socket.on('close', () => this._onClose(socket));
+
+    if (this.pingInterval > 0) {
+      this.pingTimer = setInterval(() => {
+        // No pong since the last ping: the connection is dead
+        if (awaitingPong) {
+          socket.terminate();
+          return;
+        }
+        awaitingPong = true;
+        socket.ping();
+      }, this.pingInterval);
+      this.pingTimer.unref();
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request over the socket
+   */
+  async request(method, params = []) {
+    await this.connect();
+    return this._request(method, params);
+  }
+
+  _request(method, params) {
+    const id = ++this.requestId;
+    const details = { chain: this.chain, method, endpoint: this.endpoint.label };
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new RpcTimeoutError(`WebSocket request timeout (${this.chain}, ${method})`, details));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer, details });
+
+      try {
+        this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+      } catch (err) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(new RpcNetworkError(`WebSocket send failed (${this.chain}): ${err.message}`, { ...details, cause: err }));
+      }
+    });
+  }
+
+  /**
+   * Subscribe with `eth_subscribe(kind, ...params)`.
+   * Returns an EventStream immediately; subscription errors surface
+   * when iterating it.
+   *
+   * @param {string} kind — 'logs' or 'newHeads'
+   * @param {Array} [params] — e.g. [{ address, topics }] for logs
+   * @param {Object} [options]
+   * @param {Function} [options.transform] — Maps each event; returning null skips it
+   */
+  subscribe(kind, params = [], options = {}) {
+    return this.subscribeAll([[kind, ...params]], options);
+  }
+
+  /**
+   * Several eth_subscribe requests feeding one stream, e.g. logs
+   * filters for both sides of a transfer
+   *
+   * @param {Array<Array>} requests — eth_subscribe params lists
+   * @param {Object} [options] — See subscribe()
+   */
+  subscribeAll(requests, options = {}) {
+    const sub = {
+      requests,
+      transform: options.transform || (event => event),
+      remoteIds: [],
+      stream: null,
+    };
+    sub.stream = new EventStream(() => this._unsubscribe(sub));
+    this.subscriptions.add(sub);
+
+    sub.ready = this.connect()
+      .then(() => this._subscribe(sub))
+      .catch(err => {
+        this.subscriptions.delete(sub);
+        sub.stream.fail(err);
+      });
+    return sub.stream;
+  }
+
+  async _subscribe(sub) {
+    sub.remoteIds = [];
+    for (const params of sub.requests) {
+      const remoteId = await this._request('eth_subscribe', params);
+      sub.remoteIds.push(remoteId);
+      this.byRemoteId.set(remoteId, sub);
+    }
+  }
+
+  _unsubscribe(sub) {
+    this.subscriptions.delete(sub);
+    for (const remoteId of sub.remoteIds) {
+      this.byRemoteId.delete(remoteId);
+      if (this.socket) {
+        this._request('eth_unsubscribe', [remoteId]).catch(() => {});
+      }
+    }
+  }
+
+  _onMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+
+    if (message.method === 'eth_subscription' && message.params) {
+      const sub = this.byRemoteId.get(message.params.subscription);
+      if (!sub) return;
+      const event = sub.transform(message.params.result);
+      if (event !== null && event !== undefined) sub.stream.push(event);
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) return;
+    this.pending.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.error) {
+      pending.reject(fromJsonRpcError(message.error, pending.details));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  _onClose(socket) {
+    if (socket !== this.socket) return;
+    clearInterval(this.pingTimer);
+    this.socket = null;
+    this.byRemoteId.clear();
+
+    const label = this.endpoint.label;
+    for (const [id, pending] of this.pending) {
+      clearTimeout(pending.timer);
+      pending.reject(new RpcNetworkError(`WebSocket connection to ${label} closed`, pending.details));
+      this.pending.delete(id);
+    }
+
+    if (!this.closed && this.subscriptions.size > 0) {
+      // Try the next endpoint first; the one that dropped us goes last
+      this.endpointIndex = (this.endpointIndex + 1) % this.endpoints.length;
+      this._reconnect();
+    }
+  }
+
+  async _reconnect() {
+    if (this.reconnecting) return;
+    this.reconnecting = true;
+
+    let lastError;
+    for (let attempt = 0; attempt < this.reconnect.retries && !this.closed; attempt++) {
+      const ceiling = Math.min(this.reconnect.maxDelay, this.reconnect.baseDelay * 2 ** attempt);
+      await new Promise(r => setTimeout(r, ceiling / 2 + Math.random() * ceiling / 2));
+      if (this.closed) break;
+
+      try {
+        await this.connect();
+        for (const sub of this.subscriptions) {
+          await this._subscribe(sub);
+          sub.stream.reconnects++;
+        }
+        this.reconnecting = false;
+        return;
+      } catch (err) {
+        lastError = err;
+        this.socket?.terminate();
+      }
+    }
+
+    this.reconnecting = false;
+    if (this.closed) return;
+    for (const sub of this.subscriptions) {
+      sub.stream.fail(lastError);
+    }
+    this.subscriptions.clear();
+  }
+
+  /**
+   * End all subscriptions and close the connection
+   */
+  close() {
+    this.closed = true;
+    clearInterval(this.pingTimer);
+    for (const sub of this.subscriptions) {
+      sub.stream.end();
+    }
+    this.subscriptions.clear();
+    if (this.socket) this.socket.close();
+  }
+}
+
+module.exports = { WsRpcClient, EventStream };
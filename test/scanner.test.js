@@ -8,7 +8,29 @@ const { PatternDetector } = require('../lib/pattern-detector');
 const { CCTPAnalyzer } = require('../lib/cctp-analyzer');
 const { ReportGenerator } = require('../lib/report');
 const { RpcClient } = require('../lib/rpc');
+const { DiskCache } = require('../lib/disk-cache');
+const { ChainRegistry } = require('../lib/chains');
+const { RequestScheduler } = require('../lib/scheduler');
+const { WsRpcClient } = require('../lib/ws-rpc');
+const { Watchlist } = require('../lib/watchlist');
+const { PermitAnalyzer } = require('../lib/permit-analyzer');
+const { decodeTransaction } = require('../lib/calldata');
+const { keccak256, selector } = require('../lib/keccak');
+const { decodeRevertReason } = require('../lib/token-simulator');
+const { disassemble, analyzeBytecode } = require('../lib/disassembler');
+const { ProxyDetector, PROXY_SLOTS } = require('../lib/proxy-detector');
+const { ContractAnalyzer } = require('../lib/contract-analyzer');
+const { ScamDatabase, ScamDatabaseError } = require('../lib/scam-db');
+const { parseCsv, parseOfacXml, importScamList, mergeScamEntries } = require('../lib/scam-import');
+const { TrustedRegistry } = require('../lib/trusted');
+const { AlertDispatcher, JsonlSink, StdoutSink, WebhookSink, scanAlert } = require('../lib/alerts');
+const { FrameParser, encodeFrame, acceptKey, OPCODES } = require('../lib/websocket');
+const errors = require('../lib/errors');
 const { RISK_LEVELS, THRESHOLDS, SUPPORTED_CHAINS } = require('../lib/constants');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
 
 // ═══════════════════════════════════════════
 // Mock RPC Client for testing without network
@@ -42,8 +64,206 @@ class MockRpcClient {
   async getBalance(chain, addr) { return this.mockResponses['getBalance'] || '0'; }
   async getTransactionCount(chain, addr) { return this.mockResponses['getTransactionCount'] || 0; }
   async getUSDCTransfers(chain, addr) { return this.mockResponses['getUSDCTransfers'] || []; }
+  async getUSDCTransferHistory(chain, addr) {
+    return { transfers: await this.getUSDCTransfers(chain, addr), truncated: false };
+  }
   async getCCTPDeposits(chain, addr) { return this.mockResponses['getCCTPDeposits'] || []; }
   async getBlock(chain, num) { return this.mockResponses['getBlock'] || { timestamp: '0x60000000' }; }
+  async getStorageSlots(chain, addr, slots) {
+    const storage = this.mockResponses['getStorageAt'] || {};
+    return slots.map(slot => storage[slot] || '0x' + '0'.repeat(64));
+  }
+
+  withPriority(priority, fn) { return fn(); }
+
+  async getAddressSnapshot(chain, addr) {
+    return {
+      isContract: await this.isContract(chain, addr),
+      txCount: await this.getTransactionCount(chain, addr),
+      balance: await this.getBalance(chain, addr),
+      usdcBalance: await this.getUSDCBalance(chain, addr),
+    };
+  }
+}
+
+/**
+ * MockRpcClient for a mock chain of contracts: `code` per address, `views`
+ * (`${to}:${calldata}` → address or number) answered by eth_call, and
+ * `storage` values by PROXY_SLOTS name
+ */
+function createContractRpc({ code = {}, views = {}, storage = {} }) {
+  const word = value => '0x' + (typeof value === 'number' ? value.toString(16) : value.slice(2)).padStart(64, '0');
+  const rpc = new MockRpcClient();
+  rpc.getCode = async (chain, addr) => code[addr.toLowerCase()] || '0x';
+  rpc.getAddressSnapshot = async (chain, addr) => ({
+    isContract: Boolean(code[addr.toLowerCase()]), txCount: 50, balance: '1000000000000000000', usdcBalance: '0',
+  });
+  rpc.setMock('getStorageAt', Object.fromEntries(Object.entries(storage).map(([slot, value]) => [PROXY_SLOTS[slot], word(value)])));
+  rpc.setMock('eth_call', (chain, [tx]) => {
+    const value = views[`${tx.to.toLowerCase()}:${tx.data}`];
+    if (value === undefined) throw Object.assign(new Error('execution reverted'), { isRevert: true });
+    return word(value);
+  });
+  return rpc;
+}
+
+// ═══════════════════════════════════════════
+// Local JSON-RPC stand-in server
+// ═══════════════════════════════════════════
+
+/**
+ * Starts an HTTP server that answers JSON-RPC requests from a
+ * method → handler map. Every received request is kept in `requests`.
+ * Handlers may return an RpcServerError to answer with a JSON-RPC error.
+ * `options.status` answers every request with that HTTP status instead,
+ * `options.hang` never answers.
+ */
+class RpcServerError {
+  constructor(code, message, data) {
+    this.code = code;
+    this.message = message;
+    this.data = data;
+  }
+}
+
+async function startRpcServer(handlers, options = {}) {
+  const requests = [];
+  const headers = [];
+  const answer = (req) => {
+    requests.push(req);
+    const handler = handlers[req.method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id: req.id, error: { code: -32601, message: `Method not found: ${req.method}` } };
+    }
+    const result = typeof handler === 'function' ? handler(req.params) : handler;
+    if (result instanceof RpcServerError) {
+      return { jsonrpc: '2.0', id: req.id, error: { code: result.code, message: result.message, data: result.data } };
+    }
+    return { jsonrpc: '2.0', id: req.id, result };
+  };
+
+  const server = http.createServer((req, res) => {
+    headers.push(req.headers);
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      if (options.status) {
+        res.statusCode = options.status;
+        res.end('unavailable');
+        return;
+      }
+      if (options.hang) return;
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    requests,
+    headers,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Starts a WebSocket JSON-RPC stand-in. `handlers` map methods to results
+ * (or functions of params). eth_subscribe answers with fresh ids, and
+ * `notify(filter, result)` pushes an eth_subscription event to every live
+ * subscription whose params satisfy `filter`.
+ */
+async function startWsServer(handlers = {}) {
+  const requests = [];
+  const sockets = new Set();
+  const subscriptions = new Map();
+  let nextSub = 0;
+
+  const server = http.createServer((req, res) => {
+    res.statusCode = 400;
+    res.end('websocket only');
+  });
+  server.on('upgrade', (req, socket) => {
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`,
+      '', '',
+    ].join('\r\n'));
+    sockets.add(socket);
+    socket.on('close', () => {
+      sockets.delete(socket);
+      for (const [id, sub] of subscriptions) {
+        if (sub.socket === socket) subscriptions.delete(id);
+      }
+    });
+    socket.on('error', () => {});
+
+    const send = obj => socket.write(encodeFrame(OPCODES.text, JSON.stringify(obj), false));
+    const parser = new FrameParser(({ opcode, payload }) => {
+      if (opcode === OPCODES.close) {
+        socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2), false));
+        return;
+      }
+      if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload, false));
+        return;
+      }
+      const req = JSON.parse(payload.toString('utf8'));
+      requests.push(req);
+      if (req.method === 'eth_subscribe') {
+        const id = '0xsub' + (++nextSub);
+        subscriptions.set(id, { socket, params: req.params, send });
+        send({ jsonrpc: '2.0', id: req.id, result: id });
+      } else if (req.method === 'eth_unsubscribe') {
+        send({ jsonrpc: '2.0', id: req.id, result: subscriptions.delete(req.params[0]) });
+      } else if (handlers[req.method] !== undefined) {
+        const handler = handlers[req.method];
+        send({ jsonrpc: '2.0', id: req.id, result: typeof handler === 'function' ? handler(req.params) : handler });
+      } else {
+        send({ jsonrpc: '2.0', id: req.id, error: { code: -32601, message: `Method not found: ${req.method}` } });
+      }
+    });
+    socket.on('data', chunk => parser.push(chunk));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    requests,
+    subscriptions,
+    notify(filter, result) {
+      for (const [id, sub] of subscriptions) {
+        if (filter(sub.params)) sub.send({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: id, result } });
+      }
+    },
+    dropAll() {
+      for (const socket of sockets) socket.destroy();
+    },
+    close: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    }),
+  };
+}
+
+async function waitFor(predicate, timeout = 2000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+function tmpFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'usdc-scanner-')), name);
 }
 
 // ═══════════════════════════════════════════
@@ -465,6 +685,23 @@ describe('CCTPAnalyzer', () => {
     assert.equal(result.patterns.length, 0);
   });
 
+  it('should report failed deposit lookups instead of no activity', async () => {
+    const server = await startRpcServer({
+      eth_blockNumber: '0x10',
+      eth_getLogs: new RpcServerError(-32601, 'method disabled'),
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+    await assert.rejects(rpc.getCCTPDeposits('base', '0x1111111111111111111111111111111111111111'), /method disabled/);
+
+    const result = await new CCTPAnalyzer(rpc).analyzeCrossChainActivity('0x1111111111111111111111111111111111111111', ['base']);
+    await server.close();
+
+    assert.equal(result.incompleteChecks.length, 1);
+    assert.equal(result.incompleteChecks[0].check, 'CCTP Deposits');
+    assert.equal(result.incompleteChecks[0].result, 'ERROR');
+    assert.equal(result.incompleteChecks[0].chain, 'base');
+  });
+
   it('should detect rapid bridging', () => {
     const deposits = [];
     for (let i = 0; i < 5; i++) {
@@ -737,3 +974,2896 @@ describe('Contract Data', () => {
     }
   });
 });
+
+// ═══════════════════════════════════════════
+// RPC Fixture Record/Replay Tests
+// ═══════════════════════════════════════════
+
+describe('RPC Fixtures', () => {
+  const recipient = '0x1111111111111111111111111111111111111111';
+
+  it('should record live traffic and replay it without network', async () => {
+    const server = await startRpcServer({
+      eth_getCode: '0x',
+      eth_getTransactionCount: '0x2a',
+      eth_call: '0x' + (5000n * 10n ** 6n).toString(16).padStart(64, '0'),
+      eth_getBalance: '0xde0b6b3a7640000',
+    });
+    const fixturePath = tmpFile('validate.json');
+
+    const recorder = new USDCSecurityScanner({
+      rateLimitDelay: 0,
+      endpoints: { base: [server.url] },
+      fixture: { mode: 'record', path: fixturePath },
+    });
+    const recorded = await recorder.validateTransfer(recipient, { amount: 100, chain: 'base' });
+    await server.close();
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    assert.equal(fixture.entries.length, server.requests.length);
+    assert.ok(fixture.entries.some(e => e.method === 'eth_call' && e.params[0].data.startsWith('0x70a08231')));
+
+    const replayer = new USDCSecurityScanner({ fixture: { mode: 'replay', path: fixturePath } });
+    const replayed = await replayer.validateTransfer(recipient, { amount: 100, chain: 'base' });
+
+    assert.equal(replayed.overallScore, recorded.overallScore);
+    assert.deepEqual(replayed.flags, recorded.flags);
+    assert.equal(replayed.profile.txCount, 42);
+    assert.equal(replayed.profile.usdcBalanceFormatted, 5000);
+  });
+
+  it('should replay the real eth_getLogs request shapes', async () => {
+    const fixturePath = tmpFile('logs.json');
+    const address = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+    const log = {
+      transactionHash: '0xabc',
+      blockNumber: '0x10',
+      logIndex: '0x0',
+      topics: [
+        '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+        '0x000000000000000000000000' + address.slice(2),
+        '0x000000000000000000000000' + 'b'.repeat(40),
+      ],
+      data: '0x' + (250n * 10n ** 6n).toString(16).padStart(64, '0'),
+    };
+    const server = await startRpcServer({
+      eth_blockNumber: '0x20',
+      eth_getLogs: (params) => params[0].topics[1] ? [log] : [],
+    });
+
+    const recorder = new RpcClient({
+      rateLimitDelay: 0,
+      endpoints: { ethereum: [server.url] },
+      fixture: { mode: 'record', path: fixturePath },
+    });
+    await recorder.getUSDCTransfers('ethereum', address);
+    await server.close();
+
+    const replayer = new RpcClient({ fixture: { mode: 'replay', path: fixturePath } });
+    const transfers = await replayer.getUSDCTransfers('ethereum', address);
+    assert.equal(transfers.length, 1);
+    assert.equal(transfers[0].amountUSDC, 250);
+    assert.equal(transfers[0].from, address);
+  });
+
+  it('should replay recorded JSON-RPC errors', async () => {
+    const fixturePath = tmpFile('errors.json');
+    const server = await startRpcServer({});
+
+    const recorder = new RpcClient({
+      rateLimitDelay: 0,
+      endpoints: { base: [server.url] },
+      fixture: { mode: 'record', path: fixturePath },
+    });
+    await assert.rejects(recorder.call('base', 'eth_chainId'), /Method not found/);
+    await server.close();
+
+    const replayer = new RpcClient({ fixture: { mode: 'replay', path: fixturePath } });
+    await assert.rejects(replayer.call('base', 'eth_chainId'), /Method not found/);
+  });
+
+  it('should fail loudly on unmatched requests in replay mode', async () => {
+    const fixturePath = tmpFile('empty.json');
+    fs.writeFileSync(fixturePath, JSON.stringify({ version: 1, entries: [] }));
+
+    const replayer = new RpcClient({ fixture: { mode: 'replay', path: fixturePath } });
+    await assert.rejects(
+      replayer.call('base', 'eth_blockNumber'),
+      /No recorded response .* eth_blockNumber on base/
+    );
+  });
+
+  it('should reject a missing fixture file in replay mode', () => {
+    assert.throws(
+      () => new RpcClient({ fixture: { mode: 'replay', path: tmpFile('missing.json') } }),
+      /Failed to load RPC fixture/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════
+// RPC Batch Tests
+// ═══════════════════════════════════════════
+
+describe('RpcBatch', () => {
+  const address = '0x1111111111111111111111111111111111111111';
+
+  it('should send queued calls as one array payload and match responses by id', async () => {
+    const server = await startRpcServer({
+      eth_blockNumber: '0x64',
+      eth_getBalance: '0x1',
+    });
+    let payloads = 0;
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+    const post = rpc._post.bind(rpc);
+    rpc._post = async (...args) => {
+      payloads++;
+      // Reverse the batch response order to prove matching is by id
+      const json = await post(...args);
+      return Array.isArray(json) ? json.reverse() : json;
+    };
+
+    const batch = rpc.batch('base');
+    batch.add('eth_blockNumber');
+    batch.add('eth_getBalance', [address, 'latest']);
+    const results = await batch.send();
+    await server.close();
+
+    assert.equal(payloads, 1);
+    assert.deepEqual(results, ['0x64', '0x1']);
+    assert.equal(batch.size, 0);
+  });
+
+  it('should split large batches and keep results in order', async () => {
+    const server = await startRpcServer({ eth_getBlockByNumber: ([hex]) => ({ number: hex }) });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+    const sizes = [];
+    const post = rpc._post.bind(rpc);
+    rpc._post = async (...args) => {
+      const json = await post(...args);
+      sizes.push(Array.isArray(json) ? json.length : 1);
+      return json;
+    };
+
+    const batch = rpc.batch('base');
+    for (let n = 0; n < 120; n++) batch.add('eth_getBlockByNumber', ['0x' + n.toString(16), false]);
+    const results = await batch.send();
+    await server.close();
+
+    assert.deepEqual(sizes, [50, 50, 20]);
+    assert.deepEqual(results.map(block => parseInt(block.number, 16)), Array.from({ length: 120 }, (_, n) => n));
+  });
+
+  it('should reject with the first JSON-RPC error in the batch', async () => {
+    const server = await startRpcServer({ eth_blockNumber: '0x64' });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+
+    const batch = rpc.batch('base');
+    batch.add('eth_blockNumber');
+    batch.add('eth_unknownMethod');
+    await assert.rejects(batch.send(), /Method not found/);
+    await server.close();
+  });
+
+  it('should fetch an address profile in a single round-trip', async () => {
+    const server = await startRpcServer({
+      eth_getCode: '0x6080',
+      eth_getTransactionCount: '0x7',
+      eth_getBalance: '0xde0b6b3a7640000',
+      eth_call: '0x' + (1234n * 10n ** 6n).toString(16).padStart(64, '0'),
+    });
+    let payloads = 0;
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { arbitrum: [server.url] } });
+    const post = rpc._post.bind(rpc);
+    rpc._post = (...args) => { payloads++; return post(...args); };
+
+    const profile = await new AddressChecker(rpc).analyzeAddressProfile(address, 'arbitrum');
+    await server.close();
+
+    assert.equal(payloads, 1);
+    assert.equal(server.requests.length, 4);
+    assert.equal(profile.isContract, true);
+    assert.equal(profile.txCount, 7);
+    assert.equal(profile.usdcBalanceFormatted, 1234);
+    assert.equal(profile.ethBalanceFormatted, 1);
+  });
+});
+
+// ═══════════════════════════════════════════
+// RPC Endpoint Failover Tests
+// ═══════════════════════════════════════════
+
+describe('RPC Failover', () => {
+  it('should fail over on HTTP 5xx and record endpoint health', async () => {
+    const broken = await startRpcServer({}, { status: 503 });
+    const healthy = await startRpcServer({ eth_blockNumber: '0x2a' });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [broken.url, healthy.url] } });
+
+    assert.equal(await rpc.getBlockNumber('base'), 42);
+    await Promise.all([broken.close(), healthy.close()]);
+
+    const [brokenHealth, healthyHealth] = rpc.getEndpointHealth('base');
+    assert.equal(brokenHealth.failures, 1);
+    assert.ok(brokenHealth.score < healthyHealth.score);
+    assert.ok(brokenHealth.coolingDown);
+    assert.match(brokenHealth.lastError, /HTTP 503/);
+    assert.equal(healthyHealth.successes, 1);
+  });
+
+  it('should fail over on timeouts and try unhealthy endpoints last', async () => {
+    const slow = await startRpcServer({}, { hang: true });
+    const healthy = await startRpcServer({ eth_blockNumber: '0x1' });
+    const rpc = new RpcClient({
+      rateLimitDelay: 0,
+      endpoints: { ethereum: [{ url: slow.url, timeout: 50 }, healthy.url] },
+    });
+
+    await rpc.getBlockNumber('ethereum');
+    await rpc.getBlockNumber('ethereum');
+    await Promise.all([slow.close(), healthy.close()]);
+
+    assert.equal(slow.headers.length, 1, 'Slow endpoint should only be tried once');
+    assert.equal(healthy.requests.length, 2);
+  });
+
+  it('should fail over on JSON-RPC errors but not on reverts', async () => {
+    const limited = await startRpcServer({
+      eth_blockNumber: new RpcServerError(-32005, 'request limit exceeded'),
+      eth_call: new RpcServerError(3, 'execution reverted'),
+    });
+    const healthy = await startRpcServer({ eth_blockNumber: '0x5', eth_call: '0x' });
+    const endpoints = { arbitrum: [limited.url, healthy.url] };
+
+    assert.equal(await new RpcClient({ rateLimitDelay: 0, endpoints }).getBlockNumber('arbitrum'), 5);
+    await assert.rejects(
+      new RpcClient({ rateLimitDelay: 0, endpoints }).call('arbitrum', 'eth_call', [{ to: '0x' }, 'latest']),
+      /execution reverted/
+    );
+    await Promise.all([limited.close(), healthy.close()]);
+
+    assert.equal(healthy.requests.filter(r => r.method === 'eth_call').length, 0);
+  });
+
+  it('should reject with the last error when every endpoint fails', async () => {
+    const a = await startRpcServer({}, { status: 429 });
+    const b = await startRpcServer({}, { status: 502 });
+    const rpc = new RpcClient({ rateLimitDelay: 0, retry: { retries: 0 }, endpoints: { base: [a.url, b.url] } });
+
+    await assert.rejects(rpc.getBlockNumber('base'), /HTTP (429|502)/);
+    await Promise.all([a.close(), b.close()]);
+  });
+
+  it('should send custom auth headers to private nodes', async () => {
+    const server = await startRpcServer({ eth_blockNumber: '0x1' });
+    const rpc = new RpcClient({
+      rateLimitDelay: 0,
+      endpoints: { base: [{ url: server.url, headers: { Authorization: 'Bearer secret' } }] },
+    });
+
+    await rpc.getBlockNumber('base');
+    await server.close();
+    assert.equal(server.headers[0].authorization, 'Bearer secret');
+    assert.ok(!JSON.stringify(rpc.getEndpointHealth()).includes('secret'));
+  });
+
+  it('should not add risk when on-chain data is unavailable', async () => {
+    const down = await startRpcServer({}, { status: 503 });
+    const scanner = new USDCSecurityScanner({ rateLimitDelay: 0, retry: { retries: 0 }, endpoints: { base: [down.url] } });
+
+    const result = await scanner.validateTransfer(
+      '0x1111111111111111111111111111111111111111',
+      { amount: 100, chain: 'base' }
+    );
+    await down.close();
+
+    assert.equal(result.overallScore, 0);
+    assert.ok(result.checks.some(c => c.check === 'Address Profile' && c.result === 'SKIPPED'));
+  });
+});
+
+// ═══════════════════════════════════════════
+// eth_getLogs Pagination Tests
+// ═══════════════════════════════════════════
+
+describe('Transfer History Pagination', () => {
+  const address = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+  const padded = '0x000000000000000000000000' + address.slice(2);
+  const other = '0x000000000000000000000000' + 'b'.repeat(40);
+
+  // One sent and one received transfer every 10 blocks up to `head`
+  function transferChain(head, maxRange = Infinity) {
+    const logs = [];
+    for (let block = 10; block <= head; block += 10) {
+      logs.push({ block, logIndex: 1, topics: [null, padded, other], amount: block });
+      logs.push({ block, logIndex: 0, topics: [null, other, padded], amount: block + 1 });
+    }
+    const ranges = [];
+    return {
+      ranges,
+      handlers: {
+        eth_blockNumber: '0x' + head.toString(16),
+        eth_getLogs: ([filter]) => {
+          const from = parseInt(filter.fromBlock, 16);
+          const to = parseInt(filter.toBlock, 16);
+          if (to - from + 1 > maxRange) {
+            return new RpcServerError(-32005, `query exceeds max block range ${maxRange}`);
+          }
+          ranges.push([from, to]);
+          return logs
+            .filter(l => l.block >= from && l.block <= to)
+            .filter(l => filter.topics[1] ? l.topics[1] === filter.topics[1] : l.topics[2] === filter.topics[2])
+            .map(l => ({
+              transactionHash: `0x${l.block.toString(16)}${l.logIndex}`,
+              blockNumber: '0x' + l.block.toString(16),
+              logIndex: '0x' + l.logIndex.toString(16),
+              topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef', ...l.topics.slice(1)],
+              data: '0x' + (BigInt(l.amount) * 10n ** 6n).toString(16),
+            }));
+        },
+      },
+    };
+  }
+
+  it('should split ranges the provider rejects and return the newest transfers sorted', async () => {
+    const { handlers, ranges } = transferChain(1000, 100);
+    const server = await startRpcServer(handlers);
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { ethereum: [server.url] }, logChunkSize: 500 });
+
+    const history = await rpc.getUSDCTransferHistory('ethereum', address, { limit: 10 });
+    await server.close();
+
+    assert.ok(ranges.every(([from, to]) => to - from + 1 <= 100));
+    assert.equal(history.transfers.length, 10);
+    assert.equal(history.truncated, true);
+    assert.deepEqual(
+      history.transfers.map(t => [t.blockNumber, t.logIndex]),
+      [[960, 0], [960, 1], [970, 0], [970, 1], [980, 0], [980, 1], [990, 0], [990, 1], [1000, 0], [1000, 1]]
+    );
+  });
+
+  it('should not count rejected ranges against endpoint health', async () => {
+    const { handlers } = transferChain(1000, 100);
+    const server = await startRpcServer(handlers);
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { ethereum: [server.url, server.url + '/backup'] }, logChunkSize: 500 });
+
+    await rpc.getUSDCTransferHistory('ethereum', address, { limit: 10 });
+    await server.close();
+
+    const [primary, backup] = rpc.getEndpointHealth('ethereum');
+    assert.equal(primary.failures, 0);
+    assert.equal(primary.coolingDown, false);
+    assert.ok(primary.successes > 0);
+    assert.equal(backup.successes + backup.failures, 0);
+  });
+
+  it('should honour fromBlock/toBlock and report complete history', async () => {
+    const { handlers, ranges } = transferChain(1000);
+    const server = await startRpcServer(handlers);
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] }, logChunkSize: 50 });
+
+    const history = await rpc.getUSDCTransferHistory('base', address, { fromBlock: 200, toBlock: 400, limit: 100 });
+    await server.close();
+
+    assert.ok(ranges.every(([from, to]) => from >= 200 && to <= 400));
+    assert.equal(history.truncated, false);
+    assert.equal(history.transfers.length, 42);
+    assert.equal(history.transfers[0].blockNumber, 200);
+    assert.equal(history.transfers.at(-1).blockNumber, 400);
+    assert.equal(history.transfers.at(-1).from, address);
+  });
+
+  it('should flag truncation when the query budget runs out', async () => {
+    const { handlers } = transferChain(100000);
+    const server = await startRpcServer(handlers);
+    const rpc = new RpcClient({
+      rateLimitDelay: 0,
+      endpoints: { arbitrum: [server.url] },
+      logChunkSize: 5,
+      maxLogChunkSize: 5,
+      maxLogQueries: 3,
+    });
+
+    const history = await rpc.getUSDCTransferHistory('arbitrum', address, { limit: 1000 });
+    await server.close();
+
+    assert.equal(history.truncated, true);
+    assert.ok(history.transfers.length > 0);
+  });
+
+  it('should propagate provider errors instead of returning an empty list', async () => {
+    const server = await startRpcServer({
+      eth_blockNumber: '0x10',
+      eth_getLogs: new RpcServerError(-32601, 'method disabled'),
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+
+    await assert.rejects(rpc.getUSDCTransfers('base', address), /method disabled/);
+    await server.close();
+  });
+});
+
+// ═══════════════════════════════════════════
+// Disk Cache Tests
+// ═══════════════════════════════════════════
+
+describe('DiskCache', () => {
+  const address = '0x1111111111111111111111111111111111111111';
+
+  it('should keep permanent entries and expire TTL entries', () => {
+    const cache = new DiskCache({ dir: path.dirname(tmpFile('x')) });
+    cache.set('forever', { a: 1 }, null, 1000);
+    cache.set('short', 'v', 500, 1000);
+
+    assert.deepEqual(cache.get('forever', 10 ** 12), { value: { a: 1 } });
+    assert.deepEqual(cache.get('short', 1200), { value: 'v' });
+    assert.equal(cache.get('short', 1600), null);
+    assert.equal(cache.get('missing'), null);
+  });
+
+  it('should serve finalized receipts from disk across client instances', async () => {
+    const dir = path.dirname(tmpFile('x'));
+    const receipt = { transactionHash: '0xabc', blockNumber: '0x64', status: '0x1', logs: [] };
+    const server = await startRpcServer({
+      eth_blockNumber: '0x10000',
+      eth_getTransactionReceipt: receipt,
+    });
+
+    const first = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] }, cache: { dir } });
+    await first.getTransactionReceipt('base', '0xabc');
+    await server.close();
+
+    // The server is gone: only the cache can answer
+    const second = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] }, cache: { dir } });
+    assert.deepEqual(await second.getTransactionReceipt('base', '0xabc'), receipt);
+  });
+
+  it('should treat receipts as not finalized while the chain head is unknown', async () => {
+    const dir = path.dirname(tmpFile('x'));
+    const receipt = { transactionHash: '0xdef', blockNumber: '0x64', status: '0x1', logs: [] };
+    const server = await startRpcServer({
+      eth_blockNumber: () => null,
+      eth_getTransactionReceipt: receipt,
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] }, cache: { dir, ttl: 60000 } });
+
+    assert.deepEqual(await rpc.getTransactionReceipt('base', '0xdef'), receipt);
+    await server.close();
+
+    const key = rpc._cacheKey('base', { method: 'eth_getTransactionReceipt', params: ['0xdef'] });
+    assert.ok(rpc.cache.get(key));
+    assert.equal(rpc.cache.get(key, Date.now() + 120000), null);
+  });
+
+  it('should only briefly cache mutable state and never cache the chain head', async () => {
+    const dir = path.dirname(tmpFile('x'));
+    let nonce = 1;
+    const server = await startRpcServer({
+      eth_blockNumber: '0x100',
+      eth_getTransactionCount: () => '0x' + (nonce++).toString(16),
+      eth_getLogs: [],
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { ethereum: [server.url] }, cache: { dir, ttl: 60000 } });
+
+    assert.equal(await rpc.getTransactionCount('ethereum', address), 1);
+    assert.equal(await rpc.getTransactionCount('ethereum', address), 1);
+    await rpc.getBlockNumber('ethereum');
+    await rpc.getBlockNumber('ethereum');
+    // Logs ending near the head may still reorg
+    await rpc.call('ethereum', 'eth_getLogs', [{ fromBlock: '0xf0', toBlock: '0x100' }]);
+
+    const headCalls = server.requests.filter(r => r.method === 'eth_blockNumber').length;
+    const entries = fs.readdirSync(dir)
+      .filter(shard => fs.statSync(path.join(dir, shard)).isDirectory())
+      .flatMap(shard => fs.readdirSync(path.join(dir, shard)).map(f => path.join(dir, shard, f)))
+      .map(f => JSON.parse(fs.readFileSync(f, 'utf8')));
+    await server.close();
+
+    assert.equal(server.requests.filter(r => r.method === 'eth_getTransactionCount').length, 1);
+    assert.ok(headCalls >= 2);
+    assert.ok(entries.every(e => !e.key.includes('eth_blockNumber')));
+    assert.ok(entries.every(e => e.expiresAt !== null), 'Nothing here is final');
+  });
+
+  it('should cache batched calls individually', async () => {
+    const dir = path.dirname(tmpFile('x'));
+    const server = await startRpcServer({
+      eth_getCode: '0x',
+      eth_getTransactionCount: '0x3',
+      eth_getBalance: '0x0',
+      eth_call: '0x0',
+      eth_blockNumber: '0x1',
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] }, cache: { dir } });
+
+    await rpc.getAddressSnapshot('base', address);
+    const before = server.requests.length;
+    const snapshot = await rpc.getAddressSnapshot('base', address);
+    await server.close();
+
+    assert.equal(server.requests.length, before);
+    assert.equal(snapshot.txCount, 3);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Typed RPC Error & Retry Tests
+// ═══════════════════════════════════════════
+
+describe('RPC Errors and Retry', () => {
+  const fast = { retries: 3, baseDelay: 1, maxDelay: 5 };
+
+  it('should raise typed errors for each failure mode', async () => {
+    const provider = await startRpcServer({ eth_call: new RpcServerError(3, 'execution reverted: paused') });
+    const limited = await startRpcServer({}, { status: 429 });
+    const slow = await startRpcServer({}, { hang: true });
+    const garbage = http.createServer((req, res) => res.end('<html>'));
+    await new Promise(resolve => garbage.listen(0, '127.0.0.1', resolve));
+
+    const client = (url, extra = {}) => new RpcClient({
+      rateLimitDelay: 0,
+      retry: { retries: 0 },
+      endpoints: { base: [{ url, ...extra }] },
+    });
+
+    const revert = await client(provider.url).call('base', 'eth_call', [{}, 'latest']).catch(e => e);
+    assert.ok(revert instanceof errors.RpcProviderError);
+    assert.equal(revert.code, 3);
+    assert.ok(revert.isRevert);
+    assert.equal(revert.method, 'eth_call');
+
+    const rate = await client(limited.url).getBlockNumber('base').catch(e => e);
+    assert.ok(rate instanceof errors.RpcRateLimitError);
+    assert.ok(rate.retryable);
+
+    const timeout = await client(slow.url, { timeout: 30 }).getBlockNumber('base').catch(e => e);
+    assert.ok(timeout instanceof errors.RpcTimeoutError);
+
+    const parse = await client(`http://127.0.0.1:${garbage.address().port}`).getBlockNumber('base').catch(e => e);
+    assert.ok(parse instanceof errors.RpcParseError);
+
+    const unsupported = await client(provider.url).getBlockNumber('solana').catch(e => e);
+    assert.ok(unsupported instanceof errors.UnsupportedChainError);
+    assert.ok(unsupported instanceof errors.RpcError);
+
+    await Promise.all([provider.close(), limited.close(), slow.close()]);
+    garbage.close();
+  });
+
+  it('should retry transient failures with backoff until they succeed', async () => {
+    let attempts = 0;
+    const flaky = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        attempts++;
+        if (attempts < 3) {
+          res.statusCode = 429;
+          res.end();
+          return;
+        }
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(body).id, result: '0x7' }));
+      });
+    });
+    await new Promise(resolve => flaky.listen(0, '127.0.0.1', resolve));
+    const rpc = new RpcClient({
+      rateLimitDelay: 0,
+      retry: fast,
+      endpoints: { base: [`http://127.0.0.1:${flaky.address().port}`] },
+    });
+
+    assert.equal(await rpc.getBlockNumber('base'), 7);
+    assert.equal(attempts, 3);
+    flaky.close();
+  });
+
+  it('should retry JSON-RPC rate limits but not deterministic errors', async () => {
+    let limitedCalls = 0;
+    const server = await startRpcServer({
+      eth_blockNumber: () => (++limitedCalls < 2 ? new RpcServerError(-32016, 'rate limit exceeded') : '0x1'),
+      eth_call: new RpcServerError(-32602, 'invalid argument'),
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, retry: fast, endpoints: { base: [server.url] } });
+
+    assert.equal(await rpc.getBlockNumber('base'), 1);
+    await assert.rejects(rpc.call('base', 'eth_call', [{}, 'latest']), errors.RpcProviderError);
+    await server.close();
+
+    assert.equal(server.requests.filter(r => r.method === 'eth_call').length, 1);
+  });
+
+  it('should compute jittered exponential backoff honouring Retry-After', () => {
+    const rpc = new RpcClient({ retry: { baseDelay: 100, maxDelay: 1000 } });
+    for (let n = 0; n < 6; n++) {
+      const ceiling = Math.min(1000, 100 * 2 ** n);
+      const delay = rpc._backoffDelay(n);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${n}: ${delay}`);
+    }
+    assert.equal(rpc._backoffDelay(0, { retryAfterMs: 5000 }), 5000);
+  });
+
+  it('should report failed checks as SKIPPED/ERROR rather than risk', async () => {
+    const server = await startRpcServer({
+      eth_getCode: '0x',
+      eth_getTransactionCount: '0x64',
+      eth_getBalance: '0xde0b6b3a7640000',
+      eth_call: '0x0',
+    });
+    const scanner = new USDCSecurityScanner({ rateLimitDelay: 0, retry: { retries: 0 }, endpoints: { base: [server.url] } });
+    // eth_blockNumber/eth_getLogs are not served: the interactions check fails
+    const result = await scanner.validateTransfer(
+      '0x1111111111111111111111111111111111111111',
+      { amount: 100000, chain: 'base' }
+    );
+    await server.close();
+
+    const interactions = result.checks.find(c => c.check === 'Scam Interactions');
+    assert.equal(interactions.result, 'ERROR');
+    assert.ok(!result.flags.includes('SCAM_INTERACTIONS'));
+    assert.ok(result.formatted.includes('Incomplete checks'));
+    assert.equal(errors.checkResultFor(new errors.RpcTimeoutError('t')), 'SKIPPED');
+    assert.equal(errors.checkResultFor(new errors.RpcParseError('p')), 'SKIPPED');
+    assert.equal(errors.checkResultFor(new errors.RpcProviderError('x', { code: -32602 })), 'ERROR');
+  });
+});
+
+// ═══════════════════════════════════════════
+// Chain Registry Tests
+// ═══════════════════════════════════════════
+
+describe('Chain Registry', () => {
+  const optimism = {
+    label: 'Optimism',
+    chainId: { mainnet: 10 },
+    blockTime: 2,
+    usdc: { mainnet: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85' },
+    cctp: {
+      domain: 2,
+      tokenMessenger: { mainnet: '0x2B4069517957735bE00ceE0fadAE88a26365528f' },
+      messageTransmitter: { mainnet: '0x4D41f22c5a0e5c74090899E5a8Fb597a8842b3e8' },
+    },
+    rpc: { mainnet: ['https://mainnet.optimism.io'] },
+  };
+
+  function writeConfig(chains) {
+    const file = tmpFile('chains.json');
+    fs.writeFileSync(file, JSON.stringify({ chains }));
+    return file;
+  }
+
+  it('should describe the bundled chains', () => {
+    const registry = ChainRegistry.bundled();
+    assert.deepEqual(registry.names(), SUPPORTED_CHAINS);
+
+    const base = registry.get('base');
+    assert.equal(base.chainId.mainnet, 8453);
+    assert.equal(base.blockTime, 2);
+    assert.equal(base.cctp.domain, 6);
+    assert.equal(registry.usdcAddress('base', 'mainnet'), '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+    assert.equal(registry.byDomain(3).name, 'arbitrum');
+    assert.throws(() => registry.require('optimism'), errors.UnsupportedChainError);
+  });
+
+  it('should add chains and merge overrides from a config file', () => {
+    const registry = ChainRegistry.load({
+      configPath: writeConfig({ optimism, base: { rpc: { mainnet: ['https://node.internal/base'] } } }),
+    });
+
+    assert.ok(registry.has('optimism'));
+    assert.equal(registry.byDomain(2).name, 'optimism');
+    assert.deepEqual(registry.rpcEndpoints('base', 'mainnet'), ['https://node.internal/base']);
+    assert.equal(registry.usdcAddress('base', 'mainnet'), '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+    assert.deepEqual(registry.names('sepolia'), SUPPORTED_CHAINS);
+  });
+
+  it('should reject invalid chain configs', () => {
+    assert.throws(
+      () => ChainRegistry.load({ configPath: writeConfig({ optimism: { ...optimism, blockTime: 0 } }) }),
+      /chain "optimism": blockTime/
+    );
+    assert.throws(
+      () => ChainRegistry.load({ configPath: writeConfig({ optimism: { ...optimism, usdc: { mainnet: '0x123' } } }) }),
+      /usdc\.mainnet is not a valid address/
+    );
+    assert.throws(() => ChainRegistry.load({ configPath: tmpFile('missing.json') }), /Failed to load chain config/);
+  });
+
+  it('should scan configured chains end to end', async () => {
+    const server = await startRpcServer({
+      eth_getCode: '0x',
+      eth_getTransactionCount: '0x1',
+      eth_getBalance: '0x0',
+      eth_call: '0x0',
+    });
+    const scanner = new USDCSecurityScanner({
+      rateLimitDelay: 0,
+      chainConfig: writeConfig({ optimism: { ...optimism, rpc: { mainnet: [server.url] } } }),
+    });
+    const profile = await scanner.addressChecker.analyzeAddressProfile('0x1111111111111111111111111111111111111111', 'optimism');
+    await server.close();
+
+    assert.equal(profile.txCount, 1);
+    assert.ok(scanner._resolveChains('all').includes('optimism'));
+    assert.equal(scanner.getCCTPInfo('optimism').domainId, 2);
+    const call = server.requests.find(r => r.method === 'eth_call');
+    assert.equal(call.params[0].to, optimism.usdc.mainnet);
+  });
+
+  it('should size the velocity window by chain block time', async () => {
+    const detector = new PatternDetector(new MockRpcClient());
+    // 30 transfers over 1740 blocks: under an hour on Base, ~6h on Ethereum
+    const transfers = Array.from({ length: 30 }, (_, i) => ({
+      from: '0xaaaa', to: '0xbbbb', value: 1, blockNumber: 1000 + i * 60,
+    }));
+    assert.ok(await detector.detectHighVelocity('0xaaaa', transfers, 'base'));
+    assert.equal(await detector.detectHighVelocity('0xaaaa', transfers, 'ethereum'), null);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Block Timestamp Tests
+// ═══════════════════════════════════════════
+
+describe('Block Timestamps', () => {
+  const address = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+  const partner = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+  it('should batch and remember block header lookups', async () => {
+    const server = await startRpcServer({
+      eth_getBlockByNumber: ([hex]) => (hex === '0x3' ? null : { number: hex, timestamp: '0x' + (parseInt(hex, 16) * 100).toString(16) }),
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+
+    const first = await rpc.getBlockTimestamps('base', [1, 2, 2, 3]);
+    const second = await rpc.getBlockTimestamps('base', [1, 2]);
+    await server.close();
+
+    assert.equal(first.get(1), 100000);
+    assert.equal(first.get(2), 200000);
+    assert.ok(!first.has(3));
+    assert.equal(second.get(2), 200000);
+    // One batch for the three distinct blocks; the second lookup is served from memory
+    assert.equal(server.requests.length, 3);
+  });
+
+  it('should add timestamps to transfer history on request', async () => {
+    const log = {
+      transactionHash: '0xabc',
+      blockNumber: '0x10',
+      logIndex: '0x0',
+      topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef', '0x' + '0'.repeat(24) + address.slice(2), '0x' + '0'.repeat(24) + partner.slice(2)],
+      data: '0x' + (5000000).toString(16),
+    };
+    const server = await startRpcServer({
+      eth_blockNumber: '0x20',
+      eth_getLogs: (params) => (params[0].topics[1] ? [log] : []),
+      eth_getBlockByNumber: { number: '0x10', timestamp: '0x6553f100' },
+    });
+    const rpc = new RpcClient({ rateLimitDelay: 0, endpoints: { base: [server.url] } });
+
+    const plain = await rpc.getUSDCTransferHistory('base', address);
+    const history = await rpc.getUSDCTransferHistory('base', address, { timestamps: true });
+    await server.close();
+
+    assert.equal(plain.transfers[0].timestamp, undefined);
+    assert.equal(history.transfers[0].timestamp, 0x6553f100 * 1000);
+  });
+
+  it('should use wall-clock windows when transfers carry timestamps', async () => {
+    const detector = new PatternDetector(new MockRpcClient());
+    const start = Date.UTC(2026, 0, 1);
+    // Adjacent blocks, but a day apart (e.g. a chain halt): not a burst
+    const spread = Array.from({ length: 25 }, (_, i) => ({
+      from: address, to: partner, amountUSDC: 10, blockNumber: 1000 + i, timestamp: start + i * 86400000,
+    }));
+    assert.equal(await detector.detectHighVelocity(address, spread, 'base'), null);
+
+    const burst = spread.map((t, i) => ({ ...t, timestamp: start + i * 60000 }));
+    const result = await detector.detectHighVelocity(address, burst, 'base');
+    assert.ok(result);
+    assert.ok(result.detail.includes('within a 1 hour window'));
+  });
+
+  it('should ignore wash trades and cycles outside their time windows', async () => {
+    const detector = new PatternDetector(new MockRpcClient());
+    const start = Date.UTC(2026, 0, 1);
+    const transfers = [];
+    for (let i = 0; i < 5; i++) {
+      // Each return leg arrives two days later
+      transfers.push({ from: address, to: partner, amountUSDC: 1000, blockNumber: 1000 + i, timestamp: start + i * 3600000 });
+      transfers.push({ from: partner, to: address, amountUSDC: 1000, blockNumber: 2000 + i, timestamp: start + 2 * 86400000 + i * 3600000 });
+    }
+
+    assert.equal(await detector.detectWashTrading(address, transfers, 'base'), null);
+    assert.equal(await detector.detectCircularFlows(address, transfers, 'base'), null);
+
+    const quick = transfers.map(t => ({ ...t, timestamp: t.timestamp % 86400000 + start }));
+    assert.ok(await detector.detectWashTrading(address, quick, 'base'));
+    assert.ok(await detector.detectCircularFlows(address, quick, 'base'));
+  });
+});
+
+// ═══════════════════════════════════════════
+// Request Scheduler Tests
+// ═══════════════════════════════════════════
+
+describe('RequestScheduler', () => {
+  const tick = () => new Promise(r => setImmediate(r));
+
+  it('should pace requests with a token bucket', async () => {
+    const scheduler = new RequestScheduler({ rate: 50, burst: 1 });
+    const started = Date.now();
+    await Promise.all(Array.from({ length: 5 }, () => scheduler.run('ep', async () => Date.now())));
+    // One immediate, then four at 20ms intervals
+    assert.ok(Date.now() - started >= 70, `took ${Date.now() - started}ms`);
+    assert.equal(scheduler.stats('ep').dispatched, 5);
+  });
+
+  it('should cap requests in flight', async () => {
+    const scheduler = new RequestScheduler({ maxInFlight: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(r => setTimeout(r, 5));
+      active--;
+    };
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.run('ep', task)));
+    assert.equal(peak, 2);
+  });
+
+  it('should dispatch high priority before normal and low', async () => {
+    const scheduler = new RequestScheduler({ maxInFlight: 1 });
+    const order = [];
+    let release;
+    const blocker = scheduler.run('ep', () => new Promise(r => { release = r; }));
+    await tick();
+
+    const queued = [
+      scheduler.withPriority('low', () => scheduler.run('ep', async () => order.push('low'))),
+      scheduler.run('ep', async () => order.push('normal')),
+      scheduler.withPriority('high', () => scheduler.run('ep', async () => order.push('high'))),
+    ];
+    assert.deepEqual(scheduler.stats('ep').queued, { high: 1, normal: 1, low: 1 });
+    assert.equal(scheduler.stats('ep').queueDepth, 3);
+
+    release();
+    await Promise.all([blocker, ...queued]);
+    assert.deepEqual(order, ['high', 'normal', 'low']);
+    assert.equal(scheduler.stats('ep').maxQueueDepth, 3);
+    assert.throws(() => scheduler.withPriority('urgent', () => {}), /Invalid priority/);
+  });
+
+  it('should propagate task errors without stalling the queue', async () => {
+    const scheduler = new RequestScheduler({ maxInFlight: 1 });
+    const failing = scheduler.run('ep', async () => { throw new Error('boom'); });
+    const next = scheduler.run('ep', async () => 'ok');
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'ok');
+  });
+
+  it('should schedule RpcClient requests per endpoint', async () => {
+    let active = 0;
+    let peak = 0;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        peak = Math.max(peak, ++active);
+        setTimeout(() => {
+          active--;
+          res.end(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(body).id, result: '0x1' }));
+        }, 5);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const rpc = new RpcClient({
+      rateLimitDelay: 0,
+      endpoints: { base: [{ url, maxInFlight: 1 }] },
+    });
+    await Promise.all(Array.from({ length: 4 }, (_, i) => rpc.call('base', 'eth_getBalance', [`0x${i}`, 'latest'])));
+    await rpc.withPriority('high', () => rpc.getBlockNumber('base'));
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+
+    assert.equal(peak, 1);
+    const [stats] = rpc.getSchedulerStats('base');
+    assert.equal(stats.endpoint, url.replace('http://', ''));
+    assert.equal(stats.dispatched, 5);
+    assert.equal(stats.queueDepth, 0);
+  });
+});
+
+// ═══════════════════════════════════════════
+// WebSocket Transport Tests
+// ═══════════════════════════════════════════
+
+describe('WebSocket Transport', () => {
+  const address = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+  const other = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+  const topic = addr => '0x' + '0'.repeat(24) + addr.slice(2);
+  const transferLog = (from, to, logIndex = '0x0') => ({
+    transactionHash: '0xfeed',
+    blockNumber: '0x64',
+    logIndex,
+    topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef', topic(from), topic(to)],
+    data: '0x' + (2500000).toString(16).padStart(64, '0'),
+  });
+
+  it('should round-trip frames of every length encoding', () => {
+    for (const size of [10, 300, 70000]) {
+      const payload = Buffer.alloc(size, 'x');
+      const frames = [];
+      const parser = new FrameParser(frame => frames.push(frame));
+      const encoded = encodeFrame(OPCODES.text, payload, true);
+      // Deliver in awkward pieces to exercise partial headers
+      for (let i = 0; i < encoded.length; i += 7) parser.push(encoded.subarray(i, i + 7));
+
+      assert.equal(frames.length, 1);
+      assert.equal(frames[0].opcode, OPCODES.text);
+      assert.ok(frames[0].fin);
+      assert.ok(frames[0].payload.equals(payload));
+    }
+  });
+
+  it('should answer JSON-RPC requests over the socket', async () => {
+    const server = await startWsServer({ eth_blockNumber: '0x2a' });
+    const ws = new WsRpcClient('base', [server.url]);
+
+    assert.equal(await ws.request('eth_blockNumber'), '0x2a');
+    await assert.rejects(ws.request('eth_nope'), err => err instanceof errors.RpcProviderError && err.code === -32601);
+
+    ws.close();
+    await server.close();
+  });
+
+  it('should stream USDC transfers for an address', async () => {
+    const server = await startWsServer();
+    const rpc = new RpcClient({ rateLimitDelay: 0, wsEndpoints: { base: [server.url] } });
+    const stream = rpc.subscribeUSDCTransfers('base', { address });
+    await waitFor(() => server.subscriptions.size === 2);
+
+    const params = [...server.subscriptions.values()].map(s => s.params);
+    assert.deepEqual(params.map(p => p[0]), ['logs', 'logs']);
+    assert.equal(params[0][1].address, '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+
+    server.notify(() => true, transferLog(address, address)); // self-transfer hits both filters
+    server.notify(p => p[1].topics[2] === topic(address), transferLog(other, address, '0x1'));
+
+    const received = [];
+    for await (const transfer of stream) {
+      received.push(transfer);
+      if (received.length === 2) break;
+    }
+    assert.equal(received[0].amountUSDC, 2.5);
+    assert.equal(received[1].from, other);
+    assert.equal(received[1].logIndex, 1);
+
+    // Leaving the loop unsubscribes
+    await waitFor(() => server.requests.filter(r => r.method === 'eth_unsubscribe').length === 2);
+    rpc.close();
+    await server.close();
+  });
+
+  it('should reconnect and resubscribe after the connection drops', async () => {
+    const server = await startWsServer();
+    const rpc = new RpcClient({
+      rateLimitDelay: 0,
+      wsEndpoints: { base: [server.url] },
+      ws: { reconnect: { baseDelay: 10, maxDelay: 20 } },
+    });
+    const heads = rpc.subscribeNewHeads('base');
+    await waitFor(() => server.subscriptions.size === 1);
+
+    server.dropAll();
+    await waitFor(() => server.subscriptions.size === 1 && heads.reconnects === 1);
+    server.notify(() => true, { number: '0x10', hash: '0xabc', timestamp: '0x65000000' });
+
+    const { value } = await heads.next();
+    assert.deepEqual(value, { number: 16, hash: '0xabc', timestamp: 0x65000000 * 1000 });
+    assert.equal(server.requests.filter(r => r.method === 'eth_subscribe').length, 2);
+
+    rpc.close();
+    assert.equal((await heads.next()).done, true);
+    await server.close();
+  });
+
+  it('should decode CCTP burns filtered by depositor', async () => {
+    const server = await startWsServer();
+    const rpc = new RpcClient({ rateLimitDelay: 0, wsEndpoints: { ethereum: [server.url] } });
+    const deposits = rpc.subscribeCCTPDeposits('ethereum', { depositor: address });
+    await waitFor(() => server.subscriptions.size === 1);
+
+    const [, filter] = [...server.subscriptions.values()][0].params;
+    assert.equal(filter.topics[3], topic(address));
+
+    const word = hex => hex.replace('0x', '').padStart(64, '0');
+    server.notify(() => true, {
+      transactionHash: '0xb0b',
+      blockNumber: '0x100',
+      logIndex: '0x2',
+      topics: ['0x2fa9ca894982930190727e75500a97d8dc500233a5065e0f3126c48fbe0343c0', '0x' + word('0x7'), topic(other), topic(address)],
+      data: '0x' + word((1000000000).toString(16)) + word(other) + word('0x3') + word('0x0') + word('0x0'),
+    });
+
+    const { value } = await deposits.next();
+    assert.equal(value.depositor, address);
+    assert.equal(value.amountUSDC, 1000);
+    assert.equal(value.mintRecipient, other);
+    assert.equal(value.destinationChain, 'arbitrum');
+    assert.equal(value.nonce, '7');
+
+    rpc.close();
+    await server.close();
+  });
+
+  it('should surface connection failures through the stream', async () => {
+    const server = await startRpcServer({}, { status: 503 });
+    const rpc = new RpcClient({ rateLimitDelay: 0, wsEndpoints: { base: [server.url.replace('http', 'ws')] } });
+
+    await assert.rejects(rpc.subscribeNewHeads('base').next(), errors.RpcNetworkError);
+    rpc.close();
+    await server.close();
+  });
+});
+
+// ═══════════════════════════════════════════
+// Watchlist and Monitor Tests
+// ═══════════════════════════════════════════
+
+describe('Watchlist and Monitor', () => {
+  const watched = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+  const scammer = '0x098b716b8aaf21512996dc57eb0615e2383e2f96';
+  const stranger = '0xcccccccccccccccccccccccccccccccccccccccc';
+  const topic = addr => '0x' + '0'.repeat(24) + addr.slice(2);
+  const word = hex => hex.replace('0x', '').padStart(64, '0');
+
+  it('should persist watched addresses and their settings', () => {
+    const file = tmpFile('watchlist.json');
+    const watchlist = new Watchlist({ path: file });
+    watchlist.add(watched.toUpperCase().replace('0X', '0x'), { chains: ['base'], alerts: 'all', label: 'treasury' });
+    watchlist.setCursor(watched, 'base', 123);
+    watchlist.add(watched, { alerts: 'critical' });
+
+    const reopened = new Watchlist({ path: file });
+    const entry = reopened.get(watched);
+    assert.deepEqual(entry.chains, ['base']);
+    assert.equal(entry.alerts, 'critical');
+    assert.equal(entry.label, 'treasury');
+    assert.equal(entry.cursors.base, 123);
+
+    assert.throws(() => reopened.add(watched, { alerts: 'loud' }), /Invalid alert level/);
+    assert.throws(() => reopened.add('0x123'), /Invalid Ethereum address/);
+    assert.equal(reopened.remove(watched), true);
+    assert.equal(new Watchlist({ path: file }).size, 0);
+  });
+
+  async function startChain() {
+    let head = 100;
+    const server = await startRpcServer({
+      eth_blockNumber: () => '0x' + head.toString(16),
+      eth_getBlockByNumber: ([hex]) => ({ number: hex, timestamp: '0x65000000' }),
+      eth_getLogs: ([filter]) => {
+        if (parseInt(filter.fromBlock, 16) > 100) {
+          const [sig, t1, t2, t3] = filter.topics;
+          if (sig === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef' && t2 === topic(watched)) {
+            return [{ transactionHash: '0x01', blockNumber: '0x66', logIndex: '0x0', topics: [sig, topic(scammer), topic(watched)], data: '0x' + word((5000000).toString(16)) }];
+          }
+          if (sig === '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925' && t1 === topic(watched)) {
+            return [{ transactionHash: '0x02', blockNumber: '0x67', logIndex: '0x0', topics: [sig, topic(watched), topic(stranger)], data: '0x' + 'f'.repeat(64) }];
+          }
+          if (sig === '0x2fa9ca894982930190727e75500a97d8dc500233a5065e0f3126c48fbe0343c0' && t3 === topic(watched)) {
+            return [{ transactionHash: '0x03', blockNumber: '0x68', logIndex: '0x0', topics: [sig, '0x' + word('0x1'), topic(stranger), topic(watched)], data: '0x' + word((1000000).toString(16)) + word(stranger) + word('0x6') + word('0x0') + word('0x0') }];
+          }
+        }
+        return [];
+      },
+    });
+    return { server, advance: n => { head += n; } };
+  }
+
+  function createMonitor(url, alerts, extra = {}, scannerOptions = {}) {
+    const watchlist = new Watchlist({ path: tmpFile('watchlist.json') });
+    watchlist.add(watched, { chains: ['ethereum'], alerts });
+    const scanner = new USDCSecurityScanner({ rateLimitDelay: 0, endpoints: { ethereum: [url] }, ...scannerOptions });
+    return { watchlist, monitor: scanner.createMonitor({ watchlist, ...extra }) };
+  }
+
+  it('should alert on new activity after the first poll', async () => {
+    const { server, advance } = await startChain();
+    const seen = [];
+    const { watchlist, monitor } = createMonitor(server.url, 'all', { onAlert: a => seen.push(a) });
+
+    assert.deepEqual(await monitor.poll(), []); // Establishes the cursor
+    assert.equal(watchlist.get(watched).cursors.ethereum, 100);
+
+    advance(10);
+    const alerts = await monitor.poll();
+    await server.close();
+
+    const types = alerts.map(a => a.type);
+    assert.ok(types.includes('SCAM_COUNTERPARTY'));
+    assert.ok(types.includes('UNLIMITED_APPROVAL'));
+    assert.ok(types.includes('CCTP_BURN'));
+    assert.deepEqual(seen, alerts);
+
+    const scam = alerts.find(a => a.type === 'SCAM_COUNTERPARTY');
+    assert.equal(scam.severity, 'critical');
+    assert.equal(scam.txHash, '0x01');
+    assert.equal(alerts.find(a => a.type === 'CCTP_BURN').evidence.destinationChain, 'base');
+    assert.equal(watchlist.get(watched).cursors.ethereum, 110);
+  });
+
+  it('should drop alerts below the configured level', async () => {
+    const { server, advance } = await startChain();
+    const { monitor } = createMonitor(server.url, 'high', { lookback: 0 });
+    await monitor.poll();
+    advance(10);
+    const alerts = await monitor.poll();
+    await server.close();
+
+    assert.deepEqual(alerts.map(a => a.type), ['SCAM_COUNTERPARTY']);
+  });
+
+  it('should weigh scam hits listed on another chain down', async () => {
+    const overlay = tmpFile('monitor-chains.json');
+    const listed = { label: 'Elsewhere', category: 'exploit', severity: 'critical', details: 'Test', reportedAt: '2026-01-01' };
+    fs.writeFileSync(overlay, JSON.stringify({ addresses: {
+      [scammer]: { ...listed, chain: ['base'] },
+      [stranger]: { ...listed, chain: ['arbitrum'] },
+    } }));
+    const { server, advance } = await startChain();
+    const { monitor } = createMonitor(server.url, 'all', {}, { scamDatabases: [overlay] });
+    await monitor.poll();
+    advance(10);
+    const alerts = await monitor.poll();
+    await server.close();
+
+    // Transfer and approval on ethereum, mint on base: none of them where the address is listed
+    const byType = Object.fromEntries(alerts.map(a => [a.type, a]));
+    for (const type of ['SCAM_COUNTERPARTY', 'SCAM_APPROVAL', 'CCTP_BURN_TO_SCAM']) {
+      assert.equal(byType[type].severity, 'medium', type);
+      assert.equal(byType[type].evidence.scamInfo.chainMatch, false, type);
+      assert.match(byType[type].detail, /Same address, different chain/, type);
+    }
+  });
+
+  it('should grade scam alerts by the aged score', async () => {
+    const overlay = tmpFile('monitor-scams.json');
+    const listed = { details: 'Test', reportedAt: '2026-01-01' };
+    fs.writeFileSync(overlay, JSON.stringify({ addresses: {
+      [scammer]: { ...listed, label: 'Low-confidence exploiter', category: 'exploit', severity: 'critical', chain: ['ethereum'], confidence: 0.5 },
+      [stranger]: { ...listed, label: 'Sanctioned bridge user', category: 'sanctioned', severity: 'critical', chain: ['base', 'ethereum'], confidence: 0.8 },
+    } }));
+    const { server, advance } = await startChain();
+    const { monitor } = createMonitor(server.url, 'all', {}, { scamDatabases: [overlay] });
+    await monitor.poll();
+    advance(10);
+    const alerts = await monitor.poll();
+    await server.close();
+
+    const transfer = alerts.find(a => a.type === 'SCAM_COUNTERPARTY');
+    assert.equal(transfer.severity, 'medium');
+    assert.ok(transfer.detail.includes('score 48/95: exploit entries do not decay; confidence 0.5'));
+    const burn = alerts.find(a => a.type === 'CCTP_BURN_TO_SCAM');
+    assert.equal(burn.severity, 'high');
+    assert.ok(burn.detail.includes('confidence 0.8'));
+    const approval = alerts.find(a => a.type === 'SCAM_APPROVAL');
+    assert.equal(approval.evidence.scamInfo.chainMatch, true);
+    assert.equal(approval.severity, 'high');
+    assert.ok(approval.detail.includes('score 76/95: sanctioned entries do not decay; confidence 0.8'));
+  });
+
+  it('should page through truncated histories before moving the cursor', async () => {
+    const sig = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+    // The scam transfer is the oldest of 1201, behind a full page of newer ones
+    const logs = [{ block: 101, index: 0, from: scammer }];
+    for (let block = 102; block <= 161; block++) {
+      for (let index = 0; index < 20; index++) logs.push({ block, index, from: stranger });
+    }
+    const server = await startRpcServer({
+      eth_blockNumber: '0xa1',
+      eth_getBlockByNumber: ([hex]) => ({ number: hex, timestamp: '0x65000000' }),
+      eth_getLogs: ([filter]) => {
+        if (filter.topics[0] !== sig || filter.topics[2] !== topic(watched)) return [];
+        const from = parseInt(filter.fromBlock, 16);
+        const to = parseInt(filter.toBlock, 16);
+        return logs.filter(l => l.block >= from && l.block <= to).map(l => ({
+          transactionHash: '0x' + (l.block * 100 + l.index).toString(16),
+          blockNumber: '0x' + l.block.toString(16),
+          logIndex: '0x' + l.index.toString(16),
+          topics: [sig, topic(l.from), topic(watched)],
+          data: '0x' + word((1000000).toString(16)),
+        }));
+      },
+    });
+    const { watchlist, monitor } = createMonitor(server.url, 'high');
+    watchlist.setCursor(watched, 'ethereum', 100);
+
+    const page = await monitor.rpc.getUSDCTransferHistory('ethereum', watched, { fromBlock: 101, toBlock: 161, limit: 1000 });
+    assert.equal(page.truncated, true);
+    assert.equal(page.scannedFrom, 112);
+
+    const alerts = await monitor.poll();
+    await server.close();
+
+    const scam = alerts.filter(a => a.type === 'SCAM_COUNTERPARTY');
+    assert.equal(scam.length, 1);
+    assert.equal(scam[0].blockNumber, 101);
+    assert.equal(watchlist.get(watched).cursors.ethereum, 161);
+  });
+
+  it('should report poll failures and retry from the same block', async () => {
+    const server = await startRpcServer({}, { status: 503 });
+    const errorsSeen = [];
+    const { watchlist, monitor } = createMonitor(server.url, 'all', { onError: e => errorsSeen.push(e) });
+    monitor.rpc.retry.retries = 0;
+    watchlist.setCursor(watched, 'ethereum', 50);
+
+    assert.deepEqual(await monitor.poll(), []);
+    await server.close();
+
+    assert.equal(errorsSeen.length, 1);
+    assert.equal(errorsSeen[0].chain, 'ethereum');
+    assert.ok(errorsSeen[0].error instanceof errors.RpcProviderError);
+    assert.equal(watchlist.get(watched).cursors.ethereum, 50);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Alert Sink Tests
+// ═══════════════════════════════════════════
+
+describe('Alert Sinks', () => {
+  const alert = {
+    type: 'SCAM_COUNTERPARTY',
+    severity: 'critical',
+    address: '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+    chain: 'base',
+    detail: 'Received 5 USDC from Ronin Bridge Exploiter',
+    txHash: '0x01',
+  };
+
+  function memorySink(minSeverity) {
+    return { name: `memory:${minSeverity}`, minSeverity, sent: [], async send(a) { this.sent.push(a); } };
+  }
+
+  /** HTTP server answering with `statuses` in turn (200 once they run out) */
+  async function startWebhookServer(statuses = []) {
+    const deliveries = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        deliveries.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      deliveries,
+      close: () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+    };
+  }
+
+  it('should route alerts by per-sink minimum severity', async () => {
+    const low = memorySink('low');
+    const critical = memorySink('critical');
+    const dispatcher = new AlertDispatcher({ sinks: [low, critical] });
+
+    await dispatcher.dispatch({ ...alert, severity: 'medium', txHash: '0x02' });
+    await dispatcher.dispatch({ ...alert, severity: 'info', txHash: '0x03' });
+    const result = await dispatcher.dispatch(alert);
+
+    assert.equal(low.sent.length, 2);
+    assert.equal(critical.sent.length, 1);
+    assert.deepEqual(result.delivered, ['memory:low', 'memory:critical']);
+    assert.throws(() => new JsonlSink({ path: tmpFile('a.jsonl'), minSeverity: 'severe' }), /Invalid severity/);
+  });
+
+  it('should drop duplicates within the dedupe window', async () => {
+    const sink = memorySink('info');
+    const dispatcher = new AlertDispatcher({ sinks: [sink], dedupeWindow: 1000 });
+
+    await dispatcher.dispatch(alert, 0);
+    const repeat = await dispatcher.dispatch({ ...alert, detectedAt: 'later' }, 500);
+    await dispatcher.dispatch({ ...alert, key: 'custom' }, 600);
+    await dispatcher.dispatch(alert, 1500);
+
+    assert.equal(repeat.duplicate, true);
+    assert.equal(sink.sent.length, 3);
+  });
+
+  it('should let an alert through again when every sink failed', async () => {
+    const failures = [];
+    let fail = true;
+    const sink = { name: 'flaky', async send() { if (fail) throw new Error('down'); } };
+    const dispatcher = new AlertDispatcher({ sinks: [sink], onError: e => failures.push(e) });
+
+    const first = await dispatcher.dispatch(alert);
+    fail = false;
+    const second = await dispatcher.dispatch(alert);
+
+    assert.equal(first.failed[0].error.message, 'down');
+    assert.equal(failures.length, 1);
+    assert.deepEqual(second.delivered, ['flaky']);
+  });
+
+  it('should write JSON lines to files and streams', async () => {
+    const file = tmpFile(path.join('nested', 'alerts.jsonl'));
+    const lines = [];
+    const dispatcher = new AlertDispatcher({
+      sinks: [new JsonlSink({ path: file }), new StdoutSink({ stream: { write: line => lines.push(line) } })],
+    });
+    await dispatcher.dispatch(alert);
+    await dispatcher.dispatch({ ...alert, txHash: '0x02' });
+
+    const written = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(written.map(a => a.txHash), ['0x01', '0x02']);
+    assert.deepEqual(JSON.parse(lines[0]), alert);
+  });
+
+  it('should sign webhook bodies with HMAC-SHA256', async () => {
+    const server = await startWebhookServer();
+    const sink = new WebhookSink({ url: server.url, secret: 's3cret' });
+    await new AlertDispatcher({ sinks: [sink] }).dispatch(alert);
+    await server.close();
+
+    const [delivery] = server.deliveries;
+    const expected = require('crypto').createHmac('sha256', 's3cret').update(delivery.body).digest('hex');
+    assert.equal(delivery.headers['x-lobsec-signature'], `sha256=${expected}`);
+    assert.equal(delivery.headers['x-lobsec-event'], 'SCAM_COUNTERPARTY');
+    assert.deepEqual(JSON.parse(delivery.body), alert);
+  });
+
+  it('should retry webhook deliveries on 5xx but not 4xx', async () => {
+    const server = await startWebhookServer([503, 502]);
+    const retry = { retries: 3, baseDelay: 1, maxDelay: 5 };
+    await new WebhookSink({ url: server.url, retry }).send(alert);
+
+    const rejecting = await startWebhookServer([400]);
+    await assert.rejects(new WebhookSink({ url: rejecting.url, retry }).send(alert), err => {
+      assert.equal(err.name, 'WebhookError');
+      assert.equal(err.status, 400);
+      return true;
+    });
+    await server.close();
+    await rejecting.close();
+
+    assert.equal(server.deliveries.length, 3);
+    assert.equal(new Set(server.deliveries.map(d => d.headers['x-lobsec-delivery'])).size, 1);
+    assert.equal(rejecting.deliveries.length, 1);
+  });
+
+  it('should shape webhook bodies for Slack and Discord', () => {
+    const slack = JSON.parse(new WebhookSink({ url: 'https://hooks.slack.com/x', format: 'slack' }).body(alert));
+    const discord = JSON.parse(new WebhookSink({ url: 'https://discord.com/api/webhooks/x', format: 'discord' }).body(alert));
+
+    assert.deepEqual(Object.keys(slack), ['text']);
+    assert.ok(slack.text.includes('*CRITICAL — SCAM_COUNTERPARTY*'));
+    assert.ok(slack.text.includes('Tx: 0x01'));
+    assert.deepEqual(Object.keys(discord), ['content']);
+    assert.ok(discord.content.includes('**CRITICAL — SCAM_COUNTERPARTY**'));
+    assert.throws(() => new WebhookSink({ url: 'https://x.test', format: 'teams' }), /Invalid webhook format/);
+  });
+
+  it('should only raise HIGH and CRITICAL scan results', () => {
+    assert.equal(scanAlert({ address: '0x1', level: 'MEDIUM', overallScore: 50 }), null);
+    const raised = scanAlert({ recipient: '0x1', chain: 'base', level: 'HIGH', overallScore: 75, flags: ['NEW_ADDRESS'] }, 'TRANSFER_RISK');
+    assert.equal(raised.severity, 'high');
+    assert.equal(raised.chain, 'base');
+    assert.ok(raised.detail.includes('NEW_ADDRESS'));
+  });
+
+  it('should send critical scan findings to configured sinks once', async () => {
+    const sink = memorySink('high');
+    const scanner = new USDCSecurityScanner({ alerts: [sink] });
+    const mockRpc = new MockRpcClient();
+    mockRpc.setMock('getTransactionCount', 500);
+    mockRpc.setMock('getUSDCBalance', '0');
+    mockRpc.setMock('getBalance', '0');
+    scanner.rpc = mockRpc;
+    scanner.addressChecker = new AddressChecker(mockRpc);
+
+    const scam = '0x098B716B8Aaf21512996dC57EB0615e2383E2f96';
+    await scanner.scanAddress(scam, { chains: ['ethereum'], depth: 'quick' });
+    await scanner.scanAddress(scam, { chains: ['ethereum'], depth: 'quick' });
+
+    assert.equal(sink.sent.length, 1);
+    assert.equal(sink.sent[0].type, 'ADDRESS_RISK');
+    assert.equal(sink.sent[0].severity, 'critical');
+    assert.equal(sink.sent[0].address, scam.toLowerCase());
+    assert.ok(sink.sent[0].detail.includes('Ronin'));
+  });
+});
+
+// ═══════════════════════════════════════════
+// Approval Inventory Tests
+// ═══════════════════════════════════════════
+
+describe('Approval Inventory', () => {
+  const owner = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+  const scammer = '0x098b716b8aaf21512996dc57eb0615e2383e2f96';
+  const router = '0xdddddddddddddddddddddddddddddddddddddddd';
+  const oldDex = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+  const approvalTopic = '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925';
+  const topic = addr => '0x' + '0'.repeat(24) + addr.slice(2);
+  const word = n => '0x' + BigInt(n).toString(16).padStart(64, '0');
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  function approvalLog(spender, value, block) {
+    return {
+      transactionHash: '0x' + block.toString(16).padStart(64, '0'),
+      blockNumber: '0x' + block.toString(16),
+      logIndex: '0x0',
+      topics: [approvalTopic, topic(owner), topic(spender)],
+      data: word(value),
+    };
+  }
+
+  async function startChain() {
+    const allowances = { [scammer]: 2n ** 256n - 1n, [router]: 100000000n, [oldDex]: 0n };
+    return startRpcServer({
+      eth_blockNumber: '0x2710',
+      eth_getLogs: ([filter]) => (filter.topics[1] === topic(owner)
+        ? [approvalLog(oldDex, 5000000, 10), approvalLog(router, 100000000, 20), approvalLog(scammer, 2n ** 256n - 1n, 30), approvalLog(oldDex, 0, 40)]
+          .filter(log => parseInt(log.blockNumber, 16) >= parseInt(filter.fromBlock, 16) && parseInt(log.blockNumber, 16) <= parseInt(filter.toBlock, 16))
+        : []),
+      eth_call: ([{ data }]) => (data.startsWith('0x70a08231') ? word(500000000) : word(allowances['0x' + data.slice(-40)] ?? 0n)),
+      eth_getCode: ([address]) => (address === router ? '0x6080' : '0x'),
+      eth_getTransactionReceipt: () => ({ blockNumber: '0x2700', status: '0x1' }),
+      // Approvals a year old; the router deployed yesterday
+      eth_getBlockByNumber: ([hex]) => ({
+        number: hex,
+        timestamp: '0x' + (hex === '0x2700' ? nowSeconds - 86400 : nowSeconds - 365 * 86400).toString(16),
+      }),
+    });
+  }
+
+  async function startExplorer() {
+    const queries = [];
+    const server = http.createServer((req, res) => {
+      const params = new URL(req.url, 'http://x').searchParams;
+      queries.push(Object.fromEntries(params));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(params.get('action') === 'getsourcecode'
+        ? { status: '1', message: 'OK', result: [{ SourceCode: '', ContractName: '' }] }
+        : { status: '1', message: 'OK', result: [{ contractAddress: router, contractCreator: owner, txHash: '0xc0ffee' }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+      url: `http://127.0.0.1:${server.address().port}/api`,
+      queries,
+      close: () => new Promise(resolve => server.close(resolve)),
+    };
+  }
+
+  function createScanner(rpcUrl, explorerUrl, explorerKeys) {
+    const configPath = tmpFile('chains.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      chains: { base: { rpc: { mainnet: [rpcUrl] }, explorer: { api: explorerUrl } } },
+    }));
+    return new USDCSecurityScanner({ rateLimitDelay: 0, retry: { retries: 0 }, chainConfig: configPath, explorerKeys });
+  }
+
+  it('should rank live allowances by exposure', async () => {
+    const server = await startChain();
+    const explorer = await startExplorer();
+    const scanner = createScanner(server.url, explorer.url, { base: 'key' });
+    const inventory = await scanner.getApprovals(owner, { chains: ['base'] });
+    await server.close();
+    await explorer.close();
+
+    assert.deepEqual(inventory.spenders.map(s => s.spender), [scammer, router]);
+    assert.deepEqual(inventory.revoked.map(s => s.spender), [oldDex]);
+
+    const [scam, dex] = inventory.spenders;
+    assert.equal(scam.level, 'CRITICAL');
+    assert.ok(scam.unlimited);
+    assert.equal(scam.exposureUSDC, 500);
+    // Listed on ethereum, approved on base: counted, but at the other-chain weight
+    assert.ok(['SCAM_SPENDER_OTHER_CHAIN', 'UNLIMITED_ALLOWANCE', 'EOA_SPENDER', 'STALE_APPROVAL'].every(f => scam.flags.includes(f)));
+    assert.equal(scam.scamMatch.chainMatch, false);
+    assert.equal(scam.riskFactors[0].impact, Math.round(95 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER));
+
+    assert.equal(dex.allowanceUSDC, 100);
+    assert.equal(dex.exposureUSDC, 100);
+    assert.deepEqual(dex.flags, ['UNVERIFIED_CONTRACT', 'NEW_CONTRACT', 'STALE_APPROVAL']);
+    assert.equal(explorer.queries[0].apikey, 'key');
+
+    assert.deepEqual(inventory.summary, { active: 2, unlimited: 1, risky: 2, totalExposureUSDC: 600 });
+    assert.ok(inventory.formatted.includes('USDC ALLOWANCE INVENTORY'));
+    assert.ok(inventory.formatted.includes(`• ${scammer} on base`));
+  });
+
+  it('should skip contract verification without an explorer key', async () => {
+    const server = await startChain();
+    const explorer = await startExplorer();
+    const scanner = createScanner(server.url, explorer.url, {});
+    const saved = process.env.BASESCAN_API_KEY;
+    delete process.env.BASESCAN_API_KEY;
+    const inventory = await scanner.getApprovals(owner, { chains: ['base'] });
+    if (saved !== undefined) process.env.BASESCAN_API_KEY = saved;
+    await server.close();
+    await explorer.close();
+
+    const dex = inventory.spenders.find(s => s.spender === router);
+    assert.equal(dex.contract, null);
+    assert.deepEqual(dex.flags, ['STALE_APPROVAL']);
+    assert.equal(explorer.queries.length, 0);
+    assert.equal(inventory.incompleteChecks[0].check, 'Spender Verification');
+    assert.equal(inventory.incompleteChecks[0].result, 'SKIPPED');
+  });
+});
+
+// ═══════════════════════════════════════════
+// Permit Signature Tests
+// ═══════════════════════════════════════════
+
+describe('Permit Analysis', () => {
+  const owner = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+  const router = '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad';
+  const scammer = '0x098B716B8Aaf21512996dC57EB0615e2383E2f96';
+  const baseUSDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+  const permit2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+  const now = Date.UTC(2026, 0, 1);
+  const inDays = days => Math.floor(now / 1000) + days * 86400;
+  const maxUint = (2n ** 256n - 1n).toString();
+
+  function usdcPermit(message) {
+    return {
+      domain: { name: 'USD Coin', version: '2', chainId: 8453, verifyingContract: baseUSDC },
+      primaryType: 'Permit',
+      message: { owner, spender: router, value: '100000000', nonce: 0, deadline: inDays(1), ...message },
+    };
+  }
+
+  function createAnalyzer({ contract = true, txCount = 50, usdcBalance = '250000000' } = {}) {
+    const rpc = new MockRpcClient();
+    rpc.setMock('getCode', contract ? '0x6080' : '0x');
+    rpc.setMock('getTransactionCount', txCount);
+    rpc.setMock('getBalance', '1000000000000000000');
+    rpc.setMock('getUSDCBalance', usdcBalance);
+    return new PermitAnalyzer(rpc, new AddressChecker(rpc));
+  }
+
+  it('should decode USDC EIP-2612 permits', () => {
+    const permit = createAnalyzer().decode(JSON.stringify(usdcPermit()));
+    assert.equal(permit.kind, 'EIP2612');
+    assert.equal(permit.chain, 'base');
+    assert.equal(permit.owner, owner);
+    assert.equal(permit.spender, router);
+    assert.deepEqual(permit.tokens, [{ token: baseUSDC.toLowerCase(), isUSDC: true, amount: '100000000', amountUSDC: 100, unlimited: false }]);
+  });
+
+  it('should decode Permit2 allowance and transfer messages', () => {
+    const analyzer = createAnalyzer();
+    const domain = { name: 'Permit2', chainId: '0x1', verifyingContract: permit2 };
+    const batch = analyzer.decode({
+      domain,
+      primaryType: 'PermitBatch',
+      message: {
+        details: [
+          { token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', amount: '1461501637330902918203684832716283019655932542975', expiration: inDays(30), nonce: 0 },
+          { token: '0xdAC17F958D2ee523a2206206994597C13D831ec7', amount: '5', expiration: inDays(7), nonce: 0 },
+        ],
+        spender: router,
+        sigDeadline: inDays(1),
+      },
+    }, { owner });
+    assert.equal(batch.kind, 'PERMIT2_ALLOWANCE');
+    assert.equal(batch.chain, 'ethereum');
+    assert.equal(batch.owner, owner);
+    assert.equal(batch.expiration, inDays(7));
+    assert.deepEqual(batch.tokens.map(t => [t.isUSDC, t.unlimited]), [[true, true], [false, false]]);
+
+    const transfer = analyzer.decode({
+      domain,
+      primaryType: 'PermitTransferFrom',
+      message: { permitted: { token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', amount: '2000000' }, spender: router, nonce: 7, deadline: inDays(1) },
+    });
+    assert.equal(transfer.kind, 'PERMIT2_TRANSFER');
+    assert.equal(transfer.tokens[0].amountUSDC, 2);
+    assert.equal(transfer.nonce, '7');
+
+    assert.throws(() => analyzer.decode({ ...usdcPermit(), primaryType: 'Mail' }), /Unsupported permit type/);
+    assert.throws(() => analyzer.decode({ ...usdcPermit(), domain: { chainId: 999999 } }), errors.UnsupportedChainError);
+    assert.throws(() => analyzer.decode(usdcPermit({ deadline: undefined })), /missing deadline/);
+  });
+
+  it('should pass a bounded permit to a known contract', async () => {
+    const analysis = await createAnalyzer().analyze(usdcPermit(), { now });
+    assert.equal(analysis.safe, true);
+    assert.equal(analysis.overallScore, 0);
+    assert.deepEqual(analysis.flags, []);
+  });
+
+  it('should block drainer-style permits', async () => {
+    const analysis = await createAnalyzer({ contract: false, txCount: 0 }).analyze(
+      usdcPermit({ value: maxUint, deadline: maxUint }), { now }
+    );
+    assert.equal(analysis.safe, false);
+    assert.deepEqual(analysis.flags, ['EOA_SPENDER', 'FRESH_SPENDER', 'UNLIMITED_AMOUNT', 'FULL_BALANCE', 'LONG_DEADLINE']);
+    assert.equal(analysis.level, 'CRITICAL');
+    assert.ok(analysis.checks.find(c => c.check === 'Deadline').detail.includes('forever'));
+  });
+
+  it('should flag scam spenders and fake Permit2 contracts', async () => {
+    const analyzer = createAnalyzer();
+    const onEthereum = { name: 'USD Coin', version: '2', chainId: 1, verifyingContract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' };
+    const scam = await analyzer.analyze({ ...usdcPermit({ spender: scammer }), domain: onEthereum }, { now });
+    assert.equal(scam.safe, false);
+    assert.deepEqual(scam.flags, ['KNOWN_EXPLOIT']);
+    assert.ok(scam.recommendation.includes('DO NOT SIGN'));
+    assert.ok(scam.scamMatch.label.includes('Ronin'));
+
+    const fake = await analyzer.analyze({
+      domain: { name: 'Permit2', chainId: 8453, verifyingContract: '0x1111111111111111111111111111111111111111' },
+      primaryType: 'PermitSingle',
+      message: { details: { token: baseUSDC, amount: '1', expiration: inDays(400), nonce: 0 }, spender: router, sigDeadline: inDays(-1) },
+    }, { now });
+    assert.deepEqual(fake.flags, ['FAKE_PERMIT2', 'EXPIRED', 'LONG_EXPIRATION']);
+  });
+
+  it('should warn about spenders listed on another chain only', async () => {
+    const analysis = await createAnalyzer().analyze(usdcPermit({ spender: scammer }), { now });
+    assert.equal(analysis.scamMatch.chainMatch, false);
+    assert.deepEqual(analysis.flags, ['KNOWN_EXPLOIT_OTHER_CHAIN']);
+    assert.equal(analysis.overallScore, Math.round(95 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER));
+    assert.equal(analysis.safe, true);
+    assert.equal(analysis.checks.find(c => c.check === 'Scam Database').result, 'WARN');
+    assert.match(analysis.recommendation, /SIGN WITH CAUTION\. The same address is listed as Ronin .* on ethereum/);
+  });
+
+  it('should format the signing recommendation', async () => {
+    const scanner = new USDCSecurityScanner();
+    const mockRpc = new MockRpcClient();
+    mockRpc.setMock('getTransactionCount', 10);
+    scanner.rpc = mockRpc;
+    scanner.permitAnalyzer = new PermitAnalyzer(mockRpc, new AddressChecker(mockRpc));
+
+    const analysis = await scanner.analyzePermit(usdcPermit({ deadline: maxUint }));
+    assert.ok(analysis.formatted.includes('PERMIT SIGNATURE CHECK'));
+    assert.ok(analysis.formatted.includes('Deadline: never'));
+    assert.ok(analysis.formatted.includes('EOA') || analysis.formatted.includes('plain wallet'));
+  });
+});
+
+// ═══════════════════════════════════════════
+// Transaction Pre-flight Tests
+// ═══════════════════════════════════════════
+
+describe('Transaction Pre-flight', () => {
+  const baseUSDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+  const router = '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad';
+  const multicall3 = '0xca11bde05977b3631167028862be2a173976ca11';
+  const tokenMessenger = '0x1682ae6375c4e4a97e4b583bc394c861a46d8962';
+  const friend = '0x1111111111111111111111111111111111111111';
+  const scammer = '0xc9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8';
+  const maxUint = 2n ** 256n - 1n;
+
+  const word = value => (typeof value === 'string' ? value.replace(/^0x/, '') : value.toString(16)).padStart(64, '0');
+  const bytes = hex => {
+    const body = hex.replace(/^0x/, '');
+    return word(BigInt(body.length / 2)) + body.padEnd(Math.ceil(body.length / 64) * 64, '0');
+  };
+  // Array of dynamic elements: offsets relative to the start of the element area
+  const dynamicArray = encoded => {
+    let offset = 32 * encoded.length;
+    const heads = encoded.map(e => { const head = word(BigInt(offset)); offset += e.length / 2; return head; });
+    return word(BigInt(encoded.length)) + heads.join('') + encoded.join('');
+  };
+  const transfer = (to, amount) => '0xa9059cbb' + word(to) + word(amount);
+  const approve = (spender, amount) => '0x095ea7b3' + word(spender) + word(amount);
+  const multicall = calls => '0xac9650d8' + word(32n) + dynamicArray(calls.map(bytes));
+  const aggregate3 = calls => '0x82ad56cb' + word(32n) + dynamicArray(calls.map(([target, data]) =>
+    word(target) + word(0n) + word(96n) + bytes(data)));
+  const depositForBurn = (amount, domain, recipient, token) =>
+    '0x6fd3504e' + word(amount) + word(BigInt(domain)) + word(recipient) + word(token);
+
+  function createScanner({ contract = false, txCount = 500 } = {}) {
+    const scanner = new USDCSecurityScanner();
+    const mockRpc = new MockRpcClient();
+    mockRpc.profiled = [];
+    mockRpc.setMock('getCode', contract ? '0x6080' : '0x');
+    mockRpc.setMock('getTransactionCount', txCount);
+    mockRpc.setMock('getBalance', '1000000000000000000');
+    mockRpc.setMock('getUSDCBalance', '0');
+    const snapshot = mockRpc.getAddressSnapshot.bind(mockRpc);
+    mockRpc.getAddressSnapshot = (chain, addr) => { mockRpc.profiled.push([chain, addr.toLowerCase()]); return snapshot(chain, addr); };
+    scanner.rpc = mockRpc;
+    scanner.addressChecker = new AddressChecker(mockRpc);
+    return scanner;
+  }
+
+  it('should decode transfers, approvals and plain value transfers', () => {
+    const tx = decodeTransaction({ to: baseUSDC, data: transfer(friend, 5000000n) });
+    assert.equal(tx.method, 'transfer');
+    assert.deepEqual(tx.actions.map(a => [a.type, a.role, a.address, a.token, a.amount]),
+      [['transfer', 'recipient', friend, baseUSDC, '5000000']]);
+
+    const approval = decodeTransaction({ to: baseUSDC, data: approve(router, maxUint) }).actions[0];
+    assert.equal(approval.role, 'spender');
+    assert.equal(approval.unlimited, true);
+
+    const native = decodeTransaction({ to: friend, value: '1000' });
+    assert.equal(native.selector, null);
+    assert.deepEqual(native.actions.map(a => [a.type, a.address, a.amount]), [['nativeTransfer', friend, '1000']]);
+  });
+
+  it('should unpack multicall and Multicall3 wrappers', () => {
+    const nested = decodeTransaction({ to: baseUSDC, data: multicall([transfer(friend, 1n), approve(router, 2n)]) });
+    assert.equal(nested.method, 'multicall');
+    assert.deepEqual(nested.actions.map(a => [a.type, a.address, a.token, a.path.join('/')]), [
+      ['transfer', friend, baseUSDC, 'multicall[0]'],
+      ['approve', router, baseUSDC, 'multicall[1]'],
+    ]);
+
+    const other = '0x2222222222222222222222222222222222222222';
+    const aggregated = decodeTransaction({ to: multicall3, data: aggregate3([[baseUSDC, transfer(friend, 3n)], [other, '0xdeadbeef']]) });
+    assert.deepEqual(aggregated.actions.map(a => [a.type, a.role, a.address, a.path.join('/')]), [
+      ['transfer', 'recipient', friend, 'aggregate3[0]'],
+      ['call', 'contract', other, 'aggregate3[1]'],
+    ]);
+  });
+
+  it('should decode CCTP burns and mints', () => {
+    const burn = decodeTransaction({ to: tokenMessenger, data: depositForBurn(7000000n, 3, friend, baseUSDC) }).actions[0];
+    assert.deepEqual([burn.type, burn.role, burn.address, burn.token, burn.amount, burn.destinationDomain],
+      ['depositForBurn', 'mintRecipient', friend, baseUSDC, '7000000', 3]);
+
+    const header = '00000000' + '00000000' + '00000006' + '0000000000000001' + word(friend) + word(friend) + word(0n);
+    const body = '00000000' + word(baseUSDC) + word(scammer) + word(9000000n) + word(friend);
+    const message = header + body;
+    const data = '0x57ecfd28' + word(64n) + word(BigInt(64 + 32 + Math.ceil(message.length / 128) * 64))
+      + bytes(message) + bytes('');
+    const mint = decodeTransaction({ to: tokenMessenger, data }).actions[0];
+    assert.deepEqual([mint.type, mint.address, mint.amount, mint.sourceDomain], ['receiveMessage', scammer, '9000000', 0]);
+  });
+
+  it('should report truncated calldata as a malformed call', () => {
+    const tx = decodeTransaction({ to: baseUSDC, data: transfer(friend, 1n).slice(0, 50) });
+    assert.equal(tx.actions[0].type, 'call');
+    assert.equal(tx.actions[0].method, 'transfer');
+    assert.ok(tx.actions[0].malformed.includes('calldata too short'));
+  });
+
+  it('should block a scam recipient hidden inside a multicall', async () => {
+    const scanner = createScanner();
+    const result = await scanner.validateTransaction({
+      to: baseUSDC,
+      data: multicall([transfer(friend, 1000000n), transfer(scammer, 2000000n)]),
+      chain: 'base',
+    });
+    assert.equal(result.safe, false);
+    assert.equal(result.level, 'HIGH');
+    assert.ok(result.flags.includes('KNOWN_EXPLOIT'));
+    assert.equal(result.scamMatch.address, scammer);
+    assert.deepEqual(result.actions.map(a => a.amountUSDC), [1, 2]);
+    assert.ok(result.recommendation.startsWith('⛔ DO NOT SIGN'));
+    assert.ok(result.formatted.includes('TRANSACTION PRE-FLIGHT CHECK'));
+    assert.ok(result.formatted.includes('via multicall[1]'));
+  });
+
+  it('should flag unlimited approvals to plain wallets', async () => {
+    const scanner = createScanner();
+    const result = await scanner.validateTransaction({ to: baseUSDC, data: approve(friend, maxUint), chain: 'base' });
+    assert.ok(result.flags.includes('UNLIMITED_APPROVAL'));
+    assert.ok(result.flags.includes('EOA_SPENDER'));
+    assert.equal(result.actions[0].amountUSDC, null);
+    assert.ok(result.overallScore >= 60);
+  });
+
+  it('should not treat decreaseAllowance as a new grant', async () => {
+    const scanner = createScanner();
+    const data = '0xa457c2d7' + word(scammer) + word(maxUint);
+    const [action] = decodeTransaction({ to: baseUSDC, data }).actions;
+    assert.equal(action.type, 'decreaseAllowance');
+    assert.equal(action.unlimited, false);
+    assert.equal(action.revokes, true);
+
+    const result = await scanner.validateTransaction({ to: baseUSDC, data, chain: 'base' });
+    assert.equal(result.actions[0].validation, null);
+    assert.ok(!result.flags.includes('UNLIMITED_APPROVAL'));
+    assert.equal(result.scamMatch, null);
+    assert.equal(result.overallScore, 0);
+    assert.equal(result.safe, true);
+  });
+
+  it('should not screen zero approvals, which revoke', async () => {
+    const scanner = createScanner();
+    for (const spender of [scammer, friend]) {
+      const data = approve(spender, 0n);
+      assert.equal(decodeTransaction({ to: baseUSDC, data }).actions[0].revokes, true);
+
+      const result = await scanner.validateTransaction({ to: baseUSDC, data, chain: 'base' });
+      assert.equal(result.actions[0].validation, null);
+      assert.ok(!result.flags.includes('EOA_SPENDER'));
+      assert.equal(result.overallScore, 0);
+      assert.equal(result.safe, true);
+    }
+    const increase = '0x39509351' + word(scammer) + word(0n);
+    assert.equal(decodeTransaction({ to: baseUSDC, data: increase }).actions[0].revokes, true);
+    assert.equal(decodeTransaction({ to: baseUSDC, data: approve(scammer, 1n) }).actions[0].revokes, undefined);
+  });
+
+  it('should screen CCTP burns against the destination chain mint recipient', async () => {
+    const scanner = createScanner({ contract: true });
+    const result = await scanner.validateTransaction({
+      to: tokenMessenger,
+      data: depositForBurn(7000000n, 3, friend, baseUSDC),
+      chain: 'base',
+    });
+    assert.equal(result.actions[0].chain, 'arbitrum');
+    assert.equal(result.actions[0].amountUSDC, 7);
+    assert.deepEqual(scanner.rpc.profiled, [['arbitrum', friend]]);
+    assert.equal(result.safe, true);
+
+    const unknown = await scanner.validateTransaction({
+      to: tokenMessenger,
+      data: depositForBurn(7000000n, 99, scammer, baseUSDC),
+      chain: 'base',
+    });
+    assert.ok(unknown.flags.includes('UNKNOWN_DESTINATION_DOMAIN'));
+    assert.equal(unknown.actions[0].chain, null);
+    assert.equal(unknown.safe, false);
+  });
+
+  it('should reject invalid transaction requests', async () => {
+    const scanner = createScanner();
+    await assert.rejects(() => scanner.validateTransaction({ to: 'nope' }), /Invalid Ethereum address/);
+    await assert.rejects(() => scanner.validateTransaction({ to: baseUSDC, data: '0x123' }), /Invalid calldata/);
+  });
+
+  it('should raise risky transactions as alerts', async () => {
+    const sent = [];
+    const scanner = createScanner();
+    scanner.alerts.add({ name: 'memory', minSeverity: 'high', send: async alert => { sent.push(alert); } });
+    await scanner.validateTransaction({ to: baseUSDC, data: transfer(scammer, 1n), chain: 'base' });
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].type, 'TRANSACTION_RISK');
+    assert.equal(sent[0].address, scammer);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Transfer Simulation Tests
+// ═══════════════════════════════════════════
+
+describe('Transfer Simulation', () => {
+  const token = '0x7777777777777777777777777777777777777777';
+  const pool = '0x5555555555555555555555555555555555555555';
+  const BALANCE_SLOT = 3n;
+  const ALLOWANCE_SLOT = 4n;
+
+  const word = value => (typeof value === 'bigint' ? value.toString(16) : value.replace(/^0x/, '')).padStart(64, '0');
+  const hash = (...words) => '0x' + keccak256(Buffer.from(words.map(w => w.replace(/^0x/, '')).join(''), 'hex')).toString('hex');
+  const errorString = reason => '0x08c379a0' + word(32n) + word(BigInt(reason.length)) + Buffer.from(reason).toString('hex').padEnd(64, '0');
+
+  /**
+   * Node emulating a token with balances at slot 3 and allowances at
+   * slot 4. `onTransfer({ sender, selector })` decides what a forwarded
+   * transfer does: { revert } or { received, returns }.
+   */
+  function startTokenNode(onTransfer, { overrides = true } = {}) {
+    return startRpcServer({
+      eth_blockNumber: '0x1000',
+      eth_getCode: '0x' + '60'.repeat(300),
+      eth_getTransactionCount: '0x0',
+      eth_getStorageAt: '0x' + '0'.repeat(64),
+      eth_getLogs: ([filter]) => filter.address === token
+        ? [1, 2, 3].map(i => ({
+          transactionHash: '0x' + i.toString(16).padStart(64, '0'),
+          logIndex: '0x0',
+          blockNumber: '0xfff',
+          topics: [filter.topics[0], '0x' + word(pool), '0x' + word('0x' + String(i).repeat(40))],
+          data: '0x' + word(1n),
+        }))
+        : [],
+      eth_call: ([tx, , state]) => {
+        if (state && !overrides) return new RpcServerError(-32602, 'invalid argument 2: state overrides not supported');
+        const data = tx.data.replace(/^0x/, '');
+        if (state?.[tx.to]?.code) {
+          const sender = tx.to;
+          const payload = data.slice(128);
+          const outcome = onTransfer({ sender, selector: '0x' + payload.slice(0, 8) });
+          if (outcome.revert) return new RpcServerError(3, 'execution reverted', errorString(outcome.revert));
+          const returns = outcome.returns ?? 1n;
+          return '0x' + word(32n) + word(returns) + word(outcome.received) + word(1n);
+        }
+        const diff = state?.[token]?.stateDiff || {};
+        if (data.startsWith('70a08231')) {
+          const owner = '0x' + data.slice(32, 72);
+          return diff[hash(word(owner), word(BALANCE_SLOT))] || '0x' + word(0n);
+        }
+        if (data.startsWith('dd62ed3e')) {
+          const [owner, spender] = ['0x' + data.slice(32, 72), '0x' + data.slice(96, 136)];
+          return diff[hash(word(spender), hash(word(owner), word(ALLOWANCE_SLOT)))] || '0x' + word(0n);
+        }
+        if (data.startsWith('313ce567')) return '0x' + word(6n);
+        return '0x';
+      },
+    });
+  }
+
+  async function checkHoneypot(server) {
+    const scanner = new USDCSecurityScanner({ rateLimitDelay: 0, retry: { retries: 0 }, endpoints: { base: [server.url] } });
+    try {
+      return await scanner.checkHoneypot(token, 'base');
+    } finally {
+      await server.close();
+    }
+  }
+
+  it('should hash with Ethereum Keccak-256', () => {
+    assert.equal(keccak256('').toString('hex'), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    assert.equal(selector('transfer(address,uint256)'), '0xa9059cbb');
+    assert.equal(selector('balanceOf(address)'), '0x70a08231');
+  });
+
+  it('should decode revert reasons', () => {
+    assert.equal(decodeRevertReason(errorString('TRADING_DISABLED')), 'TRADING_DISABLED');
+    assert.equal(decodeRevertReason('0x4e487b71' + word(0x11n)), 'panic 0x11');
+    assert.equal(decodeRevertReason('0xfb8f41b2'), 'custom error 0xfb8f41b2');
+    assert.equal(decodeRevertReason(null), null);
+  });
+
+  it('should flag tokens that can be bought but not sold', async () => {
+    const server = await startTokenNode(({ sender }) =>
+      sender === pool ? { received: 10n ** 6n } : { revert: 'TRADING_DISABLED' });
+    const result = await checkHoneypot(server);
+
+    assert.equal(result.simulation.counterparty, pool);
+    assert.deepEqual([result.simulation.balanceSlot.slot, result.simulation.balanceSlot.layout], ['0x3', 'solidity']);
+    assert.equal(result.simulation.allowanceSlot.slot, '0x4');
+    assert.equal(result.simulation.steps.buy.taxPercent, 0);
+    assert.ok(result.indicators.includes('SELL_SIMULATION_REVERTED'));
+    assert.ok(result.indicators.includes('TRANSFER_FROM_SIMULATION_REVERTED'));
+    assert.ok(!result.indicators.includes('BUY_SIMULATION_REVERTED'));
+    const sell = result.simulation.findings.find(f => f.step === 'transfer');
+    assert.equal(sell.revertReason, 'TRADING_DISABLED');
+    assert.equal(result.isHoneypot, true);
+  });
+
+  it('should measure transfer tax and false returns', async () => {
+    const server = await startTokenNode(({ sender, selector }) => {
+      if (sender === pool) return { received: 10n ** 6n };
+      return selector === '0x23b872dd' ? { received: 0n, returns: 0n } : { received: 6n * 10n ** 5n };
+    });
+    const result = await checkHoneypot(server);
+
+    const byIndicator = Object.fromEntries(result.simulation.findings.map(f => [f.indicator, f]));
+    assert.equal(byIndicator.SELL_HIGH_TAX.taxPercent, 40);
+    assert.ok(byIndicator.TRANSFER_FROM_RETURNED_FALSE);
+    assert.equal(result.isHoneypot, true);
+  });
+
+  it('should pass ordinary tokens', async () => {
+    const server = await startTokenNode(() => ({ received: 10n ** 6n }));
+    const result = await checkHoneypot(server);
+
+    assert.deepEqual(result.simulation.findings, []);
+    assert.equal(result.simulation.amount, '1000000');
+    assert.deepEqual(Object.keys(result.simulation.steps), ['buy', 'transfer', 'transferFrom']);
+    assert.equal(result.isHoneypot, false);
+    assert.deepEqual(result.incompleteChecks, []);
+  });
+
+  it('should report nodes without state overrides as an incomplete check', async () => {
+    const server = await startTokenNode(() => ({ received: 10n ** 6n }), { overrides: false });
+    const result = await checkHoneypot(server);
+
+    assert.equal(result.incompleteChecks.length, 1);
+    assert.equal(result.incompleteChecks[0].check, 'Transfer Simulation');
+    assert.ok(result.incompleteChecks[0].detail.includes('state overrides not supported'));
+    assert.ok(!result.indicators.includes('ANALYSIS_ERROR'));
+  });
+});
+
+// ═══════════════════════════════════════════
+// Bytecode Disassembler Tests
+// ═══════════════════════════════════════════
+
+describe('Bytecode Disassembler', () => {
+  // solc-style dispatcher for balanceOf(address) and name() (selector
+  // 0x06fdde03 pushed as PUSH4, 0x00fdd58e as PUSH3), a GT pivot, and
+  // PUSH32 data full of ff/f4 bytes
+  const dispatcher = '6080604052348015600f57600080fd5b506004361060325760003560e01c'
+    + '8063a9059cbb11604d57'             // DUP1 PUSH4 a9059cbb GT PUSH1 4d JUMPI (pivot)
+    + '806370a0823114603757'             // DUP1 PUSH4 70a08231 EQ PUSH1 37 JUMPI
+    + '806306fdde0314603c57'             // DUP1 PUSH4 06fdde03 EQ PUSH1 3c JUMPI
+    + '8062fdd58e14604157'               // DUP1 PUSH3 fdd58e EQ PUSH1 41 JUMPI
+    + '5b600080fd5b00'
+    + '7f' + 'ff'.repeat(16) + 'f4'.repeat(16) + '50';
+  const metadata = 'a264697066735822' + '12'.repeat(34) + '64736f6c6343000814' + '0033';
+
+  it('should skip PUSH immediates', () => {
+    const instructions = disassemble('0x60ff61f4f4ff');
+    assert.deepEqual(instructions.map(i => [i.pc, i.name, i.push]), [
+      [0, 'PUSH1', '0xff'],
+      [2, 'PUSH2', '0xf4f4'],
+      [5, 'SELFDESTRUCT', undefined],
+    ]);
+    assert.deepEqual(disassemble('0x61ff').map(i => i.push), ['0xff00']);
+    assert.throws(() => disassemble('0xabc'), /Invalid bytecode/);
+  });
+
+  it('should extract the selector dispatch table', () => {
+    const analysis = analyzeBytecode('0x' + dispatcher + metadata);
+    assert.deepEqual(analysis.selectors, ['0x70a08231', '0x06fdde03', '0x00fdd58e']);
+    assert.equal(analysis.codeSize, dispatcher.length / 2);
+    assert.ok(analysis.metadata.startsWith('0xa264'));
+  });
+
+  it('should report only real SELFDESTRUCT, DELEGATECALL, CALLCODE and CREATE2', () => {
+    const clean = analyzeBytecode('0x' + dispatcher + metadata);
+    assert.equal(clean.hasSelfdestruct, false);
+    assert.equal(clean.hasDelegatecall, false);
+
+    const risky = analyzeBytecode('0x' + dispatcher + 'f4f4f2f5ff' + metadata);
+    assert.deepEqual([risky.opcodes.DELEGATECALL, risky.opcodes.CALLCODE, risky.opcodes.CREATE2, risky.opcodes.SELFDESTRUCT], [2, 1, 1, 1]);
+    assert.equal(risky.hasSelfdestruct, true);
+    assert.equal(risky.hasCallcode, true);
+    assert.equal(risky.hasCreate2, true);
+  });
+
+  it('should not flag ff bytes in push data as selfdestruct in honeypot checks', async () => {
+    const mockRpc = new MockRpcClient();
+    mockRpc.setMock('getCode', '0x' + dispatcher + '00'.repeat(200) + metadata);
+    const detector = new PatternDetector(mockRpc);
+    const clean = await detector.detectHoneypot('0x7777777777777777777777777777777777777777', 'base', { simulate: false });
+    assert.deepEqual(clean.indicators, []);
+    assert.deepEqual(clean.bytecode.selectors, ['0x70a08231', '0x06fdde03', '0x00fdd58e']);
+
+    mockRpc.setMock('getCode', '0x' + dispatcher + '00'.repeat(200) + 'f4f4f4f4ff' + metadata);
+    const risky = await detector.detectHoneypot('0x7777777777777777777777777777777777777777', 'base', { simulate: false });
+    assert.deepEqual(risky.indicators, ['HAS_SELFDESTRUCT_OPCODE', 'EXCESSIVE_DELEGATECALL']);
+    assert.equal(risky.confidence, 25);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Proxy Detection Tests
+// ═══════════════════════════════════════════
+
+describe('Proxy Detection', () => {
+  const proxy = '0x1000000000000000000000000000000000000001';
+  const implementation = '0x1000000000000000000000000000000000000002';
+  const proxyAdmin = '0x1000000000000000000000000000000000000003';
+  const beacon = '0x1000000000000000000000000000000000000004';
+  const safe = '0x1000000000000000000000000000000000000005';
+  const deployer = '0x1000000000000000000000000000000000000006';
+  const shell = '0x' + '6080604052'.repeat(30) + 'f4';
+  const implementationCode = '0x6080604052600436106100255760003560e01c806370a0823114602a57' + '00'.repeat(300);
+
+  it('should recognize EIP-1167 minimal proxies', async () => {
+    const clone = `0x363d3d373d3d3d363d73${implementation.slice(2)}5af43d82803e903d91602b57fd5bf3`;
+    const result = await new ProxyDetector(createContractRpc({ code: { [proxy]: clone } })).detect(proxy, 'base');
+    assert.deepEqual([result.isProxy, result.type, result.implementation, result.upgradeable], [true, 'EIP1167', implementation, false]);
+  });
+
+  it('should resolve EIP-1967 admins through ProxyAdmin ownership', async () => {
+    const rpc = createContractRpc({
+      code: { [proxy]: shell, [proxyAdmin]: '0x6080' },
+      storage: { implementation, admin: proxyAdmin },
+      views: { [`${proxyAdmin}:0x8da5cb5b`]: deployer },
+    });
+    const result = await new ProxyDetector(rpc).detect(proxy, 'base');
+    assert.equal(result.type, 'EIP1967');
+    assert.equal(result.implementation, implementation);
+    assert.equal(result.admin, proxyAdmin);
+    assert.equal(result.upgradeAuthority.kind, 'contract');
+    assert.deepEqual(result.upgradeAuthority.owner, { address: deployer, kind: 'eoa', threshold: null, delay: null, owner: null });
+    assert.equal(result.controlledByEOA, true);
+  });
+
+  it('should resolve beacon, UUPS and legacy OpenZeppelin proxies', async () => {
+    const beaconRpc = createContractRpc({
+      code: { [proxy]: shell, [beacon]: '0x6080', [safe]: '0x6080' },
+      storage: { beacon },
+      views: { [`${beacon}:0x5c60da1b`]: implementation, [`${beacon}:0x8da5cb5b`]: safe, [`${safe}:0xe75235b8`]: 3 },
+    });
+    const beaconProxy = await new ProxyDetector(beaconRpc).detect(proxy, 'base');
+    assert.deepEqual([beaconProxy.type, beaconProxy.beacon, beaconProxy.implementation], ['EIP1967_BEACON', beacon, implementation]);
+    assert.deepEqual([beaconProxy.upgradeAuthority.kind, beaconProxy.upgradeAuthority.threshold], ['multisig', 3]);
+    assert.equal(beaconProxy.controlledByEOA, false);
+
+    const uups = await new ProxyDetector(createContractRpc({
+      code: { [proxy]: shell },
+      storage: { implementation },
+      views: { [`${proxy}:0x8da5cb5b`]: deployer },
+    })).detect(proxy, 'base');
+    assert.deepEqual([uups.type, uups.admin, uups.upgradeAuthority.address, uups.controlledByEOA], ['EIP1967', null, deployer, true]);
+
+    const legacy = await new ProxyDetector(createContractRpc({
+      code: { [proxy]: shell },
+      storage: { legacyImplementation: implementation, legacyAdmin: deployer },
+    })).detect(proxy, 'base');
+    assert.deepEqual([legacy.type, legacy.implementation, legacy.admin, legacy.controlledByEOA], ['OZ_LEGACY', implementation, deployer, true]);
+
+    const plain = await new ProxyDetector(createContractRpc({ code: { [proxy]: implementationCode } })).detect(proxy, 'base');
+    assert.equal(plain.isProxy, false);
+  });
+
+  it('should flag large transfers to EOA-upgradeable recipients', async () => {
+    const scanner = new USDCSecurityScanner();
+    const rpc = createContractRpc({ code: { [proxy]: shell }, storage: { implementation, admin: deployer } });
+    scanner.rpc = rpc;
+    scanner.addressChecker = new AddressChecker(rpc);
+
+    const small = await scanner.validateTransfer(proxy, { amount: 100, chain: 'base' });
+    const large = await scanner.validateTransfer(proxy, { amount: THRESHOLDS.LARGE_TRANSFER_USDC, chain: 'base' });
+
+    assert.ok(small.flags.includes('EOA_UPGRADE_ADMIN'));
+    assert.equal(large.overallScore - small.overallScore, 25);
+    const check = large.checks.find(c => c.check === 'Upgradeability');
+    assert.equal(check.result, 'WARN');
+    assert.ok(check.detail.includes(`EOA ${deployer}`));
+  });
+
+  it('should analyze the implementation instead of the proxy shell', async () => {
+    const rpc = createContractRpc({
+      code: { [proxy]: shell, [implementation]: implementationCode },
+      storage: { implementation, admin: deployer },
+    });
+    const result = await new PatternDetector(rpc).detectHoneypot(proxy, 'base', { simulate: false });
+    assert.deepEqual(result.indicators, ['UPGRADEABLE_PROXY', 'EOA_UPGRADE_ADMIN']);
+    assert.equal(result.proxy.implementation, implementation);
+    assert.deepEqual(result.bytecode.selectors, ['0x70a08231']);
+    assert.equal(result.bytecode.opcodes.DELEGATECALL, 0);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Contract Privilege Tests
+// ═══════════════════════════════════════════
+
+describe('Contract Privileges', () => {
+  const token = '0x2000000000000000000000000000000000000001';
+  const implementation = '0x2000000000000000000000000000000000000002';
+  const deployer = '0x2000000000000000000000000000000000000003';
+  const safe = '0x2000000000000000000000000000000000000004';
+  const timelock = '0x2000000000000000000000000000000000000005';
+  const zero = '0x0000000000000000000000000000000000000000';
+  const shell = '0x' + '6080604052'.repeat(30) + 'f4';
+
+  // Solidity-style dispatcher: DUP1 PUSH4 <selector> EQ PUSH2 <dest> JUMPI per function
+  const dispatcher = signatures => '0x60806040526004361061002557600035' + '60e01c' +
+    signatures.map(sig => '8063' + selector(sig).slice(2) + '14610100' + '57').join('') + '00'.repeat(200);
+
+  it('should score mint, pause and blacklist held by an EOA owner', async () => {
+    const rpc = createContractRpc({
+      code: { [token]: dispatcher(['owner()', 'mint(address,uint256)', 'pause()', 'unpause()', 'blacklist(address)', 'transfer(address,uint256)']) },
+      views: { [`${token}:0x8da5cb5b`]: deployer },
+    });
+    const report = await new ContractAnalyzer(rpc).analyze(token, 'base');
+
+    assert.deepEqual(report.privileges.map(p => [p.category, p.holderKind]), [['mint', 'eoa'], ['blacklist', 'eoa'], ['pause', 'eoa']]);
+    assert.deepEqual(report.privileges.find(p => p.category === 'pause').functions, ['pause()', 'unpause()']);
+    assert.equal(report.owner.address, deployer);
+    assert.equal(report.riskScore, 45);
+    assert.equal(report.level, 'MEDIUM');
+    for (const flag of ['CAN_MINT', 'CAN_BLACKLIST', 'CAN_PAUSE', 'EOA_OWNER', 'EOA_PRIVILEGED']) {
+      assert.ok(report.flags.includes(flag), flag);
+    }
+  });
+
+  it('should not score privileges after ownership is renounced', async () => {
+    const rpc = createContractRpc({
+      code: { [token]: dispatcher(['owner()', 'setFee(uint256)', 'transfer(address,uint256)']) },
+      views: { [`${token}:0x8da5cb5b`]: zero },
+    });
+    const report = await new ContractAnalyzer(rpc).analyze(token, 'base');
+    assert.equal(report.ownershipRenounced, true);
+    assert.deepEqual(report.flags, ['CAN_SET_FEES', 'OWNERSHIP_RENOUNCED']);
+    assert.equal(report.riskScore, 0);
+  });
+
+  it('should resolve role getters, proxy admins and timelocks', async () => {
+    const rpc = createContractRpc({
+      code: {
+        [token]: shell,
+        [implementation]: dispatcher(['owner()', 'masterMinter()', 'pauser()', 'configureMinter(address,uint256)', 'pause()', 'rescueERC20(address,address,uint256)']),
+        [safe]: '0x6080',
+        [timelock]: '0x6080',
+      },
+      storage: { implementation, admin: timelock },
+      views: {
+        [`${token}:0x8da5cb5b`]: safe,
+        [`${token}:0x35d99f35`]: timelock,
+        [`${token}:0x9fd0506d`]: deployer,
+        [`${safe}:0xe75235b8`]: 3,
+        [`${timelock}:0xf27a0c92`]: 172800,
+      },
+    });
+    const report = await new ContractAnalyzer(rpc).analyze(token, 'base');
+    const holder = category => report.privileges.find(p => p.category === category).holderKind;
+
+    assert.equal(report.proxy.implementation, implementation);
+    assert.deepEqual([report.owner.kind, report.owner.threshold], ['multisig', 3]);
+    assert.deepEqual(report.roles.map(r => r.role), ['masterMinter', 'pauser']);
+    assert.deepEqual([holder('mint'), holder('pause'), holder('sweep'), holder('upgrade')], ['timelock', 'eoa', 'multisig', 'timelock']);
+    // mint 20 × 0.25 + pause 10 × 1 + sweep 15 × 0.5 + upgrade 15 × 0.25
+    assert.equal(report.riskScore, 5 + 10 + 8 + 4);
+    assert.ok(report.flags.includes('MULTISIG_OWNER'));
+
+    const text = ReportGenerator.formatContractReport(report);
+    assert.ok(text.includes(`2-day timelock ${timelock}`));
+    assert.ok(text.includes(`3-signature multisig ${safe}`));
+  });
+
+  it('should read AccessControlEnumerable role members', async () => {
+    const minterRole = keccak256('MINTER_ROLE').toString('hex');
+    const rpc = createContractRpc({
+      code: { [token]: dispatcher(['hasRole(bytes32,address)', 'getRoleMember(bytes32,uint256)', 'mint(address,uint256)']), [safe]: '0x6080' },
+      views: {
+        [`${token}:0x9010d07c${'0'.repeat(128)}`]: safe,
+        [`${token}:0x9010d07c${minterRole}${'0'.repeat(64)}`]: deployer,
+        [`${safe}:0xe75235b8`]: 2,
+      },
+    });
+    const report = await new ContractAnalyzer(rpc).analyze(token, 'base');
+    assert.equal(report.accessControl, true);
+    assert.deepEqual(report.roles.map(r => [r.role, r.holder.kind]), [['DEFAULT_ADMIN_ROLE', 'multisig'], ['MINTER_ROLE', 'eoa']]);
+    assert.deepEqual(report.privileges.map(p => [p.category, p.holderKind]), [['mint', 'eoa']]);
+    assert.equal(report.riskScore, 20);
+  });
+
+  it('should add contract privilege risk to address scans', async () => {
+    const scanner = new USDCSecurityScanner();
+    const rpc = createContractRpc({
+      code: { [token]: dispatcher(['owner()', 'mint(address,uint256)', 'blacklist(address)']) },
+      views: { [`${token}:0x8da5cb5b`]: deployer },
+    });
+    scanner.rpc = rpc;
+    scanner.addressChecker = new AddressChecker(rpc);
+    scanner.patternDetector = new PatternDetector(rpc);
+    scanner.contractAnalyzer = new ContractAnalyzer(rpc);
+
+    const standard = await scanner.scanAddress(token, { chains: ['base'] });
+    const quick = await scanner.scanAddress(token, { chains: ['base'], depth: 'quick' });
+
+    assert.equal(standard.contracts.base.riskScore, 35);
+    assert.equal(standard.overallScore - quick.overallScore, 35);
+    assert.deepEqual(quick.contracts, {});
+    assert.ok(standard.formatted.includes('CONTRACT PRIVILEGES'));
+  });
+
+  it('should report addresses without code', async () => {
+    const scanner = new USDCSecurityScanner();
+    scanner.contractAnalyzer = new ContractAnalyzer(createContractRpc({}));
+    const report = await scanner.checkContract(deployer, 'base');
+    assert.deepEqual([report.isContract, report.flags, report.riskScore], [false, ['NOT_A_CONTRACT'], 0]);
+    assert.ok(report.formatted.includes('No contract code'));
+  });
+});
+
+// ═══════════════════════════════════════════
+// Scam Database Layer Tests
+// ═══════════════════════════════════════════
+
+describe('Scam Database Layers', () => {
+  const ronin = '0x098B716B8Aaf21512996dC57EB0615e2383E2f96';
+  const tornado = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+  const drainer = '0x3000000000000000000000000000000000000001';
+  const entry = {
+    label: 'Test Drainer', category: 'phishing', severity: 'high', chain: ['base'],
+    details: 'Reported by the security team.', reportedAt: '2026-01-15',
+  };
+
+  const writeLayer = (name, data) => {
+    const file = tmpFile(`${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+  };
+
+  it('should validate the bundled database and tag matches with their source', () => {
+    const db = ScamDatabase.load({ paths: [] });
+    assert.ok(db.size >= 50);
+    assert.equal(new AddressChecker(new MockRpcClient(), { scamDatabases: [] }).checkScamDatabase(ronin).source, 'bundled');
+  });
+
+  it('should list every invalid field in the load error', () => {
+    const file = writeLayer('broken', {
+      addresses: {
+        [drainer]: { ...entry, category: 'rugpull', severity: 'severe', chain: ['solana'], reportedAt: '2026-02-30x' },
+        '0x1234': entry,
+        '0x3000000000000000000000000000000000000002': { ...entry, label: '', details: undefined },
+      },
+    });
+    let err;
+    assert.throws(() => ScamDatabase.load({ paths: [file] }), e => (err = e) instanceof ScamDatabaseError);
+    assert.deepEqual(err.problems.map(p => p.split(':')[0]), [
+      `${drainer}.category`, `${drainer}.severity`, `${drainer}.chain`, `${drainer}.reportedAt`,
+      '0x1234',
+      '0x3000000000000000000000000000000000000002.label', '0x3000000000000000000000000000000000000002.details',
+    ]);
+    assert.ok(err.message.startsWith(`Invalid scam database ${file}: 7 problems`));
+    assert.ok(err.message.includes('"severe" is not one of critical, high, medium, low, info'));
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => ScamDatabase.load({ paths: [file] }), ScamDatabaseError);
+    assert.ok(!ScamDatabase.load({ paths: [] }).validateEntry({ ...entry, reportedAt: '2026-01-15T08:30:00Z' }).length);
+  });
+
+  it('should layer org and local databases over the bundled list', () => {
+    const org = writeLayer('org', {
+      _meta: { name: 'acme-private' },
+      addresses: { [drainer]: entry, [ronin.toLowerCase()]: { ...entry, label: 'Ronin (org notes)', severity: 'critical' } },
+    });
+    const local = writeLayer('local', { suppress: { [tornado]: 'Allowed for compliance research' } });
+    const checker = new AddressChecker(new MockRpcClient(), { scamDatabases: [org, local] });
+
+    assert.equal(checker.checkScamDatabase(drainer).source, 'acme-private');
+    assert.equal(checker.checkScamDatabase(drainer).baseRiskScore, 75);
+    assert.deepEqual([checker.checkScamDatabase(ronin).label, checker.checkScamDatabase(ronin).source], ['Ronin (org notes)', 'acme-private']);
+    assert.equal(checker.checkScamDatabase(tornado), null);
+    assert.deepEqual(checker.scamDb.suppressed.get(tornado.toLowerCase()), { source: 'local', reason: 'Allowed for compliance research' });
+    assert.deepEqual(checker.scamDb.layers.map(l => [l.name, l.suppressions]), [['bundled', 0], ['acme-private', 0], ['local', 1]]);
+
+    const conflicting = writeLayer('conflict', { addresses: { [drainer]: entry }, suppress: { [drainer]: 'both' } });
+    assert.throws(() => ScamDatabase.load({ paths: [conflicting] }), /also listed in addresses/);
+  });
+
+  it('should load legacy context entries without scoring them', () => {
+    const usdt = '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9';
+    const org = writeLayer('org', { addresses: {
+      [drainer]: entry,
+      [usdt]: { ...entry, label: 'USDT on Arbitrum (Context)', category: 'context', severity: 'info', chain: ['arbitrum'] },
+      [ronin]: { ...entry, label: 'Ronin (context)', category: 'context', severity: 'info', chain: ['ethereum'] },
+    } });
+    const checker = new AddressChecker(new MockRpcClient(), { scamDatabases: [org] });
+    assert.equal(checker.checkScamDatabase(drainer).source, 'org');
+    assert.equal(checker.checkScamDatabase(usdt), null);
+    assert.equal(checker.checkScamDatabase(ronin).source, 'bundled');
+  });
+
+  it('should read overlay paths from the environment', () => {
+    const org = writeLayer('org', { addresses: { [drainer]: entry } });
+    const previous = process.env.USDC_SCANNER_SCAM_DBS;
+    process.env.USDC_SCANNER_SCAM_DBS = org;
+    try {
+      assert.equal(ScamDatabase.load().lookup(drainer).source, 'org');
+    } finally {
+      if (previous === undefined) delete process.env.USDC_SCANNER_SCAM_DBS;
+      else process.env.USDC_SCANNER_SCAM_DBS = previous;
+    }
+  });
+});
+
+// ═══════════════════════════════════════════
+// Scam List Import Tests
+// ═══════════════════════════════════════════
+
+describe('Scam List Import', () => {
+  const a = '0x4000000000000000000000000000000000000001';
+  const b = '0x4000000000000000000000000000000000000002';
+  const ronin = '0x098B716B8Aaf21512996dC57EB0615e2383E2f96';
+
+  const sdnXml = `<?xml version="1.0" encoding="utf-8"?>
+<Sanctions>
+  <DateOfIssue><Year>2026</Year><Month>3</Month><Day>7</Day></DateOfIssue>
+  <ReferenceValueSets>
+    <FeatureTypeValues>
+      <FeatureType ID="344">Digital Currency Address - XBT</FeatureType>
+      <FeatureType ID="345">Digital Currency Address - ETH</FeatureType>
+      <FeatureType ID="1006">Digital Currency Address - USDC</FeatureType>
+    </FeatureTypeValues>
+  </ReferenceValueSets>
+  <DistinctParties>
+    <DistinctParty FixedRef="36000">
+      <Profile ID="36000">
+        <Identity>
+          <Alias FixedRef="36000" AliasTypeID="1403" Primary="true">
+            <DocumentedName><DocumentedNamePart><NamePartValue>LAZARUS GROUP &amp; CO</NamePartValue></DocumentedNamePart></DocumentedName>
+          </Alias>
+          <Alias FixedRef="36000" AliasTypeID="1400" Primary="false">
+            <DocumentedName><DocumentedNamePart><NamePartValue>HIDDEN COBRA</NamePartValue></DocumentedNamePart></DocumentedName>
+          </Alias>
+        </Identity>
+        <Feature ID="1" FeatureTypeID="345"><FeatureVersion ID="1"><VersionDetail DetailTypeID="1432">${a}</VersionDetail></FeatureVersion></Feature>
+        <Feature ID="2" FeatureTypeID="344"><FeatureVersion ID="2"><VersionDetail DetailTypeID="1432">bc1qexample</VersionDetail></FeatureVersion></Feature>
+        <Feature ID="3" FeatureTypeID="1006"><FeatureVersion ID="3"><VersionDetail DetailTypeID="1432">${b}</VersionDetail></FeatureVersion></Feature>
+      </Profile>
+    </DistinctParty>
+  </DistinctParties>
+</Sanctions>`;
+
+  it('should parse quoted CSV fields', () => {
+    const records = parseCsv('Address,Label,Details\r\n' + `${a},"Drainer, v2","Said ""claim now""\nthen drained"\n\n${b},Plain,\n`);
+    assert.deepEqual(records.map(r => [r._line, r.address, r.label]), [[2, a, 'Drainer, v2'], [5, b, 'Plain']]);
+    assert.equal(records[0].details, 'Said "claim now"\nthen drained');
+  });
+
+  it('should map CSV rows onto the database schema', () => {
+    const csv = [
+      'address,label,category,severity,chain,reported_at',
+      `${a},Fake airdrop,Fake Airdrop,,eth;base,2026-01-02T10:00:00Z`,
+      `${a.toUpperCase().replace('0X', '0x')},Fake airdrop,phishing,severe,arbitrum,2025-12-30`,
+      `${b},Unknown chain,scam,high,solana,2026-01-02`,
+      'not-an-address,Bad,scam,high,base,2026-01-02',
+    ].join('\n');
+    const { entries, skipped } = importScamList(csv, { format: 'csv', source: 'team.csv' });
+
+    assert.deepEqual(entries[a], {
+      label: 'Fake airdrop', category: 'phishing', severity: 'critical', chain: ['ethereum', 'base', 'arbitrum'],
+      details: 'Imported from team.csv.', reportedAt: '2025-12-30',
+    });
+    assert.deepEqual(skipped.map(s => s.record), ['line 4', 'line 5']);
+    assert.ok(skipped[0].reason.includes('no supported chain'));
+  });
+
+  it('should extract ETH and USDC addresses from the OFAC SDN advanced XML', () => {
+    const records = parseOfacXml(sdnXml);
+    assert.deepEqual(records.map(r => r.address), [a, b]);
+    assert.equal(records[0].label, 'OFAC SDN: LAZARUS GROUP & CO');
+    assert.equal(records[1].reportedAt, '2026-03-07');
+
+    const { entries } = importScamList(sdnXml, { format: 'ofac' });
+    assert.deepEqual(entries[b].chain, ['ethereum', 'base', 'arbitrum']);
+    assert.deepEqual([entries[b].category, entries[b].severity], ['sanctioned', 'critical']);
+  });
+
+  it('should import ChainAbuse and MistTrack JSON exports', () => {
+    const chainAbuse = JSON.stringify({
+      reports: [{
+        scamCategory: 'RUG_PULL', description: 'Token pulled liquidity', createdAt: '2026-02-01T12:00:00.000Z',
+        addresses: [{ address: a, chain: 'ETH' }, { address: b, chain: 'BASE' }, { address: 'TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE', chain: 'TRON' }],
+      }],
+    });
+    const misttrack = JSON.stringify([{ address: a, label_list: ['Inferno Drainer'], label_type: 'phishing', risk_level: 'Moderate', first_seen: 1767225600 }]);
+
+    const fromChainAbuse = importScamList(chainAbuse, { format: 'json' });
+    assert.deepEqual(Object.keys(fromChainAbuse.entries), [a, b]);
+    assert.deepEqual([fromChainAbuse.entries[b].category, fromChainAbuse.entries[b].severity, fromChainAbuse.entries[b].chain], ['scam', 'high', ['base']]);
+    assert.equal(fromChainAbuse.skipped.length, 1);
+
+    const fromMistTrack = importScamList(misttrack, { format: 'json' }).entries[a];
+    assert.deepEqual([fromMistTrack.label, fromMistTrack.category, fromMistTrack.severity, fromMistTrack.reportedAt],
+      ['Inferno Drainer', 'phishing', 'medium', '2026-01-01']);
+  });
+
+  it('should summarize added, updated and conflicting entries', () => {
+    const existing = {
+      _meta: { lastUpdated: '2026-01-01' },
+      addresses: {
+        [ronin]: { label: 'Ronin', category: 'exploit', severity: 'critical', chain: ['ethereum'], details: 'curated', reportedAt: '2022-03-29' },
+        [b]: { label: 'B', category: 'scam', severity: 'high', chain: ['base'], details: '', reportedAt: '2026-01-01' },
+      },
+    };
+    const imported = {
+      [ronin.toLowerCase()]: { label: 'x', category: 'exploit', severity: 'critical', chain: ['base'], details: '', reportedAt: '2022-04-01' },
+      [b]: { label: 'B', category: 'phishing', severity: 'high', chain: ['base'], details: '', reportedAt: '2026-01-01' },
+      [a]: { label: 'A', category: 'scam', severity: 'low', chain: ['base'], details: '', reportedAt: '2026-01-01' },
+    };
+
+    const { data, summary } = mergeScamEntries(existing, imported);
+    assert.deepEqual(summary.added, [a]);
+    assert.deepEqual(summary.updated, [ronin.toLowerCase()]);
+    assert.deepEqual(summary.conflicts.map(c => [c.address, c.resolution]), [[b, 'kept']]);
+    assert.deepEqual(data.addresses[ronin], { ...existing.addresses[ronin], chain: ['ethereum', 'base'] });
+    assert.equal(data.addresses[b].category, 'scam');
+    assert.equal(existing.addresses[ronin].chain.length, 1);
+
+    const replaced = mergeScamEntries(existing, imported, { onConflict: 'replace' });
+    assert.equal(replaced.data.addresses[b].category, 'phishing');
+  });
+
+  it('should merge an import into a database file the scanner loads', () => {
+    const list = tmpFile('sdn_advanced.xml');
+    const into = tmpFile('org.json');
+    fs.writeFileSync(list, sdnXml);
+    const scanner = new USDCSecurityScanner({ scamDatabases: [into] });
+
+    const dryRun = scanner.importScamList(list, { into, dryRun: true });
+    assert.equal(dryRun.summary.added.length, 2);
+    assert.ok(!fs.existsSync(into));
+
+    const result = scanner.importScamList(list, { into });
+    assert.deepEqual(result.summary.added, [a, b]);
+    assert.equal(scanner.quickCheck(a).category, 'sanctioned');
+    assert.equal(scanner.quickCheck(a).source, 'org');
+    assert.equal(scanner.importScamList(list, { into }).summary.unchanged, 2);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Scam Database Versioning Tests
+// ═══════════════════════════════════════════
+
+describe('Scam Database Versioning', () => {
+  const a = '0x5000000000000000000000000000000000000001';
+  const b = '0x5000000000000000000000000000000000000002';
+  const c = '0x5000000000000000000000000000000000000003';
+  const entry = (overrides = {}) => ({
+    label: 'Drainer', category: 'phishing', severity: 'high', chain: ['base'],
+    details: 'Reported, with "quotes"', reportedAt: '2026-01-15', ...overrides,
+  });
+  const writeDb = (name, addresses) => {
+    const file = tmpFile(`${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({ _meta: { lastUpdated: '2026-01-01' }, addresses }));
+    return file;
+  };
+
+  it('should diff two database files', () => {
+    const scanner = new USDCSecurityScanner();
+    const before = writeDb('old', { [a]: entry(), [b]: entry() });
+    const after = writeDb('new', { [b]: entry({ severity: 'critical', chain: ['base', 'ethereum'] }), [c]: entry() });
+
+    const diff = scanner.diffScamDatabases(before, after);
+    assert.deepEqual(diff.added.map(d => d.address), [c]);
+    assert.deepEqual(diff.removed.map(d => d.address), [a]);
+    assert.deepEqual(diff.changed.map(d => [d.address, d.fields]), [[b, ['severity', 'chain']]]);
+    assert.notEqual(diff.from, diff.to);
+    assert.ok(diff.formatted.includes(`severity: high → critical`));
+
+    // Same content under another file name and key casing: same version, nothing changed
+    const copy = writeDb('copy', { [a.toUpperCase().replace('0X', '0x')]: entry({ chain: ['base'] }), [b]: entry() });
+    const same = scanner.diffScamDatabases(before, copy);
+    assert.equal(same.from, same.to);
+    assert.deepEqual([same.added, same.removed, same.changed], [[], [], []]);
+  });
+
+  it('should export the effective database as csv, json and txt', () => {
+    const org = writeDb('org', { [a]: entry(), [b]: entry({ label: 'Second, with comma' }) });
+    const db = ScamDatabase.load({ paths: [org] });
+
+    const { entries } = importScamList(db.export('csv'), { format: 'csv' });
+    assert.deepEqual(entries[b], entry({ label: 'Second, with comma' }));
+    assert.equal(Object.keys(entries).length, db.size);
+
+    const exported = JSON.parse(db.export('json'));
+    assert.equal(exported._meta.version, db.version);
+    assert.deepEqual(exported._meta.layers, ['bundled', 'org']);
+    assert.equal(new ScamDatabase().addLayer(exported).version, db.version);
+
+    const lines = db.export('txt').trim().split('\n');
+    assert.equal(lines.length, db.size);
+    assert.ok(lines.includes(a));
+    assert.throws(() => db.export('xml'), /Unknown export format/);
+  });
+
+  it('should keep aging fields through a csv export and re-import', () => {
+    const aged = entry({ expiresAt: '2027-01-15', confidence: 0.6, lastSeenActive: '2026-03-01' });
+    const db = ScamDatabase.load({ paths: [writeDb('aged', { [a]: aged, [b]: entry() })] });
+
+    const { entries } = importScamList(db.export('csv'), { format: 'csv' });
+    assert.deepEqual(entries[a], aged);
+    assert.deepEqual(entries[b], entry());
+    assert.deepEqual(db.age(entries[a], Date.parse('2026-06-01')), db.age(aged, Date.parse('2026-06-01')));
+  });
+
+  it('should report what changed on reload', () => {
+    const org = writeDb('org', { [a]: entry() });
+    const scanner = new USDCSecurityScanner({ scamDatabases: [org] });
+    assert.deepEqual(scanner.reloadDatabase().changed, []);
+
+    fs.writeFileSync(org, JSON.stringify({ addresses: { [a]: entry({ severity: 'critical' }), [b]: entry() } }));
+    const diff = scanner.reloadDatabase();
+    assert.deepEqual(diff.added.map(d => d.address), [b]);
+    assert.deepEqual(diff.changed.map(d => [d.address, d.before.severity, d.after.severity]), [[a, 'high', 'critical']]);
+    assert.equal(scanner.quickCheck(b).source, 'org');
+  });
+});
+
+// ═══════════════════════════════════════════
+// Trusted Entity Tests
+// ═══════════════════════════════════════════
+
+describe('Trusted Entities', () => {
+  const usdcBase = ChainRegistry.default().get('base').usdc.mainnet;
+  const treasury = '0x6000000000000000000000000000000000000001';
+  const ronin = '0x098B716B8Aaf21512996dC57EB0615e2383E2f96';
+
+  const contractRpc = () => {
+    const mockRpc = new MockRpcClient();
+    mockRpc.setMock('getCode', '0x6080604052');
+    mockRpc.setMock('getTransactionCount', 1);
+    mockRpc.setMock('getBalance', '0');
+    return mockRpc;
+  };
+  const scannerWith = (mockRpc, options = {}) => {
+    const scanner = new USDCSecurityScanner();
+    scanner.rpc = mockRpc;
+    scanner.addressChecker = new AddressChecker(mockRpc, options);
+    return scanner;
+  };
+  const writeList = addresses => {
+    const file = tmpFile('trusted.json');
+    fs.writeFileSync(file, JSON.stringify({ _meta: { name: 'acme' }, addresses }));
+    return file;
+  };
+
+  it('should trust Circle contracts on their own chain only', () => {
+    const checker = new AddressChecker(new MockRpcClient(), { trustedLists: [] });
+    const entry = checker.checkTrusted(usdcBase.toUpperCase().replace('0X', '0x'), 'base');
+    assert.equal(entry.category, 'issuer');
+    assert.equal(entry.source, 'circle');
+    assert.equal(checker.checkTrusted(usdcBase, 'ethereum'), null);
+    assert.equal(checker.checkTrusted(treasury, 'base'), null);
+  });
+
+  it('should label contracts shared across chains per chain', () => {
+    const chains = ChainRegistry.default();
+    const registry = TrustedRegistry.load({ chains, paths: [] });
+    // CCTP's sepolia TokenMessenger has the same address on every chain
+    for (const name of chains.names()) {
+      const chain = chains.get(name);
+      const entry = registry.lookup(chain.cctp.tokenMessenger.sepolia, name);
+      assert.equal(entry.label, `CCTP TokenMessenger (${chain.label})`);
+      assert.equal(entry.chain, name);
+    }
+
+    const list = writeList({ [treasury]: { label: 'Acme treasury Safe', category: 'internal', chain: ['base', 'ethereum'] } });
+    const relabelled = writeList({ [treasury]: { label: 'Acme payroll Safe', category: 'internal', chain: ['base'] } });
+    const layered = TrustedRegistry.load({ chains, paths: [list, relabelled] });
+    assert.equal(layered.lookup(treasury, 'base').label, 'Acme payroll Safe');
+    assert.equal(layered.lookup(treasury, 'ethereum').label, 'Acme treasury Safe');
+  });
+
+  it('should dampen heuristic risk in transfer validation and reputation', async () => {
+    const scanner = scannerWith(contractRpc(), { trustedLists: [] });
+    const validation = await scanner.validateTransfer(usdcBase, { chain: 'base' });
+    const check = validation.checks.find(c => c.check === 'Trusted Entity');
+    assert.equal(check.result, 'PASS');
+    assert.ok(validation.flags.includes('TRUSTED_ENTITY'));
+    assert.equal(validation.overallScore, 3); // contract 5 + dust ETH 10, at a fifth
+    assert.ok(validation.profile.riskFactors.every(f => f.detail.includes('reduced: trusted issuer')));
+
+    const untrusted = await scannerWith(contractRpc(), { trustedLists: [] }).validateTransfer(treasury, { chain: 'base' });
+    assert.equal(untrusted.overallScore, 15);
+    assert.ok(!untrusted.checks.some(c => c.check === 'Trusted Entity'));
+
+    const reputation = await scanner.addressChecker.getReputation(usdcBase, ['base']);
+    assert.ok(reputation.flags.includes('TRUSTED_ENTITY'));
+    assert.equal(reputation.trusted.label, 'USDC (Base)');
+    assert.ok(ReportGenerator.formatReputationReport(reputation).includes('TRUSTED ENTITY: USDC (Base)'));
+  });
+
+  it('should add org entries and never override a scam database hit', async () => {
+    const list = writeList({
+      [treasury]: { label: 'Acme treasury Safe', category: 'internal', chain: ['base'] },
+      [ronin]: { label: 'Mislabelled bridge', category: 'bridge', chain: ['ethereum'] },
+    });
+    const scanner = scannerWith(contractRpc(), { trustedLists: [list] });
+    assert.equal(scanner.addressChecker.checkTrusted(treasury, 'base').source, 'acme');
+
+    const validation = await scanner.validateTransfer(ronin, { chain: 'ethereum' });
+    assert.equal(validation.safe, false);
+    assert.ok(validation.overallScore >= 90);
+    assert.ok(!validation.flags.includes('TRUSTED_ENTITY'));
+    const check = validation.checks.find(c => c.check === 'Trusted Entity');
+    assert.equal(check.result, 'WARN');
+    assert.match(check.detail, /scam database match takes precedence/);
+    assert.equal(scanner.addressChecker.checkTrusted(ronin, 'ethereum'), null);
+  });
+
+  it('should keep trust on chains the scam database does not list the address for', () => {
+    const list = writeList({ [ronin]: { label: 'Acme bridge', category: 'bridge', chain: ['base', 'ethereum'] } });
+    const checker = new AddressChecker(new MockRpcClient(), { trustedLists: [list] });
+    assert.equal(checker.checkTrusted(ronin, 'base').label, 'Acme bridge');
+    assert.equal(checker.checkTrusted(ronin, 'ethereum'), null);
+  });
+
+  it('should reject invalid trusted lists', () => {
+    const list = writeList({ [treasury]: { label: 'Acme', category: 'friend', chain: ['solana'] } });
+    assert.throws(() => new AddressChecker(new MockRpcClient(), { trustedLists: [list] }),
+      /Invalid trusted list .*category.*unknown chain "solana"/);
+  });
+});
+
+// ═══════════════════════════════════════════
+// Chain-aware Scam Matching Tests
+// ═══════════════════════════════════════════
+
+describe('Chain-aware Scam Matching', () => {
+  const ronin = '0x098b716b8aaf21512996dc57eb0615e2383e2f96'; // Listed on ethereum only
+  const wallet = '0x6000000000000000000000000000000000000002';
+
+  const scannerWith = mockRpc => {
+    const scanner = new USDCSecurityScanner();
+    scanner.rpc = mockRpc;
+    scanner.addressChecker = new AddressChecker(mockRpc, { trustedLists: [] });
+    return scanner;
+  };
+  const walletRpc = () => {
+    const mockRpc = new MockRpcClient();
+    mockRpc.setMock('getTransactionCount', 100);
+    mockRpc.setMock('getBalance', '2000000000000000000');
+    return mockRpc;
+  };
+
+  it('should weigh hits on other chains down', () => {
+    const checker = new AddressChecker(new MockRpcClient());
+    const listed = checker.checkScamDatabase(ronin, 'ethereum');
+    assert.equal(listed.chainMatch, true);
+    assert.equal(listed.riskScore, 95);
+    assert.equal(listed.note, null);
+
+    const other = checker.checkScamDatabase(ronin, 'base');
+    assert.equal(other.chainMatch, false);
+    assert.equal(other.riskScore, Math.round(95 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER));
+    assert.equal(other.note, 'Same address, different chain: listed on ethereum, not base');
+
+    assert.equal(checker.checkScamDatabase(ronin, ['base', 'ethereum']).chainMatch, true);
+    assert.equal(checker.checkScamDatabase(ronin).chainMatch, null);
+    assert.equal(checker.checkScamDatabase(ronin).riskScore, 95);
+  });
+
+  it('should warn instead of block when the recipient is listed on another chain', async () => {
+    const onBase = await scannerWith(walletRpc()).validateTransfer(ronin, { chain: 'base' });
+    const check = onBase.checks.find(c => c.check === 'Scam Database');
+    assert.equal(check.result, 'WARN');
+    assert.match(check.detail, /^Same address, different chain/);
+    assert.ok(onBase.flags.includes('KNOWN_EXPLOIT_OTHER_CHAIN'));
+    assert.equal(onBase.safe, true);
+    assert.equal(onBase.level, 'MEDIUM');
+    assert.match(onBase.recommendation, /listed as Ronin Bridge Exploiter \(Lazarus Group\) on ethereum/);
+    assert.ok(onBase.formatted.includes('Same address, different chain'));
+
+    const onEthereum = await scannerWith(walletRpc()).validateTransfer(ronin, { chain: 'ethereum' });
+    assert.equal(onEthereum.checks.find(c => c.check === 'Scam Database').result, 'FAIL');
+    assert.ok(onEthereum.flags.includes('KNOWN_EXPLOIT'));
+    assert.equal(onEthereum.safe, false);
+  });
+
+  it('should match scam interactions on the scanned chain', async () => {
+    const mockRpc = walletRpc();
+    mockRpc.setMock('getUSDCTransfers', [{ from: wallet, to: ronin, amountUSDC: 500, txHash: '0xabc' }]);
+    const checker = new AddressChecker(mockRpc, { trustedLists: [] });
+
+    const [interaction] = await checker.checkScamInteractions(wallet, 'base');
+    assert.equal(interaction.scamInfo.chainMatch, false);
+
+    const onBase = await checker.getReputation(wallet, ['base']);
+    const onEthereum = await checker.getReputation(wallet, ['ethereum']);
+    const impact = rep => rep.riskFactors.find(f => f.factor.startsWith('Interacted')).impact;
+    assert.equal(impact(onEthereum), 15);
+    assert.equal(impact(onBase), Math.round(15 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER));
+    assert.match(onBase.riskFactors.find(f => f.factor.startsWith('Interacted')).detail, /listed on another chain/);
+
+    const large = await scannerWith(mockRpc).validateTransfer(wallet, { chain: 'base', amount: 100000 });
+    assert.equal(large.checks.find(c => c.check === 'Scam Interactions').result, 'WARN');
+    assert.ok(large.flags.includes('SCAM_INTERACTIONS_OTHER_CHAIN'));
+  });
+
+  it('should not let a match on another chain lower the heuristic score', async () => {
+    const drainer = '0x6000000000000000000000000000000000000003';
+    const overlay = tmpFile('drainers.json');
+    fs.writeFileSync(overlay, JSON.stringify({ addresses: {
+      [drainer]: { label: 'Base drainer', category: 'exploit', severity: 'critical', chain: ['base'], details: 'Test', reportedAt: '2026-01-01' },
+    } }));
+    const mockRpc = walletRpc();
+    mockRpc.setMock('getUSDCTransfers', [1, 2, 3, 4].map(n => ({ from: ronin, to: drainer, amountUSDC: n, txHash: `0x${n}` })));
+    const checker = new AddressChecker(mockRpc, { scamDatabases: [overlay], trustedLists: [] });
+
+    const reputation = await checker.getReputation(ronin, ['base']);
+    assert.equal(reputation.scamMatch.chainMatch, false);
+    assert.equal(reputation.scamMatch.riskScore, Math.round(95 * THRESHOLDS.OTHER_CHAIN_SCAM_MULTIPLIER));
+    assert.equal(reputation.overallScore, 50); // Four interactions on base, capped
+    assert.equal(reputation.level, 'MEDIUM');
+  });
+
+  it('should match transaction participants on the transaction chain', async () => {
+    const scanner = scannerWith(walletRpc());
+    scanner.patternDetector = {
+      analyzeTransaction: async () => ({ riskScore: 0, flags: [], details: { involvedAddresses: [wallet, ronin] } }),
+    };
+    scanner.cctpAnalyzer = { analyzeCCTPTransfer: async () => ({ isCCTP: false }) };
+
+    const onBase = await scanner.checkTransaction('0xabc', 'base');
+    assert.deepEqual(onBase.flags, ['INTERACTS_WITH_EXPLOIT_OTHER_CHAIN']);
+    assert.equal(onBase.scamMatches[0].chainMatch, false);
+    assert.equal(onBase.level, 'MEDIUM');
+
+    const onEthereum = await scanner.checkTransaction('0xabc', 'ethereum');
+    assert.deepEqual(onEthereum.flags, ['INTERACTS_WITH_EXPLOIT']);
+    assert.equal(onEthereum.level, 'CRITICAL');
+  });
+});
+
+// ═══════════════════════════════════════════
+// Scam Entry Aging Tests
+// ═══════════════════════════════════════════
+
+describe('Scam Entry Aging', () => {
+  const phisher = '0x7000000000000000000000000000000000000001';
+  const exploiter = '0x7000000000000000000000000000000000000002';
+  const now = Date.parse('2026-10-18T00:00:00Z');
+  const entry = (overrides = {}) => ({
+    label: 'Drainer', category: 'phishing', severity: 'critical', chain: ['base'],
+    details: 'Reported drainer', reportedAt: '2026-07-20', ...overrides,
+  });
+  const checkerWith = (addresses, options = {}) => {
+    const file = tmpFile('aging.json');
+    fs.writeFileSync(file, JSON.stringify({ _meta: { name: 'org' }, addresses }));
+    return new AddressChecker(new MockRpcClient(), { scamDatabases: [file], trustedLists: [], ...options });
+  };
+
+  it('should halve phishing scores every half-life down to the floor', () => {
+    const checker = checkerWith({ [phisher]: entry() }); // 90 days old
+    const match = checker.checkScamDatabase(phisher, 'base', now);
+    assert.equal(match.baseRiskScore, 95);
+    assert.equal(match.riskScore, 48);
+    assert.equal(match.aging.ageDays, 90);
+    assert.equal(match.aging.rationale, 'reported 2026-07-20 (90 days ago), phishing half-life 90 days: 50% weight');
+
+    const later = checker.checkScamDatabase(phisher, 'base', now + 3 * 365 * 86400000);
+    assert.equal(later.riskScore, 10);
+    assert.match(later.aging.rationale, /10% weight \(floor\)$/);
+  });
+
+  it('should exempt exploit and sanctioned entries', () => {
+    const checker = checkerWith({
+      [exploiter]: entry({ category: 'exploit', reportedAt: '2022-03-29' }),
+      [phisher]: entry({ category: 'sanctioned', reportedAt: '2022-08-08' }),
+    });
+    assert.equal(checker.checkScamDatabase(exploiter, 'base', now).riskScore, 95);
+    assert.equal(checker.checkScamDatabase(exploiter, 'base', now).aging.rationale, 'exploit entries do not decay');
+    assert.equal(checker.checkScamDatabase(phisher, 'base', now).riskScore, 95);
+
+    const strict = checkerWith({ [phisher]: entry() }, { decayPolicies: { phishing: null } });
+    assert.equal(strict.checkScamDatabase(phisher, 'base', now).riskScore, 95);
+  });
+
+  it('should apply lastSeenActive, confidence and expiresAt', () => {
+    const checker = checkerWith({
+      [phisher]: entry({ reportedAt: '2025-01-01', lastSeenActive: '2026-10-18', confidence: 0.5 }),
+      [exploiter]: entry({ category: 'exploit', expiresAt: '2026-10-01' }),
+    });
+    const match = checker.checkScamDatabase(phisher, 'base', now);
+    assert.equal(match.riskScore, 48);
+    assert.equal(match.aging.rationale, 'last seen active 2026-10-18 (0 days ago), phishing half-life 90 days: 100% weight; confidence 0.5');
+    assert.equal(checker.checkScamDatabase(exploiter, 'base', now), null);
+    assert.equal(checker.checkScamDatabase(exploiter, 'base', Date.parse('2026-09-01')).riskScore, 95);
+  });
+
+  it('should validate the aging fields', () => {
+    const db = new ScamDatabase();
+    assert.deepEqual(db.validateEntry(entry({ expiresAt: 'soon', lastSeenActive: '2026-02-30', confidence: 1.5 })), [
+      'expiresAt: "soon" is not an ISO 8601 date',
+      'lastSeenActive: "2026-02-30" is not an ISO 8601 date',
+      'confidence: 1.5 is not a number from 0 to 1',
+    ]);
+  });
+
+  it('should show the aged score in validations and reports', async () => {
+    const reportedAt = new Date(Date.now() - 365 * 86400000).toISOString().slice(0, 10);
+    const checker = checkerWith({ [phisher]: entry({ reportedAt }) });
+    const mockRpc = new MockRpcClient();
+    mockRpc.setMock('getTransactionCount', 100);
+    mockRpc.setMock('getBalance', '2000000000000000000');
+    checker.rpc = mockRpc;
+    const scanner = new USDCSecurityScanner();
+    scanner.rpc = mockRpc;
+    scanner.addressChecker = checker;
+
+    const validation = await scanner.validateTransfer(phisher, { chain: 'base' });
+    const check = validation.checks.find(c => c.check === 'Scam Database');
+    assert.equal(check.result, 'FAIL');
+    assert.match(check.detail, /aged: reported .* phishing half-life 90 days: 10% weight \(floor\)/);
+    assert.equal(validation.overallScore, 10);
+    assert.ok(validation.formatted.includes('Aged: 10/95'));
+
+    const reputation = await scanner.getReputation(phisher, { chains: ['base'] });
+    assert.ok(reputation.formatted.includes('Score: 10/95'));
+  });
+
+  it('should not let a decayed entry lower the heuristic score', async () => {
+    const reportedAt = new Date(Date.now() - 365 * 86400000).toISOString().slice(0, 10);
+    const checker = checkerWith({ [phisher]: entry({ reportedAt }) });
+    checker.rpc.setMock('getTransactionCount', 0);
+    checker.rpc.setMock('getUSDCBalance', '100000000000');
+
+    const reputation = await checker.getReputation(phisher, ['base']);
+    assert.equal(reputation.scamMatch.riskScore, 10);
+    assert.equal(reputation.overallScore, 40); // Never transacted 15 + low tx, high balance 25
+    assert.equal(reputation.level, 'MEDIUM');
+  });
+});